@@ -0,0 +1,321 @@
+// commands/loan-history.js
+const { SlashCommandBuilder, EmbedBuilder } = require("discord.js");
+const { ethers } = require("ethers");
+const { getDb, getOrCreateUserId } = require("../db");
+const { ephemeralFlags } = require("../utils/discord/ephemerals");
+const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
+const { formatLoanTroveLink, formatTxLink } = require("../utils/links");
+const logger = require("../utils/logger");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 25;
+// Embed descriptions cap at 4096 chars; leave room for the header lines
+const MAX_TIMELINE_CHARS = 3600;
+
+const OPERATION_LABELS = {
+  OPEN_TROVE: "📥 Opened",
+  OPEN_TROVE_AND_JOIN_BATCH: "📥 Opened (joined batch)",
+  CLOSE_TROVE: "📤 Closed",
+  ADJUST_TROVE: "🔧 Adjusted",
+  ADJUST_INTEREST_RATE: "📈 Interest rate changed",
+  APPLY_PENDING_DEBT: "🧮 Pending debt applied",
+  REDEEM_COLLATERAL: "🟧 Redeemed against",
+  LIQUIDATE: "🟥 Liquidated",
+  SET_INTEREST_BATCH_MANAGER: "👥 Joined batch manager",
+  REMOVE_FROM_BATCH: "👤 Left batch manager",
+};
+
+function fmtNum(v, digits = 2) {
+  if (v == null || !Number.isFinite(v)) return "n/a";
+  return new Intl.NumberFormat("en-US", {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(v);
+}
+
+function fromRaw(raw, decimals = 18) {
+  if (raw == null) return null;
+  try {
+    return Number(ethers.formatUnits(BigInt(String(raw)), decimals));
+  } catch {
+    return null;
+  }
+}
+
+function fmtSigned(v, digits, unit) {
+  if (v == null || !Number.isFinite(v) || v === 0) return null;
+  return `${v > 0 ? "+" : "−"}${fmtNum(Math.abs(v), digits)} ${unit}`;
+}
+
+// annualInterestRate is 1e18-scaled (1e18 = 100%)
+function fmtRate(raw) {
+  const v = fromRaw(raw, 16);
+  return v == null ? "n/a" : `${v.toFixed(2)}%`;
+}
+
+function loadUserLoanSnapshots(db, userId) {
+  return db
+    .prepare(
+      `
+      SELECT contract_id, token_id, chain_id, protocol, wallet_label, snapshot_json
+      FROM loan_position_snapshots
+      WHERE user_id = ?
+      ORDER BY protocol, token_id
+    `
+    )
+    .all(userId);
+}
+
+function loadTroveTimeline(db, contractId, troveId, limit) {
+  return db
+    .prepare(
+      `
+      SELECT
+        o.block_number,
+        o.block_timestamp,
+        o.tx_hash,
+        o.operation,
+        o.annual_interest_rate_raw,
+        o.debt_change_raw,
+        o.coll_change_raw,
+        o.upfront_fee_raw,
+        (
+          SELECT u.debt_raw
+          FROM trove_events u
+          WHERE u.contract_id = o.contract_id
+            AND u.trove_id = o.trove_id
+            AND u.block_number = o.block_number
+            AND u.tx_hash = o.tx_hash
+            AND u.event_kind = 'UPDATED'
+          ORDER BY u.log_index DESC
+          LIMIT 1
+        ) AS debt_after_raw,
+        (
+          SELECT u.coll_raw
+          FROM trove_events u
+          WHERE u.contract_id = o.contract_id
+            AND u.trove_id = o.trove_id
+            AND u.block_number = o.block_number
+            AND u.tx_hash = o.tx_hash
+            AND u.event_kind = 'UPDATED'
+          ORDER BY u.log_index DESC
+          LIMIT 1
+        ) AS coll_after_raw,
+        (
+          SELECT e.decoded_json
+          FROM chain_events e
+          WHERE e.contract_id = o.contract_id
+            AND e.block_number = o.block_number
+            AND e.tx_hash = o.tx_hash
+            AND e.event_name IN ('Redemption', 'Liquidation')
+            AND e.removed = 0
+          ORDER BY e.log_index
+          LIMIT 1
+        ) AS batch_json
+      FROM trove_events o
+      WHERE o.contract_id = ?
+        AND o.trove_id = ?
+        AND o.event_kind = 'OPERATION'
+      ORDER BY o.block_number DESC, o.log_index DESC
+      LIMIT ?
+    `
+    )
+    .all(contractId, String(troveId), limit);
+}
+
+function loadTroveCoverage(db, contractId) {
+  return db
+    .prepare(
+      `
+      SELECT
+        COUNT(s.id) AS stream_count,
+        MIN(COALESCE(cur.last_scanned_block, 0)) AS scanned_to
+      FROM index_streams s
+      LEFT JOIN index_cursors cur ON cur.stream_id = s.id
+      WHERE s.contract_id = ?
+        AND s.is_enabled = 1
+        AND s.event_name = 'TroveOperation'
+    `
+    )
+    .get(contractId);
+}
+
+function formatTimelineLine(ev, { chainId, collSym, collDecimals }) {
+  const label = OPERATION_LABELS[ev.operation] || ev.operation || "Unknown";
+  const when = Number.isInteger(ev.block_timestamp) ? `<t:${ev.block_timestamp}:f>` : `block ${ev.block_number}`;
+
+  const parts = [];
+  const collChange = fmtSigned(fromRaw(ev.coll_change_raw, collDecimals), 4, collSym);
+  const debtChange = fmtSigned(fromRaw(ev.debt_change_raw), 2, "CDP");
+  if (collChange) parts.push(collChange);
+  if (debtChange) parts.push(debtChange);
+
+  const fee = fromRaw(ev.upfront_fee_raw);
+  if (fee != null && fee > 0) parts.push(`fee ${fmtNum(fee, 2)} CDP`);
+
+  if (ev.operation !== "CLOSE_TROVE" && ev.operation !== "LIQUIDATE") {
+    parts.push(`IR ${fmtRate(ev.annual_interest_rate_raw)}`);
+  }
+
+  if (ev.batch_json) {
+    try {
+      const b = JSON.parse(ev.batch_json);
+      const price = fromRaw(b?.priceRaw);
+      if (price != null) parts.push(`@ $${fmtNum(price, price >= 1 ? 4 : 6)}`);
+    } catch (_) {}
+  }
+
+  const debtAfter = fromRaw(ev.debt_after_raw);
+  const collAfter = fromRaw(ev.coll_after_raw, collDecimals);
+  const after =
+    debtAfter != null && collAfter != null && ev.operation !== "CLOSE_TROVE" && ev.operation !== "LIQUIDATE"
+      ? `\n   ↳ now ${fmtNum(collAfter, 4)} ${collSym} / ${fmtNum(debtAfter, 2)} CDP`
+      : "";
+
+  const tx = formatTxLink(chainId, ev.tx_hash, "tx");
+  return `**${label}** — ${when} (${tx})${parts.length ? `\n   ${parts.join(" · ")}` : ""}${after}`;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("loan-history")
+    .setDescription("Timeline of one of your troves: opens, adjustments, rate changes, redemptions, liquidation.")
+    .addStringOption((o) =>
+      o.setName("loan").setDescription("Loan to show").setRequired(true).setAutocomplete(true)
+    )
+    .addIntegerOption((o) =>
+      o
+        .setName("limit")
+        .setDescription(`Number of events to show (default ${DEFAULT_LIMIT})`)
+        .setMinValue(1)
+        .setMaxValue(MAX_LIMIT)
+    ),
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name !== "loan") return;
+
+    const truncate = (str, max) => {
+      if (!str) return str;
+      const s = String(str);
+      if (s.length <= max) return s;
+      return s.slice(0, Math.max(0, max - 1)) + "…";
+    };
+
+    try {
+      const db = getDb();
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const options = [];
+      for (const row of loadUserLoanSnapshots(db, userId)) {
+        const label = row.wallet_label ? ` (${row.wallet_label})` : "";
+        const name = truncate(`${row.protocol} ${shortenTroveId(row.token_id)}${label}`, 100);
+        const value = truncate(`${row.contract_id}:${row.token_id}`, 100);
+        options.push({ name, value });
+      }
+
+      const query = (focused.value || "").toLowerCase();
+      const filtered = options.filter(
+        (opt) => opt.name.toLowerCase().includes(query) || opt.value.toLowerCase().includes(query)
+      );
+
+      await interaction.respond(filtered.slice(0, 25));
+    } catch (err) {
+      logger.warn(`[loan-history] autocomplete failed: ${err?.message || err}`);
+      await interaction.respond([]);
+    }
+  },
+
+  async execute(interaction) {
+    const ephFlags = ephemeralFlags();
+
+    try {
+      await interaction.deferReply({ flags: ephFlags });
+
+      const db = getDb();
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const loanChoice = interaction.options.getString("loan");
+      const limit = interaction.options.getInteger("limit") ?? DEFAULT_LIMIT;
+      const row = loadUserLoanSnapshots(db, userId).find(
+        (r) => `${r.contract_id}:${r.token_id}` === loanChoice
+      );
+      if (!row) {
+        await interaction.editReply("Selected loan not found for your wallets. Pick one from the list.");
+        return;
+      }
+
+      let snap = {};
+      try {
+        snap = JSON.parse(row.snapshot_json) || {};
+      } catch (_) {}
+
+      const ctx = {
+        chainId: row.chain_id,
+        collSym: snap.collSymbol || "COLL",
+        collDecimals: Number.isInteger(snap.collDecimals) ? snap.collDecimals : 18,
+      };
+
+      const events = loadTroveTimeline(db, row.contract_id, row.token_id, limit);
+      const coverage = loadTroveCoverage(db, row.contract_id);
+
+      const troveLink =
+        formatLoanTroveLink(row.protocol, row.token_id, shortenTroveId(row.token_id)) ||
+        shortenTroveId(row.token_id);
+
+      const header = [`Trove ${troveLink}${row.wallet_label ? ` (${row.wallet_label})` : ""}`];
+      const lines = [];
+      let used = 0;
+      for (const ev of events) {
+        const line = formatTimelineLine(ev, ctx);
+        if (used + line.length + 2 > MAX_TIMELINE_CHARS) break;
+        lines.push(line);
+        used += line.length + 2;
+      }
+
+      if (!lines.length) {
+        header.push(
+          Number(coverage?.stream_count) > 0
+            ? "_No trove events indexed yet._"
+            : "_Trove history is not indexed for this protocol yet._"
+        );
+      } else if (lines.length < events.length) {
+        header.push(`_Showing the latest ${lines.length} events._`);
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle(`Loan History - ${row.protocol}`)
+        .setDescription([...header, "", ...lines].join("\n").trim())
+        .setColor(0x2b2d31)
+        .setTimestamp(new Date());
+      if (interaction.client?.user) {
+        embed.setThumbnail(interaction.client.user.displayAvatarURL());
+      }
+
+      const notes = [
+        "Newest first. Amounts are the change from each operation; interest accrual and redistributions are not listed.",
+      ];
+      if (Number(coverage?.scanned_to) > 0) notes.push(`Indexed through block ${coverage.scanned_to}.`);
+      embed.addFields({ name: "Notes", value: notes.join("\n"), inline: false });
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (err) {
+      logger.error("Error in /loan-history:", err);
+
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply("An error occurred while processing `/loan-history`.");
+        } else {
+          await interaction.reply({
+            content: "An error occurred while processing `/loan-history`.",
+            flags: ephFlags,
+          });
+        }
+      } catch (_) {}
+    }
+  },
+};
@@ -0,0 +1,307 @@
+// commands/loan-simulate.js
+const { SlashCommandBuilder, EmbedBuilder } = require("discord.js");
+const { getDb, getOrCreateUserId } = require("../db");
+const { ephemeralFlags } = require("../utils/discord/ephemerals");
+const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
+const { formatLoanTroveLink } = require("../utils/links");
+const logger = require("../utils/logger");
+const { resolveAlertThresholds } = require("../monitoring/alertThresholds");
+const { simulateLoanPosition } = require("../monitoring/loanSimulator");
+
+const REDEMP_SNAPSHOT_STALE_WARN_MIN = (() => {
+  const raw = process.env.REDEMP_SNAPSHOT_STALE_WARN_MIN;
+  const n = Number(raw);
+  if (!Number.isFinite(n)) {
+    throw new Error(`Missing or invalid REDEMP_SNAPSHOT_STALE_WARN_MIN (got "${raw}")`);
+  }
+  return n;
+})();
+
+function fmtNum(v, digits = 2) {
+  if (v == null || !Number.isFinite(v)) return "n/a";
+  return new Intl.NumberFormat("en-US", {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(v);
+}
+
+function fmtPct(v, digits = 2) {
+  if (v == null || !Number.isFinite(v)) return "n/a";
+  return `${v.toFixed(digits)}%`;
+}
+
+function fmtPrice(v) {
+  if (v == null || !Number.isFinite(v)) return "n/a";
+  return `$${fmtNum(v, v >= 1 ? 4 : 6)}`;
+}
+
+function tierEmoji(tier) {
+  return (
+    {
+      LOW: "🟩",
+      MEDIUM: "🟨",
+      HIGH: "🟧",
+      CRITICAL: "🟥",
+    }[String(tier || "").toUpperCase()] || "⬜"
+  );
+}
+
+function fmtTier(tier) {
+  return `${tierEmoji(tier)} ${tier || "UNKNOWN"}`;
+}
+
+function formatSnapshotLine(snapshotAt) {
+  if (!snapshotAt) return null;
+  const raw = String(snapshotAt);
+  const iso = raw.includes("T") ? raw : raw.replace(" ", "T");
+  const tsMs = Date.parse(iso.endsWith("Z") ? iso : `${iso}Z`);
+  if (!Number.isFinite(tsMs)) return null;
+  const ts = Math.floor(tsMs / 1000);
+  const ageMin = (Date.now() - tsMs) / 60000;
+  const warn =
+    Number.isFinite(ageMin) && ageMin >= REDEMP_SNAPSHOT_STALE_WARN_MIN
+      ? " ⚠️ Data may be stale."
+      : "";
+  return `<t:${ts}:f>${warn}`;
+}
+
+function loadUserLoanSnapshots(db, userId) {
+  return db
+    .prepare(
+      `
+      SELECT contract_id, token_id, protocol, wallet_label, snapshot_at, snapshot_json
+      FROM loan_position_snapshots
+      WHERE user_id = ?
+      ORDER BY protocol, token_id
+    `
+    )
+    .all(userId);
+}
+
+function compareLine(cur, sim) {
+  return cur === sim ? cur : `${cur} → **${sim}**`;
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("loan-simulate")
+    .setDescription("What-if: simulate collateral, debt or price changes on one of your loans.")
+    .addStringOption((o) =>
+      o.setName("loan").setDescription("Loan to simulate").setRequired(true).setAutocomplete(true)
+    )
+    .addNumberOption((o) =>
+      o.setName("add_collateral").setDescription("Collateral to add (tokens)").setMinValue(0)
+    )
+    .addNumberOption((o) =>
+      o.setName("remove_collateral").setDescription("Collateral to withdraw (tokens)").setMinValue(0)
+    )
+    .addNumberOption((o) => o.setName("borrow").setDescription("Extra debt to borrow").setMinValue(0))
+    .addNumberOption((o) => o.setName("repay").setDescription("Debt to repay").setMinValue(0))
+    .addNumberOption((o) =>
+      o
+        .setName("price_shock_pct")
+        .setDescription("Collateral price change in % (e.g. -20)")
+        .setMinValue(-99)
+        .setMaxValue(1000)
+    ),
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name !== "loan") return;
+
+    const truncate = (str, max) => {
+      if (!str) return str;
+      const s = String(str);
+      if (s.length <= max) return s;
+      return s.slice(0, Math.max(0, max - 1)) + "…";
+    };
+
+    try {
+      const db = getDb();
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const options = [];
+      for (const row of loadUserLoanSnapshots(db, userId)) {
+        const label = row.wallet_label ? ` (${row.wallet_label})` : "";
+        const name = truncate(`${row.protocol} ${shortenTroveId(row.token_id)}${label}`, 100);
+        const value = truncate(`${row.contract_id}:${row.token_id}`, 100);
+        options.push({ name, value });
+      }
+
+      const query = (focused.value || "").toLowerCase();
+      const filtered = options.filter(
+        (opt) => opt.name.toLowerCase().includes(query) || opt.value.toLowerCase().includes(query)
+      );
+
+      await interaction.respond(filtered.slice(0, 25));
+    } catch (err) {
+      logger.warn(`[loan-simulate] autocomplete failed: ${err?.message || err}`);
+      await interaction.respond([]);
+    }
+  },
+
+  async execute(interaction) {
+    const ephFlags = ephemeralFlags();
+
+    try {
+      await interaction.deferReply({ flags: ephFlags });
+
+      const db = getDb();
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const loanChoice = interaction.options.getString("loan");
+      const row = loadUserLoanSnapshots(db, userId).find(
+        (r) => `${r.contract_id}:${r.token_id}` === loanChoice
+      );
+      if (!row) {
+        await interaction.editReply("Selected loan not found for your wallets. Pick one from the list.");
+        return;
+      }
+
+      let snap;
+      try {
+        snap = JSON.parse(row.snapshot_json);
+      } catch (_) {
+        await interaction.editReply("Loan snapshot is invalid; try again after the next refresh.");
+        return;
+      }
+
+      const actions = {
+        addColl: interaction.options.getNumber("add_collateral") ?? 0,
+        removeColl: interaction.options.getNumber("remove_collateral") ?? 0,
+        borrow: interaction.options.getNumber("borrow") ?? 0,
+        repay: interaction.options.getNumber("repay") ?? 0,
+        priceShockPct: interaction.options.getNumber("price_shock_pct") ?? 0,
+      };
+
+      const thresholds = resolveAlertThresholds({
+        userId,
+        walletId: snap.walletId,
+        contractId: snap.contractId,
+        tokenId: snap.troveId,
+      });
+      const result = simulateLoanPosition(snap, actions, thresholds);
+      if (result.error) {
+        await interaction.editReply(`❌ ${result.error}`);
+        return;
+      }
+
+      const { current: cur, simulated: sim, warnings, mcr } = result;
+      const collSym = snap.collSymbol || "COLL";
+
+      const actionLines = [];
+      if (actions.addColl) actionLines.push(`+ ${fmtNum(actions.addColl, 4)} ${collSym} collateral`);
+      if (actions.removeColl) actionLines.push(`− ${fmtNum(actions.removeColl, 4)} ${collSym} collateral`);
+      if (actions.borrow) actionLines.push(`+ ${fmtNum(actions.borrow, 2)} CDP debt`);
+      if (actions.repay) actionLines.push(`− ${fmtNum(actions.repay, 2)} CDP debt`);
+      if (actions.priceShockPct) {
+        actionLines.push(`Price ${actions.priceShockPct > 0 ? "+" : ""}${fmtPct(actions.priceShockPct)}`);
+      }
+
+      const troveLink =
+        formatLoanTroveLink(snap.protocol, snap.troveId, shortenTroveId(snap.troveId)) ||
+        shortenTroveId(snap.troveId);
+
+      const embed = new EmbedBuilder()
+        .setTitle(`Loan Simulation - ${snap.protocol}`)
+        .setDescription(
+          [
+            `Trove ${troveLink}${snap.walletLabel ? ` (${snap.walletLabel})` : ""}`,
+            actionLines.length ? `Scenario: ${actionLines.join(", ")}` : "Scenario: no changes (current position)",
+          ].join("\n")
+        )
+        .setColor(0x2b2d31)
+        .setTimestamp(new Date());
+      if (interaction.client?.user) {
+        embed.setThumbnail(interaction.client.user.displayAvatarURL());
+      }
+
+      embed.addFields(
+        {
+          name: "Collateral",
+          value: compareLine(`${fmtNum(cur.collAmount, 4)} ${collSym}`, `${fmtNum(sim.collAmount, 4)} ${collSym}`),
+          inline: true,
+        },
+        {
+          name: "Debt",
+          value: compareLine(`${fmtNum(cur.debtAmount, 2)} CDP`, `${fmtNum(sim.debtAmount, 2)} CDP`),
+          inline: true,
+        },
+        { name: "Price", value: compareLine(fmtPrice(cur.price), fmtPrice(sim.price)), inline: true },
+        {
+          name: `ICR (MCR ${fmtPct(mcr * 100)})`,
+          value: compareLine(
+            fmtPct(cur.icr != null ? cur.icr * 100 : null),
+            fmtPct(sim.icr != null ? sim.icr * 100 : null)
+          ),
+          inline: true,
+        },
+        { name: "LTV", value: compareLine(fmtPct(cur.ltvPct), fmtPct(sim.ltvPct)), inline: true },
+        {
+          name: "Liquidation price",
+          value: compareLine(fmtPrice(cur.liquidationPrice), fmtPrice(sim.liquidationPrice)),
+          inline: true,
+        },
+        {
+          name: "Liquidation buffer",
+          value: compareLine(
+            fmtPct(cur.liquidationBufferFrac != null ? cur.liquidationBufferFrac * 100 : null),
+            fmtPct(sim.liquidationBufferFrac != null ? sim.liquidationBufferFrac * 100 : null)
+          ),
+          inline: true,
+        },
+        {
+          name: "Liquidation tier",
+          value: compareLine(fmtTier(cur.liquidationTier), fmtTier(sim.liquidationTier)),
+          inline: true,
+        },
+        { name: "\u200b", value: "\u200b", inline: true },
+        {
+          name: "Debt ahead",
+          value: compareLine(
+            fmtPct(cur.debtAheadPct != null ? cur.debtAheadPct * 100 : null),
+            fmtPct(sim.debtAheadPct != null ? sim.debtAheadPct * 100 : null)
+          ),
+          inline: true,
+        },
+        {
+          name: "Redemption tier",
+          value: compareLine(fmtTier(cur.redemptionTier), fmtTier(sim.redemptionTier)),
+          inline: true,
+        },
+        { name: "\u200b", value: "\u200b", inline: true }
+      );
+
+      if (warnings.length) {
+        embed.addFields({ name: "Warnings", value: warnings.map((w) => `⚠️ ${w}`).join("\n"), inline: false });
+      }
+
+      const notes = [
+        "Simulation only — nothing is sent on-chain.",
+        "Redemption tier uses the same debt-ahead model (debt in front at a lower IR); borrow fees are not included.",
+      ];
+      const snapshotLine = formatSnapshotLine(row.snapshot_at);
+      if (snapshotLine) notes.push(`Data captured: ${snapshotLine}`);
+      embed.addFields({ name: "Notes", value: notes.join("\n"), inline: false });
+
+      await interaction.editReply({ embeds: [embed] });
+    } catch (err) {
+      logger.error("Error in /loan-simulate:", err);
+
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply("An error occurred while processing `/loan-simulate`.");
+        } else {
+          await interaction.reply({
+            content: "An error occurred while processing `/loan-simulate`.",
+            flags: ephFlags,
+          });
+        }
+      } catch (_) {}
+    }
+  },
+};
@@ -0,0 +1,124 @@
+// commands/my-alerts.js
+const { SlashCommandBuilder } = require("discord.js");
+
+const logger = require("../utils/logger");
+
+const { getDb, getOrCreateUserId } = require("../db");
+const { prepareQueries } = require("../db/queries");
+const { ephemeralFlags } = require("../utils/discord/ephemerals");
+const { shortenAddress } = require("../utils/ethers/shortenAddress");
+
+// UI entrypoint
+const { ALERT_TYPE_CODES, normalizeFilters, renderMain } = require("../handlers/ui/my-alerts-ui");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("my-alerts")
+    .setDescription("Browse your alert history (filters + pages).")
+    .addStringOption((o) =>
+      o
+        .setName("type")
+        .setDescription("Alert type")
+        .setRequired(false)
+        .addChoices(...Object.keys(ALERT_TYPE_CODES).map((t) => ({ name: t, value: t })))
+    )
+    .addStringOption((o) =>
+      o.setName("wallet").setDescription("Wallet").setRequired(false).setAutocomplete(true)
+    )
+    .addStringOption((o) =>
+      o.setName("contract").setDescription("Contract / protocol").setRequired(false).setAutocomplete(true)
+    )
+    .addStringOption((o) =>
+      o.setName("from").setDescription("From date, UTC (YYYY-MM-DD)").setRequired(false)
+    )
+    .addStringOption((o) =>
+      o.setName("to").setDescription("To date, UTC inclusive (YYYY-MM-DD)").setRequired(false)
+    ),
+
+  async autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name !== "wallet" && focused.name !== "contract") return;
+
+    try {
+      const db = getDb();
+      const q = prepareQueries(db);
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const options =
+        focused.name === "wallet"
+          ? q.selUserWallets.all(userId).map((w) => ({
+              name: `${w.chain_id} ${w.label ? `${w.label} ` : ""}(${shortenAddress(w.address_eip55)})`.slice(0, 100),
+              value: String(w.id),
+            }))
+          : q.selAlertLogContractsForUser.all(userId).map((c) => ({
+              name: `${c.chain_id} ${c.protocol}`.slice(0, 100),
+              value: String(c.id),
+            }));
+
+      const query = (focused.value || "").toLowerCase();
+      const filtered = options.filter((opt) => opt.name.toLowerCase().includes(query));
+      await interaction.respond(filtered.slice(0, 25));
+    } catch (err) {
+      logger.warn(`[my-alerts] autocomplete failed: ${err?.message || err}`);
+      await interaction.respond([]).catch(() => {});
+    }
+  },
+
+  async execute(interaction) {
+    // Decide ephemeral/public ONCE (locked on first response)
+    const ephFlags = ephemeralFlags();
+
+    try {
+      await interaction.deferReply({ flags: ephFlags });
+
+      const db = getDb();
+      const q = prepareQueries(db);
+
+      const discordId = interaction.user.id;
+      const discordName = interaction.user.globalName || interaction.user.username || null;
+      const userId = getOrCreateUserId(db, { discordId, discordName });
+
+      const { filters, error } = normalizeFilters({
+        alertType: interaction.options.getString("type"),
+        walletId: interaction.options.getString("wallet"),
+        contractId: interaction.options.getString("contract"),
+        fromDate: interaction.options.getString("from"),
+        toDate: interaction.options.getString("to"),
+      });
+      if (error) {
+        await interaction.editReply(`❌ ${error}`);
+        return;
+      }
+      if (filters.walletId != null && !q.selUserWalletByIdForUser.get(filters.walletId, userId)) {
+        await interaction.editReply("❌ Wallet not found for your user.");
+        return;
+      }
+
+      await interaction.editReply(
+        renderMain({
+          actorId: discordId,
+          discordName,
+          userId,
+          q,
+          filters,
+          page: 0,
+        })
+      );
+    } catch (err) {
+      logger.error("Error in /my-alerts:", err);
+
+      try {
+        if (interaction.deferred || interaction.replied) {
+          await interaction.editReply("An error occurred while processing `/my-alerts`.");
+        } else {
+          await interaction.reply({
+            content: "An error occurred while processing `/my-alerts`.",
+            flags: ephFlags,
+          });
+        }
+      } catch (_) {}
+    }
+  },
+};
@@ -10,7 +10,10 @@ const { formatLoanTroveLink, formatAddressLink } = require("../utils/links");
 const { loadPriceCache, isStableUsd, normalizeSymbol } = require("../utils/priceCache");
 const logger = require("../utils/logger");
 const { getTestOffsets, getDebtAheadOffsetPpForProtocol } = require("../monitoring/testOffsets");
+const { resolveAlertThresholds, pickThreshold } = require("../monitoring/alertThresholds");
 const { shortenAddress } = require("../utils/ethers/shortenAddress");
+const { buildPositionCharts, CHART_HISTORY_DAYS } = require("../monitoring/historyCharts");
+const { buildIrOptimizerButtonRow } = require("../handlers/ui/ir-optimizer-ui");
 
 function requireNumberEnv(name) {
   const raw = process.env[name];
@@ -91,15 +94,18 @@ function shortId(id, head = 4, tail = 4) {
   return `${s.slice(0, head)}…${s.slice(-tail)}`;
 }
 
-function classifyDebtAheadTier(pct) {
+function classifyDebtAheadTier(pct, thresholds = null) {
   const v = Number(pct);
+  const lowPct = pickThreshold(thresholds, "redempDebtAheadLowPct", REDEMP_DEBT_AHEAD_LOW_PCT);
+  const medPct = pickThreshold(thresholds, "redempDebtAheadMedPct", REDEMP_DEBT_AHEAD_MED_PCT);
+  const highPct = pickThreshold(thresholds, "redempDebtAheadHighPct", REDEMP_DEBT_AHEAD_HIGH_PCT);
   if (!Number.isFinite(v)) return "UNKNOWN";
-  if (!Number.isFinite(REDEMP_DEBT_AHEAD_LOW_PCT)) return "UNKNOWN";
-  if (v >= REDEMP_DEBT_AHEAD_LOW_PCT) return "LOW";
-  if (!Number.isFinite(REDEMP_DEBT_AHEAD_MED_PCT)) return "UNKNOWN";
-  if (v >= REDEMP_DEBT_AHEAD_MED_PCT) return "MEDIUM";
-  if (!Number.isFinite(REDEMP_DEBT_AHEAD_HIGH_PCT)) return "UNKNOWN";
-  if (v >= REDEMP_DEBT_AHEAD_HIGH_PCT) return "HIGH";
+  if (!Number.isFinite(lowPct)) return "UNKNOWN";
+  if (v >= lowPct) return "LOW";
+  if (!Number.isFinite(medPct)) return "UNKNOWN";
+  if (v >= medPct) return "MEDIUM";
+  if (!Number.isFinite(highPct)) return "UNKNOWN";
+  if (v >= highPct) return "HIGH";
   return "CRITICAL";
 }
 
@@ -132,7 +138,10 @@ function redemptionMeaning(tier, aheadPctText) {
 module.exports = {
   data: new SlashCommandBuilder()
     .setName("my-loans")
-    .setDescription("Show current monitored loan positions."),
+    .setDescription("Show current monitored loan positions.")
+    .addBooleanOption((o) =>
+      o.setName("charts").setDescription(`Attach liquidation buffer charts (last ${CHART_HISTORY_DAYS} days)`)
+    ),
 
   async execute(interaction) {
     // Decide ephemeral/public ONCE at the start (locked on first response)
@@ -341,6 +350,15 @@ module.exports = {
         if (typeof s.debtAmount === "number") {
           valueLines.push(`Debt: **${fmtDebt.format(s.debtAmount)} ${s.debtSymbol || ""}**`.trim());
         }
+        // Multi-asset Aave-fork accounts: the lines above cover the primary pair only
+        if (s.kind === "PRIMEFI_ACCOUNT" && (s.collaterals?.length > 1 || s.debts?.length > 1)) {
+          const assetText = (e) =>
+            `${fmtDebt.format(e.amount)} ${e.symbol || "?"}${
+              typeof e.usd === "number" && Number.isFinite(e.usd) ? ` (${fmtUsd(e.usd)})` : ""
+            }`;
+          if (s.collaterals?.length) valueLines.push(`Supplied: ${s.collaterals.map(assetText).join(" · ")}`);
+          if (s.debts?.length) valueLines.push(`Borrowed: ${s.debts.map(assetText).join(" · ")}`);
+        }
 
         if (typeof s.interestPct === "number") {
           let irLine = `IR: **${s.interestPct.toFixed(2)}%**`;
@@ -359,7 +377,15 @@ module.exports = {
           if (pctVal != null && Number.isFinite(offsetPp) && offsetPp !== 0) {
             const adjustedPct = clamp01(pctVal + offsetPp / 100);
             pctVal = adjustedPct;
-            tierVal = classifyDebtAheadTier(adjustedPct);
+            tierVal = classifyDebtAheadTier(
+              adjustedPct,
+              resolveAlertThresholds({
+                userId,
+                walletId: s.walletId,
+                contractId: s.contractId,
+                tokenId: s.troveId,
+              })
+            );
           }
           const pct =
             typeof pctVal === "number" && Number.isFinite(pctVal)
@@ -414,14 +440,31 @@ module.exports = {
         return e;
       });
 
+      // Interest-rate optimizer only covers Liquity v2 troves (PrimeFi has no IR to set)
+      const hasTroves = summaries.some(
+        (s) => s.troveId != null && String(s.status || "").toUpperCase() !== "CLOSED"
+      );
+      const components = hasTroves ? [buildIrOptimizerButtonRow(discordId)] : [];
+
       if (embeds.length === 1) {
-        await interaction.editReply({ embeds });
+        await interaction.editReply({ embeds, components });
       } else {
-        await interaction.editReply({ embeds: [embeds[0]] });
+        await interaction.editReply({ embeds: [embeds[0]], components });
         for (let i = 1; i < embeds.length; i += 1) {
           await interaction.followUp({ embeds: [embeds[i]], flags: ephFlags });
         }
       }
+
+      if (interaction.options.getBoolean("charts")) {
+        const files = buildPositionCharts({ loans: summaries });
+        await interaction.followUp({
+          content: files.length
+            ? `📈 Liquidation buffer history (last ${CHART_HISTORY_DAYS} days)`
+            : "No snapshot history to chart yet (charts need at least two snapshots).",
+          ...(files.length ? { files } : {}),
+          flags: ephFlags,
+        });
+      }
     } catch (error) {
       logger.error("Error in /my-loans:", error?.stack || error?.message || error);
       try {
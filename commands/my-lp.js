@@ -29,10 +29,13 @@ function chunk(arr, size) {
 const { createDecimalFormatter } = require("../utils/intlNumberFormats");
 const { formatBandRuler, classifyLpRangeTier } = require("../monitoring/lpMonitor");
 const { applyLpTickShift, getTestOffsets } = require("../monitoring/testOffsets");
+const { resolveAlertThresholds } = require("../monitoring/alertThresholds");
 const { formatLpPositionLink, formatAddressLink } = require("../utils/links");
 const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
 const { shortenAddress } = require("../utils/ethers/shortenAddress");
 const { loadPriceCache, isStableUsd, normalizeSymbol } = require("../utils/priceCache");
+const { buildPositionCharts, CHART_HISTORY_DAYS } = require("../monitoring/historyCharts");
+const { computeLpPnlUsd } = require("../monitoring/lpPnl");
 
 // 1 decimal for token amounts >= 1, 3 sig-digits for < 1
 const fmt4 = createDecimalFormatter(0, 1);
@@ -60,6 +63,14 @@ function fmtUsd(n) {
   return `$${fmt2.format(n)}`;
 }
 
+function fmtSignedUsd(n) {
+  const out = fmtUsd(Math.abs(n));
+  if (out == null) return null;
+  if (n > 0) return `+${out}`;
+  if (n < 0) return `-${out}`;
+  return out;
+}
+
 function computePoolSharePct(liquidityRaw, poolLiquidityRaw) {
   if (!liquidityRaw || !poolLiquidityRaw) return null;
   try {
@@ -92,7 +103,12 @@ function getDisplayedPoolShare(summary) {
 module.exports = {
   data: new SlashCommandBuilder()
     .setName("my-lp")
-    .setDescription("Show current monitored LP positions."),
+    .setDescription("Show current monitored LP positions.")
+    .addBooleanOption((o) =>
+      o
+        .setName("charts")
+        .setDescription(`Attach price-vs-range / ALM value charts (last ${CHART_HISTORY_DAYS} days)`)
+    ),
 
   async execute(interaction) {
     const ephFlags = ephemeralFlags();
@@ -146,7 +162,18 @@ module.exports = {
             Number.isFinite(shiftedTick) && shiftedTick >= s.tickLower && shiftedTick < s.tickUpper
               ? "IN_RANGE"
               : "OUT_OF_RANGE";
-          const lpClass = classifyLpRangeTier(rangeStatus, s.tickLower, s.tickUpper, shiftedTick);
+          const lpClass = classifyLpRangeTier(
+            rangeStatus,
+            s.tickLower,
+            s.tickUpper,
+            shiftedTick,
+            resolveAlertThresholds({
+              userId,
+              walletId: s.walletId,
+              contractId: s.contractId,
+              tokenId: s.tokenId,
+            })
+          );
           out.currentTick = shiftedTick;
           out.rangeStatus = rangeStatus;
           out.lpRangeTier = lpClass.tier;
@@ -186,6 +213,7 @@ module.exports = {
         "Current status of your monitored LP positions.",
         "_Regular LP positions use range/tier metrics. ALM positions use share/value metrics._",
         "_Amounts are estimated from liquidity + pool price; fees are current uncollected amounts when available._",
+        "_P&L compares the position (plus withdrawals and fees) against just holding the deposited tokens, all at today's prices._",
       ];
 
       const snapshotTimes = displaySummaries
@@ -285,6 +313,31 @@ module.exports = {
           valueLines.push(`Uncollected fees: ${p.join(" + ")}`);
         }
 
+        // ---- P&L vs just holding (deposit/withdraw/collect ledger, today's prices)
+        if (s.lpPnl) {
+          const pnl = computeLpPnlUsd(s, priceBase, priceQuote);
+          if (!s.lpPnl.synced) {
+            valueLines.push("P&L: _syncing position history…_");
+          } else if (!pnl) {
+            valueLines.push("P&L: ⚪ USD comparison unavailable (missing price)");
+          } else {
+            const d0 = fmtNum(s.lpPnl.deposited0);
+            const d1 = fmtNum(s.lpPnl.deposited1);
+            valueLines.push(
+              `Deposited: **${d0} ${sym0}** + **${d1} ${sym1}** (${fmtUsd(pnl.depositedUsd)} today)`
+            );
+            const withdrawnText = pnl.withdrawnUsd > 0 ? ` (+ ${fmtUsd(pnl.withdrawnUsd)} withdrawn)` : "";
+            valueLines.push(`Current value: **${fmtUsd(pnl.currentUsd)}**${withdrawnText}`);
+            valueLines.push(
+              `Fees: **${fmtUsd(pnl.feesCollectedUsd)}** collected + **${fmtUsd(pnl.feesUncollectedUsd)}** uncollected`
+            );
+            const ilPctText = Number.isFinite(pnl.ilPct) ? ` (${pnl.ilPct.toFixed(2)}%)` : "";
+            valueLines.push(`IL vs holding: **${fmtSignedUsd(pnl.ilUsd)}**${ilPctText}`);
+            const verdict = pnl.netPnlUsd > 0 ? "📈" : pnl.netPnlUsd < 0 ? "📉" : "⚖️";
+            valueLines.push(`Net P&L: ${verdict} **${fmtSignedUsd(pnl.netPnlUsd)}** vs. just holding`);
+          }
+        }
+
         const poolShare = getDisplayedPoolShare(s);
         if (poolShare.pct != null) {
           if (poolShare.oor) valueLines.push("Pool share: **0.00% (OOR)**");
@@ -546,6 +599,17 @@ module.exports = {
           await interaction.followUp({ embeds: [finalEmbeds[i]], flags: ephFlags });
         }
       }
+
+      if (interaction.options.getBoolean("charts")) {
+        const files = buildPositionCharts({ lps: summaries });
+        await interaction.followUp({
+          content: files.length
+            ? `📈 LP history (last ${CHART_HISTORY_DAYS} days)`
+            : "No snapshot history to chart yet (charts need at least two snapshots).",
+          ...(files.length ? { files } : {}),
+          flags: ephFlags,
+        });
+      }
     } catch (error) {
       logger.error("Error in /my-lp:", error?.stack || error?.message || error);
       try {
@@ -7,6 +7,7 @@ const { shortenAddress } = require("../utils/ethers/shortenAddress");
 const { formatAddressLink, formatLoanTroveLink } = require("../utils/links");
 const logger = require("../utils/logger");
 const { getDebtAheadOffsetPpForProtocol, classifyDebtAheadTier } = require("../monitoring/testOffsets");
+const { computeFeeFromSnapshot } = require("../monitoring/irOptimizer");
 const REDEMP_SNAPSHOT_STALE_WARN_MIN = (() => {
   const raw = process.env.REDEMP_SNAPSHOT_STALE_WARN_MIN;
   const n = Number(raw);
@@ -111,20 +112,6 @@ const loanContractChoices = loadLoanContracts()
   .map((r) => ({ name: r.protocol, value: r.protocol }))
   .slice(0, 25);
 
-function computeFeeFromSnapshot({ debtAmount, avgRatePct, lastInterestRateAdjTime }) {
-  const debt = Number(debtAmount);
-  const rate = Number(avgRatePct);
-  const lastAdj = Number(lastInterestRateAdjTime);
-  if (!Number.isFinite(debt) || !Number.isFinite(rate) || !Number.isFinite(lastAdj) || lastAdj <= 0) {
-    return { feeApplies: false, fee: 0, nextFree: null };
-  }
-  const now = Math.floor(Date.now() / 1000);
-  const nextFree = lastAdj + 7 * 24 * 60 * 60;
-  const feeApplies = now < nextFree;
-  const fee = feeApplies ? debt * (rate / 100) * (7 / 365) : 0;
-  return { feeApplies, fee, nextFree };
-}
-
 module.exports = {
   data: new SlashCommandBuilder()
     .setName("redemption-rate")
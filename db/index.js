@@ -136,6 +136,34 @@ function initSchema(db) {
     FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE CASCADE
   );
 
+  CREATE TABLE IF NOT EXISTS token_registry (
+    chain_id        TEXT NOT NULL,
+    address_lower   TEXT NOT NULL,
+    address_eip55   TEXT NOT NULL,
+    symbol          TEXT,
+    decimals        INTEGER CHECK (decimals IS NULL OR decimals BETWEEN 0 AND 255),
+    created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at      TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (chain_id, address_lower),
+    FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS pool_registry (
+    chain_id                TEXT NOT NULL,
+    position_manager_lower  TEXT NOT NULL,
+    token0_lower            TEXT NOT NULL,
+    token1_lower            TEXT NOT NULL,
+    fee                     INTEGER NOT NULL,
+    factory_lower           TEXT,
+    pool_address_lower      TEXT NOT NULL,
+    pool_address_eip55      TEXT NOT NULL,
+    flavor                  TEXT NOT NULL CHECK (flavor IN ('UNISWAP_V3','ALGEBRA')),
+    created_at              TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at              TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (chain_id, position_manager_lower, token0_lower, token1_lower, fee),
+    FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE CASCADE
+  );
+
   CREATE TABLE IF NOT EXISTS price_cache (
     chain_id    TEXT NOT NULL,
     symbol      TEXT NOT NULL,
@@ -161,6 +189,7 @@ function initSchema(db) {
     stream_key    TEXT NOT NULL UNIQUE,
     event_name    TEXT NOT NULL,
     topic0        TEXT NOT NULL,
+    address_eip55 TEXT,
     start_block   INTEGER NOT NULL DEFAULT 0 CHECK (start_block >= 0),
     is_enabled    INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
     created_at    TEXT NOT NULL DEFAULT (datetime('now')),
@@ -258,6 +287,52 @@ function initSchema(db) {
     FOREIGN KEY (stream_id) REFERENCES index_streams(id) ON DELETE CASCADE
   );
 
+  CREATE TABLE IF NOT EXISTS lp_liquidity_events (
+    event_id        INTEGER PRIMARY KEY,
+    chain_id        TEXT NOT NULL,
+    contract_id     INTEGER NOT NULL,
+    stream_id       INTEGER NOT NULL,
+    block_number    INTEGER NOT NULL CHECK (block_number >= 0),
+    tx_hash         TEXT NOT NULL,
+    log_index       INTEGER NOT NULL CHECK (log_index >= 0),
+    token_id        TEXT NOT NULL,
+    event_kind      TEXT NOT NULL CHECK (event_kind IN ('INCREASE','DECREASE','COLLECT')),
+    liquidity_raw   TEXT,
+    amount0_raw     TEXT NOT NULL,
+    amount1_raw     TEXT NOT NULL,
+    recipient_lower TEXT,
+    created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (event_id) REFERENCES chain_events(id) ON DELETE CASCADE,
+    FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE CASCADE,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE,
+    FOREIGN KEY (stream_id) REFERENCES index_streams(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS trove_events (
+    event_id        INTEGER PRIMARY KEY,
+    chain_id        TEXT NOT NULL,
+    contract_id     INTEGER NOT NULL,
+    stream_id       INTEGER NOT NULL,
+    block_number    INTEGER NOT NULL CHECK (block_number >= 0),
+    block_timestamp INTEGER,
+    tx_hash         TEXT NOT NULL,
+    log_index       INTEGER NOT NULL CHECK (log_index >= 0),
+    trove_id        TEXT NOT NULL,
+    event_kind      TEXT NOT NULL CHECK (event_kind IN ('OPERATION','UPDATED')),
+    operation       TEXT,
+    annual_interest_rate_raw TEXT,
+    debt_change_raw TEXT,
+    coll_change_raw TEXT,
+    upfront_fee_raw TEXT,
+    debt_raw        TEXT,
+    coll_raw        TEXT,
+    created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (event_id) REFERENCES chain_events(id) ON DELETE CASCADE,
+    FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE CASCADE,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE,
+    FOREIGN KEY (stream_id) REFERENCES index_streams(id) ON DELETE CASCADE
+  );
+
   CREATE TABLE IF NOT EXISTS alm_position_baselines (
     user_id             INTEGER NOT NULL,
     wallet_id           INTEGER NOT NULL,
@@ -289,6 +364,10 @@ function initSchema(db) {
     heartbeat_hour    INTEGER NOT NULL DEFAULT 3 CHECK (heartbeat_hour BETWEEN 0 AND 23),
     heartbeat_enabled INTEGER NOT NULL DEFAULT 1 CHECK (heartbeat_enabled IN (0,1)),
     heartbeat_tz  TEXT NOT NULL DEFAULT 'America/Los_Angeles',
+    quiet_enabled     INTEGER NOT NULL DEFAULT 0 CHECK (quiet_enabled IN (0,1)),
+    quiet_start_hour  INTEGER NOT NULL DEFAULT 22 CHECK (quiet_start_hour BETWEEN 0 AND 23),
+    quiet_end_hour    INTEGER NOT NULL DEFAULT 7 CHECK (quiet_end_hour BETWEEN 0 AND 23),
+    ir_optimizer_tier TEXT CHECK (ir_optimizer_tier IN ('LOW','MEDIUM','HIGH')),
     created_at    TEXT NOT NULL DEFAULT (datetime('now')),
     updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
   );
@@ -406,6 +485,83 @@ function initSchema(db) {
     UNIQUE (user_id, position_kind, wallet_id, contract_id, token_id)
   );
 
+  CREATE TABLE IF NOT EXISTS position_spam_flags (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id         INTEGER NOT NULL,
+    wallet_id       INTEGER NOT NULL,
+    contract_id     INTEGER NOT NULL,
+    token_id        TEXT NOT NULL,
+    pair_label      TEXT,
+    score           INTEGER NOT NULL,
+    confidence      TEXT NOT NULL CHECK (confidence IN ('FLAGGED','HIGH')),
+    reasons_json    TEXT NOT NULL,
+    user_status     TEXT NOT NULL DEFAULT 'AUTO' CHECK (user_status IN ('AUTO','CONFIRMED','DISMISSED')),
+    decided_at      TEXT,
+    classify_run_id TEXT NOT NULL,
+    created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at      TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE,
+    UNIQUE (user_id, wallet_id, contract_id, token_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS user_alert_thresholds (
+    id                        INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id                   INTEGER NOT NULL,
+    wallet_id                 INTEGER,
+    contract_id               INTEGER,
+    token_id                  TEXT,
+    liq_buffer_warn           REAL,
+    liq_buffer_high           REAL,
+    liq_buffer_crit           REAL,
+    redemp_debt_ahead_low_pct REAL,
+    redemp_debt_ahead_med_pct REAL,
+    redemp_debt_ahead_high_pct REAL,
+    lp_edge_warn_frac         REAL,
+    lp_edge_high_frac         REAL,
+    lp_out_warn_frac          REAL,
+    lp_out_high_frac          REAL,
+    primefi_hf_warn           REAL,
+    primefi_hf_high           REAL,
+    primefi_hf_crit           REAL,
+    created_at                TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at                TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE,
+    CHECK (token_id IS NULL OR contract_id IS NOT NULL),
+    CHECK (contract_id IS NULL OR wallet_id IS NOT NULL)
+  );
+
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_user_alert_thresholds_scope
+    ON user_alert_thresholds(user_id, IFNULL(wallet_id, 0), IFNULL(contract_id, 0), IFNULL(token_id, ''));
+
+  CREATE TABLE IF NOT EXISTS price_alerts (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id       INTEGER NOT NULL,
+    wallet_id     INTEGER NOT NULL,
+    contract_id   INTEGER NOT NULL,
+    token_id      TEXT NOT NULL,
+    position_kind TEXT NOT NULL CHECK (position_kind IN ('LOAN','LP')),
+    condition     TEXT NOT NULL CHECK (condition IN ('ABOVE','BELOW','OUTSIDE')),
+    lower_price   REAL,
+    upper_price   REAL,
+    note          TEXT,
+    is_enabled    INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE,
+    CHECK (condition <> 'ABOVE' OR upper_price IS NOT NULL),
+    CHECK (condition <> 'BELOW' OR lower_price IS NOT NULL),
+    CHECK (condition <> 'OUTSIDE' OR (lower_price IS NOT NULL AND upper_price IS NOT NULL AND lower_price < upper_price))
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_price_alerts_position
+    ON price_alerts(user_id, wallet_id, contract_id, token_id, is_enabled);
+
   CREATE TABLE IF NOT EXISTS alert_state (
     id            INTEGER PRIMARY KEY AUTOINCREMENT,
     user_id       INTEGER NOT NULL,
@@ -416,6 +572,10 @@ function initSchema(db) {
     is_active     INTEGER NOT NULL DEFAULT 0 CHECK (is_active IN (0,1)),
     signature     TEXT,
     state_json    TEXT,
+    ack_at        TEXT,
+    ack_tier      TEXT,
+    snooze_until  TEXT,
+    muted_at      TEXT,
     last_seen_at  TEXT NOT NULL DEFAULT (datetime('now')),
     created_at    TEXT NOT NULL DEFAULT (datetime('now')),
     updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
@@ -442,6 +602,73 @@ function initSchema(db) {
     FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE
   );
 
+  CREATE TABLE IF NOT EXISTS notify_channels (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id         INTEGER NOT NULL,
+    channel_type    TEXT NOT NULL CHECK (channel_type IN ('DISCORD_DM','WEBHOOK','EMAIL','TELEGRAM')),
+    target          TEXT NOT NULL DEFAULT '',
+    alert_types     TEXT,
+    is_enabled      INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+    fail_count      INTEGER NOT NULL DEFAULT 0,
+    last_error      TEXT,
+    last_failure_at TEXT,
+    last_success_at TEXT,
+    disabled_reason TEXT,
+    created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at      TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE (user_id, channel_type, target)
+  );
+
+  CREATE TABLE IF NOT EXISTS alert_channel_routes (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id        TEXT NOT NULL,
+    channel_id      TEXT NOT NULL,
+    scope_type      TEXT NOT NULL CHECK (scope_type IN ('USER','WALLET')),
+    user_id         INTEGER,
+    wallet_address  TEXT,
+    chain_id        TEXT,
+    mention_role_id TEXT,
+    is_enabled      INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+    disabled_reason TEXT,
+    created_by      TEXT,
+    created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at      TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    CHECK (
+      (scope_type = 'USER' AND user_id IS NOT NULL AND wallet_address IS NULL) OR
+      (scope_type = 'WALLET' AND user_id IS NULL AND wallet_address IS NOT NULL)
+    ),
+    CHECK (wallet_address IS NULL OR (wallet_address = lower(wallet_address) AND length(wallet_address) = 42))
+  );
+
+  CREATE UNIQUE INDEX IF NOT EXISTS idx_alert_channel_routes_scope
+    ON alert_channel_routes(channel_id, scope_type, IFNULL(user_id, 0), IFNULL(wallet_address, ''), IFNULL(chain_id, ''));
+
+  CREATE TABLE IF NOT EXISTS alert_route_optins (
+    route_id    INTEGER NOT NULL,
+    user_id     INTEGER NOT NULL,
+    status      TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING','ALLOWED','DECLINED')),
+    created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at  TEXT NOT NULL DEFAULT (datetime('now')),
+    PRIMARY KEY (route_id, user_id),
+    FOREIGN KEY (route_id) REFERENCES alert_channel_routes(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
+  CREATE TABLE IF NOT EXISTS alert_outbox (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id       INTEGER NOT NULL,
+    alert_type    TEXT NOT NULL,
+    phase         TEXT NOT NULL,
+    summary       TEXT NOT NULL,
+    message       TEXT NOT NULL,
+    meta_json     TEXT,
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    delivered_at  TEXT,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  );
+
   CREATE TABLE IF NOT EXISTS loan_position_snapshots (
     user_id         INTEGER NOT NULL,
     wallet_id       INTEGER NOT NULL,
@@ -498,6 +725,7 @@ function initSchema(db) {
   CREATE INDEX IF NOT EXISTS idx_nft_tokens_contract_burned  ON nft_tokens(contract_id, is_burned);
   CREATE INDEX IF NOT EXISTS idx_lp_token_meta_pair          ON lp_token_meta(pair_label);
   CREATE INDEX IF NOT EXISTS idx_loan_token_meta_status      ON loan_token_meta(status);
+  CREATE INDEX IF NOT EXISTS idx_pool_registry_pool          ON pool_registry(chain_id, pool_address_lower);
   CREATE INDEX IF NOT EXISTS idx_users_discord_id            ON users(discord_id);
   CREATE INDEX IF NOT EXISTS idx_users_accepts_dm            ON users(accepts_dm);
   CREATE INDEX IF NOT EXISTS idx_wallets_user                ON user_wallets(user_id);
@@ -505,13 +733,64 @@ function initSchema(db) {
   CREATE INDEX IF NOT EXISTS idx_position_ignores_user       ON position_ignores(user_id, position_kind);
   CREATE INDEX IF NOT EXISTS idx_position_ignores_wallet     ON position_ignores(wallet_id, position_kind);
   CREATE INDEX IF NOT EXISTS idx_position_ignores_contract   ON position_ignores(contract_id, position_kind);
+  CREATE INDEX IF NOT EXISTS idx_position_spam_flags_user    ON position_spam_flags(user_id, user_status);
   CREATE INDEX IF NOT EXISTS idx_alert_state_user_active     ON alert_state(user_id, is_active);
   CREATE INDEX IF NOT EXISTS idx_alert_state_position        ON alert_state(wallet_id, contract_id, token_id, alert_type);
   CREATE UNIQUE INDEX IF NOT EXISTS uq_alert_state_identity  ON alert_state(user_id, wallet_id, contract_id, token_id, alert_type);
   CREATE INDEX IF NOT EXISTS idx_alert_log_user_created      ON alert_log(user_id, created_at);
   CREATE INDEX IF NOT EXISTS idx_alert_log_position          ON alert_log(wallet_id, contract_id, token_id);
+  CREATE INDEX IF NOT EXISTS idx_alert_outbox_pending        ON alert_outbox(user_id, delivered_at);
+  CREATE INDEX IF NOT EXISTS idx_alert_channel_routes_user   ON alert_channel_routes(user_id);
+  CREATE INDEX IF NOT EXISTS idx_alert_channel_routes_wallet ON alert_channel_routes(wallet_address);
+  CREATE INDEX IF NOT EXISTS idx_alert_route_optins_user      ON alert_route_optins(user_id, status);
   CREATE INDEX IF NOT EXISTS idx_loan_snapshots_user         ON loan_position_snapshots(user_id);
 
+  -- Snapshot history (RAW -> HOURLY -> DAILY, see monitoring/snapshotHistory.js)
+  CREATE TABLE IF NOT EXISTS loan_position_snapshot_history (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id         INTEGER NOT NULL,
+    wallet_id       INTEGER NOT NULL,
+    contract_id     INTEGER NOT NULL,
+    token_id        TEXT NOT NULL,
+    chain_id        TEXT NOT NULL,
+    protocol        TEXT NOT NULL,
+    granularity     TEXT NOT NULL DEFAULT 'RAW' CHECK (granularity IN ('RAW','HOURLY','DAILY')),
+    snapshot_at     TEXT NOT NULL DEFAULT (datetime('now')),
+    snapshot_json   TEXT NOT NULL,
+    FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_loan_history_position
+    ON loan_position_snapshot_history(user_id, wallet_id, contract_id, token_id, snapshot_at);
+
+  CREATE INDEX IF NOT EXISTS idx_loan_history_granularity
+    ON loan_position_snapshot_history(granularity, snapshot_at);
+
+  CREATE TABLE IF NOT EXISTS lp_position_snapshot_history (
+    id              INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id         INTEGER NOT NULL,
+    wallet_id       INTEGER NOT NULL,
+    contract_id     INTEGER NOT NULL,
+    token_id        TEXT NOT NULL,
+    chain_id        TEXT NOT NULL,
+    protocol        TEXT NOT NULL,
+    granularity     TEXT NOT NULL DEFAULT 'RAW' CHECK (granularity IN ('RAW','HOURLY','DAILY')),
+    snapshot_at     TEXT NOT NULL DEFAULT (datetime('now')),
+    snapshot_json   TEXT NOT NULL,
+    FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+    FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_lp_history_position
+    ON lp_position_snapshot_history(user_id, wallet_id, contract_id, token_id, snapshot_at);
+
+  CREATE INDEX IF NOT EXISTS idx_lp_history_granularity
+    ON lp_position_snapshot_history(granularity, snapshot_at);
+
+
   CREATE TABLE IF NOT EXISTS primefi_loan_position_snapshots (
     user_id         INTEGER NOT NULL,
     wallet_id       INTEGER NOT NULL,
@@ -583,6 +862,10 @@ function initSchema(db) {
     is_active     INTEGER NOT NULL DEFAULT 0 CHECK (is_active IN (0,1)),
     signature     TEXT,
     state_json    TEXT,
+    ack_at        TEXT,
+    ack_tier      TEXT,
+    snooze_until  TEXT,
+    muted_at      TEXT,
     last_seen_at  TEXT NOT NULL DEFAULT (datetime('now')),
     created_at    TEXT NOT NULL DEFAULT (datetime('now')),
     updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
@@ -615,6 +898,52 @@ function initSchema(db) {
 
   CREATE INDEX IF NOT EXISTS idx_primefi_withdraw_alert_log_user
     ON primefi_withdraw_alert_log(user_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS sp_alert_state (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id       INTEGER NOT NULL,
+    wallet_id     INTEGER NOT NULL,
+    chain_id      TEXT NOT NULL,
+    pool_key      TEXT NOT NULL,
+    alert_type    TEXT NOT NULL,
+    is_active     INTEGER NOT NULL DEFAULT 0 CHECK (is_active IN (0,1)),
+    signature     TEXT,
+    state_json    TEXT,
+    ack_at        TEXT,
+    ack_tier      TEXT,
+    snooze_until  TEXT,
+    muted_at      TEXT,
+    last_seen_at  TEXT NOT NULL DEFAULT (datetime('now')),
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id) REFERENCES user_wallets(id) ON DELETE CASCADE,
+    FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE RESTRICT,
+    UNIQUE (user_id, wallet_id, chain_id, pool_key, alert_type)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_sp_alert_state_active
+    ON sp_alert_state(is_active, chain_id);
+
+  CREATE TABLE IF NOT EXISTS sp_alert_log (
+    id            INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id       INTEGER NOT NULL,
+    wallet_id     INTEGER NOT NULL,
+    chain_id      TEXT NOT NULL,
+    pool_key      TEXT NOT NULL,
+    alert_type    TEXT NOT NULL,
+    phase         TEXT NOT NULL,
+    message       TEXT NOT NULL,
+    meta_json     TEXT,
+    signature     TEXT,
+    created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (wallet_id) REFERENCES user_wallets(id) ON DELETE CASCADE,
+    FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE RESTRICT
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_sp_alert_log_user
+    ON sp_alert_log(user_id, created_at);
   CREATE INDEX IF NOT EXISTS idx_lp_snapshots_user           ON lp_position_snapshots(user_id);
   CREATE INDEX IF NOT EXISTS idx_index_streams_chain_enabled ON index_streams(chain_id, is_enabled);
   CREATE INDEX IF NOT EXISTS idx_index_streams_contract_event ON index_streams(contract_id, event_name);
@@ -630,6 +959,8 @@ function initSchema(db) {
   CREATE INDEX IF NOT EXISTS idx_alm_share_flows_to ON alm_share_flows(contract_id, to_lower, block_number);
   CREATE INDEX IF NOT EXISTS idx_alm_baselines_user ON alm_position_baselines(user_id);
   CREATE INDEX IF NOT EXISTS idx_alm_baselines_contract ON alm_position_baselines(contract_id, token_id);
+  CREATE INDEX IF NOT EXISTS idx_lp_liquidity_events_token ON lp_liquidity_events(contract_id, token_id, block_number, log_index);
+  CREATE INDEX IF NOT EXISTS idx_trove_events_trove ON trove_events(contract_id, trove_id, block_number, log_index);
 
   CREATE TRIGGER IF NOT EXISTS trg_contracts_updated_at
   AFTER UPDATE ON contracts
@@ -668,6 +999,34 @@ function initSchema(db) {
     UPDATE alert_state SET updated_at = datetime('now') WHERE id = OLD.id;
   END;
 
+  CREATE TRIGGER IF NOT EXISTS trg_user_alert_thresholds_updated_at
+  AFTER UPDATE ON user_alert_thresholds
+  FOR EACH ROW
+  BEGIN
+    UPDATE user_alert_thresholds SET updated_at = datetime('now') WHERE id = OLD.id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS trg_price_alerts_updated_at
+  AFTER UPDATE ON price_alerts
+  FOR EACH ROW
+  BEGIN
+    UPDATE price_alerts SET updated_at = datetime('now') WHERE id = OLD.id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS trg_notify_channels_updated_at
+  AFTER UPDATE ON notify_channels
+  FOR EACH ROW
+  BEGIN
+    UPDATE notify_channels SET updated_at = datetime('now') WHERE id = OLD.id;
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS trg_alert_channel_routes_updated_at
+  AFTER UPDATE ON alert_channel_routes
+  FOR EACH ROW
+  BEGIN
+    UPDATE alert_channel_routes SET updated_at = datetime('now') WHERE id = OLD.id;
+  END;
+
   CREATE TRIGGER IF NOT EXISTS trg_index_streams_updated_at
   AFTER UPDATE ON index_streams
   FOR EACH ROW
@@ -781,6 +1140,26 @@ function initSchema(db) {
   ensureColumn("users", "heartbeat_hour", "INTEGER NOT NULL DEFAULT 3");
   ensureColumn("users", "heartbeat_enabled", "INTEGER NOT NULL DEFAULT 1");
   ensureColumn("users", "heartbeat_tz", "TEXT NOT NULL DEFAULT 'America/Los_Angeles'");
+  ensureColumn("users", "quiet_enabled", "INTEGER NOT NULL DEFAULT 0");
+  ensureColumn("users", "quiet_start_hour", "INTEGER NOT NULL DEFAULT 22");
+  ensureColumn("users", "quiet_end_hour", "INTEGER NOT NULL DEFAULT 7");
+  ensureColumn("users", "ir_optimizer_tier", "TEXT");
+  ensureColumn("alert_state", "ack_at", "TEXT");
+  ensureColumn("alert_state", "ack_tier", "TEXT");
+  ensureColumn("alert_state", "snooze_until", "TEXT");
+  ensureColumn("alert_state", "muted_at", "TEXT");
+  ensureColumn("primefi_withdraw_alert_state", "ack_at", "TEXT");
+  ensureColumn("primefi_withdraw_alert_state", "ack_tier", "TEXT");
+  ensureColumn("primefi_withdraw_alert_state", "snooze_until", "TEXT");
+  ensureColumn("primefi_withdraw_alert_state", "muted_at", "TEXT");
+  ensureColumn("user_alert_thresholds", "primefi_hf_warn", "REAL");
+  ensureColumn("user_alert_thresholds", "primefi_hf_high", "REAL");
+  ensureColumn("user_alert_thresholds", "primefi_hf_crit", "REAL");
+  ensureColumn("sp_alert_state", "ack_at", "TEXT");
+  ensureColumn("sp_alert_state", "ack_tier", "TEXT");
+  ensureColumn("sp_alert_state", "snooze_until", "TEXT");
+  ensureColumn("sp_alert_state", "muted_at", "TEXT");
+  ensureColumn("index_streams", "address_eip55", "TEXT");
 
   db.exec(`
     UPDATE users
@@ -6,6 +6,11 @@
 // - commands/my-wallets.js
 // - handlers/ui/my-wallets-ui.js
 // - handlers/ui/ignore-spam-tx-ui.js
+// - handlers/ui/my-alert-settings-ui.js
+// - handlers/ui/price-alerts-ui.js
+// - handlers/ui/my-alerts-ui.js
+// - handlers/ui/my-notifications-ui.js
+// - handlers/ui/alert-actions-ui.js
 //
 // Assumptions / NEW SCHEMA:
 // - users: (id PK, discord_id, discord_name, accepts_dm, updated_at)
@@ -17,6 +22,24 @@
 //   where token_id NULL => ignore ALL tokens for that (user, kind, wallet, contract)
 //
 // UNIQUE is on: (user_id, position_kind, wallet_id, contract_id, token_id)
+//
+// - position_spam_flags:
+//     (id, user_id, wallet_id, contract_id, token_id, score, confidence, reasons_json, user_status)
+//   written by monitoring/spamClassifier.js; user_status CONFIRMED / DISMISSED set from the ignore UI
+//
+// - user_alert_thresholds:
+//     (id, user_id, wallet_id NULLABLE, contract_id NULLABLE, token_id NULLABLE, <threshold cols>)
+//   where all scope columns NULL => user default; see monitoring/alertThresholds.js
+// - price_alerts:
+//     (id, user_id, wallet_id, contract_id, token_id, position_kind, condition,
+//      lower_price, upper_price, note, is_enabled); see monitoring/priceAlerts.js
+// - notify_channels:
+//     (id, user_id, channel_type, target, alert_types NULLABLE, is_enabled, <failure tracking>)
+//   UNIQUE (user_id, channel_type, target); see monitoring/notifiers/index.js
+// - alert_state: ack_at / ack_tier / snooze_until / muted_at are written by the
+//   alert DM buttons and read by monitoring/alertEngine.js (processAlert); the same
+//   columns on primefi_withdraw_alert_state / sp_alert_state back PRIMEFI_LIQUIDATION
+//   and SP_* DMs
 
 function prepareQueries(db) {
   return {
@@ -33,7 +56,8 @@ function prepareQueries(db) {
     // USERS
     // =========================
     selUser: db.prepare(`
-      SELECT id, discord_id, discord_name, accepts_dm, heartbeat_hour, heartbeat_enabled, heartbeat_tz
+      SELECT id, discord_id, discord_name, accepts_dm, heartbeat_hour, heartbeat_enabled, heartbeat_tz,
+             quiet_enabled, quiet_start_hour, quiet_end_hour, ir_optimizer_tier
       FROM users
       WHERE id = ?
       LIMIT 1
@@ -52,6 +76,21 @@ function prepareQueries(db) {
       WHERE id = ?
     `),
 
+    // Quiet hours share heartbeat_tz (one timezone per user)
+    setUserQuietHours: db.prepare(`
+      UPDATE users
+      SET quiet_start_hour = ?, quiet_end_hour = ?, quiet_enabled = ?, heartbeat_tz = ?,
+          updated_at = datetime('now')
+      WHERE id = ?
+    `),
+
+    // NULL turns the heartbeat IR optimizer section off
+    setUserIrOptimizerTier: db.prepare(`
+      UPDATE users
+      SET ir_optimizer_tier = ?, updated_at = datetime('now')
+      WHERE id = ?
+    `),
+
     // =========================
     // WALLETS
     // =========================
@@ -154,6 +193,487 @@ function prepareQueries(db) {
       WHERE id = ?
         AND user_id = ?
     `),
+
+    // =========================
+    // POSITION SPAM FLAGS (auto-detected, pending review)
+    // =========================
+    selUserSpamFlags: db.prepare(`
+      SELECT
+        sf.id                 AS id,
+        sf.wallet_id          AS wallet_id,
+        sf.contract_id        AS contract_id,
+        sf.token_id           AS token_id,
+        sf.pair_label         AS pair_label,
+        sf.score              AS score,
+        sf.confidence         AS confidence,
+        sf.reasons_json       AS reasons_json,
+
+        uw.chain_id           AS chain_id,
+        uw.address_eip55      AS wallet_address,
+        COALESCE(uw.label,'') AS wallet_label,
+
+        c.kind                AS kind,
+        c.protocol            AS protocol
+      FROM position_spam_flags sf
+      JOIN user_wallets uw
+        ON uw.id = sf.wallet_id
+      JOIN contracts c
+        ON c.id = sf.contract_id
+      WHERE sf.user_id = ?
+        AND sf.user_status = 'AUTO'
+      ORDER BY sf.score DESC, c.protocol, sf.token_id
+    `),
+
+    selSpamFlagByIdForUser: db.prepare(`
+      SELECT id, wallet_id, contract_id, token_id, reasons_json, user_status
+      FROM position_spam_flags
+      WHERE id = ?
+        AND user_id = ?
+      LIMIT 1
+    `),
+
+    setSpamFlagStatusForUser: db.prepare(`
+      UPDATE position_spam_flags
+      SET user_status = @status,
+          decided_at = datetime('now'),
+          updated_at = datetime('now')
+      WHERE id = @id
+        AND user_id = @userId
+    `),
+
+    // =========================
+    // USER ALERT THRESHOLDS
+    // =========================
+    selUserAlertThresholds: db.prepare(`
+      SELECT
+        t.*,
+        uw.chain_id            AS chain_id,
+        uw.address_eip55       AS wallet_address,
+        COALESCE(uw.label,'')  AS wallet_label,
+        c.kind                 AS contract_kind,
+        c.protocol             AS protocol
+      FROM user_alert_thresholds t
+      LEFT JOIN user_wallets uw
+        ON uw.id = t.wallet_id
+      LEFT JOIN contracts c
+        ON c.id = t.contract_id
+      WHERE t.user_id = ?
+      ORDER BY
+        (t.wallet_id IS NOT NULL),
+        (t.token_id IS NOT NULL),
+        uw.chain_id, COALESCE(uw.label,''), c.protocol, t.token_id
+    `),
+
+    selUserAlertThresholdsByScope: db.prepare(`
+      SELECT *
+      FROM user_alert_thresholds
+      WHERE user_id = @userId
+        AND wallet_id IS @walletId
+        AND contract_id IS @contractId
+        AND token_id IS @tokenId
+      LIMIT 1
+    `),
+
+    insUserAlertThresholds: db.prepare(`
+      INSERT INTO user_alert_thresholds (
+        user_id, wallet_id, contract_id, token_id,
+        liq_buffer_warn, liq_buffer_high, liq_buffer_crit,
+        redemp_debt_ahead_low_pct, redemp_debt_ahead_med_pct, redemp_debt_ahead_high_pct,
+        lp_edge_warn_frac, lp_edge_high_frac, lp_out_warn_frac, lp_out_high_frac,
+        primefi_hf_warn, primefi_hf_high, primefi_hf_crit
+      )
+      VALUES (
+        @userId, @walletId, @contractId, @tokenId,
+        @liqBufferWarn, @liqBufferHigh, @liqBufferCrit,
+        @redempDebtAheadLowPct, @redempDebtAheadMedPct, @redempDebtAheadHighPct,
+        @lpEdgeWarnFrac, @lpEdgeHighFrac, @lpOutWarnFrac, @lpOutHighFrac,
+        @primefiHfWarn, @primefiHfHigh, @primefiHfCrit
+      )
+    `),
+
+    updUserAlertThresholds: db.prepare(`
+      UPDATE user_alert_thresholds
+      SET
+        liq_buffer_warn = @liqBufferWarn,
+        liq_buffer_high = @liqBufferHigh,
+        liq_buffer_crit = @liqBufferCrit,
+        redemp_debt_ahead_low_pct = @redempDebtAheadLowPct,
+        redemp_debt_ahead_med_pct = @redempDebtAheadMedPct,
+        redemp_debt_ahead_high_pct = @redempDebtAheadHighPct,
+        lp_edge_warn_frac = @lpEdgeWarnFrac,
+        lp_edge_high_frac = @lpEdgeHighFrac,
+        lp_out_warn_frac = @lpOutWarnFrac,
+        lp_out_high_frac = @lpOutHighFrac,
+        primefi_hf_warn = @primefiHfWarn,
+        primefi_hf_high = @primefiHfHigh,
+        primefi_hf_crit = @primefiHfCrit
+      WHERE id = @id
+        AND user_id = @userId
+    `),
+
+    deleteUserAlertThresholdsByIdForUser: db.prepare(`
+      DELETE FROM user_alert_thresholds
+      WHERE id = ?
+        AND user_id = ?
+    `),
+
+    // Positions the user can target with an override (from the command snapshot cache)
+    selUserAlertPositions: db.prepare(`
+      SELECT 'LOAN' AS position_kind, s.wallet_id, s.contract_id, s.token_id,
+             s.chain_id, s.protocol, COALESCE(s.wallet_label,'') AS wallet_label
+      FROM loan_position_snapshots s
+      WHERE s.user_id = ?
+      UNION ALL
+      SELECT 'LP' AS position_kind, s.wallet_id, s.contract_id, s.token_id,
+             s.chain_id, s.protocol, COALESCE(s.wallet_label,'') AS wallet_label
+      FROM lp_position_snapshots s
+      WHERE s.user_id = ?
+      ORDER BY position_kind, chain_id, protocol, token_id
+    `),
+
+    // =========================
+    // PRICE ALERTS
+    // =========================
+    selPriceAlertsForUser: db.prepare(`
+      SELECT
+        pa.*,
+        uw.chain_id            AS chain_id,
+        uw.address_eip55       AS wallet_address,
+        COALESCE(uw.label,'')  AS wallet_label,
+        c.protocol             AS protocol,
+        COALESCE(ls.snapshot_json, ps.snapshot_json) AS snapshot_json
+      FROM price_alerts pa
+      JOIN user_wallets uw
+        ON uw.id = pa.wallet_id
+      JOIN contracts c
+        ON c.id = pa.contract_id
+      LEFT JOIN loan_position_snapshots ls
+        ON pa.position_kind = 'LOAN'
+       AND ls.user_id = pa.user_id
+       AND ls.wallet_id = pa.wallet_id
+       AND ls.contract_id = pa.contract_id
+       AND ls.token_id = pa.token_id
+      LEFT JOIN lp_position_snapshots ps
+        ON pa.position_kind = 'LP'
+       AND ps.user_id = pa.user_id
+       AND ps.wallet_id = pa.wallet_id
+       AND ps.contract_id = pa.contract_id
+       AND ps.token_id = pa.token_id
+      WHERE pa.user_id = ?
+      ORDER BY pa.id
+    `),
+
+    insPriceAlert: db.prepare(`
+      INSERT INTO price_alerts (
+        user_id, wallet_id, contract_id, token_id, position_kind,
+        condition, lower_price, upper_price, note
+      )
+      VALUES (
+        @userId, @walletId, @contractId, @tokenId, @positionKind,
+        @condition, @lowerPrice, @upperPrice, @note
+      )
+    `),
+
+    setPriceAlertEnabledForUser: db.prepare(`
+      UPDATE price_alerts
+      SET is_enabled = ?
+      WHERE id = ?
+        AND user_id = ?
+    `),
+
+    deletePriceAlertByIdForUser: db.prepare(`
+      DELETE FROM price_alerts
+      WHERE id = ?
+        AND user_id = ?
+    `),
+
+    // Rule state lives in alert_state under token_id 'pa:<id>'
+    deletePriceAlertState: db.prepare(`
+      DELETE FROM alert_state
+      WHERE user_id = ?
+        AND alert_type = 'PRICE_LEVEL'
+        AND token_id = ?
+    `),
+
+    // Positions a price rule can be anchored to, with the cached snapshot for the current price
+    selUserPricePositions: db.prepare(`
+      SELECT 'LOAN' AS position_kind, s.wallet_id, s.contract_id, s.token_id,
+             s.chain_id, s.protocol, COALESCE(s.wallet_label,'') AS wallet_label,
+             s.snapshot_json
+      FROM loan_position_snapshots s
+      WHERE s.user_id = ?
+      UNION ALL
+      SELECT 'LP' AS position_kind, s.wallet_id, s.contract_id, s.token_id,
+             s.chain_id, s.protocol, COALESCE(s.wallet_label,'') AS wallet_label,
+             s.snapshot_json
+      FROM lp_position_snapshots s
+      WHERE s.user_id = ?
+      ORDER BY position_kind, chain_id, protocol, token_id
+    `),
+
+    // =========================
+    // ALERT HISTORY (alert_log)
+    // Filters are optional: pass NULL to skip. Dates are 'YYYY-MM-DD' (UTC, inclusive).
+    // =========================
+    // alert_log plus the pool-keyed sp_alert_log (source 'sp'; token_id = pool_key, no contract)
+    selAlertLogPage: db.prepare(`
+      SELECT l.*
+      FROM (
+        SELECT
+          '' AS source,
+          al.id, al.alert_type, al.phase, al.message, al.token_id, al.created_at,
+          al.wallet_id, al.contract_id,
+          uw.chain_id            AS chain_id,
+          uw.address_eip55       AS wallet_address,
+          COALESCE(uw.label,'')  AS wallet_label,
+          c.protocol             AS protocol
+        FROM alert_log al
+        JOIN user_wallets uw
+          ON uw.id = al.wallet_id
+        LEFT JOIN contracts c
+          ON c.id = al.contract_id
+        WHERE al.user_id = @userId
+
+        UNION ALL
+
+        SELECT
+          'sp' AS source,
+          sl.id, sl.alert_type, sl.phase, sl.message, sl.pool_key AS token_id, sl.created_at,
+          sl.wallet_id, NULL AS contract_id,
+          uw.chain_id            AS chain_id,
+          uw.address_eip55       AS wallet_address,
+          COALESCE(uw.label,'')  AS wallet_label,
+          COALESCE(json_extract(sl.meta_json, '$.poolLabel'), sl.pool_key) AS protocol
+        FROM sp_alert_log sl
+        JOIN user_wallets uw
+          ON uw.id = sl.wallet_id
+        WHERE sl.user_id = @userId
+      ) l
+      WHERE (@alertType IS NULL OR l.alert_type = @alertType)
+        AND (@walletId IS NULL OR l.wallet_id = @walletId)
+        AND (@contractId IS NULL OR l.contract_id = @contractId)
+        AND (@fromDate IS NULL OR l.created_at >= @fromDate)
+        AND (@toDate IS NULL OR l.created_at < date(@toDate, '+1 day'))
+      ORDER BY l.created_at DESC, l.source DESC, l.id DESC
+      LIMIT @limit OFFSET @offset
+    `),
+
+    countAlertLog: db.prepare(`
+      SELECT
+        (
+          SELECT COUNT(*)
+          FROM alert_log al
+          WHERE al.user_id = @userId
+            AND (@alertType IS NULL OR al.alert_type = @alertType)
+            AND (@walletId IS NULL OR al.wallet_id = @walletId)
+            AND (@contractId IS NULL OR al.contract_id = @contractId)
+            AND (@fromDate IS NULL OR al.created_at >= @fromDate)
+            AND (@toDate IS NULL OR al.created_at < date(@toDate, '+1 day'))
+        ) + (
+          SELECT COUNT(*)
+          FROM sp_alert_log sl
+          WHERE sl.user_id = @userId
+            AND @contractId IS NULL
+            AND (@alertType IS NULL OR sl.alert_type = @alertType)
+            AND (@walletId IS NULL OR sl.wallet_id = @walletId)
+            AND (@fromDate IS NULL OR sl.created_at >= @fromDate)
+            AND (@toDate IS NULL OR sl.created_at < date(@toDate, '+1 day'))
+        ) AS n
+    `),
+
+    selAlertLogByIdForUser: db.prepare(`
+      SELECT
+        '' AS source,
+        al.*,
+        uw.chain_id            AS chain_id,
+        uw.address_eip55       AS wallet_address,
+        COALESCE(uw.label,'')  AS wallet_label,
+        c.protocol             AS protocol
+      FROM alert_log al
+      JOIN user_wallets uw
+        ON uw.id = al.wallet_id
+      LEFT JOIN contracts c
+        ON c.id = al.contract_id
+      WHERE al.id = ?
+        AND al.user_id = ?
+    `),
+
+    selSpAlertLogByIdForUser: db.prepare(`
+      SELECT
+        'sp' AS source,
+        sl.*,
+        sl.pool_key            AS token_id,
+        uw.address_eip55       AS wallet_address,
+        COALESCE(uw.label,'')  AS wallet_label,
+        COALESCE(json_extract(sl.meta_json, '$.poolLabel'), sl.pool_key) AS protocol
+      FROM sp_alert_log sl
+      JOIN user_wallets uw
+        ON uw.id = sl.wallet_id
+      WHERE sl.id = ?
+        AND sl.user_id = ?
+    `),
+
+    // Contracts the user has alert history on (for /my-alerts contract filter)
+    selAlertLogContractsForUser: db.prepare(`
+      SELECT DISTINCT c.id, c.chain_id, c.protocol, c.kind
+      FROM alert_log al
+      JOIN contracts c
+        ON c.id = al.contract_id
+      WHERE al.user_id = ?
+      ORDER BY c.chain_id, c.protocol
+    `),
+
+    // =========================
+    // NOTIFY CHANNELS
+    // =========================
+    selNotifyChannelsForUser: db.prepare(`
+      SELECT id, channel_type, target, alert_types, is_enabled,
+             fail_count, last_error, last_failure_at, last_success_at, disabled_reason
+      FROM notify_channels
+      WHERE user_id = ?
+      ORDER BY id
+    `),
+
+    // Re-adding an existing target updates its alert types and resumes it
+    upsertNotifyChannel: db.prepare(`
+      INSERT INTO notify_channels (user_id, channel_type, target, alert_types)
+      VALUES (@userId, @channelType, @target, @alertTypes)
+      ON CONFLICT(user_id, channel_type, target) DO UPDATE SET
+        alert_types = excluded.alert_types,
+        is_enabled = 1,
+        fail_count = 0,
+        disabled_reason = NULL
+    `),
+
+    setNotifyChannelAlertTypesForUser: db.prepare(`
+      UPDATE notify_channels
+      SET alert_types = ?
+      WHERE id = ?
+        AND user_id = ?
+    `),
+
+    // Resuming clears failure tracking so the channel gets a fresh NOTIFY_MAX_FAILURES budget
+    setNotifyChannelEnabledForUser: db.prepare(`
+      UPDATE notify_channels
+      SET is_enabled = @enabled,
+          fail_count = CASE WHEN @enabled = 1 THEN 0 ELSE fail_count END,
+          disabled_reason = CASE WHEN @enabled = 1 THEN NULL ELSE 'paused by user' END
+      WHERE id = @id
+        AND user_id = @userId
+    `),
+
+    deleteNotifyChannelByIdForUser: db.prepare(`
+      DELETE FROM notify_channels
+      WHERE id = ?
+        AND user_id = ?
+    `),
+
+    // =========================
+    // ALERT DM ACTIONS (ack / snooze / mute)
+    // =========================
+    selAlertStateByIdForUser: db.prepare(`
+      SELECT id, alert_type, is_active, ack_at, ack_tier, snooze_until, muted_at
+      FROM alert_state
+      WHERE id = ?
+        AND user_id = ?
+      LIMIT 1
+    `),
+
+    setAlertStateAckForUser: db.prepare(`
+      UPDATE alert_state
+      SET ack_at = datetime('now'),
+          ack_tier = @tier,
+          snooze_until = NULL
+      WHERE id = @id
+        AND user_id = @userId
+    `),
+
+    setAlertStateSnoozeForUser: db.prepare(`
+      UPDATE alert_state
+      SET ack_at = NULL,
+          ack_tier = @tier,
+          snooze_until = datetime('now', '+' || @hours || ' hours')
+      WHERE id = @id
+        AND user_id = @userId
+      RETURNING snooze_until
+    `),
+
+    setAlertStateMutedForUser: db.prepare(`
+      UPDATE alert_state
+      SET muted_at = CASE WHEN @muted = 1 THEN datetime('now') ELSE NULL END
+      WHERE id = @id
+        AND user_id = @userId
+    `),
+
+    // Same buttons for market-keyed PrimeFi alerts (primefi_withdraw_alert_state)
+    selPrimefiAlertStateByIdForUser: db.prepare(`
+      SELECT id, alert_type, is_active, ack_at, ack_tier, snooze_until, muted_at
+      FROM primefi_withdraw_alert_state
+      WHERE id = ?
+        AND user_id = ?
+      LIMIT 1
+    `),
+
+    setPrimefiAlertStateAckForUser: db.prepare(`
+      UPDATE primefi_withdraw_alert_state
+      SET ack_at = datetime('now'),
+          ack_tier = @tier,
+          snooze_until = NULL
+      WHERE id = @id
+        AND user_id = @userId
+    `),
+
+    setPrimefiAlertStateSnoozeForUser: db.prepare(`
+      UPDATE primefi_withdraw_alert_state
+      SET ack_at = NULL,
+          ack_tier = @tier,
+          snooze_until = datetime('now', '+' || @hours || ' hours')
+      WHERE id = @id
+        AND user_id = @userId
+      RETURNING snooze_until
+    `),
+
+    setPrimefiAlertStateMutedForUser: db.prepare(`
+      UPDATE primefi_withdraw_alert_state
+      SET muted_at = CASE WHEN @muted = 1 THEN datetime('now') ELSE NULL END
+      WHERE id = @id
+        AND user_id = @userId
+    `),
+
+    // ...and for pool-keyed Stability Pool alerts (sp_alert_state)
+    selSpAlertStateByIdForUser: db.prepare(`
+      SELECT id, alert_type, is_active, ack_at, ack_tier, snooze_until, muted_at
+      FROM sp_alert_state
+      WHERE id = ?
+        AND user_id = ?
+      LIMIT 1
+    `),
+
+    setSpAlertStateAckForUser: db.prepare(`
+      UPDATE sp_alert_state
+      SET ack_at = datetime('now'),
+          ack_tier = @tier,
+          snooze_until = NULL
+      WHERE id = @id
+        AND user_id = @userId
+    `),
+
+    setSpAlertStateSnoozeForUser: db.prepare(`
+      UPDATE sp_alert_state
+      SET ack_at = NULL,
+          ack_tier = @tier,
+          snooze_until = datetime('now', '+' || @hours || ' hours')
+      WHERE id = @id
+        AND user_id = @userId
+      RETURNING snooze_until
+    `),
+
+    setSpAlertStateMutedForUser: db.prepare(`
+      UPDATE sp_alert_state
+      SET muted_at = CASE WHEN @muted = 1 THEN datetime('now') ELSE NULL END
+      WHERE id = @id
+        AND user_id = @userId
+    `),
   };
 }
 
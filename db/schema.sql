@@ -3,8 +3,19 @@ PRAGMA foreign_keys = ON;
 -- =========================================================
 -- DROP (dependency order)
 -- =========================================================
+DROP TABLE IF EXISTS alert_route_optins;
+DROP TABLE IF EXISTS alert_channel_routes;
+DROP TABLE IF EXISTS loan_position_snapshot_history;
+DROP TABLE IF EXISTS lp_position_snapshot_history;
+DROP TABLE IF EXISTS lp_liquidity_events;
+DROP TABLE IF EXISTS trove_events;
+DROP TABLE IF EXISTS alert_outbox;
+DROP TABLE IF EXISTS notify_channels;
 DROP TABLE IF EXISTS alert_log;
 DROP TABLE IF EXISTS alert_state;
+DROP TABLE IF EXISTS price_alerts;
+DROP TABLE IF EXISTS user_alert_thresholds;
+DROP TABLE IF EXISTS position_spam_flags;
 DROP TABLE IF EXISTS position_ignores;
 DROP TABLE IF EXISTS firelight_subscriptions;
 DROP TABLE IF EXISTS firelight_config;
@@ -14,6 +25,8 @@ DROP TABLE IF EXISTS sp_apr_snapshots;
 DROP TABLE IF EXISTS redemption_rate_snapshots;
 
 DROP TABLE IF EXISTS global_params;
+DROP TABLE IF EXISTS pool_registry;
+DROP TABLE IF EXISTS token_registry;
 DROP TABLE IF EXISTS loan_token_meta;
 DROP TABLE IF EXISTS lp_token_meta;
 
@@ -237,6 +250,54 @@ CREATE TABLE global_params (
   FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE CASCADE
 );
 
+-- =========================================================
+-- TOKEN REGISTRY
+-- Immutable ERC-20 metadata, filled lazily by utils/tokenRegistry.js.
+-- A NULL field failed to load and is retried on the next lookup.
+-- =========================================================
+CREATE TABLE token_registry (
+  chain_id        TEXT NOT NULL,
+  address_lower   TEXT NOT NULL,
+  address_eip55   TEXT NOT NULL,
+
+  symbol          TEXT,
+  decimals        INTEGER CHECK (decimals IS NULL OR decimals BETWEEN 0 AND 255),
+
+  created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at      TEXT NOT NULL DEFAULT (datetime('now')),
+
+  PRIMARY KEY (chain_id, address_lower),
+  FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE CASCADE
+);
+
+-- =========================================================
+-- POOL REGISTRY
+-- Static V3-style pool data, filled lazily by utils/poolRegistry.js, keyed by the
+-- position manager + token pair + fee tier a position resolves its pool from.
+-- flavor picks the state reader: UNISWAP_V3 = slot0(), ALGEBRA = globalState().
+-- =========================================================
+CREATE TABLE pool_registry (
+  chain_id                TEXT NOT NULL,
+  position_manager_lower  TEXT NOT NULL,
+  token0_lower            TEXT NOT NULL,
+  token1_lower            TEXT NOT NULL,
+  fee                     INTEGER NOT NULL,
+
+  factory_lower           TEXT,
+  pool_address_lower      TEXT NOT NULL,
+  pool_address_eip55      TEXT NOT NULL,
+  flavor                  TEXT NOT NULL CHECK (flavor IN ('UNISWAP_V3','ALGEBRA')),
+
+  created_at              TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at              TEXT NOT NULL DEFAULT (datetime('now')),
+
+  PRIMARY KEY (chain_id, position_manager_lower, token0_lower, token1_lower, fee),
+  FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_pool_registry_pool
+  ON pool_registry(chain_id, pool_address_lower);
+
 CREATE TABLE price_cache (
   chain_id    TEXT NOT NULL,
   symbol      TEXT NOT NULL,
@@ -269,6 +330,7 @@ CREATE TABLE index_streams (
   stream_key    TEXT NOT NULL UNIQUE,
   event_name    TEXT NOT NULL,
   topic0        TEXT NOT NULL,
+  address_eip55 TEXT,          -- emitter when it is not the contract itself (e.g. TroveManager for LOAN_NFT)
   start_block   INTEGER NOT NULL DEFAULT 0 CHECK (start_block >= 0),
   is_enabled    INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
   created_at    TEXT NOT NULL DEFAULT (datetime('now')),
@@ -386,6 +448,64 @@ CREATE INDEX idx_alm_share_flows_contract_block ON alm_share_flows(contract_id,
 CREATE INDEX idx_alm_share_flows_from ON alm_share_flows(contract_id, from_lower, block_number);
 CREATE INDEX idx_alm_share_flows_to ON alm_share_flows(contract_id, to_lower, block_number);
 
+-- =========================================================
+-- LP LIQUIDITY LEDGER (derived from chain_events IncreaseLiquidity /
+-- DecreaseLiquidity / Collect logs on LP_NFT position managers)
+-- =========================================================
+CREATE TABLE lp_liquidity_events (
+  event_id        INTEGER PRIMARY KEY,
+  chain_id        TEXT NOT NULL,
+  contract_id     INTEGER NOT NULL,
+  stream_id       INTEGER NOT NULL,
+  block_number    INTEGER NOT NULL CHECK (block_number >= 0),
+  tx_hash         TEXT NOT NULL,
+  log_index       INTEGER NOT NULL CHECK (log_index >= 0),
+  token_id        TEXT NOT NULL, -- bigint as string
+  event_kind      TEXT NOT NULL CHECK (event_kind IN ('INCREASE','DECREASE','COLLECT')),
+  liquidity_raw   TEXT,          -- NULL for COLLECT
+  amount0_raw     TEXT NOT NULL,
+  amount1_raw     TEXT NOT NULL,
+  recipient_lower TEXT,          -- COLLECT only
+  created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (event_id) REFERENCES chain_events(id) ON DELETE CASCADE,
+  FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE,
+  FOREIGN KEY (stream_id) REFERENCES index_streams(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_lp_liquidity_events_token ON lp_liquidity_events(contract_id, token_id, block_number, log_index);
+
+-- =========================================================
+-- TROVE EVENT LEDGER (derived from chain_events TroveOperation /
+-- TroveUpdated logs; contract_id is the LOAN_NFT the trove belongs to)
+-- =========================================================
+CREATE TABLE trove_events (
+  event_id        INTEGER PRIMARY KEY,
+  chain_id        TEXT NOT NULL,
+  contract_id     INTEGER NOT NULL,
+  stream_id       INTEGER NOT NULL,
+  block_number    INTEGER NOT NULL CHECK (block_number >= 0),
+  block_timestamp INTEGER,
+  tx_hash         TEXT NOT NULL,
+  log_index       INTEGER NOT NULL CHECK (log_index >= 0),
+  trove_id        TEXT NOT NULL, -- bigint as string
+  event_kind      TEXT NOT NULL CHECK (event_kind IN ('OPERATION','UPDATED')),
+  operation       TEXT,          -- OPERATION only (OPEN_TROVE, ADJUST_TROVE, REDEEM_COLLATERAL, ...)
+  annual_interest_rate_raw TEXT,
+  debt_change_raw TEXT,          -- OPERATION: signed change from the operation itself
+  coll_change_raw TEXT,
+  upfront_fee_raw TEXT,
+  debt_raw        TEXT,          -- UPDATED: trove state after the tx
+  coll_raw        TEXT,
+  created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (event_id) REFERENCES chain_events(id) ON DELETE CASCADE,
+  FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id) REFERENCES contracts(id) ON DELETE CASCADE,
+  FOREIGN KEY (stream_id) REFERENCES index_streams(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_trove_events_trove ON trove_events(contract_id, trove_id, block_number, log_index);
+
 -- =========================================================
 -- ALM POSITION BASELINES (per user position)
 -- =========================================================
@@ -426,6 +546,12 @@ CREATE TABLE users (
   heartbeat_hour    INTEGER NOT NULL DEFAULT 3 CHECK (heartbeat_hour BETWEEN 0 AND 23),
   heartbeat_enabled INTEGER NOT NULL DEFAULT 1 CHECK (heartbeat_enabled IN (0,1)),
   heartbeat_tz  TEXT NOT NULL DEFAULT 'America/Los_Angeles',
+  -- Quiet hours (local hours in heartbeat_tz; start > end wraps past midnight)
+  quiet_enabled     INTEGER NOT NULL DEFAULT 0 CHECK (quiet_enabled IN (0,1)),
+  quiet_start_hour  INTEGER NOT NULL DEFAULT 22 CHECK (quiet_start_hour BETWEEN 0 AND 23),
+  quiet_end_hour    INTEGER NOT NULL DEFAULT 7 CHECK (quiet_end_hour BETWEEN 0 AND 23),
+  -- Redemption tier the heartbeat IR optimizer section targets (NULL = section off)
+  ir_optimizer_tier TEXT CHECK (ir_optimizer_tier IN ('LOW','MEDIUM','HIGH')),
   created_at    TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at    TEXT NOT NULL DEFAULT (datetime('now'))
 );
@@ -594,6 +720,123 @@ CREATE INDEX idx_position_ignores_wallet
 CREATE INDEX idx_position_ignores_contract
   ON position_ignores(contract_id, position_kind);
 
+-- =========================================================
+-- POSITION SPAM FLAGS (monitoring/spamClassifier.js)
+-- One row per tracked LP NFT the scheduled classifier finds suspicious.
+-- confidence: FLAGGED = listed for review in /ignore-spam-tx;
+--             HIGH = also hidden from /my-lp, snapshots and alerts while user_status = 'AUTO'.
+-- user_status: AUTO = classifier decision; CONFIRMED = user turned it into a
+-- position_ignores rule; DISMISSED = user marked it "not spam" (never hidden again).
+-- Rows not seen by the latest run (classify_run_id) are dropped unless CONFIRMED.
+-- =========================================================
+CREATE TABLE position_spam_flags (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id         INTEGER NOT NULL,
+  wallet_id       INTEGER NOT NULL,
+  contract_id     INTEGER NOT NULL,
+  token_id        TEXT NOT NULL,
+  pair_label      TEXT,
+
+  score           INTEGER NOT NULL,
+  confidence      TEXT NOT NULL CHECK (confidence IN ('FLAGGED','HIGH')),
+  reasons_json    TEXT NOT NULL, -- [{ code, detail }]
+
+  user_status     TEXT NOT NULL DEFAULT 'AUTO' CHECK (user_status IN ('AUTO','CONFIRMED','DISMISSED')),
+  decided_at      TEXT,
+
+  classify_run_id TEXT NOT NULL,
+  created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at      TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE,
+
+  UNIQUE (user_id, wallet_id, contract_id, token_id)
+);
+
+CREATE INDEX idx_position_spam_flags_user
+  ON position_spam_flags(user_id, user_status);
+
+-- =========================================================
+-- USER ALERT THRESHOLDS
+-- Scope: all NULL = user default; wallet_id = wallet override;
+-- wallet_id + contract_id (+ token_id) = contract/position override.
+-- NULL threshold columns inherit from the next broader scope, then env.
+-- =========================================================
+CREATE TABLE user_alert_thresholds (
+  id                        INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id                   INTEGER NOT NULL,
+  wallet_id                 INTEGER,
+  contract_id               INTEGER,
+  token_id                  TEXT,
+
+  liq_buffer_warn           REAL,
+  liq_buffer_high           REAL,
+  liq_buffer_crit           REAL,
+  redemp_debt_ahead_low_pct REAL,
+  redemp_debt_ahead_med_pct REAL,
+  redemp_debt_ahead_high_pct REAL,
+  lp_edge_warn_frac         REAL,
+  lp_edge_high_frac         REAL,
+  lp_out_warn_frac          REAL,
+  lp_out_high_frac          REAL,
+  primefi_hf_warn           REAL,
+  primefi_hf_high           REAL,
+  primefi_hf_crit           REAL,
+
+  created_at                TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at                TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE,
+  CHECK (token_id IS NULL OR contract_id IS NOT NULL),
+  CHECK (contract_id IS NULL OR wallet_id IS NOT NULL)
+);
+
+-- NULL-safe uniqueness (plain UNIQUE treats NULLs as distinct)
+CREATE UNIQUE INDEX idx_user_alert_thresholds_scope
+  ON user_alert_thresholds(user_id, IFNULL(wallet_id, 0), IFNULL(contract_id, 0), IFNULL(token_id, ''));
+
+-- =========================================================
+-- PRICE ALERTS (user-defined PRICE_LEVEL rules)
+-- Anchored to one monitored position, which supplies the price:
+--   LOAN = collateral oracle price, LP = pool price (token1 per token0).
+-- ABOVE uses upper_price, BELOW uses lower_price, OUTSIDE uses both.
+-- alert_state/alert_log rows use token_id = 'pa:<id>' (one state per rule).
+-- =========================================================
+CREATE TABLE price_alerts (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  user_id       INTEGER NOT NULL,
+  wallet_id     INTEGER NOT NULL,
+  contract_id   INTEGER NOT NULL,
+  token_id      TEXT NOT NULL,
+  position_kind TEXT NOT NULL CHECK (position_kind IN ('LOAN','LP')),
+
+  condition     TEXT NOT NULL CHECK (condition IN ('ABOVE','BELOW','OUTSIDE')),
+  lower_price   REAL,
+  upper_price   REAL,
+  note          TEXT,
+  is_enabled    INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE,
+  CHECK (condition <> 'ABOVE' OR upper_price IS NOT NULL),
+  CHECK (condition <> 'BELOW' OR lower_price IS NOT NULL),
+  CHECK (condition <> 'OUTSIDE' OR (lower_price IS NOT NULL AND upper_price IS NOT NULL AND lower_price < upper_price))
+);
+
+CREATE INDEX idx_price_alerts_position
+  ON price_alerts(user_id, wallet_id, contract_id, token_id, is_enabled);
+
 -- =========================================================
 -- ALERT STATE
 -- =========================================================
@@ -611,6 +854,14 @@ CREATE TABLE alert_state (
   signature     TEXT,
   state_json    TEXT,
 
+  -- Alert DM buttons (handlers/ui/alert-actions-ui.js).
+  -- ack/snooze hold UPDATED DMs until the tier escalates past ack_tier (or the snooze ends);
+  -- both reset on RESOLVED. muted_at persists until the user unmutes.
+  ack_at        TEXT,
+  ack_tier      TEXT,
+  snooze_until  TEXT,
+  muted_at      TEXT,
+
   last_seen_at  TEXT NOT NULL DEFAULT (datetime('now')),
   created_at    TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
@@ -659,6 +910,117 @@ CREATE INDEX idx_alert_log_user_created
 CREATE INDEX idx_alert_log_position
   ON alert_log(wallet_id, contract_id, token_id);
 
+-- =========================================================
+-- NOTIFY CHANNELS (per-user delivery targets)
+-- =========================================================
+-- DISCORD_DM is implicit (users.accepts_dm) until a DISCORD_DM row exists.
+-- target: webhook URL / email address / Telegram chat id ('' for DISCORD_DM).
+-- alert_types: NULL = all, else comma list (LIQUIDATION,REDEMPTION,LP_RANGE,...).
+CREATE TABLE notify_channels (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id         INTEGER NOT NULL,
+  channel_type    TEXT NOT NULL CHECK (channel_type IN ('DISCORD_DM','WEBHOOK','EMAIL','TELEGRAM')),
+  target          TEXT NOT NULL DEFAULT '',
+  alert_types     TEXT,
+  is_enabled      INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+
+  -- Failure tracking (consecutive failures; reset on success)
+  fail_count      INTEGER NOT NULL DEFAULT 0,
+  last_error      TEXT,
+  last_failure_at TEXT,
+  last_success_at TEXT,
+  disabled_reason TEXT,
+
+  created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at      TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE (user_id, channel_type, target)
+);
+
+-- =========================================================
+-- ALERT CHANNEL ROUTES (guild text channels for shared wallets)
+-- =========================================================
+-- Managed by server admins via !!addroute / !!listroutes / !!delroute.
+-- scope_type USER  = every alert for that user.
+-- scope_type WALLET = alerts for any tracked wallet with that address
+--   (chain_id NULL = any chain) of the users who opted in.
+-- Only alerts of users with an ALLOWED alert_route_optins row are posted.
+-- mention_role_id is pinged for CRITICAL tiers only.
+CREATE TABLE alert_channel_routes (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id        TEXT NOT NULL,
+  channel_id      TEXT NOT NULL,
+
+  scope_type      TEXT NOT NULL CHECK (scope_type IN ('USER','WALLET')),
+  user_id         INTEGER,
+  wallet_address  TEXT,
+  chain_id        TEXT,
+
+  mention_role_id TEXT,
+  is_enabled      INTEGER NOT NULL DEFAULT 1 CHECK (is_enabled IN (0,1)),
+  disabled_reason TEXT,
+  created_by      TEXT,
+
+  created_at      TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at      TEXT NOT NULL DEFAULT (datetime('now')),
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+
+  CHECK (
+    (scope_type = 'USER' AND user_id IS NOT NULL AND wallet_address IS NULL) OR
+    (scope_type = 'WALLET' AND user_id IS NULL AND wallet_address IS NOT NULL)
+  ),
+  CHECK (wallet_address IS NULL OR (wallet_address = lower(wallet_address) AND length(wallet_address) = 42))
+);
+
+-- NULL-safe uniqueness (plain UNIQUE treats NULLs as distinct)
+CREATE UNIQUE INDEX idx_alert_channel_routes_scope
+  ON alert_channel_routes(channel_id, scope_type, IFNULL(user_id, 0), IFNULL(wallet_address, ''), IFNULL(chain_id, ''));
+CREATE INDEX idx_alert_channel_routes_user   ON alert_channel_routes(user_id);
+CREATE INDEX idx_alert_channel_routes_wallet ON alert_channel_routes(wallet_address);
+
+-- Per-user consent for a route. The admin who adds a route for their own wallet / themself
+-- is ALLOWED at once; everyone else is asked by DM (PENDING) and can allow or decline later.
+CREATE TABLE alert_route_optins (
+  route_id    INTEGER NOT NULL,
+  user_id     INTEGER NOT NULL,
+  status      TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING','ALLOWED','DECLINED')),
+
+  created_at  TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at  TEXT NOT NULL DEFAULT (datetime('now')),
+
+  PRIMARY KEY (route_id, user_id),
+  FOREIGN KEY (route_id) REFERENCES alert_channel_routes(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_alert_route_optins_user ON alert_route_optins(user_id, status);
+
+-- =========================================================
+-- ALERT OUTBOX (quiet-hours digest queue)
+-- =========================================================
+-- DMs held back during a user's quiet hours. Delivered as one digest DM
+-- once the window ends; delivered_at stays NULL until then.
+CREATE TABLE alert_outbox (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id       INTEGER NOT NULL,
+
+  alert_type    TEXT NOT NULL,
+  phase         TEXT NOT NULL,
+  summary       TEXT NOT NULL,
+  message       TEXT NOT NULL,
+  meta_json     TEXT,
+
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  delivered_at  TEXT,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_alert_outbox_pending
+  ON alert_outbox(user_id, delivered_at);
+
 -- =========================================================
 -- POSITION SNAPSHOTS (COMMAND CACHE)
 -- =========================================================
@@ -699,6 +1061,54 @@ CREATE TABLE lp_position_snapshots (
 CREATE INDEX idx_loan_snapshots_user
   ON loan_position_snapshots(user_id);
 
+-- Append-only history of the two snapshot caches above (charts / trends).
+-- granularity: RAW rows are kept 7 days, then thinned to one HOURLY row per
+-- position per hour; HOURLY rows are kept 90 days, then thinned to one DAILY
+-- row per position per day (kept forever). See monitoring/snapshotHistory.js.
+CREATE TABLE loan_position_snapshot_history (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id         INTEGER NOT NULL,
+  wallet_id       INTEGER NOT NULL,
+  contract_id     INTEGER NOT NULL,
+  token_id        TEXT NOT NULL,
+  chain_id        TEXT NOT NULL,
+  protocol        TEXT NOT NULL,
+  granularity     TEXT NOT NULL DEFAULT 'RAW' CHECK (granularity IN ('RAW','HOURLY','DAILY')),
+  snapshot_at     TEXT NOT NULL DEFAULT (datetime('now')),
+  snapshot_json   TEXT NOT NULL,
+  FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_loan_history_position
+  ON loan_position_snapshot_history(user_id, wallet_id, contract_id, token_id, snapshot_at);
+
+CREATE INDEX idx_loan_history_granularity
+  ON loan_position_snapshot_history(granularity, snapshot_at);
+
+CREATE TABLE lp_position_snapshot_history (
+  id              INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id         INTEGER NOT NULL,
+  wallet_id       INTEGER NOT NULL,
+  contract_id     INTEGER NOT NULL,
+  token_id        TEXT NOT NULL,
+  chain_id        TEXT NOT NULL,
+  protocol        TEXT NOT NULL,
+  granularity     TEXT NOT NULL DEFAULT 'RAW' CHECK (granularity IN ('RAW','HOURLY','DAILY')),
+  snapshot_at     TEXT NOT NULL DEFAULT (datetime('now')),
+  snapshot_json   TEXT NOT NULL,
+  FOREIGN KEY (user_id)     REFERENCES users(id)        ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id)   REFERENCES user_wallets(id) ON DELETE CASCADE,
+  FOREIGN KEY (contract_id) REFERENCES contracts(id)    ON DELETE CASCADE
+);
+
+CREATE INDEX idx_lp_history_position
+  ON lp_position_snapshot_history(user_id, wallet_id, contract_id, token_id, snapshot_at);
+
+CREATE INDEX idx_lp_history_granularity
+  ON lp_position_snapshot_history(granularity, snapshot_at);
+
 CREATE TABLE primefi_loan_position_snapshots (
   user_id         INTEGER NOT NULL,
   wallet_id       INTEGER NOT NULL,
@@ -766,6 +1176,7 @@ CREATE TABLE primefi_loan_position_snapshot_history (
 CREATE INDEX idx_primefi_loan_history_lookup
   ON primefi_loan_position_snapshot_history(user_id, wallet_id, chain_id, protocol, market_key, snapshot_at);
 
+-- Market-keyed PrimeFi alert state; alert_type PRIMEFI_WITHDRAW or PRIMEFI_LIQUIDATION
 CREATE TABLE primefi_withdraw_alert_state (
   id            INTEGER PRIMARY KEY AUTOINCREMENT,
   user_id       INTEGER NOT NULL,
@@ -777,6 +1188,11 @@ CREATE TABLE primefi_withdraw_alert_state (
   is_active     INTEGER NOT NULL DEFAULT 0 CHECK (is_active IN (0,1)),
   signature     TEXT,
   state_json    TEXT,
+  -- Alert DM buttons for PRIMEFI_LIQUIDATION (same semantics as alert_state)
+  ack_at        TEXT,
+  ack_tier      TEXT,
+  snooze_until  TEXT,
+  muted_at      TEXT,
   last_seen_at  TEXT NOT NULL DEFAULT (datetime('now')),
   created_at    TEXT NOT NULL DEFAULT (datetime('now')),
   updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
@@ -810,6 +1226,54 @@ CREATE TABLE primefi_withdraw_alert_log (
 CREATE INDEX idx_primefi_withdraw_alert_log_user
   ON primefi_withdraw_alert_log(user_id, created_at);
 
+-- Pool-keyed Stability Pool alert state; alert_type SP_DEPOSIT_LOSS, SP_CLAIMABLE_GAIN or SP_APR_GAP
+CREATE TABLE sp_alert_state (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id       INTEGER NOT NULL,
+  wallet_id     INTEGER NOT NULL,
+  chain_id      TEXT NOT NULL,
+  pool_key      TEXT NOT NULL,
+  alert_type    TEXT NOT NULL,
+  is_active     INTEGER NOT NULL DEFAULT 0 CHECK (is_active IN (0,1)),
+  signature     TEXT,
+  state_json    TEXT,
+  -- Alert DM buttons (same semantics as alert_state)
+  ack_at        TEXT,
+  ack_tier      TEXT,
+  snooze_until  TEXT,
+  muted_at      TEXT,
+  last_seen_at  TEXT NOT NULL DEFAULT (datetime('now')),
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  updated_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id) REFERENCES user_wallets(id) ON DELETE CASCADE,
+  FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE RESTRICT,
+  UNIQUE (user_id, wallet_id, chain_id, pool_key, alert_type)
+);
+
+CREATE INDEX idx_sp_alert_state_active
+  ON sp_alert_state(is_active, chain_id);
+
+CREATE TABLE sp_alert_log (
+  id            INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id       INTEGER NOT NULL,
+  wallet_id     INTEGER NOT NULL,
+  chain_id      TEXT NOT NULL,
+  pool_key      TEXT NOT NULL,
+  alert_type    TEXT NOT NULL,
+  phase         TEXT NOT NULL,
+  message       TEXT NOT NULL,
+  meta_json     TEXT,
+  signature     TEXT,
+  created_at    TEXT NOT NULL DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (wallet_id) REFERENCES user_wallets(id) ON DELETE CASCADE,
+  FOREIGN KEY (chain_id) REFERENCES chains(id) ON DELETE RESTRICT
+);
+
+CREATE INDEX idx_sp_alert_log_user
+  ON sp_alert_log(user_id, created_at);
+
 CREATE INDEX idx_lp_snapshots_user
   ON lp_position_snapshots(user_id);
 
@@ -853,6 +1317,34 @@ BEGIN
   UPDATE alert_state SET updated_at = datetime('now') WHERE id = OLD.id;
 END;
 
+CREATE TRIGGER trg_user_alert_thresholds_updated_at
+AFTER UPDATE ON user_alert_thresholds
+FOR EACH ROW
+BEGIN
+  UPDATE user_alert_thresholds SET updated_at = datetime('now') WHERE id = OLD.id;
+END;
+
+CREATE TRIGGER trg_price_alerts_updated_at
+AFTER UPDATE ON price_alerts
+FOR EACH ROW
+BEGIN
+  UPDATE price_alerts SET updated_at = datetime('now') WHERE id = OLD.id;
+END;
+
+CREATE TRIGGER trg_notify_channels_updated_at
+AFTER UPDATE ON notify_channels
+FOR EACH ROW
+BEGIN
+  UPDATE notify_channels SET updated_at = datetime('now') WHERE id = OLD.id;
+END;
+
+CREATE TRIGGER trg_alert_channel_routes_updated_at
+AFTER UPDATE ON alert_channel_routes
+FOR EACH ROW
+BEGIN
+  UPDATE alert_channel_routes SET updated_at = datetime('now') WHERE id = OLD.id;
+END;
+
 CREATE TRIGGER trg_index_streams_updated_at
 AFTER UPDATE ON index_streams
 FOR EACH ROW
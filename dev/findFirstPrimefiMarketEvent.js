@@ -3,6 +3,7 @@ require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true
 
 const { ethers } = require('ethers');
 const primefiConfig = require('../data/primefi_loans.json');
+const { getPooledProvider } = require('../utils/ethers/providers');
 
 function requireEnv(name) {
   const v = process.env[name];
@@ -20,7 +21,7 @@ function requireNonNegIntEnv(name) {
   return n;
 }
 
-const XDC_RPC_URL = requireEnv('XDC_MAINNET_SCAN');
+const XDC_RPC_ENV_KEY = 'XDC_MAINNET_SCAN';
 const XDC_SCAN_BLOCKS = requireIntEnv('XDC_MAINNET_SCAN_BLOCKS');
 const XDC_PAUSE_MS = requireNonNegIntEnv('XDC_MAINNET_SCAN_PAUSE_MS');
 const DEFAULT_PROGRESS_EVERY = 25;
@@ -121,7 +122,7 @@ async function main() {
     throw new Error('Provide --market-key=<key> or ensure exactly one XDC PrimeFi market is configured');
   }
 
-  const provider = new ethers.JsonRpcProvider(XDC_RPC_URL);
+  const provider = getPooledProvider(XDC_RPC_ENV_KEY);
   const latestBlock = await provider.getBlockNumber();
   const fromBlock = Number.isInteger(args.fromBlock) && args.fromBlock > 0 ? args.fromBlock : 1;
   const toBlock = Number.isInteger(args.toBlock) && args.toBlock > 0 ? args.toBlock : latestBlock;
@@ -131,7 +132,7 @@ async function main() {
   const progressEvery = Number.isInteger(args.progressEvery) && args.progressEvery > 0 ? args.progressEvery : DEFAULT_PROGRESS_EVERY;
 
   console.log('Find first PrimeFi market event');
-  console.log(`RPC:        ${XDC_RPC_URL}`);
+  console.log(`RPC:        ${XDC_RPC_ENV_KEY}`);
   console.log(`Market:     ${market.key} (${market.protocol})`);
   console.log(`LendingPool:${market.lendingPool}`);
   console.log(`Assets:     ${market.collateralSymbol}/${market.debtSymbol}`);
@@ -7,6 +7,7 @@ require("dotenv").config({
 });
 
 const { ethers } = require("ethers");
+const { getPooledProvider, firstRpcEnvKey } = require("../utils/ethers/providers");
 const registryAbi = require("../abi/steerVaultRegistry.json");
 
 const DEFAULT_REGISTRY = "0x64F9A121Ccbb8956249Ed52C4f63d0f759da53Ce";
@@ -15,12 +16,7 @@ const DEFAULT_PAUSE_MS = 250;
 const DEFAULT_BEACON = "MultiPositionSparkIntegral";
 const DEFAULT_PROGRESS_EVERY = 25;
 
-const RPC_URL =
-  process.env.FLR_MAINNET_SCAN ||
-  process.env.FLR_MAINNET ||
-  process.env.FLR_RPC_URL ||
-  process.env.RPC_URL ||
-  "";
+const RPC_ENV_KEY = firstRpcEnvKey(["FLR_MAINNET_SCAN", "FLR_MAINNET", "FLR_RPC_URL", "RPC_URL"]);
 
 const REGISTRY = process.argv[2] || process.env.STEER_VAULT_REGISTRY_FLR || DEFAULT_REGISTRY;
 const CHUNK = Number(process.argv[3] || process.env.STEER_DISCOVERY_SCAN_BLOCKS || DEFAULT_CHUNK);
@@ -94,7 +90,7 @@ async function findContractCreationBlock(provider, address) {
 }
 
 async function main() {
-  if (!RPC_URL) {
+  if (!RPC_ENV_KEY) {
     throw new Error("Missing RPC URL. Set FLR_MAINNET_SCAN (or FLR_MAINNET).");
   }
   if (!Number.isInteger(CHUNK) || CHUNK <= 0) {
@@ -107,14 +103,14 @@ async function main() {
     throw new Error(`Invalid --end block: ${END_BLOCK_OPT}`);
   }
 
-  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const provider = getPooledProvider(RPC_ENV_KEY);
   const network = await withRetry(() => provider.getNetwork());
   const registry = ethers.getAddress(REGISTRY);
   const iface = new ethers.Interface(registryAbi);
   const topic = iface.getEvent("VaultCreated").topicHash;
 
   console.log("Find first Steer VaultCreated");
-  console.log(`RPC:       ${RPC_URL}`);
+  console.log(`RPC:       ${RPC_ENV_KEY}`);
   console.log(`ChainId:   ${network.chainId}`);
   console.log(`Registry:  ${registry}`);
   console.log(`Chunk:     ${CHUNK}`);
@@ -9,6 +9,9 @@
  *   --min-count 50     (only consider issuer candidates with >= this many first-transfers)
  *   --top 10           (show top N issuer candidates)
  *   --issuer 0xabc...  (skip auto-detect; directly list tokens whose first-transfer from this address)
+ *
+ * The same first-transfer heuristic runs on schedule as the MASS_AIRDROP signal in
+ * monitoring/spamClassifier.js (tracked positions only).
  */
 
 const path = require("path");
@@ -124,11 +124,14 @@ function main() {
       "lp_token_meta",
       "loan_token_meta",
       "global_params",
+      "token_registry",
+      "pool_registry",
 
       "users",
       "user_wallets",
 
       "position_ignores",
+      "position_spam_flags",
       "alert_state",
 
       // optional large tables
@@ -0,0 +1,108 @@
+// dev/mockNotifyServer.js
+// Local stand-in for webhook / Telegram / SMTP endpoints used by monitoring/notifiers.
+// Prints every request it receives; nothing leaves the machine.
+//
+// Usage:
+//   node dev/mockNotifyServer.js
+//   webhook URL:        http://127.0.0.1:8025/hook (needs WEBHOOK_ALLOW_PRIVATE_HOSTS=1)
+//   TELEGRAM_API_BASE:  http://127.0.0.1:8025
+//   SMTP_HOST/PORT:     127.0.0.1 / 2525 (SMTP_SECURE=0; with SMTP_USER also SMTP_ALLOW_PLAINTEXT_AUTH=1)
+//
+// Env:
+//   MOCK_HTTP_PORT (default 8025), MOCK_SMTP_PORT (default 2525)
+//   MOCK_HTTP_STATUS=500  -> answer every HTTP request with that status (retry / pause testing)
+//   MOCK_SMTP_REJECT=1    -> reject RCPT TO with 550 (permanent failure testing)
+
+const http = require("http");
+const net = require("net");
+
+const HTTP_PORT = Number(process.env.MOCK_HTTP_PORT || 8025);
+const SMTP_PORT = Number(process.env.MOCK_SMTP_PORT || 2525);
+const HTTP_STATUS = Number(process.env.MOCK_HTTP_STATUS || 200);
+const SMTP_REJECT = process.env.MOCK_SMTP_REJECT === "1";
+
+function ts() {
+  return new Date().toISOString();
+}
+
+const httpServer = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (c) => {
+    body += c.toString("utf8");
+  });
+  req.on("end", () => {
+    let parsed = body;
+    try {
+      parsed = JSON.parse(body);
+    } catch (_) {}
+    console.log(`[${ts()}] HTTP ${req.method} ${req.url} -> ${HTTP_STATUS}`);
+    console.log(typeof parsed === "string" ? parsed : JSON.stringify(parsed, null, 2));
+
+    res.writeHead(HTTP_STATUS, { "content-type": "application/json" });
+    // Telegram-shaped reply works for plain webhooks too
+    res.end(
+      JSON.stringify({
+        ok: HTTP_STATUS < 400,
+        result: { message_id: Date.now() },
+        ...(HTTP_STATUS >= 400 ? { description: `mock error ${HTTP_STATUS}` } : {}),
+      })
+    );
+  });
+});
+
+const smtpServer = net.createServer((socket) => {
+  let buf = "";
+  let inData = false;
+  let data = "";
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  console.log(`[${ts()}] SMTP connection from ${socket.remoteAddress}`);
+  reply("220 mock-smtp ready");
+
+  socket.on("data", (chunk) => {
+    buf += chunk.toString("utf8");
+    let idx;
+    while ((idx = buf.indexOf("\r\n")) !== -1) {
+      const line = buf.slice(0, idx);
+      buf = buf.slice(idx + 2);
+
+      if (inData) {
+        if (line === ".") {
+          inData = false;
+          const [head, ...rest] = data.split("\r\n\r\n");
+          const bodyB64 = rest.join("\r\n\r\n").replace(/\s+/g, "");
+          console.log(`[${ts()}] SMTP message:\n${head}\n\n${Buffer.from(bodyB64, "base64").toString("utf8")}`);
+          data = "";
+          reply("250 OK queued");
+        } else {
+          data += `${line.startsWith("..") ? line.slice(1) : line}\r\n`;
+        }
+        continue;
+      }
+
+      const verb = line.split(" ")[0].toUpperCase();
+      console.log(`[${ts()}] SMTP <- ${verb === "AUTH" ? "AUTH ***" : line}`);
+      if (verb === "EHLO" || verb === "HELO") {
+        reply("250-mock-smtp");
+        reply("250 AUTH PLAIN");
+      } else if (verb === "AUTH") reply("235 Authenticated");
+      else if (verb === "MAIL") reply("250 OK");
+      else if (verb === "RCPT") reply(SMTP_REJECT ? "550 No such user" : "250 OK");
+      else if (verb === "DATA") {
+        inData = true;
+        reply("354 End data with <CR><LF>.<CR><LF>");
+      } else if (verb === "QUIT") {
+        reply("221 Bye");
+        socket.end();
+      } else reply("502 Command not implemented");
+    }
+  });
+  socket.on("error", () => {});
+});
+
+httpServer.listen(HTTP_PORT, "127.0.0.1", () => {
+  console.log(`Mock HTTP (webhook + Telegram) on http://127.0.0.1:${HTTP_PORT} (status ${HTTP_STATUS})`);
+});
+smtpServer.listen(SMTP_PORT, "127.0.0.1", () => {
+  console.log(`Mock SMTP on 127.0.0.1:${SMTP_PORT}${SMTP_REJECT ? " (rejecting recipients)" : ""}`);
+});
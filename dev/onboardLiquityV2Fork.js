@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+// dev/onboardLiquityV2Fork.js
+//
+// Onboard a Liquity v2 fork (or pick up new branches of one) from a single registry address.
+// Discovers every branch via utils/liquityV2Registry.js, then:
+// - inserts the LOAN_NFT rows into `contracts` (rows with the same key or address are left alone)
+//   and registers Transfer + TroveManager index streams for every discovered branch, new or
+//   already listed, starting at the branch start block
+// - only then appends missing branches to data/loan_contracts.json (TroveNFT) and
+//   data/stability_pools.json (StabilityPool); entries whose address is already listed are kept
+// - records the fork in data/liquity_v2_forks.json so --all can re-run discovery later
+// A run that fails part-way can simply be repeated: the DB step reconciles every branch, so a
+// branch already in the JSON configs still gets its missing rows and streams.
+//
+// Discovery is onboarding-only: the running bot reads the JSON configs and `contracts` rows
+// this script writes and never calls the registries itself.
+//
+// Usage:
+//   node dev/onboardLiquityV2Fork.js --chain=FLR --registry=0x... --prefix=enosys --start-block=51999000
+//   node dev/onboardLiquityV2Fork.js --all [--start-block=N]
+//   add --dry-run to print the plan without writing anything
+//
+// --registry accepts the CollateralRegistry or any branch AddressesRegistry.
+// --start-block applies to newly added branches (defaults to the fork's recorded start block).
+// Restart the bot afterwards; stability pool config is read once per process.
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+
+const { getDb } = require("../db");
+const { getProviderForChain } = require("../utils/ethers/providers");
+const { syncTransferStreams, syncTroveStreams } = require("../utils/indexer/streamRegistry");
+const { GLOBAL_IR_FORK, discoverLiquityV2Branches } = require("../utils/liquityV2Registry");
+
+const DATA_DIR = path.join(__dirname, "..", "data");
+const LOAN_CONFIG_PATH = path.join(DATA_DIR, "loan_contracts.json");
+const SP_CONFIG_PATH = path.join(DATA_DIR, "stability_pools.json");
+const FORKS_CONFIG_PATH = path.join(DATA_DIR, "liquity_v2_forks.json");
+
+function parseArgs(argv) {
+  const out = { chain: null, registry: null, prefix: null, startBlock: null, all: false, dryRun: false };
+  for (const arg of argv.slice(2)) {
+    if (arg.startsWith("--chain=")) out.chain = arg.split("=")[1].trim().toUpperCase();
+    else if (arg.startsWith("--registry=")) out.registry = arg.split("=")[1].trim();
+    else if (arg.startsWith("--prefix=")) out.prefix = arg.split("=")[1].trim().toLowerCase();
+    else if (arg.startsWith("--start-block=")) out.startBlock = Number(arg.split("=")[1]);
+    else if (arg === "--all") out.all = true;
+    else if (arg === "--dry-run") out.dryRun = true;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  if (out.startBlock != null && (!Number.isInteger(out.startBlock) || out.startBlock < 0)) {
+    throw new Error("--start-block must be a non-negative integer");
+  }
+  return out;
+}
+
+function readJson(p, fallback) {
+  if (!fs.existsSync(p)) {
+    if (fallback !== undefined) return fallback;
+    throw new Error(`Missing file: ${p}`);
+  }
+  return JSON.parse(fs.readFileSync(p, "utf8"));
+}
+
+function writeJson(p, obj) {
+  fs.writeFileSync(p, `${JSON.stringify(obj, null, 2)}\n`);
+}
+
+function symbolKey(symbol, index) {
+  const s = String(symbol || "").replace(/[^A-Za-z0-9]/g, "");
+  return s || `BRANCH${index}`;
+}
+
+function forkPlan(fork, startBlockOverride) {
+  const startBlock = startBlockOverride ?? fork.default_start_block;
+  if (!Number.isInteger(startBlock) || startBlock < 0) {
+    throw new Error(`No start block for fork ${fork.key}; pass --start-block=N`);
+  }
+  return { ...fork, startBlock };
+}
+
+/**
+ * Add the discovered branches to the loan / stability pool configs (in place).
+ * Returns { branches, addedCount }: every discovered branch with its contract_key / protocol
+ * (the listed entry's for known TroveNFTs), and how many loan entries were new.
+ */
+function mergeBranches(fork, branches, loanCfg, spCfg) {
+  const chain = fork.chain;
+  loanCfg.chains = loanCfg.chains || {};
+  loanCfg.chains[chain] = loanCfg.chains[chain] || { rpcEnvKey: `${chain}_MAINNET`, contracts: [] };
+  const loanList = loanCfg.chains[chain].contracts || (loanCfg.chains[chain].contracts = []);
+
+  spCfg.chains = spCfg.chains || {};
+  spCfg.chains[chain] = spCfg.chains[chain] || { pools: [] };
+  const spList = spCfg.chains[chain].pools || (spCfg.chains[chain].pools = []);
+
+  const isApiFork = fork.key.toUpperCase() === GLOBAL_IR_FORK;
+  const resolved = [];
+  let addedCount = 0;
+  for (const b of branches) {
+    const sym = symbolKey(b.collSymbol, b.index);
+    const label = b.collSymbol || sym;
+
+    const loanExisting = loanList.find((c) => String(c.address || "").toLowerCase() === b.troveNFT.toLowerCase());
+    if (loanExisting) {
+      resolved.push({ ...b, contractKey: loanExisting.key, protocol: loanExisting.protocol });
+      console.log(`[onboard] ${chain} ${label}: TroveNFT already listed as ${loanExisting.key}`);
+    } else {
+      const entry = {
+        key: `${fork.key}_${sym.toLowerCase()}`,
+        protocol: `${fork.key.toUpperCase()}_LOAN_${sym.toUpperCase()}`,
+        address: b.troveNFT,
+        default_start_block: fork.startBlock,
+      };
+      if (loanList.some((c) => c.key === entry.key)) {
+        throw new Error(`contract key ${entry.key} is already used by another address`);
+      }
+      loanList.push(entry);
+      resolved.push({ ...b, contractKey: entry.key, protocol: entry.protocol });
+      addedCount += 1;
+      console.log(`[onboard] ${chain} ${label}: + loan ${entry.key} ${entry.protocol} ${b.troveNFT}`);
+    }
+
+    const spExisting = spList.find((p) => String(p.address || "").toLowerCase() === b.stabilityPool.toLowerCase());
+    if (spExisting) {
+      console.log(`[onboard] ${chain} ${label}: StabilityPool already listed as ${spExisting.key}`);
+    } else {
+      const entry = {
+        key: `${fork.key}_${sym.toLowerCase()}_sp`,
+        label: isApiFork ? `${label} Stability Pool` : `${fork.key.toUpperCase()} ${label} Stability Pool`,
+        fork: fork.key,
+        branchKey: isApiFork ? sym.toUpperCase() : null,
+        collSymbol: label,
+        address: b.stabilityPool,
+      };
+      if (spList.some((p) => p.key === entry.key)) {
+        throw new Error(`stability pool key ${entry.key} is already used by another address`);
+      }
+      spList.push(entry);
+      console.log(`[onboard] ${chain} ${label}: + stability pool ${entry.key} ${b.stabilityPool}`);
+    }
+  }
+  return { branches: resolved, addedCount };
+}
+
+// Idempotent: safe to run for branches whose rows and streams already exist.
+async function registerContracts(db, fork, branches) {
+  const insert = db.prepare(`
+    INSERT INTO contracts (
+      chain_id, kind, contract_key, protocol,
+      address_lower, address_eip55,
+      default_start_block,
+      is_enabled
+    )
+    VALUES (?, 'LOAN_NFT', ?, ?, ?, ?, ?, 1)
+    ON CONFLICT DO NOTHING
+  `);
+  // An address already registered under another key keeps that row; its streams use that key
+  const selKeyByAddress = db.prepare(`
+    SELECT contract_key
+    FROM contracts
+    WHERE chain_id = ?
+      AND kind = 'LOAN_NFT'
+      AND address_lower = ?
+    LIMIT 1
+  `);
+
+  for (const b of branches) {
+    const res = insert.run(fork.chain, b.contractKey, b.protocol, b.troveNFT.toLowerCase(), b.troveNFT, fork.startBlock);
+    const contractKey = selKeyByAddress.get(fork.chain, b.troveNFT.toLowerCase())?.contract_key || b.contractKey;
+    console.log(`[onboard] contracts ${contractKey}: ${res.changes ? "inserted" : "already present"}`);
+
+    syncTransferStreams(db, { chainId: fork.chain, kind: "LOAN_NFT", contractKey });
+    const troveStreams = await syncTroveStreams(db, {
+      chainId: fork.chain,
+      kind: "LOAN_NFT",
+      contractKey,
+      resolveTroveManager: () => b.troveManager,
+    });
+    console.log(`[onboard] streams ${contractKey}: Transfer + ${troveStreams.length} TroveManager stream(s)`);
+  }
+}
+
+async function onboardFork(fork, { dryRun }) {
+  const loanCfg = readJson(LOAN_CONFIG_PATH);
+  const spCfg = readJson(SP_CONFIG_PATH);
+  const rpcEnvKey = loanCfg.chains?.[fork.chain]?.rpcEnvKey || `${fork.chain}_MAINNET`;
+  const provider = getProviderForChain(fork.chain, { [fork.chain]: { rpcEnvKey } });
+
+  console.log(`[onboard] ${fork.key} on ${fork.chain}: registry ${fork.registry}`);
+  const { collateralRegistry, branches } = await discoverLiquityV2Branches(provider, fork.chain, fork.registry);
+  console.log(
+    `[onboard] ${fork.key}: ${branches.length} branch(es)` +
+      (collateralRegistry ? ` via CollateralRegistry ${collateralRegistry}` : " (single AddressesRegistry branch)")
+  );
+  for (const b of branches) {
+    console.log(
+      `  - #${b.index} ${b.collSymbol || "?"} coll=${b.collToken} troveManager=${b.troveManager} troveNFT=${b.troveNFT} ` +
+        `sortedTroves=${b.sortedTroves} stabilityPool=${b.stabilityPool} priceFeed=${b.priceFeed}`
+    );
+  }
+
+  const { branches: resolved, addedCount } = mergeBranches(fork, branches, loanCfg, spCfg);
+  if (dryRun) {
+    console.log(`[onboard] dry run: ${addedCount} new loan branch(es), nothing written`);
+    return;
+  }
+
+  // DB first: if it fails, the configs are untouched and a rerun starts over cleanly
+  await registerContracts(getDb(), fork, resolved);
+  writeJson(LOAN_CONFIG_PATH, loanCfg);
+  writeJson(SP_CONFIG_PATH, spCfg);
+  console.log(`[onboard] ${fork.key}: ${addedCount} new loan branch(es) added, ${resolved.length} reconciled`);
+}
+
+async function main() {
+  const args = parseArgs(process.argv);
+  const forksCfg = readJson(FORKS_CONFIG_PATH, { forks: [] });
+  const forks = Array.isArray(forksCfg.forks) ? forksCfg.forks : [];
+
+  if (args.all) {
+    if (!forks.length) throw new Error(`No forks recorded in ${FORKS_CONFIG_PATH}`);
+    for (const fork of forks) {
+      await onboardFork(forkPlan(fork, args.startBlock), args);
+    }
+    return;
+  }
+
+  if (!args.chain || !args.registry || !args.prefix) {
+    throw new Error("Provide --chain=<CHAIN> --registry=<address> --prefix=<name> (or --all)");
+  }
+  if (!/^[a-z0-9]+$/.test(args.prefix)) throw new Error("--prefix must be alphanumeric");
+  if (!ethers.isAddress(args.registry)) throw new Error(`Invalid --registry address: ${args.registry}`);
+
+  const registry = ethers.getAddress(args.registry);
+  let fork = forks.find((f) => f.key === args.prefix);
+  if (fork && (fork.chain !== args.chain || ethers.getAddress(fork.registry) !== registry)) {
+    throw new Error(`Fork ${args.prefix} is already recorded with ${fork.chain} ${fork.registry}`);
+  }
+  if (!fork) {
+    if (args.startBlock == null) throw new Error("--start-block is required when onboarding a new fork");
+    fork = { key: args.prefix, chain: args.chain, registry, default_start_block: args.startBlock };
+    forks.push(fork);
+  }
+
+  await onboardFork(forkPlan(fork, args.startBlock), args);
+  if (!args.dryRun) writeJson(FORKS_CONFIG_PATH, { ...forksCfg, forks });
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("[onboardLiquityV2Fork] Failed:", err?.message || err);
+    process.exit(1);
+  });
+}
@@ -3,6 +3,7 @@ require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true
 
 const { ethers } = require('ethers');
 const { getDb } = require('../db');
+const { getPooledProvider } = require('../utils/ethers/providers');
 
 function requireEnv(name) {
   const v = process.env[name];
@@ -25,12 +26,12 @@ function parseArgs(argv) {
 }
 function sleep(ms) { return new Promise((r) => setTimeout(r, ms)); }
 
-const XDC_RPC_URL = requireEnv('XDC_MAINNET_SCAN');
+const XDC_RPC_ENV_KEY = 'XDC_MAINNET_SCAN';
 const DEFAULT_PAUSE_MS = requireIntEnv('XDC_MAINNET_SCAN_PAUSE_MS');
 
 async function main() {
   const args = parseArgs(process.argv);
-  const provider = new ethers.JsonRpcProvider(XDC_RPC_URL);
+  const provider = getPooledProvider(XDC_RPC_ENV_KEY);
   const db = getDb();
   const pauseMs = Number.isInteger(args.pauseMs) && args.pauseMs >= 0 ? args.pauseMs : DEFAULT_PAUSE_MS;
   const limitClause = Number.isInteger(args.limit) && args.limit > 0 ? `LIMIT ${args.limit}` : '';
@@ -51,7 +52,7 @@ async function main() {
   `).all(...params);
 
   console.log('Repair PrimeFi event timestamps');
-  console.log(`RPC:        ${XDC_RPC_URL}`);
+  console.log(`RPC:        ${XDC_RPC_ENV_KEY}`);
   console.log(`Chain:      ${args.chain}`);
   console.log(`Market:     ${args.marketKey || 'ALL'}`);
   console.log(`Rows:       ${rows.length}`);
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+// dev/testMulticall.js
+// Mock-provider harness for utils/ethers/multicall.js. No RPC, no .env needed.
+//
+// Usage:
+//   node dev/testMulticall.js
+//
+// Covers: batching + MULTICALL_BATCH_SIZE chunking, per-call reverts, chains without
+// Multicall3, aggregate3 failures, calls with overrides, provider passthrough.
+"use strict";
+
+process.env.DEBUG = process.env.DEBUG || "0";
+process.env.MULTICALL_BATCH_SIZE = "3";
+process.env.MULTICALL_CONCURRENCY = "2";
+
+const assert = require("assert");
+const { ethers } = require("ethers");
+
+const multicall3Abi = require("../abi/multicall3.json");
+const { MULTICALL3_ADDRESS, getBatchedProvider, forEachConcurrent } = require("../utils/ethers/multicall");
+
+const TARGET = "0x00000000000000000000000000000000000000a1";
+const targetAbi = [
+  "function double(uint256 n) view returns (uint256)",
+  "function boom() view returns (uint256)",
+];
+const TARGET_IFACE = new ethers.Interface(targetAbi);
+const MULTICALL3_IFACE = new ethers.Interface(multicall3Abi);
+// Error(string) revert payload
+const BOOM_REVERT = "0x08c379a0" + ethers.AbiCoder.defaultAbiCoder().encode(["string"], ["boom"]).slice(2);
+
+/**
+ * Minimal provider: answers double(n) / boom() at TARGET, aggregate3 at
+ * MULTICALL3_ADDRESS (unless hasMulticall = false), and counts what it was sent.
+ */
+function createMockProvider({ hasMulticall = true, aggregateFails = false } = {}) {
+  const stats = { direct: 0, aggregate: 0, aggregateSizes: [], overrides: 0 };
+
+  function execute(to, data) {
+    if (String(to).toLowerCase() !== TARGET) return { success: true, returnData: "0x" };
+    const parsed = TARGET_IFACE.parseTransaction({ data });
+    if (parsed.name === "double") {
+      return {
+        success: true,
+        returnData: TARGET_IFACE.encodeFunctionResult("double", [parsed.args[0] * 2n]),
+      };
+    }
+    return { success: false, returnData: BOOM_REVERT };
+  }
+
+  const provider = {
+    stats,
+    async getCode(addr) {
+      return hasMulticall && addr === MULTICALL3_ADDRESS ? "0x6080" : "0x";
+    },
+    async getBlockNumber() {
+      return 1234;
+    },
+    async call(tx) {
+      if (tx.to === MULTICALL3_ADDRESS) {
+        stats.aggregate += 1;
+        if (aggregateFails) throw new Error("mock aggregate3 failure");
+        const [calls] = MULTICALL3_IFACE.decodeFunctionData("aggregate3", tx.data);
+        stats.aggregateSizes.push(calls.length);
+        const results = calls.map((c) => execute(c.target, c.callData));
+        return MULTICALL3_IFACE.encodeFunctionResult("aggregate3", [results]);
+      }
+      stats.direct += 1;
+      if (tx.blockTag != null) stats.overrides += 1;
+      const r = execute(tx.to, tx.data);
+      if (!r.success) {
+        throw ethers.makeError("execution reverted", "CALL_EXCEPTION", {
+          action: "call",
+          data: r.returnData,
+          reason: null,
+          transaction: { to: tx.to, data: tx.data },
+          invocation: null,
+          revert: null,
+        });
+      }
+      return r.returnData;
+    },
+  };
+  return provider;
+}
+
+async function doubles(provider, ns) {
+  const c = new ethers.Contract(TARGET, targetAbi, getBatchedProvider(provider));
+  return (await Promise.all(ns.map((n) => c.double(n)))).map(Number);
+}
+
+const tests = [
+  [
+    "concurrent calls share aggregate3 batches of MULTICALL_BATCH_SIZE",
+    async () => {
+      const p = createMockProvider();
+      assert.deepStrictEqual(await doubles(p, [1, 2, 3, 4, 5]), [2, 4, 6, 8, 10]);
+      assert.strictEqual(p.stats.direct, 0);
+      assert.deepStrictEqual(p.stats.aggregateSizes, [3, 2]);
+    },
+  ],
+  [
+    "a reverting call rejects alone with its decoded reason",
+    async () => {
+      const p = createMockProvider();
+      const c = new ethers.Contract(TARGET, targetAbi, getBatchedProvider(p));
+      const [a, b, d] = await Promise.allSettled([c.double(7), c.boom(), c.double(8)]);
+      assert.strictEqual(Number(a.value), 14);
+      assert.strictEqual(Number(d.value), 16);
+      assert.strictEqual(b.status, "rejected");
+      assert.strictEqual(b.reason.code, "CALL_EXCEPTION");
+      assert.strictEqual(b.reason.reason, "boom");
+      assert.strictEqual(p.stats.aggregate, 1);
+    },
+  ],
+  [
+    "chain without Multicall3 falls back to plain eth_calls",
+    async () => {
+      const p = createMockProvider({ hasMulticall: false });
+      assert.deepStrictEqual(await doubles(p, [1, 2, 3, 4]), [2, 4, 6, 8]);
+      assert.strictEqual(p.stats.aggregate, 0);
+      assert.strictEqual(p.stats.direct, 4);
+    },
+  ],
+  [
+    "failed aggregate3 retries the batch as plain eth_calls",
+    async () => {
+      const p = createMockProvider({ aggregateFails: true });
+      assert.deepStrictEqual(await doubles(p, [1, 2, 3]), [2, 4, 6]);
+      assert.strictEqual(p.stats.aggregate, 1);
+      assert.strictEqual(p.stats.direct, 3);
+    },
+  ],
+  [
+    "calls with overrides bypass the batch",
+    async () => {
+      const p = createMockProvider();
+      const c = new ethers.Contract(TARGET, targetAbi, getBatchedProvider(p));
+      const [x, y] = await Promise.all([c.double(1, { blockTag: 99 }), c.double(2, { blockTag: 99 })]);
+      assert.deepStrictEqual([Number(x), Number(y)], [2, 4]);
+      assert.strictEqual(p.stats.aggregate, 0);
+      assert.strictEqual(p.stats.overrides, 2);
+    },
+  ],
+  [
+    "other provider methods pass through; one wrapper per provider",
+    async () => {
+      const p = createMockProvider();
+      assert.strictEqual(await getBatchedProvider(p).getBlockNumber(), 1234);
+      assert.strictEqual(getBatchedProvider(p), getBatchedProvider(p));
+    },
+  ],
+  [
+    "forEachConcurrent batches reads across items",
+    async () => {
+      const p = createMockProvider();
+      const c = new ethers.Contract(TARGET, targetAbi, getBatchedProvider(p));
+      const out = [];
+      await forEachConcurrent([1, 2, 3, 4], async (n) => {
+        const [a, b] = await Promise.all([c.double(n), c.double(n + 10)]);
+        out.push(Number(a) + Number(b));
+      });
+      assert.deepStrictEqual(out, [24, 28, 32, 36]);
+      // 2 items x 2 calls per chunk -> 4 calls -> batches of 3 + 1 (single calls go direct)
+      assert.deepStrictEqual(p.stats.aggregateSizes, [3, 3]);
+      assert.strictEqual(p.stats.direct, 2);
+    },
+  ],
+];
+
+async function main() {
+  let failed = 0;
+  for (const [name, fn] of tests) {
+    try {
+      await fn();
+      console.log(`ok   - ${name}`);
+    } catch (err) {
+      failed += 1;
+      console.log(`FAIL - ${name}\n       ${err?.stack || err}`);
+    }
+  }
+  console.log(`\n${tests.length - failed}/${tests.length} passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -8,12 +8,9 @@ require("dotenv").config({
 });
 
 const { ethers } = require("ethers");
+const { getPooledProvider, firstRpcEnvKey } = require("../utils/ethers/providers");
 
-const XDC_RPC_URL =
-  process.env.XDC_MAINNET_SCAN ||
-  process.env.XDC_MAINNET ||
-  process.env.RPC_URL ||
-  "";
+const XDC_RPC_ENV_KEY = firstRpcEnvKey(["XDC_MAINNET_SCAN", "XDC_MAINNET", "RPC_URL"]);
 
 const DEFAULTS = {
   lendingPool: "0x8a619D8E3BfAb54F7C30Ef39Ce16c53429c739C3",
@@ -88,7 +85,7 @@ async function loadTokenMeta(address, provider) {
 }
 
 async function main() {
-  if (!XDC_RPC_URL) {
+  if (!XDC_RPC_ENV_KEY) {
     throw new Error("Missing XDC RPC URL. Set XDC_MAINNET_SCAN or XDC_MAINNET.");
   }
   if (!wallet) {
@@ -96,7 +93,7 @@ async function main() {
   }
 
   const user = ethers.getAddress(wallet);
-  const provider = new ethers.JsonRpcProvider(XDC_RPC_URL);
+  const provider = getPooledProvider(XDC_RPC_ENV_KEY);
 
   const lendingPool = new ethers.Contract(DEFAULTS.lendingPool, lendingPoolAbi, provider);
   const dataProvider = new ethers.Contract(DEFAULTS.dataProvider, dataProviderAbi, provider);
@@ -147,7 +144,7 @@ async function main() {
   );
 
   console.log("PrimeFi XDC loan probe");
-  console.log(`RPC:                 ${XDC_RPC_URL}`);
+  console.log(`RPC:                 ${XDC_RPC_ENV_KEY}`);
   console.log(`User:                ${user}`);
   console.log(`lendingPool:         ${DEFAULTS.lendingPool}`);
   console.log(`dataProvider:        ${DEFAULTS.dataProvider}`);
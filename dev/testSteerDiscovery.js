@@ -7,18 +7,14 @@ require("dotenv").config({
 });
 
 const { ethers } = require("ethers");
+const { getPooledProvider, firstRpcEnvKey } = require("../utils/ethers/providers");
 
 const DEFAULT_PERIPHERY = "0x7Daa68204232a78dBF1Dd853a4018330EE934A39";
 const DEFAULT_VAULT = "0x9f627706a6EFD7BC65707FFE601c68e64a802504";
 const DEFAULT_SCAN_BLOCKS = 300000;
 const DEFAULT_PAUSE_MS = 250;
 
-const RPC_URL =
-  process.env.FLR_MAINNET_SCAN ||
-  process.env.FLR_MAINNET ||
-  process.env.FLR_RPC_URL ||
-  process.env.RPC_URL ||
-  "";
+const RPC_ENV_KEY = firstRpcEnvKey(["FLR_MAINNET_SCAN", "FLR_MAINNET", "FLR_RPC_URL", "RPC_URL"]);
 const PERIPHERY =
   process.argv[2] || process.env.STEER_PERIPHERY_FLR || process.env.STEER_PERIPHERY || DEFAULT_PERIPHERY;
 const KNOWN_VAULT = process.argv[3] || process.env.STEER_VAULT || DEFAULT_VAULT;
@@ -392,15 +388,15 @@ async function dumpAddressLikeSlots(provider, proxyAddr, knownVault, maxSlots =
 }
 
 async function main() {
-  if (!RPC_URL) {
+  if (!RPC_ENV_KEY) {
     throw new Error("Missing RPC URL. Set FLR_MAINNET_SCAN (or FLR_MAINNET).");
   }
 
-  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const provider = getPooledProvider(RPC_ENV_KEY);
   const chain = await provider.getNetwork();
 
   console.log("Steer discovery probe");
-  console.log(`RPC:        ${RPC_URL}`);
+  console.log(`RPC:        ${RPC_ENV_KEY}`);
   console.log(`ChainId:    ${chain.chainId}`);
   console.log(`Periphery:  ${PERIPHERY}`);
   console.log(`Known vault:${KNOWN_VAULT}`);
@@ -7,6 +7,7 @@ require("dotenv").config({
 });
 
 const { ethers } = require("ethers");
+const { getPooledProvider, firstRpcEnvKey } = require("../utils/ethers/providers");
 
 const DEFAULT_USER = "0x15F53EFCD406EC4a57b1fda89136Fc3b1abFf33E";
 const DEFAULT_VAULT = "0x9f627706a6EFD7BC65707FFE601c68e64a802504";
@@ -14,11 +15,7 @@ const DEFAULT_VAULT = "0x9f627706a6EFD7BC65707FFE601c68e64a802504";
 const PERIPHERY = process.argv[2] || process.env.STEER_PERIPHERY || "";
 const VAULT = process.argv[3] || process.env.STEER_VAULT || DEFAULT_VAULT;
 const USER = process.argv[4] || process.env.STEER_USER || DEFAULT_USER;
-const RPC_URL =
-  process.env.FLR_MAINNET_SCAN ||
-  process.env.FLR_RPC_URL ||
-  process.env.RPC_URL ||
-  "";
+const RPC_ENV_KEY = firstRpcEnvKey(["FLR_MAINNET_SCAN", "FLR_RPC_URL", "RPC_URL"]);
 
 const peripheryAbi = [
   "function algebraVaultDetailsByAddress(address vault) view returns ((string vaultType,address token0,address token1,string name,string symbol,uint256 decimals,string token0Name,string token1Name,string token0Symbol,string token1Symbol,uint256 token0Decimals,uint256 token1Decimals,uint256 totalLPTokensIssued,uint256 token0Balance,uint256 token1Balance,address vaultCreator) details)",
@@ -50,19 +47,19 @@ function asNum(s) {
 }
 
 async function main() {
-  if (!RPC_URL) {
+  if (!RPC_ENV_KEY) {
     throw new Error("Missing RPC URL. Set FLR_MAINNET_SCAN or FLR_RPC_URL or RPC_URL.");
   }
   if (!PERIPHERY) {
     throw new Error("Missing SteerPeriphery address. Pass as arg1 or set STEER_PERIPHERY.");
   }
 
-  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const provider = getPooledProvider(RPC_ENV_KEY);
   const periphery = new ethers.Contract(PERIPHERY, peripheryAbi, provider);
   const vaultToken = new ethers.Contract(VAULT, erc20Abi, provider);
 
   console.log("Steer Periphery probe");
-  console.log(`RPC:        ${RPC_URL}`);
+  console.log(`RPC:        ${RPC_ENV_KEY}`);
   console.log(`Periphery:  ${PERIPHERY}`);
   console.log(`Vault:      ${VAULT}`);
   console.log(`User:       ${USER}`);
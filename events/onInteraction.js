@@ -41,10 +41,19 @@ async function ackUnhandledUiInteraction(interaction) {
 
 async function onInteraction(interaction) {
   try {
-    // ---- Focused logger for mw:* / ist:* UI interactions ----
+    // ---- Focused logger for mw:* / ist:* / mas:* / pa:* / mal:* / mn:* / aa:* / iro:* UI interactions ----
     if (isUiInteraction(interaction) && typeof interaction.customId === "string") {
       const cid = interaction.customId;
-      if (cid.startsWith("mw:") || cid.startsWith("ist:")) {
+      if (
+        cid.startsWith("mw:") ||
+        cid.startsWith("ist:") ||
+        cid.startsWith("mas:") ||
+        cid.startsWith("pa:") ||
+        cid.startsWith("mal:") ||
+        cid.startsWith("mn:") ||
+        cid.startsWith("aa:") ||
+        cid.startsWith("iro:")
+      ) {
         logger.debug(`[ui] customId=${cid} user=${interaction.user?.id}`);
       }
     }
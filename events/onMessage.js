@@ -12,6 +12,198 @@ const {
   buildBoardMessage,
   SP_APR_REACTION_EMOJI,
 } = require("../jobs/stabilityAprJob");
+const {
+  addAlertRoute,
+  getAlertRoute,
+  listAlertRoutes,
+  listWalletTrackers,
+  removeAlertRoute,
+  requestRouteOptIn,
+  setRouteOptIn,
+} = require("../monitoring/alertRoutes");
+const { buildRouteOptInMessage } = require("../handlers/ui/alert-route-optin-ui");
+const { shortenAddress } = require("../utils/ethers/shortenAddress");
+
+const ROUTE_USAGE = "Usage: `!!addroute #channel <@user | 0xWallet [CHAIN]> [@role]`";
+
+function formatRouteLine(r) {
+  const scope =
+    r.scope_type === "USER"
+      ? `user <@${r.discord_id}>${r.discord_name ? ` (${r.discord_name})` : ""}`
+      : `wallet \`${shortenAddress(r.wallet_address)}\`${r.chain_id ? ` (${r.chain_id})` : ""}`;
+  const ping = r.mention_role_id ? ` · CRITICAL ping <@&${r.mention_role_id}>` : "";
+  const paused = Number(r.is_enabled) === 1 ? "" : ` · ⏸ paused${r.disabled_reason ? `: ${r.disabled_reason}` : ""}`;
+  return `• #${r.id} → <#${r.channel_id}> · ${scope}${ping}${formatOptIns(r)}${paused}`;
+}
+
+function formatOptIns(r) {
+  if (r.scope_type === "WALLET") return ` · ${r.allowed_count} opted in`;
+  if (r.allowed_count > 0) return "";
+  return r.pending_count > 0 ? " · ⏳ awaiting opt-in" : " · 🚫 declined";
+}
+
+/**
+ * Opt-ins for a new / re-added route. The issuing admin is ALLOWED at once; every other
+ * user (guild members only) is asked by DM, unless they already answered.
+ * Returns { asked, dmFailed, declined }.
+ */
+async function requestOptIns(message, routeId, targets, channelName) {
+  const route = getAlertRoute(routeId);
+  const requestedBy = message.member?.displayName || message.author.globalName || message.author.username;
+  const out = { asked: 0, dmFailed: 0, declined: 0 };
+
+  for (const t of targets) {
+    if (t.discord_id === message.author.id) {
+      setRouteOptIn(routeId, t.user_id, "ALLOWED");
+      continue;
+    }
+    const member = await message.guild.members.fetch(t.discord_id).catch(() => null);
+    if (!member) continue;
+
+    const status = requestRouteOptIn(routeId, t.user_id);
+    if (status === "DECLINED") out.declined += 1;
+    if (status !== "PENDING") continue;
+
+    try {
+      const user = await message.client.users.fetch(t.discord_id);
+      await user.send(
+        buildRouteOptInMessage({
+          userKey: t.discord_id,
+          route,
+          status,
+          guildName: message.guild.name,
+          channelName,
+          requestedBy,
+        })
+      );
+      out.asked += 1;
+    } catch (err) {
+      out.dmFailed += 1;
+      logger.warn(`[routes] Could not DM opt-in request for route=${routeId} to ${t.discord_id}: ${err?.message || err}`);
+    }
+  }
+  return out;
+}
+
+async function handleRouteCommand(message, cmd, args) {
+  const db = getDb();
+  const guildId = message.guild.id;
+  const quiet = { allowedMentions: { parse: [] } };
+
+  if (cmd === "listroutes") {
+    const rows = listAlertRoutes(guildId);
+    if (!rows.length) {
+      await message.reply("No alert routes in this server.");
+      return;
+    }
+    await message.reply({ content: ["**Alert routes**", ...rows.map(formatRouteLine)].join("\n"), ...quiet });
+    return;
+  }
+
+  if (cmd === "delroute") {
+    const id = Number(args[0]);
+    if (!Number.isInteger(id) || id <= 0) {
+      await message.reply("Usage: `!!delroute <id>` (see `!!listroutes`).");
+      return;
+    }
+    const removed = removeAlertRoute(guildId, id);
+    await message.reply(removed ? `Alert route #${id} removed.` : `No alert route #${id} in this server.`);
+    return;
+  }
+
+  // !!addroute
+  let channelId = null;
+  let discordUserId = null;
+  let roleId = null;
+  let walletAddress = null;
+  let chainId = null;
+  for (const arg of args) {
+    let m;
+    if ((m = arg.match(/^<#(\d+)>$/))) channelId = m[1];
+    else if ((m = arg.match(/^<@&(\d+)>$/))) roleId = m[1];
+    else if ((m = arg.match(/^<@!?(\d+)>$/))) discordUserId = m[1];
+    else if (/^0x[0-9a-fA-F]{40}$/.test(arg)) walletAddress = arg.toLowerCase();
+    else if (/^[A-Za-z]{2,10}$/.test(arg)) chainId = arg.toUpperCase();
+    else {
+      await message.reply(`Unrecognized argument \`${arg}\`. ${ROUTE_USAGE}`);
+      return;
+    }
+  }
+  if (!channelId || Boolean(discordUserId) === Boolean(walletAddress) || (chainId && !walletAddress)) {
+    await message.reply(ROUTE_USAGE);
+    return;
+  }
+
+  const channel = await message.guild.channels.fetch(channelId).catch(() => null);
+  if (!channel || !channel.isTextBased()) {
+    await message.reply("Channel not found in this server or not text-based.");
+    return;
+  }
+  const me = await message.guild.members.fetchMe().catch(() => null);
+  const perms = me ? channel.permissionsFor(me) : null;
+  const needed = [
+    PermissionsBitField.Flags.ViewChannel,
+    PermissionsBitField.Flags.SendMessages,
+    PermissionsBitField.Flags.EmbedLinks,
+  ];
+  if (!perms || !perms.has(needed)) {
+    await message.reply(`I need View Channel, Send Messages and Embed Links in <#${channelId}>.`);
+    return;
+  }
+
+  // Routes expose labels, addresses and positions: a USER route needs a guild member who opts in,
+  // a WALLET route a wallet the issuing admin tracks themself (other trackers must opt in too)
+  let userId = null;
+  let optInTargets;
+  if (discordUserId) {
+    const member = await message.guild.members.fetch(discordUserId).catch(() => null);
+    if (!member) {
+      await message.reply({ content: `<@${discordUserId}> is not a member of this server.`, ...quiet });
+      return;
+    }
+    const user = db.prepare(`SELECT id FROM users WHERE discord_id = ? LIMIT 1`).get(discordUserId);
+    if (!user) {
+      await message.reply({ content: `<@${discordUserId}> is not a Sentinel user yet.`, ...quiet });
+      return;
+    }
+    userId = user.id;
+    optInTargets = [{ user_id: user.id, discord_id: discordUserId }];
+  } else {
+    optInTargets = listWalletTrackers(walletAddress, chainId);
+    if (!optInTargets.some((t) => t.discord_id === message.author.id)) {
+      await message.reply(
+        `You can only route a wallet you track yourself: add ${shortenAddress(walletAddress)}` +
+          `${chainId ? ` on ${chainId}` : ""} in \`/my-wallets\` first.`
+      );
+      return;
+    }
+  }
+
+  const { id, created } = addAlertRoute({
+    guildId,
+    channelId,
+    scopeType: userId ? "USER" : "WALLET",
+    userId,
+    walletAddress,
+    chainId,
+    mentionRoleId: roleId,
+    createdBy: message.author.id,
+  });
+
+  const optIns = await requestOptIns(message, id, optInTargets, channel.name);
+
+  const scopeText = userId ? `<@${discordUserId}>` : `\`${shortenAddress(walletAddress)}\`${chainId ? ` (${chainId})` : ""}`;
+  const pingText = roleId ? `, pinging <@&${roleId}> on CRITICAL` : "";
+  const lines = [`Alert route #${id} ${created ? "added" : "updated"}: ${scopeText} → <#${channelId}>${pingText}.`];
+  if (userId && discordUserId !== message.author.id) {
+    if (optIns.declined) lines.push(`<@${discordUserId}> has declined this route; nothing is posted.`);
+    else if (optIns.dmFailed) lines.push(`Could not DM <@${discordUserId}> for their opt-in; nothing is posted until they allow it.`);
+    else lines.push(`Nothing is posted until <@${discordUserId}> allows it (asked by DM).`);
+  } else if (!userId) {
+    lines.push("Your own alerts for this wallet are posted; other users tracking it are only posted once they opt in.");
+  }
+  await message.reply({ content: lines.join("\n"), ...quiet });
+}
 
 async function onMessage(message) {
   if (!message || message.author?.bot) return;
@@ -20,7 +212,7 @@ async function onMessage(message) {
   const content = (message.content || "").trim();
   if (!content.startsWith("!!")) return;
 
-  const [rawCmd] = content.slice(2).split(/\s+/);
+  const [rawCmd, ...args] = content.slice(2).split(/\s+/);
   const cmd = (rawCmd || "").toLowerCase();
   if (!cmd) return;
 
@@ -40,6 +232,8 @@ async function onMessage(message) {
       "• `/my-lp` — show monitored LP positions",
       "• `/ignore-spam-tx` — manage ignored positions",
       "• `/redemption-rate` — target IR by redemption tier",
+      "• `/loan-simulate` — what-if ICR / liquidation / redemption tiers for a trove",
+      "• `/loan-history` — indexed timeline of a trove (adjustments, IR changes, redemptions, liquidation)",
       "",
       "Info commands:",
       "• `/entities` — system entities",
@@ -50,11 +244,19 @@ async function onMessage(message) {
       "• `!!editfirelight` — refresh the Firelight signal message",
       "• `!!postspapr` — post the Stability APR board message",
       "• `!!editspapr` — refresh the Stability APR board message",
+      "• `!!addroute #channel <@user | 0xWallet [CHAIN]> [@role]` — post alerts to a channel",
+      "• `!!listroutes` — list alert routes in this server",
+      "• `!!delroute <id>` — remove an alert route",
     ];
     await message.reply(lines.join("\n"));
     return;
   }
 
+  if (cmd === "addroute" || cmd === "listroutes" || cmd === "delroute") {
+    await handleRouteCommand(message, cmd, args);
+    return;
+  }
+
   const isFirelightCmd = cmd === "postfirelight" || cmd === "editfirelight";
   const isSpAprCmd = cmd === "postspapr" || cmd === "editspapr";
   if (!isFirelightCmd && !isSpAprCmd) return;
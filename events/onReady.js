@@ -7,6 +7,9 @@ const { loadCommands } = require("../handlers/commands/loadCommands");
 const { deployGuildCommands } = require("../handlers/commands/deployGuildCommands");
 const { startMonitoringJob } = require("../jobs/monitoringJob");
 const { startHeartbeatJob } = require("../jobs/heartbeatJob");
+const { startAlertDigestJob } = require("../jobs/alertDigestJob");
+const { startSnapshotHistoryJob } = require("../jobs/snapshotHistoryJob");
+const { startSpamClassifierJob } = require("../jobs/spamClassifierJob");
 const { startFirelightJob } = require("../jobs/firelightJob");
 const { startStabilityAprJob } = require("../jobs/stabilityAprJob");
 const { setAlertEngineClient } = require("../monitoring/alertEngine");
@@ -27,6 +30,9 @@ async function onReady(client) {
   // Start background jobs
   startMonitoringJob();
   startHeartbeatJob(client);
+  startAlertDigestJob(client);
+  startSnapshotHistoryJob();
+  startSpamClassifierJob();
   startFirelightJob(client);
   startStabilityAprJob(client);
 }
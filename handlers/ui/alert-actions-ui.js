@@ -0,0 +1,225 @@
+// handlers/ui/alert-actions-ui.js
+//
+// Buttons attached to alert DMs (built here, attached by monitoring/alertEngine.js):
+//   Acknowledge      -> hold UPDATED DMs until the tier escalates or the alert resolves
+//   Snooze 1h/6h/24h -> hold UPDATED DMs until the snooze ends or the tier escalates
+//   Mute             -> no alerts for this position + alert type until unmuted
+//                       (CRITICAL liquidation still comes through)
+//
+// customId: aa:<action>:<userKey>:<stateRef>:<tier>[:<hours>]
+//   stateRef = alert_state id, "pf<id>" for primefi_withdraw_alert_state (PRIMEFI_LIQUIDATION)
+//              or "sp<id>" for sp_alert_state (SP_*)
+//   tier = tier shown in the DM ("-" when the alert type has none)
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require("discord.js");
+
+const logger = require("../../utils/logger");
+const { getDb, getOrCreateUserId } = require("../../db");
+const { prepareQueries } = require("../../db/queries");
+const { ephemeralFlags } = require("../../utils/discord/ephemerals");
+const { isQuietHoursBreakthrough } = require("../../monitoring/alertDigest");
+
+const SNOOZE_HOURS = [1, 6, 24];
+
+// ===================== UI LOCK START =====================
+const AA_LOCK_TTL_MS = 2500;
+const aaLocks = new Map(); // actorId -> { until:number, seq:number }
+
+function nowMs() {
+  return Date.now();
+}
+
+function acquireLock(actorId) {
+  const t = nowMs();
+  const cur = aaLocks.get(actorId);
+  if (cur && cur.until > t) return null;
+
+  const next = { until: t + AA_LOCK_TTL_MS, seq: (cur?.seq || 0) + 1 };
+  aaLocks.set(actorId, next);
+  return next.seq;
+}
+
+function releaseLock(actorId, seq) {
+  const cur = aaLocks.get(actorId);
+  if (!cur) return;
+  if (cur.seq !== seq) return;
+  aaLocks.delete(actorId);
+}
+// ====================== UI LOCK END ======================
+
+async function ackUpdate(i) {
+  if (i.deferred || i.replied) return;
+  try {
+    await i.deferUpdate();
+  } catch (_) {}
+}
+
+async function replyOnce(i, content, flags) {
+  try {
+    if (i.deferred || i.replied) {
+      await i.followUp({ content, flags });
+    } else {
+      await i.reply({ content, flags });
+    }
+  } catch (_) {}
+}
+
+// SQLite datetime('now') text (UTC) -> unix seconds
+function sqliteUtcToUnix(s) {
+  const ms = Date.parse(`${String(s).replace(" ", "T")}Z`);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+// State table statements per stateRef prefix (same columns on every table)
+function stateQueries(q, prefix) {
+  if (prefix === "pf") {
+    return {
+      sel: q.selPrimefiAlertStateByIdForUser,
+      ack: q.setPrimefiAlertStateAckForUser,
+      snooze: q.setPrimefiAlertStateSnoozeForUser,
+      mute: q.setPrimefiAlertStateMutedForUser,
+    };
+  }
+  if (prefix === "sp") {
+    return {
+      sel: q.selSpAlertStateByIdForUser,
+      ack: q.setSpAlertStateAckForUser,
+      snooze: q.setSpAlertStateSnoozeForUser,
+      mute: q.setSpAlertStateMutedForUser,
+    };
+  }
+  return {
+    sel: q.selAlertStateByIdForUser,
+    ack: q.setAlertStateAckForUser,
+    snooze: q.setAlertStateSnoozeForUser,
+    mute: q.setAlertStateMutedForUser,
+  };
+}
+
+/**
+ * Button row for one alert DM.
+ * state: alert_state row ({ muted_at }) or null for a fresh alert.
+ */
+function buildAlertActionRow({ userKey, stateId, tier, state = null }) {
+  const t = tier ? String(tier).toUpperCase() : "-";
+  const base = `${userKey}:${stateId}:${t}`;
+  const muted = Boolean(state?.muted_at);
+
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`aa:ack:${base}`).setLabel("Acknowledge").setStyle(ButtonStyle.Success),
+    ...SNOOZE_HOURS.map((h) =>
+      new ButtonBuilder()
+        .setCustomId(`aa:snooze:${base}:${h}`)
+        .setLabel(`Snooze ${h}h`)
+        .setStyle(ButtonStyle.Secondary)
+    ),
+    muted
+      ? new ButtonBuilder().setCustomId(`aa:unmute:${base}`).setLabel("Unmute").setStyle(ButtonStyle.Primary)
+      : new ButtonBuilder().setCustomId(`aa:mute:${base}`).setLabel("Mute this position").setStyle(ButtonStyle.Danger)
+  );
+}
+
+async function handleAlertActionsInteraction(interaction) {
+  const isAa = typeof interaction.customId === "string" && interaction.customId.startsWith("aa:");
+  if (!interaction.isButton?.() || !isAa) return false;
+
+  const actorId = interaction.user?.id;
+  if (!actorId) return false;
+
+  const ephFlags = ephemeralFlags();
+
+  const parts = interaction.customId.split(":");
+  const ns = parts[0];
+  const action = parts[1];
+  if (ns !== "aa") return false;
+
+  const userKey = parts[2];
+  if (!userKey || userKey !== actorId) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const seq = acquireLock(actorId);
+  if (!seq) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const db = getDb();
+  const q = prepareQueries(db);
+
+  try {
+    const discordName = interaction.user.globalName || interaction.user.username || null;
+    const userId = getOrCreateUserId(db, { discordId: actorId, discordName });
+
+    const stateRef = String(parts[3] || "");
+    const refMatch = /^(pf|sp)?(\d+)$/.exec(stateRef);
+    const stateId = refMatch ? Number(refMatch[2]) : null;
+    const sq = stateQueries(q, refMatch?.[1] || "");
+    const tier = parts[4] && parts[4] !== "-" ? parts[4] : null;
+    const state = userId && Number.isInteger(stateId) ? sq.sel.get(stateId, userId) : null;
+    if (!state) {
+      await ackUpdate(interaction);
+      await replyOnce(interaction, "❌ This alert no longer exists.", ephFlags);
+      return true;
+    }
+
+    let status = null;
+
+    if (action === "ack" || action === "snooze") {
+      if (Number(state.is_active) !== 1) {
+        await ackUpdate(interaction);
+        await replyOnce(interaction, "ℹ️ This alert has already resolved.", ephFlags);
+        return true;
+      }
+
+      if (action === "ack") {
+        sq.ack.run({ id: stateId, userId, tier });
+        status = tier
+          ? `✅ Acknowledged — further updates are held unless the tier rises above **${tier}** or the alert resolves.`
+          : "✅ Acknowledged — further updates are held until the alert resolves.";
+      } else {
+        const hours = Number(parts[5]);
+        if (!SNOOZE_HOURS.includes(hours)) {
+          await ackUpdate(interaction);
+          return true;
+        }
+        const row = sq.snooze.get({ id: stateId, userId, tier, hours });
+        const until = sqliteUtcToUnix(row?.snooze_until);
+        status = `💤 Snoozed until ${until ? `<t:${until}:f>` : `${hours}h from now`}${
+          tier ? ` (a tier above **${tier}** still comes through)` : ""
+        }.`;
+      }
+    } else if (action === "mute" || action === "unmute") {
+      const muted = action === "mute";
+      sq.mute.run({ id: stateId, userId, muted: muted ? 1 : 0 });
+      status = muted
+        ? `🔕 Muted — no more ${state.alert_type} alerts for this position${
+            isQuietHoursBreakthrough({ alertType: state.alert_type, meta: { newTier: "CRITICAL" } })
+              ? " (CRITICAL still comes through)"
+              : ""
+          }.`
+        : "🔔 Unmuted — alerts for this position are back on.";
+    } else {
+      await ackUpdate(interaction);
+      return true;
+    }
+
+    const fresh = sq.sel.get(stateId, userId);
+    await interaction
+      .update({
+        content: status,
+        components: [buildAlertActionRow({ userKey: actorId, stateId: stateRef, tier, state: fresh })],
+      })
+      .catch(() => {});
+    return true;
+  } catch (err) {
+    logger.error("[alert-actions-ui] router error:", err);
+    await ackUpdate(interaction);
+    await replyOnce(interaction, `❌ Error: ${err.message}`, ephFlags);
+    return true;
+  } finally {
+    releaseLock(actorId, seq);
+  }
+}
+
+module.exports = { handleAlertActionsInteraction, buildAlertActionRow };
@@ -0,0 +1,173 @@
+// handlers/ui/alert-route-optin-ui.js
+//
+// Opt-in DMs for guild alert routes (!!addroute, monitoring/alertRoutes.js):
+//   Allow    -> this user's alerts in the route's scope are posted to the guild channel
+//   Decline  -> nothing of theirs is posted (also used to revoke an earlier Allow)
+// The DM keeps the opposite button so the answer can be changed later.
+//
+// customId: ro:<action>:<userKey>:<routeId>
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require("discord.js");
+
+const logger = require("../../utils/logger");
+const { getDb, getOrCreateUserId } = require("../../db");
+const { ephemeralFlags } = require("../../utils/discord/ephemerals");
+const { shortenAddress } = require("../../utils/ethers/shortenAddress");
+const { getAlertRoute, getRouteOptIn, answerRouteOptIn } = require("../../monitoring/alertRoutes");
+
+// ===================== UI LOCK START =====================
+const RO_LOCK_TTL_MS = 2500;
+const roLocks = new Map(); // actorId -> { until:number, seq:number }
+
+function nowMs() {
+  return Date.now();
+}
+
+function acquireLock(actorId) {
+  const t = nowMs();
+  const cur = roLocks.get(actorId);
+  if (cur && cur.until > t) return null;
+
+  const next = { until: t + RO_LOCK_TTL_MS, seq: (cur?.seq || 0) + 1 };
+  roLocks.set(actorId, next);
+  return next.seq;
+}
+
+function releaseLock(actorId, seq) {
+  const cur = roLocks.get(actorId);
+  if (!cur) return;
+  if (cur.seq !== seq) return;
+  roLocks.delete(actorId);
+}
+// ====================== UI LOCK END ======================
+
+async function ackUpdate(i) {
+  if (i.deferred || i.replied) return;
+  try {
+    await i.deferUpdate();
+  } catch (_) {}
+}
+
+async function replyOnce(i, content, flags) {
+  try {
+    if (i.deferred || i.replied) {
+      await i.followUp({ content, flags });
+    } else {
+      await i.reply({ content, flags });
+    }
+  } catch (_) {}
+}
+
+function describeScope(route) {
+  if (route.scope_type === "USER") return "all of your alerts";
+  return `alerts for your wallet \`${shortenAddress(route.wallet_address)}\`${route.chain_id ? ` (${route.chain_id})` : ""}`;
+}
+
+function buildRouteOptInRow({ userKey, routeId, status }) {
+  const base = `${userKey}:${routeId}`;
+  const allowed = status === "ALLOWED";
+  return new ActionRowBuilder().addComponents(
+    allowed
+      ? new ButtonBuilder().setCustomId(`ro:decline:${base}`).setLabel("Stop posting").setStyle(ButtonStyle.Danger)
+      : new ButtonBuilder().setCustomId(`ro:allow:${base}`).setLabel("Allow").setStyle(ButtonStyle.Success),
+    ...(status === "PENDING"
+      ? [new ButtonBuilder().setCustomId(`ro:decline:${base}`).setLabel("Decline").setStyle(ButtonStyle.Secondary)]
+      : [])
+  );
+}
+
+function statusLine(status) {
+  if (status === "ALLOWED") return "✅ You allowed this route. Your alerts in this scope are posted to the channel.";
+  if (status === "DECLINED") return "🚫 You declined this route. None of your alerts are posted to the channel.";
+  return "Nothing is posted until you allow it.";
+}
+
+/**
+ * DM asking a user to opt in to a route.
+ * route: alert_channel_routes row; guildName / channelName / requestedBy are display text.
+ */
+function buildRouteOptInMessage({ userKey, route, status, guildName, channelName, requestedBy }) {
+  const lines = [
+    `📣 **${requestedBy || "A server admin"}** in **${guildName || "a Discord server"}** wants to post ` +
+      `${describeScope(route)} to **#${channelName || route.channel_id}** (route #${route.id}).`,
+    "Channel posts show wallet labels, addresses and position details to everyone who can read that channel.",
+    "",
+    statusLine(status),
+  ];
+  return {
+    content: lines.join("\n"),
+    components: [buildRouteOptInRow({ userKey, routeId: route.id, status })],
+  };
+}
+
+// Display names for the DM; ids are kept when the guild / channel / admin is not reachable.
+async function resolveRouteContext(client, route) {
+  const guild = client?.guilds?.cache?.get(route.guild_id) || null;
+  const channel = await client?.channels?.fetch(route.channel_id).catch(() => null);
+  const admin = route.created_by ? await client?.users?.fetch(route.created_by).catch(() => null) : null;
+  return {
+    guildName: guild?.name || null,
+    channelName: channel?.name || null,
+    requestedBy: admin ? admin.globalName || admin.username : null,
+  };
+}
+
+async function handleAlertRouteOptInInteraction(interaction) {
+  const isRo = typeof interaction.customId === "string" && interaction.customId.startsWith("ro:");
+  if (!interaction.isButton?.() || !isRo) return false;
+
+  const actorId = interaction.user?.id;
+  if (!actorId) return false;
+
+  const ephFlags = ephemeralFlags();
+
+  const parts = interaction.customId.split(":");
+  const action = parts[1];
+  const userKey = parts[2];
+  if (!userKey || userKey !== actorId) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const seq = acquireLock(actorId);
+  if (!seq) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  try {
+    const db = getDb();
+    const discordName = interaction.user.globalName || interaction.user.username || null;
+    const userId = getOrCreateUserId(db, { discordId: actorId, discordName });
+
+    const routeId = Number(parts[3]);
+    const route = Number.isInteger(routeId) ? getAlertRoute(routeId) : null;
+    if (!route || !getRouteOptIn(routeId, userId)) {
+      await interaction.update({ content: "❌ This alert route no longer exists.", components: [] }).catch(() => {});
+      return true;
+    }
+
+    if (action !== "allow" && action !== "decline") {
+      await ackUpdate(interaction);
+      return true;
+    }
+
+    const status = action === "allow" ? "ALLOWED" : "DECLINED";
+    answerRouteOptIn(routeId, userId, status);
+    logger.info(`[alert-route-optin-ui] route=${routeId} userId=${userId} -> ${status}`);
+
+    const context = await resolveRouteContext(interaction.client, route);
+    await interaction
+      .update(buildRouteOptInMessage({ userKey: actorId, route, status, ...context }))
+      .catch(() => {});
+    return true;
+  } catch (err) {
+    logger.error("[alert-route-optin-ui] router error:", err);
+    await ackUpdate(interaction);
+    await replyOnce(interaction, `❌ Error: ${err.message}`, ephFlags);
+    return true;
+  } finally {
+    releaseLock(actorId, seq);
+  }
+}
+
+module.exports = { handleAlertRouteOptInInteraction, buildRouteOptInMessage };
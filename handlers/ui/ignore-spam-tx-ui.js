@@ -17,6 +17,7 @@ const { ephemeralFlags } = require("../../utils/discord/ephemerals");
 const { shortenAddress } = require("../../utils/ethers/shortenAddress");
 const { shortenTroveId } = require("../../utils/ethers/shortenTroveId");
 const { formatAddressLink, formatLpPositionLink } = require("../../utils/links");
+const { formatSpamReasons } = require("../../monitoring/spamClassifier");
 const EMBED_FIELD_VALUE_MAX = 1024;
 
 // ===================== UI LOCK START =====================
@@ -184,6 +185,41 @@ function removeIgnoreSelectRow({ userKey, ignores }) {
   return new ActionRowBuilder().addComponents(menu);
 }
 
+function spamFlagOptions(flags) {
+  return (flags || []).slice(0, 25).map((f) => {
+    const hidden = f.confidence === "HIGH" ? " (hidden)" : "";
+    return {
+      label: `${f.chain_id} — ${f.protocol || "UNKNOWN"} — ID ${f.token_id}${hidden}`.slice(0, 100),
+      description: `${f.pair_label ? f.pair_label + " | " : ""}${formatSpamReasons(f.reasons_json)}`.slice(0, 100),
+      value: String(f.id),
+    };
+  });
+}
+
+// One click each: confirm => ignore rule, not spam => never auto-hidden again
+function spamReviewRows({ userKey, spamFlags }) {
+  if (!spamFlags || spamFlags.length === 0) return [];
+  const options = spamFlagOptions(spamFlags);
+  return [
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`ig:spamyes:${userKey}`)
+        .setPlaceholder("Confirm suspected spam (adds an ignore rule)")
+        .setMinValues(1)
+        .setMaxValues(1)
+        .addOptions(options)
+    ),
+    new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(`ig:spamno:${userKey}`)
+        .setPlaceholder("Not spam (undo, show it again)")
+        .setMinValues(1)
+        .setMaxValues(1)
+        .addOptions(options)
+    ),
+  ];
+}
+
 function ignoreModal({ userKey, contractId, walletId, title }) {
   const modal = new ModalBuilder()
     .setCustomId(`ig:modal:${userKey}:${contractId}:${walletId}`)
@@ -211,7 +247,34 @@ function ignoreModal({ userKey, contractId, walletId, title }) {
 
 // ---------- Renders ----------
 
-function buildMainEmbed({ discordName, ignores }) {
+function addSpamFlagFields(embed, spamFlags) {
+  if (!spamFlags || spamFlags.length === 0) return;
+
+  const lines = spamFlags.slice(0, 10).map((f) => {
+    const wl = f.wallet_label ? `**${f.wallet_label}** ` : "";
+    const walletLink = formatAddressLink(f.chain_id, f.wallet_address);
+    const idDisplay = formatLpPositionLink(f.protocol, f.token_id, shortenTroveId(f.token_id));
+    const pair = f.pair_label ? ` ${f.pair_label}` : "";
+    const state = f.confidence === "HIGH" ? "hidden" : "flagged";
+    return (
+      `• ${f.chain_id} **${f.protocol || "UNKNOWN"}**${pair} | ${wl}${walletLink} | ID **${idDisplay}** | ` +
+      `${state}, score ${f.score}: ${formatSpamReasons(f.reasons_json)}`
+    );
+  });
+
+  if (spamFlags.length > 10) lines.push(`…and ${spamFlags.length - 10} more`);
+  const chunks = chunkLinesForEmbed(lines);
+  for (let i = 0; i < chunks.length; i += 1) {
+    const suffix = chunks.length > 1 ? ` (${i + 1}/${chunks.length})` : "";
+    embed.addFields({
+      name: `Suspected spam — auto-detected (${spamFlags.length})${suffix}`,
+      value: chunks[i],
+      inline: false,
+    });
+  }
+}
+
+function buildMainEmbed({ discordName, ignores, spamFlags }) {
   const embed = new EmbedBuilder()
     .setTitle("Ignore Spam / Scam Positions")
     .setDescription(
@@ -220,11 +283,17 @@ function buildMainEmbed({ discordName, ignores }) {
         "",
         "Add ignore rules for **specific** NFT positions.",
         "For loans, the ID is the **troveId**. For LPs, the ID is the **tokenId**.",
+        spamFlags?.length
+          ? "\nSuspected spam LPs are detected automatically; **hidden** ones are already left out of " +
+            "`/my-lp` and alerts. Confirm them to keep them ignored, or mark them as not spam."
+          : null,
       ]
         .filter(Boolean)
         .join("\n")
     );
 
+  addSpamFlagFields(embed, spamFlags);
+
   if (!ignores || ignores.length === 0) {
     embed.addFields({ name: "Current ignores", value: "_None yet._" });
     return embed;
@@ -262,8 +331,13 @@ function buildMainEmbed({ discordName, ignores }) {
 
 function renderMain({ actorId, discordName, userId, q }) {
   const ignores = q.selUserIgnores.all(userId);
-  const embed = buildMainEmbed({ discordName, ignores });
-  return { content: "", embeds: [embed], components: [mainButtonsRow({ userKey: actorId })] };
+  const spamFlags = q.selUserSpamFlags.all(userId);
+  const embed = buildMainEmbed({ discordName, ignores, spamFlags });
+  return {
+    content: "",
+    embeds: [embed],
+    components: [mainButtonsRow({ userKey: actorId }), ...spamReviewRows({ userKey: actorId, spamFlags })],
+  };
 }
 
 function renderPickContract({ actorId, contracts }) {
@@ -549,6 +623,35 @@ async function handleIgnoreSpamTxInteraction(interaction) {
         return true;
       }
 
+      if (action === "spamyes" || action === "spamno") {
+        const flagId = Number(interaction.values?.[0]);
+        const flag = Number.isFinite(flagId) ? q.selSpamFlagByIdForUser.get(flagId, userId) : null;
+        if (!flag || flag.user_status !== "AUTO") {
+          await replyOnce(interaction, "❌ That suspected spam entry is no longer pending.", ephFlags);
+          await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+          return true;
+        }
+
+        if (action === "spamyes") {
+          db.transaction(() => {
+            q.upsertPositionIgnore.run({
+              userId,
+              positionKind: "LP",
+              walletId: flag.wallet_id,
+              contractId: flag.contract_id,
+              tokenId: flag.token_id,
+              reason: `Auto-detected spam (${formatSpamReasons(flag.reasons_json)})`.slice(0, 200),
+            });
+            q.setSpamFlagStatusForUser.run({ id: flag.id, userId, status: "CONFIRMED" });
+          })();
+        } else {
+          q.setSpamFlagStatusForUser.run({ id: flag.id, userId, status: "DISMISSED" });
+        }
+
+        await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+        return true;
+      }
+
       if (action === "rmselect") {
         const ignoreId = Number(interaction.values?.[0]);
         if (!Number.isFinite(ignoreId)) {
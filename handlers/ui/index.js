@@ -1,8 +1,25 @@
 // handlers/ui/index.js
 const { handleMyWalletsInteraction } = require("./my-wallets-ui");
 const { handleIgnoreSpamTxInteraction } = require("./ignore-spam-tx-ui");
+const { handleMyAlertSettingsInteraction } = require("./my-alert-settings-ui");
+const { handlePriceAlertsInteraction } = require("./price-alerts-ui");
+const { handleMyAlertsInteraction } = require("./my-alerts-ui");
+const { handleMyNotificationsInteraction } = require("./my-notifications-ui");
+const { handleAlertActionsInteraction } = require("./alert-actions-ui");
+const { handleAlertRouteOptInInteraction } = require("./alert-route-optin-ui");
+const { handleIrOptimizerInteraction } = require("./ir-optimizer-ui");
 
-const routers = [handleMyWalletsInteraction, handleIgnoreSpamTxInteraction];
+const routers = [
+  handleMyWalletsInteraction,
+  handleIgnoreSpamTxInteraction,
+  handleMyAlertSettingsInteraction,
+  handlePriceAlertsInteraction,
+  handleMyAlertsInteraction,
+  handleMyNotificationsInteraction,
+  handleAlertActionsInteraction,
+  handleAlertRouteOptInInteraction,
+  handleIrOptimizerInteraction,
+];
 
 /**
  * Runs UI routers in order; first one that returns true "claims" the interaction.
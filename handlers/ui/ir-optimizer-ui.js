@@ -0,0 +1,251 @@
+// handlers/ui/ir-optimizer-ui.js
+//
+// Interest-rate optimizer opened from the /my-loans button
+// (recommendations: monitoring/irOptimizer.js).
+//   Tier select        -> recompute for the chosen redemption tier
+//   Add to heartbeat   -> users.ir_optimizer_tier = tier (daily heartbeat section)
+//   Remove from heartbeat -> users.ir_optimizer_tier = NULL
+//
+// customId: iro:<action>:<userKey>[:<tier>]
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  EmbedBuilder,
+} = require("discord.js");
+
+const logger = require("../../utils/logger");
+const { getDb, getOrCreateUserId } = require("../../db");
+const { prepareQueries } = require("../../db/queries");
+const { ephemeralFlags } = require("../../utils/discord/ephemerals");
+const { getLoanSummaries } = require("../../monitoring/loanMonitor");
+const {
+  TARGET_TIERS,
+  IR_OPTIMIZER_MARGIN_PP,
+  buildIrRecommendations,
+  formatIrRecommendationField,
+} = require("../../monitoring/irOptimizer");
+
+const TIER_LABELS = {
+  LOW: "🟩 LOW — safest, highest rate",
+  MEDIUM: "🟨 MEDIUM — balanced",
+  HIGH: "🟧 HIGH — cheapest, elevated risk",
+};
+const DEFAULT_TIER = "LOW";
+// Discord allows 25 fields per embed
+const MAX_FIELDS = 25;
+
+// ===================== UI LOCK START =====================
+const IRO_LOCK_TTL_MS = 2500;
+const iroLocks = new Map(); // actorId -> { until:number, seq:number }
+
+function nowMs() {
+  return Date.now();
+}
+
+function acquireLock(actorId) {
+  const t = nowMs();
+  const cur = iroLocks.get(actorId);
+  if (cur && cur.until > t) return null;
+
+  const next = { until: t + IRO_LOCK_TTL_MS, seq: (cur?.seq || 0) + 1 };
+  iroLocks.set(actorId, next);
+  return next.seq;
+}
+
+function releaseLock(actorId, seq) {
+  const cur = iroLocks.get(actorId);
+  if (!cur) return;
+  if (cur.seq !== seq) return;
+  iroLocks.delete(actorId);
+}
+// ====================== UI LOCK END ======================
+
+async function ackUpdate(i) {
+  if (i.deferred || i.replied) return;
+  try {
+    await i.deferUpdate();
+  } catch (_) {}
+}
+
+async function replyOnce(i, content, flags) {
+  try {
+    if (i.deferred || i.replied) {
+      await i.followUp({ content, flags });
+    } else {
+      await i.reply({ content, flags });
+    }
+  } catch (_) {}
+}
+
+/**
+ * Button row attached to /my-loans.
+ */
+function buildIrOptimizerButtonRow(userKey) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`iro:open:${userKey}`)
+      .setLabel("💡 Optimize interest rates")
+      .setStyle(ButtonStyle.Primary)
+  );
+}
+
+async function renderOptimizer({ actorId, userId, tier, heartbeatTier }) {
+  const summaries = await getLoanSummaries(userId);
+  const recs = buildIrRecommendations(summaries, tier);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`Interest Rate Optimizer — target ${tier}`)
+    .setColor("DarkBlue")
+    .setTimestamp();
+
+  const desc = [
+    `Cheapest rate that keeps each trove in **${tier}** or safer, plus a ${IR_OPTIMIZER_MARGIN_PP.toFixed(1)}pp margin.`,
+    "Costs are annual interest at today's debt; fees are the premature-adjustment fee (7 days of average interest) charged within 7 days of the last rate change.",
+  ];
+  if (heartbeatTier) desc.push("", `Daily heartbeat section: **${heartbeatTier}**`);
+  if (!recs.length) desc.push("", "_No active Liquity v2 troves to optimize._");
+  embed.setDescription(desc.join("\n"));
+
+  const fields = recs.slice(0, MAX_FIELDS).map((r) => formatIrRecommendationField(r));
+  if (fields.length) embed.addFields(fields);
+
+  const select = new StringSelectMenuBuilder()
+    .setCustomId(`iro:tier:${actorId}`)
+    .setPlaceholder("Redemption tier to stay in")
+    .addOptions(
+      TARGET_TIERS.map((t) => ({ label: TIER_LABELS[t], value: t, default: t === tier }))
+    );
+
+  const heartbeatButton =
+    heartbeatTier === tier
+      ? new ButtonBuilder()
+          .setCustomId(`iro:hboff:${actorId}`)
+          .setLabel("Remove from heartbeat")
+          .setStyle(ButtonStyle.Secondary)
+      : new ButtonBuilder()
+          .setCustomId(`iro:hbon:${actorId}:${tier}`)
+          .setLabel(`Add to heartbeat (${tier})`)
+          .setStyle(ButtonStyle.Success);
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [
+      new ActionRowBuilder().addComponents(select),
+      new ActionRowBuilder().addComponents(
+        heartbeatButton,
+        new ButtonBuilder().setCustomId(`iro:done:${actorId}`).setLabel("Done").setStyle(ButtonStyle.Secondary)
+      ),
+    ],
+  };
+}
+
+/**
+ * Handle all iro:* interactions.
+ * Returns true if handled, false if not ours.
+ */
+async function handleIrOptimizerInteraction(interaction) {
+  const isIro = typeof interaction.customId === "string" && interaction.customId.startsWith("iro:");
+  const isRelevantType = interaction.isButton?.() || interaction.isStringSelectMenu?.();
+
+  if (!isRelevantType || !isIro) return false;
+
+  const actorId = interaction.user?.id;
+  if (!actorId) return false;
+
+  const ephFlags = ephemeralFlags();
+
+  const parts = interaction.customId.split(":");
+  const ns = parts[0];
+  const action = parts[1];
+  if (ns !== "iro") return false;
+
+  const userKey = parts[2];
+  if (!userKey || userKey !== actorId) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const seq = acquireLock(actorId);
+  if (!seq) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const db = getDb();
+  const q = prepareQueries(db);
+
+  try {
+    const discordName = interaction.user.globalName || interaction.user.username || null;
+    const userId = getOrCreateUserId(db, { discordId: actorId, discordName });
+
+    if (!userId) {
+      await ackUpdate(interaction);
+      await replyOnce(interaction, "❌ Could not create/load your user record. Try again.", ephFlags);
+      return true;
+    }
+
+    const heartbeatTier = q.selUser.get(userId)?.ir_optimizer_tier || null;
+
+    if (interaction.isButton?.()) {
+      if (action === "open") {
+        // /my-loans reply stays as-is; the optimizer gets its own message
+        await interaction.deferReply({ flags: ephFlags });
+        const tier = heartbeatTier || DEFAULT_TIER;
+        await interaction.editReply(await renderOptimizer({ actorId, userId, tier, heartbeatTier }));
+        return true;
+      }
+
+      if (action === "done") {
+        await interaction.update({ content: "✅ Done.", embeds: [], components: [] }).catch(() => {});
+        return true;
+      }
+
+      if (action === "hbon" || action === "hboff") {
+        const tier = action === "hbon" && TARGET_TIERS.includes(parts[3]) ? parts[3] : null;
+        if (action === "hbon" && !tier) {
+          await ackUpdate(interaction);
+          return true;
+        }
+        q.setUserIrOptimizerTier.run(tier, userId);
+        const viewTier = tier || heartbeatTier || DEFAULT_TIER;
+        await interaction
+          .update(await renderOptimizer({ actorId, userId, tier: viewTier, heartbeatTier: tier }))
+          .catch(() => {});
+        await replyOnce(
+          interaction,
+          tier
+            ? `✅ Your daily heartbeat will include IR recommendations for **${tier}**.`
+            : "✅ IR recommendations removed from your daily heartbeat.",
+          ephFlags
+        );
+        return true;
+      }
+
+      await ackUpdate(interaction);
+      return true;
+    }
+
+    if (interaction.isStringSelectMenu?.() && action === "tier") {
+      const tier = TARGET_TIERS.includes(interaction.values?.[0]) ? interaction.values[0] : DEFAULT_TIER;
+      await interaction
+        .update(await renderOptimizer({ actorId, userId, tier, heartbeatTier }))
+        .catch(() => {});
+      return true;
+    }
+
+    await ackUpdate(interaction);
+    return true;
+  } catch (err) {
+    logger.error("[ir-optimizer-ui] router error:", err);
+    await ackUpdate(interaction);
+    await replyOnce(interaction, `❌ Error: ${err.message}`, ephFlags);
+    return true;
+  } finally {
+    releaseLock(actorId, seq);
+  }
+}
+
+module.exports = { handleIrOptimizerInteraction, buildIrOptimizerButtonRow };
@@ -0,0 +1,825 @@
+// handlers/ui/my-alert-settings-ui.js
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  EmbedBuilder,
+} = require("discord.js");
+
+const logger = require("../../utils/logger");
+const { getDb, getOrCreateUserId } = require("../../db");
+const { prepareQueries } = require("../../db/queries");
+const { ephemeralFlags } = require("../../utils/discord/ephemerals");
+const { shortenAddress } = require("../../utils/ethers/shortenAddress");
+const { shortenTroveId } = require("../../utils/ethers/shortenTroveId");
+const {
+  THRESHOLD_KEYS,
+  THRESHOLD_GROUPS,
+  getDefaultAlertThresholds,
+  resolveAlertThresholds,
+  rowToThresholds,
+  validateAlertThresholds,
+} = require("../../monitoring/alertThresholds");
+
+const EMBED_FIELD_VALUE_MAX = 1024;
+
+const GROUP_TITLES = {
+  LIQ: "Liquidation buffer",
+  REDEMP: "Redemption debt-ahead",
+  LP: "LP range",
+  PRIMEFI: "PrimeFi health factor",
+};
+
+// PrimeFi tiers key off the market, not a loan/LP position, so only wallet and default scopes apply
+const WALLET_ONLY_GROUPS = new Set(["PRIMEFI"]);
+
+// Modal input labels (Discord caps labels at 45 chars; default is appended at render time)
+const FIELD_LABELS = {
+  liqBufferWarn: "MEDIUM when buffer ≤",
+  liqBufferHigh: "HIGH when buffer ≤",
+  liqBufferCrit: "CRITICAL when buffer ≤",
+  redempDebtAheadLowPct: "LOW when debt ahead ≥",
+  redempDebtAheadMedPct: "MEDIUM when debt ahead ≥",
+  redempDebtAheadHighPct: "HIGH when debt ahead ≥",
+  lpEdgeWarnFrac: "In range: MEDIUM within",
+  lpEdgeHighFrac: "In range: HIGH within",
+  lpOutWarnFrac: "Out of range: MEDIUM within",
+  lpOutHighFrac: "Out of range: HIGH within",
+  primefiHfWarn: "MEDIUM when health factor ≤",
+  primefiHfHigh: "HIGH when health factor ≤",
+  primefiHfCrit: "CRITICAL when health factor ≤",
+};
+
+// Health factors are plain ratios (1.25); everything else is a fraction shown as a percent
+const RATIO_KEYS = new Set(THRESHOLD_GROUPS.PRIMEFI);
+
+// ===================== UI LOCK START =====================
+const MAS_LOCK_TTL_MS = 2500;
+const masLocks = new Map(); // actorId -> { until:number, seq:number }
+
+function nowMs() {
+  return Date.now();
+}
+
+function acquireLock(actorId) {
+  const t = nowMs();
+  const cur = masLocks.get(actorId);
+  if (cur && cur.until > t) return null;
+
+  const next = { until: t + MAS_LOCK_TTL_MS, seq: (cur?.seq || 0) + 1 };
+  masLocks.set(actorId, next);
+  return next.seq;
+}
+
+function releaseLock(actorId, seq) {
+  const cur = masLocks.get(actorId);
+  if (!cur) return;
+  if (cur.seq !== seq) return;
+  masLocks.delete(actorId);
+}
+// ====================== UI LOCK END ======================
+
+// ===================== UI SESSION START =====================
+// Trove IDs are uint256 and do not fit in a customId, so the selected scope
+// (and the position list it was picked from) is held per actor between steps.
+const MAS_SESSION_TTL_MS = 15 * 60 * 1000;
+const masSessions = new Map(); // actorId -> { until:number, scope, positions }
+
+function getSession(actorId) {
+  const cur = masSessions.get(actorId);
+  if (!cur || cur.until <= nowMs()) {
+    masSessions.delete(actorId);
+    return null;
+  }
+  return cur;
+}
+
+function setSession(actorId, patch) {
+  const cur = getSession(actorId) || {};
+  masSessions.set(actorId, { ...cur, ...patch, until: nowMs() + MAS_SESSION_TTL_MS });
+}
+// ====================== UI SESSION END ======================
+
+function chunkLinesForEmbed(lines, maxLen = EMBED_FIELD_VALUE_MAX) {
+  const chunks = [];
+  let cur = "";
+  for (const raw of lines || []) {
+    const line = String(raw || "");
+    if (!line) continue;
+
+    if (!cur) {
+      cur = line.slice(0, maxLen);
+      continue;
+    }
+
+    if (cur.length + 1 + line.length <= maxLen) {
+      cur += `\n${line}`;
+      continue;
+    }
+
+    chunks.push(cur);
+    cur = line.slice(0, maxLen);
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+function fmtPct(v) {
+  if (typeof v !== "number" || !Number.isFinite(v)) return "n/a";
+  const pct = v * 100;
+  return `${Number.isInteger(pct) ? pct.toFixed(0) : pct.toFixed(1)}%`;
+}
+
+function fmtThreshold(key, v) {
+  if (!RATIO_KEYS.has(key)) return fmtPct(v);
+  return typeof v === "number" && Number.isFinite(v) ? v.toFixed(2) : "n/a";
+}
+
+function inputHint(group) {
+  return group === "PRIMEFI" ? "e.g. 1.25" : "e.g. 0.35 or 35%";
+}
+
+// Accepts "0.35", "35%", or blank (= inherit). Returns { ok, value }.
+function parseThresholdInput(raw) {
+  const s = String(raw || "").trim();
+  if (!s) return { ok: true, value: null };
+  const isPct = s.endsWith("%");
+  const n = Number(isPct ? s.slice(0, -1).trim() : s);
+  if (!Number.isFinite(n)) return { ok: false, value: null };
+  return { ok: true, value: isPct ? n / 100 : n };
+}
+
+function scopeFromRow(row) {
+  return {
+    walletId: row?.wallet_id ?? null,
+    contractId: row?.contract_id ?? null,
+    tokenId: row?.token_id != null ? String(row.token_id) : null,
+  };
+}
+
+function scopeLabel(scope) {
+  if (!scope || scope.walletId == null) return "Defaults";
+  if (scope.tokenId != null) {
+    return `${scope.positionKind || "Position"} ${shortenTroveId(scope.tokenId)}`;
+  }
+  return scope.walletLabel ? `Wallet ${scope.walletLabel}` : "Wallet override";
+}
+
+function formatOverrideRowLine(row) {
+  const t = rowToThresholds(row);
+  const parts = [];
+  for (const [group, keys] of Object.entries(THRESHOLD_GROUPS)) {
+    const vals = keys.map((k) => (t[k] != null ? fmtThreshold(k, t[k]) : "·"));
+    if (vals.every((v) => v === "·")) continue;
+    parts.push(`${group} ${vals.join("/")}`);
+  }
+
+  const wallet = row.wallet_label
+    ? `**${row.wallet_label}**`
+    : shortenAddress(row.wallet_address || "");
+  const target =
+    row.token_id != null
+      ? ` · ${row.protocol || "?"} #${shortenTroveId(row.token_id)}`
+      : row.contract_id != null
+        ? ` · ${row.protocol || "?"} (all)`
+        : "";
+  return `• ${row.chain_id || "?"} ${wallet}${target} — ${parts.join(" · ") || "_empty_"}`;
+}
+
+function formatDefaultsLines({ defaults, userDefaults }) {
+  const lines = [];
+  for (const [group, keys] of Object.entries(THRESHOLD_GROUPS)) {
+    const vals = keys.map((k) => {
+      const custom = userDefaults?.[k];
+      return custom != null ? `**${fmtThreshold(k, custom)}**` : fmtThreshold(k, defaults[k]);
+    });
+    lines.push(`${GROUP_TITLES[group]}: ${vals.join(" / ")}`);
+  }
+  return lines;
+}
+
+// ---------- ACK helpers ----------
+
+async function ackUpdate(i) {
+  if (i.deferred || i.replied) return;
+  try {
+    await i.deferUpdate();
+  } catch (_) {}
+}
+
+async function replyOnce(i, content, flags) {
+  try {
+    if (i.deferred || i.replied) {
+      await i.followUp({ content, flags });
+    } else {
+      await i.reply({ content, flags });
+    }
+  } catch (_) {}
+}
+
+// ---------- UI Components ----------
+
+function mainButtonsRow({ userKey, hasOverrides }) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`mas:defaults:${userKey}`)
+      .setLabel("Edit defaults")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`mas:wallet:${userKey}`)
+      .setLabel("Wallet override")
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`mas:position:${userKey}`)
+      .setLabel("Position override")
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId(`mas:clear:${userKey}`)
+      .setLabel("Clear")
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(!hasOverrides),
+    new ButtonBuilder()
+      .setCustomId(`mas:done:${userKey}`)
+      .setLabel("Done")
+      .setStyle(ButtonStyle.Success)
+  );
+}
+
+function cancelRow({ userKey }) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`mas:cancel:${userKey}`)
+      .setLabel("Cancel")
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+function groupSelectRow({ userKey, scope }) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`mas:group:${userKey}`)
+    .setPlaceholder("Select which thresholds to edit")
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(
+      Object.keys(THRESHOLD_GROUPS)
+        .filter((group) => scope?.contractId == null || !WALLET_ONLY_GROUPS.has(group))
+        .map((group) => ({
+          label: GROUP_TITLES[group],
+          value: group,
+        }))
+    );
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+function walletSelectRow({ userKey, wallets }) {
+  const options = wallets.slice(0, 25).map((w) => ({
+    label: `${w.chain_id} ${w.label ? `— ${w.label}` : ""}`.trim(),
+    description: shortenAddress(w.address_eip55),
+    value: String(w.id),
+  }));
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`mas:wsel:${userKey}`)
+    .setPlaceholder("Select a wallet")
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(options);
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+function positionSelectRow({ userKey, positions }) {
+  const options = positions.slice(0, 25).map((p, idx) => ({
+    label: `${p.position_kind} ${p.chain_id} ${p.protocol} #${shortenTroveId(p.token_id)}`.slice(0, 100),
+    description: (p.wallet_label || "No wallet label").slice(0, 100),
+    value: String(idx),
+  }));
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`mas:psel:${userKey}`)
+    .setPlaceholder("Select a position")
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(options);
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+function clearSelectRow({ userKey, rows }) {
+  const options = rows.slice(0, 25).map((r) => {
+    const label =
+      r.wallet_id == null
+        ? "Defaults"
+        : `${r.chain_id || "?"} ${r.wallet_label || shortenAddress(r.wallet_address || "")}${
+            r.token_id != null ? ` #${shortenTroveId(r.token_id)}` : ""
+          }`;
+    return {
+      label: label.slice(0, 100),
+      description: r.token_id != null ? `${r.protocol || "?"} position` : r.wallet_id == null ? "User default" : "Wallet",
+      value: String(r.id),
+    };
+  });
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`mas:clrsel:${userKey}`)
+    .setPlaceholder("Select thresholds to reset")
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(options);
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+function thresholdsModal({ userKey, group, scope, current, inherited }) {
+  const modal = new ModalBuilder()
+    .setCustomId(`mas:modal:${userKey}:${group}`)
+    .setTitle(`${GROUP_TITLES[group]} — ${scopeLabel(scope)}`.slice(0, 45));
+
+  const rows = THRESHOLD_GROUPS[group].map((key) => {
+    const input = new TextInputBuilder()
+      .setCustomId(key)
+      .setLabel(`${FIELD_LABELS[key]} (now ${fmtThreshold(key, inherited[key])})`.slice(0, 45))
+      .setPlaceholder(`blank = inherit · ${inputHint(group)}`)
+      .setStyle(TextInputStyle.Short)
+      .setRequired(false);
+    if (current?.[key] != null) input.setValue(String(current[key]));
+    return new ActionRowBuilder().addComponents(input);
+  });
+
+  modal.addComponents(...rows);
+  return modal;
+}
+
+// ---------- Data helpers ----------
+
+function getScopeRow(q, userId, scope) {
+  return q.selUserAlertThresholdsByScope.get({
+    userId,
+    walletId: scope.walletId ?? null,
+    contractId: scope.contractId ?? null,
+    tokenId: scope.tokenId ?? null,
+  });
+}
+
+// Values the scope would fall back to if all of its own columns were blank.
+function getInheritedThresholds(userId, scope) {
+  const defaults = getDefaultAlertThresholds();
+  const out = { ...defaults };
+  const broader =
+    scope.tokenId != null
+      ? { walletId: scope.walletId, contractId: null, tokenId: null }
+      : scope.walletId != null
+        ? { walletId: null, contractId: null, tokenId: null }
+        : null;
+  if (!broader) return out;
+  const resolved = resolveAlertThresholds({ userId, ...broader });
+  for (const key of THRESHOLD_KEYS) {
+    if (resolved?.[key] != null) out[key] = resolved[key];
+  }
+  return out;
+}
+
+// Overrides merged over the server defaults, as the monitors see them for this scope.
+function getEffectiveThresholds(userId, scope) {
+  const effective = { ...getDefaultAlertThresholds() };
+  const resolved = resolveAlertThresholds({ userId, ...scope });
+  for (const key of THRESHOLD_KEYS) {
+    if (resolved?.[key] != null) effective[key] = resolved[key];
+  }
+  return effective;
+}
+
+// Override rows (selUserAlertThresholds) that inherit from `scope`, excluding the scope itself.
+function isNarrowerRow(row, scope) {
+  const same = (col, v) => v == null || (col != null && String(col) === String(v));
+  const rowDepth = [row.wallet_id, row.contract_id, row.token_id].filter((v) => v != null).length;
+  const scopeDepth = [scope.walletId, scope.contractId, scope.tokenId].filter((v) => v != null).length;
+  return (
+    rowDepth > scopeDepth &&
+    same(row.wallet_id, scope.walletId) &&
+    same(row.contract_id, scope.contractId) &&
+    same(row.token_id, scope.tokenId)
+  );
+}
+
+function overrideRowName(row) {
+  const wallet = row.wallet_label || shortenAddress(row.wallet_address || "");
+  const target =
+    row.token_id != null
+      ? ` ${row.protocol || "?"} #${shortenTroveId(row.token_id)}`
+      : row.contract_id != null
+        ? ` ${row.protocol || "?"} (all)`
+        : "";
+  return `${row.chain_id || "?"} ${wallet}${target}`;
+}
+
+function validationError(errors) {
+  const err = new Error(errors.join("\n"));
+  err.validationErrors = errors;
+  return err;
+}
+
+/**
+ * Save one group of values for a scope. Validation runs against the merged
+ * result inside the transaction so a bad combination rolls back. Every narrower
+ * override that inherits from the scope is re-checked too, since a partial
+ * override can end up with inverted tiers once the values under it change.
+ */
+function saveScopeThresholds(db, q, { userId, scope, values }) {
+  const tx = db.transaction(() => {
+    const existing = getScopeRow(q, userId, scope);
+    const merged = { ...rowToThresholds(existing), ...values };
+    const hasAny = THRESHOLD_KEYS.some((k) => merged[k] != null);
+
+    if (existing && !hasAny) {
+      q.deleteUserAlertThresholdsByIdForUser.run(existing.id, userId);
+    } else if (existing) {
+      q.updUserAlertThresholds.run({ id: existing.id, userId, ...merged });
+    } else if (hasAny) {
+      q.insUserAlertThresholds.run({
+        userId,
+        walletId: scope.walletId ?? null,
+        contractId: scope.contractId ?? null,
+        tokenId: scope.tokenId ?? null,
+        ...merged,
+      });
+    }
+
+    const errors = validateAlertThresholds(getEffectiveThresholds(userId, scope));
+    if (errors.length) throw validationError(errors);
+
+    for (const row of q.selUserAlertThresholds.all(userId)) {
+      if (!isNarrowerRow(row, scope)) continue;
+      const rowErrors = validateAlertThresholds(
+        getEffectiveThresholds(userId, { walletId: row.wallet_id, contractId: row.contract_id, tokenId: row.token_id })
+      );
+      if (rowErrors.length) {
+        const name = overrideRowName(row);
+        throw validationError(rowErrors.map((e) => `Your override for ${name} would break: ${e}`));
+      }
+    }
+  });
+
+  tx();
+}
+
+// ---------- Embeds / Renders ----------
+
+function buildMainEmbed({ discordName, rows }) {
+  const defaults = getDefaultAlertThresholds();
+  const userDefaultRow = rows.find((r) => r.wallet_id == null) || null;
+  const userDefaults = userDefaultRow ? rowToThresholds(userDefaultRow) : null;
+
+  const embed = new EmbedBuilder()
+    .setTitle("My Alert Settings")
+    .setDescription(
+      [
+        discordName ? `User: **${discordName}**` : null,
+        "Tier thresholds used for your liquidation, redemption, LP range and PrimeFi health-factor alerts.",
+        "Most specific wins: position → wallet → your defaults → server defaults.",
+      ]
+        .filter(Boolean)
+        .join("\n")
+    );
+
+  embed.addFields({
+    name: "Your defaults (bold = customized)",
+    value: formatDefaultsLines({ defaults, userDefaults }).join("\n"),
+  });
+
+  const overrideRows = rows.filter((r) => r.wallet_id != null);
+  if (!overrideRows.length) {
+    embed.addFields({ name: "Overrides", value: "_No wallet or position overrides._" });
+    return embed;
+  }
+
+  const chunks = chunkLinesForEmbed(overrideRows.map(formatOverrideRowLine));
+  for (let i = 0; i < chunks.length; i += 1) {
+    const suffix = chunks.length > 1 ? ` (${i + 1}/${chunks.length})` : "";
+    embed.addFields({ name: `Overrides${suffix}`, value: chunks[i] });
+  }
+  embed.setFooter({
+    text: "Override columns: LIQ M/H/C · REDEMP L/M/H · LP edgeM/edgeH/outM/outH · PRIMEFI M/H/C",
+  });
+  return embed;
+}
+
+function renderMain({ actorId, discordName, userId, q }) {
+  const rows = q.selUserAlertThresholds.all(userId);
+  const embed = buildMainEmbed({ discordName, rows });
+  return {
+    content: "",
+    embeds: [embed],
+    components: [mainButtonsRow({ userKey: actorId, hasOverrides: rows.length > 0 })],
+  };
+}
+
+function renderGroupPick({ actorId, scope }) {
+  const embed = new EmbedBuilder()
+    .setTitle(`Alert Settings — ${scopeLabel(scope)}`)
+    .setDescription("Pick which tier thresholds to edit.");
+  return {
+    content: "",
+    embeds: [embed],
+    components: [groupSelectRow({ userKey: actorId, scope }), cancelRow({ userKey: actorId })],
+  };
+}
+
+function renderWalletPick({ actorId, userId, q }) {
+  const wallets = q.selUserWallets.all(userId).filter((w) => w.is_enabled === 1);
+  const embed = new EmbedBuilder()
+    .setTitle("Wallet Override")
+    .setDescription("Select the wallet these thresholds should apply to.");
+
+  if (!wallets.length) {
+    embed.addFields({ name: "Wallets", value: "_No enabled wallets. Add one with /my-wallets._" });
+    return { content: "", embeds: [embed], components: [cancelRow({ userKey: actorId })] };
+  }
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [walletSelectRow({ userKey: actorId, wallets }), cancelRow({ userKey: actorId })],
+  };
+}
+
+function renderPositionPick({ actorId, positions }) {
+  const embed = new EmbedBuilder()
+    .setTitle("Position Override")
+    .setDescription("Select the loan or LP position these thresholds should apply to.");
+
+  if (!positions.length) {
+    embed.addFields({
+      name: "Positions",
+      value: "_No monitored positions found yet. Try again after the next scan._",
+    });
+    return { content: "", embeds: [embed], components: [cancelRow({ userKey: actorId })] };
+  }
+
+  if (positions.length > 25) {
+    embed.setFooter({ text: `Showing first 25 of ${positions.length} positions.` });
+  }
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [positionSelectRow({ userKey: actorId, positions }), cancelRow({ userKey: actorId })],
+  };
+}
+
+function renderClearPick({ actorId, userId, q }) {
+  const rows = q.selUserAlertThresholds.all(userId);
+  const embed = new EmbedBuilder()
+    .setTitle("Reset Thresholds")
+    .setDescription("Select a customized scope to reset back to inherited values.");
+
+  if (!rows.length) {
+    embed.addFields({ name: "Overrides", value: "_Nothing to reset._" });
+    return { content: "", embeds: [embed], components: [cancelRow({ userKey: actorId })] };
+  }
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [clearSelectRow({ userKey: actorId, rows }), cancelRow({ userKey: actorId })],
+  };
+}
+
+/**
+ * Handle all mas:* interactions.
+ * Returns true if handled, false if not ours.
+ */
+async function handleMyAlertSettingsInteraction(interaction) {
+  const isMas = typeof interaction.customId === "string" && interaction.customId.startsWith("mas:");
+  const isRelevantType =
+    interaction.isButton?.() || interaction.isStringSelectMenu?.() || interaction.isModalSubmit?.();
+
+  if (!isRelevantType || !isMas) return false;
+
+  const actorId = interaction.user?.id;
+  if (!actorId) return false;
+
+  const ephFlags = ephemeralFlags();
+
+  const parts = interaction.customId.split(":");
+  const ns = parts[0];
+  const action = parts[1];
+  if (ns !== "mas") return false;
+
+  const userKey = parts[2];
+  if (!userKey || userKey !== actorId) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const seq = acquireLock(actorId);
+  if (!seq) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const db = getDb();
+  const q = prepareQueries(db);
+
+  try {
+    const discordName = interaction.user.globalName || interaction.user.username || null;
+    const userId = getOrCreateUserId(db, { discordId: actorId, discordName });
+
+    if (!userId) {
+      await ackUpdate(interaction);
+      await replyOnce(interaction, "❌ Could not create/load your user record. Try again.", ephFlags);
+      return true;
+    }
+
+    // ---------- Modal submit ----------
+    if (interaction.isModalSubmit?.() && action === "modal") {
+      // mas:modal:<userKey>:<group>
+      const group = parts[3];
+      const canUpdate = Boolean(interaction.message);
+      if (!canUpdate && !interaction.deferred && !interaction.replied) {
+        await interaction.deferReply({ flags: ephFlags }).catch(() => {});
+      }
+      const respond = async (payload) => {
+        if (canUpdate) await interaction.update(payload).catch(() => {});
+        else await interaction.editReply(payload).catch(() => {});
+      };
+
+      const session = getSession(actorId);
+      const keys = THRESHOLD_GROUPS[group];
+      if (!session?.scope || !keys) {
+        await respond(renderMain({ actorId, discordName, userId, q }));
+        await replyOnce(interaction, "❌ This settings session expired. Please try again.", ephFlags);
+        return true;
+      }
+
+      const values = {};
+      for (const key of keys) {
+        const parsed = parseThresholdInput(interaction.fields.getTextInputValue(key));
+        if (!parsed.ok) {
+          await respond(renderMain({ actorId, discordName, userId, q }));
+          await replyOnce(
+            interaction,
+            `❌ ${FIELD_LABELS[key]}: enter a number (${inputHint(group)}) or leave blank.`,
+            ephFlags
+          );
+          return true;
+        }
+        values[key] = parsed.value;
+      }
+
+      try {
+        saveScopeThresholds(db, q, { userId, scope: session.scope, values });
+      } catch (err) {
+        await respond(renderMain({ actorId, discordName, userId, q }));
+        const msg = err.validationErrors
+          ? `❌ Not saved:\n${err.validationErrors.map((e) => `• ${e}`).join("\n")}`
+          : `❌ Could not save thresholds: ${err.message}`;
+        await replyOnce(interaction, msg, ephFlags);
+        return true;
+      }
+
+      logger.info(
+        `[my-alert-settings-ui] saved ${group} thresholds userId=${userId} scope=${JSON.stringify(
+          session.scope
+        )}`
+      );
+      await respond(renderMain({ actorId, discordName, userId, q }));
+      return true;
+    }
+
+    // ---------- Buttons ----------
+    if (interaction.isButton?.()) {
+      if (action === "done") {
+        masSessions.delete(actorId);
+        await interaction.update({ content: "✅ Done.", embeds: [], components: [] }).catch(() => {});
+        return true;
+      }
+
+      if (action === "cancel") {
+        await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+        return true;
+      }
+
+      if (action === "defaults") {
+        const scope = { walletId: null, contractId: null, tokenId: null };
+        setSession(actorId, { scope });
+        await interaction.update(renderGroupPick({ actorId, scope })).catch(() => {});
+        return true;
+      }
+
+      if (action === "wallet") {
+        await interaction.update(renderWalletPick({ actorId, userId, q })).catch(() => {});
+        return true;
+      }
+
+      if (action === "position") {
+        const positions = q.selUserAlertPositions.all(userId, userId);
+        setSession(actorId, { positions });
+        await interaction.update(renderPositionPick({ actorId, positions })).catch(() => {});
+        return true;
+      }
+
+      if (action === "clear") {
+        await interaction.update(renderClearPick({ actorId, userId, q })).catch(() => {});
+        return true;
+      }
+
+      await ackUpdate(interaction);
+      return true;
+    }
+
+    // ---------- Select menus ----------
+    if (interaction.isStringSelectMenu?.()) {
+      if (action === "wsel") {
+        const walletId = Number(interaction.values?.[0]);
+        const walletRow = Number.isFinite(walletId) ? q.selUserWalletByIdForUser.get(walletId, userId) : null;
+        if (!walletRow) {
+          await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+          await replyOnce(interaction, "❌ Wallet not found for your user.", ephFlags);
+          return true;
+        }
+
+        const scope = {
+          walletId,
+          contractId: null,
+          tokenId: null,
+          walletLabel: walletRow.label || shortenAddress(walletRow.address_eip55),
+        };
+        setSession(actorId, { scope });
+        await interaction.update(renderGroupPick({ actorId, scope })).catch(() => {});
+        return true;
+      }
+
+      if (action === "psel") {
+        const idx = Number(interaction.values?.[0]);
+        const pos = getSession(actorId)?.positions?.[idx];
+        if (!pos) {
+          await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+          await replyOnce(interaction, "❌ Position selection expired. Please try again.", ephFlags);
+          return true;
+        }
+
+        const scope = {
+          ...scopeFromRow(pos),
+          positionKind: pos.position_kind,
+          walletLabel: pos.wallet_label || null,
+        };
+        setSession(actorId, { scope });
+        await interaction.update(renderGroupPick({ actorId, scope })).catch(() => {});
+        return true;
+      }
+
+      if (action === "group") {
+        const group = interaction.values?.[0];
+        const scope = getSession(actorId)?.scope;
+        if (!scope || !THRESHOLD_GROUPS[group] || (scope.contractId != null && WALLET_ONLY_GROUPS.has(group))) {
+          await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+          await replyOnce(interaction, "❌ This settings session expired. Please try again.", ephFlags);
+          return true;
+        }
+
+        const current = rowToThresholds(getScopeRow(q, userId, scope));
+        const inherited = getInheritedThresholds(userId, scope);
+        for (const key of THRESHOLD_KEYS) {
+          if (current[key] != null) inherited[key] = current[key];
+        }
+
+        // showModal is the ACK for select menu interactions
+        try {
+          await interaction.showModal(
+            thresholdsModal({ userKey: actorId, group, scope, current, inherited })
+          );
+        } catch (err) {
+          await ackUpdate(interaction);
+          await replyOnce(interaction, `❌ Could not open the modal: ${err.message}`, ephFlags);
+        }
+        return true;
+      }
+
+      if (action === "clrsel") {
+        const id = Number(interaction.values?.[0]);
+        if (Number.isFinite(id)) {
+          q.deleteUserAlertThresholdsByIdForUser.run(id, userId);
+        }
+        await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+        return true;
+      }
+    }
+
+    await ackUpdate(interaction);
+    return true;
+  } catch (err) {
+    logger.error("[my-alert-settings-ui] router error:", err);
+    await ackUpdate(interaction);
+    await replyOnce(interaction, `❌ Error: ${err.message}`, ephFlags);
+    return true;
+  } finally {
+    releaseLock(actorId, seq);
+  }
+}
+
+module.exports = {
+  handleMyAlertSettingsInteraction,
+  renderMain,
+};
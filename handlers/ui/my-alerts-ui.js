@@ -0,0 +1,457 @@
+// handlers/ui/my-alerts-ui.js
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  EmbedBuilder,
+} = require("discord.js");
+
+const logger = require("../../utils/logger");
+const { getDb, getOrCreateUserId } = require("../../db");
+const { prepareQueries } = require("../../db/queries");
+const { ephemeralFlags } = require("../../utils/discord/ephemerals");
+const { shortenAddress } = require("../../utils/ethers/shortenAddress");
+const { shortenTroveId } = require("../../utils/ethers/shortenTroveId");
+const { buildAlertDmPayload } = require("../../monitoring/alertEngine");
+
+const EMBED_FIELD_VALUE_MAX = 1024;
+const PAGE_SIZE = 10;
+const CONTENT_MAX = 1900;
+
+// Short codes keep the filter token inside Discord's 100-char customId limit.
+const ALERT_TYPE_CODES = {
+  LIQUIDATION: "LIQ",
+  REDEMPTION: "RED",
+  REDEMPTION_HIT: "RH",
+  REDEMPTION_TREND: "RT",
+  LP_RANGE: "LP",
+  PRICE_LEVEL: "PX",
+  SP_DEPOSIT_LOSS: "SPL",
+  SP_CLAIMABLE_GAIN: "SPC",
+  SP_APR_GAP: "SPA",
+};
+const ALERT_TYPE_BY_CODE = Object.fromEntries(
+  Object.entries(ALERT_TYPE_CODES).map(([type, code]) => [code, type])
+);
+
+const PHASE_EMOJI = {
+  NEW: "⚠️",
+  UPDATED: "🔄",
+  RESOLVED: "✅",
+  REMINDER: "⏰",
+};
+
+// ===================== UI LOCK START =====================
+const MAL_LOCK_TTL_MS = 2500;
+const malLocks = new Map(); // actorId -> { until:number, seq:number }
+
+function nowMs() {
+  return Date.now();
+}
+
+function acquireLock(actorId) {
+  const t = nowMs();
+  const cur = malLocks.get(actorId);
+  if (cur && cur.until > t) return null;
+
+  const next = { until: t + MAL_LOCK_TTL_MS, seq: (cur?.seq || 0) + 1 };
+  malLocks.set(actorId, next);
+  return next.seq;
+}
+
+function releaseLock(actorId, seq) {
+  const cur = malLocks.get(actorId);
+  if (!cur) return;
+  if (cur.seq !== seq) return;
+  malLocks.delete(actorId);
+}
+// ====================== UI LOCK END ======================
+
+function chunkLinesForEmbed(lines, maxLen = EMBED_FIELD_VALUE_MAX) {
+  const chunks = [];
+  let cur = "";
+  for (const raw of lines || []) {
+    const line = String(raw || "");
+    if (!line) continue;
+
+    if (!cur) {
+      cur = line.slice(0, maxLen);
+      continue;
+    }
+
+    if (cur.length + 1 + line.length <= maxLen) {
+      cur += `\n${line}`;
+      continue;
+    }
+
+    chunks.push(cur);
+    cur = line.slice(0, maxLen);
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+// ---------- Filters ----------
+
+function isYmd(s) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(s || ""))) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return Number.isFinite(d.getTime()) && d.toISOString().slice(0, 10) === s;
+}
+
+/**
+ * Normalize raw filter input (slash options). Returns { filters, error }.
+ * filters: { alertType, walletId, contractId, fromDate, toDate } (null = no filter)
+ */
+function normalizeFilters({ alertType, walletId, contractId, fromDate, toDate } = {}) {
+  const type = alertType ? String(alertType).toUpperCase() : null;
+  if (type && !ALERT_TYPE_CODES[type]) return { filters: null, error: `Unknown alert type: ${alertType}` };
+
+  const w = walletId != null && walletId !== "" ? Number(walletId) : null;
+  if (w != null && !Number.isInteger(w)) return { filters: null, error: "Pick a wallet from the list." };
+  const c = contractId != null && contractId !== "" ? Number(contractId) : null;
+  if (c != null && !Number.isInteger(c)) return { filters: null, error: "Pick a contract from the list." };
+
+  const from = fromDate ? String(fromDate).trim() : null;
+  const to = toDate ? String(toDate).trim() : null;
+  if (from && !isYmd(from)) return { filters: null, error: "`from` must be a date like 2026-10-01." };
+  if (to && !isYmd(to)) return { filters: null, error: "`to` must be a date like 2026-10-19." };
+  if (from && to && from > to) return { filters: null, error: "`from` must be on or before `to`." };
+
+  return {
+    filters: { alertType: type, walletId: w, contractId: c, fromDate: from, toDate: to },
+    error: null,
+  };
+}
+
+// "<type>.<wallet>.<contract>.<yyyymmdd>.<yyyymmdd>" with empty parts for unset filters
+function encodeFilters(f) {
+  const ymd = (s) => (s ? s.replace(/-/g, "") : "");
+  return [
+    f?.alertType ? ALERT_TYPE_CODES[f.alertType] : "",
+    f?.walletId ?? "",
+    f?.contractId ?? "",
+    ymd(f?.fromDate),
+    ymd(f?.toDate),
+  ].join(".");
+}
+
+function decodeFilters(token) {
+  const [t, w, c, from, to] = String(token || "").split(".");
+  const ymd = (s) => (s && s.length === 8 ? `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}` : null);
+  return normalizeFilters({
+    alertType: t ? ALERT_TYPE_BY_CODE[t] || t : null,
+    walletId: w || null,
+    contractId: c || null,
+    fromDate: ymd(from),
+    toDate: ymd(to),
+  }).filters;
+}
+
+function queryParams(userId, f) {
+  return {
+    userId,
+    alertType: f?.alertType ?? null,
+    walletId: f?.walletId ?? null,
+    contractId: f?.contractId ?? null,
+    fromDate: f?.fromDate ?? null,
+    toDate: f?.toDate ?? null,
+  };
+}
+
+function describeFilters(f, { q, userId }) {
+  const parts = [];
+  if (f?.alertType) parts.push(`type **${f.alertType}**`);
+  if (f?.walletId != null) {
+    const w = q.selUserWalletByIdForUser.get(f.walletId, userId);
+    parts.push(`wallet **${w ? w.label || shortenAddress(w.address_eip55) : `#${f.walletId}`}**`);
+  }
+  if (f?.contractId != null) {
+    const c = q.selAlertLogContractsForUser.all(userId).find((r) => r.id === f.contractId);
+    parts.push(`contract **${c ? c.protocol : `#${f.contractId}`}**`);
+  }
+  if (f?.fromDate) parts.push(`from **${f.fromDate}**`);
+  if (f?.toDate) parts.push(`to **${f.toDate}**`);
+  return parts.length ? parts.join(" · ") : "none";
+}
+
+// ---------- Formatting ----------
+
+// Stability Pool entries come from sp_alert_log and are referenced as sp<id>
+function entryRef(row) {
+  return `${row.source || ""}${row.id}`;
+}
+
+function targetLabel(row) {
+  if (row.source === "sp") return "deposit";
+  const tokenId = String(row.token_id || "");
+  if (tokenId.startsWith("pa:")) return `price rule #${tokenId.slice(3)}`;
+  return `#${shortenTroveId(tokenId)}`;
+}
+
+function formatLogLine(row) {
+  const when = String(row.created_at || "").slice(0, 16);
+  const wallet = row.wallet_label || shortenAddress(row.wallet_address || "");
+  return (
+    `\`#${entryRef(row)}\` ${when} ${PHASE_EMOJI[row.phase] || "•"} **${row.phase} ${row.alert_type}** · ` +
+    `${row.protocol || "?"} ${targetLabel(row)} · ${wallet}`
+  );
+}
+
+function parseMeta(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw) || {};
+  } catch (_) {
+    return {};
+  }
+}
+
+// ---------- ACK helpers ----------
+
+async function ackUpdate(i) {
+  if (i.deferred || i.replied) return;
+  try {
+    await i.deferUpdate();
+  } catch (_) {}
+}
+
+async function replyOnce(i, content, flags) {
+  try {
+    if (i.deferred || i.replied) {
+      await i.followUp({ content, flags });
+    } else {
+      await i.reply({ content, flags });
+    }
+  } catch (_) {}
+}
+
+// ---------- UI Components ----------
+
+function pagerRow({ userKey, page, pageCount, token }) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`mal:page:${userKey}:${page - 1}:${token}`)
+      .setLabel("◀ Newer")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 0),
+    new ButtonBuilder()
+      .setCustomId(`mal:page:${userKey}:${page + 1}:${token}`)
+      .setLabel("Older ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page + 1 >= pageCount),
+    new ButtonBuilder()
+      .setCustomId(`mal:done:${userKey}`)
+      .setLabel("Done")
+      .setStyle(ButtonStyle.Success)
+  );
+}
+
+function entrySelectRow({ userKey, page, token, rows }) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`mal:sel:${userKey}:${page}:${token}`)
+    .setPlaceholder("Open an alert")
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(
+      rows.map((r) => ({
+        label: `#${entryRef(r)} ${r.phase} ${r.alert_type}`.slice(0, 100),
+        description: `${String(r.created_at || "").slice(0, 16)} · ${r.protocol || "?"} ${targetLabel(r)}`.slice(
+          0,
+          100
+        ),
+        value: entryRef(r),
+      }))
+    );
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+function backRow({ userKey, page, token }) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`mal:page:${userKey}:${page}:${token}`)
+      .setLabel("Back to list")
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+// ---------- Renders ----------
+
+function renderMain({ actorId, discordName, userId, q, filters = null, page = 0 }) {
+  const params = queryParams(userId, filters);
+  const total = q.countAlertLog.get(params)?.n || 0;
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+  const pageIdx = Math.min(Math.max(0, Number(page) || 0), pageCount - 1);
+  const token = encodeFilters(filters);
+
+  const rows = total
+    ? q.selAlertLogPage.all({ ...params, limit: PAGE_SIZE, offset: pageIdx * PAGE_SIZE })
+    : [];
+
+  const embed = new EmbedBuilder()
+    .setTitle("My Alerts")
+    .setDescription(
+      [
+        discordName ? `User: **${discordName}**` : null,
+        `Filters: ${describeFilters(filters, { q, userId })}`,
+        "Times are UTC. Pick an entry below to see the alert as it was sent.",
+      ]
+        .filter(Boolean)
+        .join("\n")
+    );
+
+  if (!rows.length) {
+    embed.addFields({ name: "History", value: "_No alerts match these filters._" });
+    return {
+      content: "",
+      embeds: [embed],
+      components: [pagerRow({ userKey: actorId, page: 0, pageCount: 1, token })],
+    };
+  }
+
+  const chunks = chunkLinesForEmbed(rows.map(formatLogLine));
+  for (let i = 0; i < chunks.length; i += 1) {
+    const suffix = chunks.length > 1 ? ` (${i + 1}/${chunks.length})` : "";
+    embed.addFields({ name: `History${suffix}`, value: chunks[i] });
+  }
+  embed.setFooter({ text: `Page ${pageIdx + 1}/${pageCount} · ${total} alert(s)` });
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [
+      entrySelectRow({ userKey: actorId, page: pageIdx, token, rows }),
+      pagerRow({ userKey: actorId, page: pageIdx, pageCount, token }),
+    ],
+  };
+}
+
+function renderDetail({ actorId, row, page, token }) {
+  const payload = buildAlertDmPayload({
+    phase: row.phase,
+    alertType: row.alert_type,
+    logPrefix: `[${row.alert_type}]`,
+    message: row.message,
+    meta: parseMeta(row.meta_json),
+  });
+  const components = [backRow({ userKey: actorId, page, token })];
+  const header = `Alert \`#${entryRef(row)}\` · ${row.phase} · ${row.created_at} UTC`;
+
+  if (payload.embeds) {
+    const createdMs = Date.parse(`${String(row.created_at).replace(" ", "T")}Z`);
+    if (Number.isFinite(createdMs)) {
+      for (const e of payload.embeds) e.setTimestamp(createdMs);
+    }
+    return { content: header, embeds: payload.embeds, components };
+  }
+
+  const body = String(payload.content || "");
+  const content = `${header}\n${body}`.slice(0, CONTENT_MAX);
+  return { content, embeds: [], components };
+}
+
+/**
+ * Handle all mal:* interactions.
+ * Returns true if handled, false if not ours.
+ */
+async function handleMyAlertsInteraction(interaction) {
+  const isMal = typeof interaction.customId === "string" && interaction.customId.startsWith("mal:");
+  const isRelevantType = interaction.isButton?.() || interaction.isStringSelectMenu?.();
+
+  if (!isRelevantType || !isMal) return false;
+
+  const actorId = interaction.user?.id;
+  if (!actorId) return false;
+
+  const ephFlags = ephemeralFlags();
+
+  const parts = interaction.customId.split(":");
+  const ns = parts[0];
+  const action = parts[1];
+  if (ns !== "mal") return false;
+
+  const userKey = parts[2];
+  if (!userKey || userKey !== actorId) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const seq = acquireLock(actorId);
+  if (!seq) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const db = getDb();
+  const q = prepareQueries(db);
+
+  try {
+    const discordName = interaction.user.globalName || interaction.user.username || null;
+    const userId = getOrCreateUserId(db, { discordId: actorId, discordName });
+
+    if (!userId) {
+      await ackUpdate(interaction);
+      await replyOnce(interaction, "❌ Could not create/load your user record. Try again.", ephFlags);
+      return true;
+    }
+
+    // ---------- Buttons ----------
+    if (interaction.isButton?.()) {
+      if (action === "done") {
+        await interaction.update({ content: "✅ Done.", embeds: [], components: [] }).catch(() => {});
+        return true;
+      }
+
+      if (action === "page") {
+        // mal:page:<userKey>:<page>:<filterToken>
+        const page = Number(parts[3]) || 0;
+        const filters = decodeFilters(parts[4]);
+        await interaction
+          .update(renderMain({ actorId, discordName, userId, q, filters, page }))
+          .catch(() => {});
+        return true;
+      }
+
+      await ackUpdate(interaction);
+      return true;
+    }
+
+    // ---------- Select menus ----------
+    if (interaction.isStringSelectMenu?.() && action === "sel") {
+      // mal:sel:<userKey>:<page>:<filterToken>
+      const page = Number(parts[3]) || 0;
+      const token = parts[4] || "";
+      const m = /^(sp)?(\d+)$/.exec(String(interaction.values?.[0] || ""));
+      const lookup = m?.[1] === "sp" ? q.selSpAlertLogByIdForUser : q.selAlertLogByIdForUser;
+      const row = m ? lookup.get(Number(m[2]), userId) : null;
+      if (!row) {
+        await interaction
+          .update(renderMain({ actorId, discordName, userId, q, filters: decodeFilters(token), page }))
+          .catch(() => {});
+        await replyOnce(interaction, "❌ Alert not found.", ephFlags);
+        return true;
+      }
+
+      await interaction.update(renderDetail({ actorId, row, page, token })).catch(() => {});
+      return true;
+    }
+
+    await ackUpdate(interaction);
+    return true;
+  } catch (err) {
+    logger.error("[my-alerts-ui] router error:", err);
+    await ackUpdate(interaction);
+    await replyOnce(interaction, `❌ Error: ${err.message}`, ephFlags);
+    return true;
+  } finally {
+    releaseLock(actorId, seq);
+  }
+}
+
+module.exports = {
+  ALERT_TYPE_CODES,
+  handleMyAlertsInteraction,
+  normalizeFilters,
+  renderMain,
+};
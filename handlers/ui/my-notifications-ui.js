@@ -0,0 +1,606 @@
+// handlers/ui/my-notifications-ui.js
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  EmbedBuilder,
+} = require("discord.js");
+
+const logger = require("../../utils/logger");
+const { getDb, getOrCreateUserId } = require("../../db");
+const { prepareQueries } = require("../../db/queries");
+const { ephemeralFlags } = require("../../utils/discord/ephemerals");
+const {
+  NOTIFY_ALERT_TYPES,
+  getAvailableChannelTypes,
+  normalizeAlertTypes,
+  sendTestNotification,
+  isValidWebhookUrl,
+  checkWebhookTarget,
+  isValidEmail,
+  isValidChatId,
+} = require("../../monitoring/notifiers");
+
+const EMBED_FIELD_VALUE_MAX = 1024;
+const NOTIFY_CHANNELS_MAX_PER_USER = 10;
+const IMPLICIT_DM_VALUE = "dm"; // select value for the default (row-less) Discord DM channel
+
+const CHANNEL_TITLES = {
+  DISCORD_DM: "Discord DM",
+  WEBHOOK: "Webhook (HTTP JSON)",
+  EMAIL: "Email",
+  TELEGRAM: "Telegram",
+};
+
+const CHANNEL_EMOJI = {
+  DISCORD_DM: "💬",
+  WEBHOOK: "🔗",
+  EMAIL: "✉️",
+  TELEGRAM: "✈️",
+};
+
+const TARGET_INPUTS = {
+  WEBHOOK: {
+    label: "Webhook URL",
+    placeholder: "https://example.com/hooks/sentinel",
+    validate: isValidWebhookUrl,
+    verify: checkWebhookTarget,
+  },
+  EMAIL: { label: "Email address", placeholder: "you@example.com", validate: isValidEmail },
+  TELEGRAM: { label: "Telegram chat id", placeholder: "123456789 (message the bot, then /start)", validate: isValidChatId },
+};
+
+// ===================== UI LOCK START =====================
+const MN_LOCK_TTL_MS = 2500;
+const mnLocks = new Map(); // actorId -> { until:number, seq:number }
+
+function nowMs() {
+  return Date.now();
+}
+
+function acquireLock(actorId) {
+  const t = nowMs();
+  const cur = mnLocks.get(actorId);
+  if (cur && cur.until > t) return null;
+
+  const next = { until: t + MN_LOCK_TTL_MS, seq: (cur?.seq || 0) + 1 };
+  mnLocks.set(actorId, next);
+  return next.seq;
+}
+
+function releaseLock(actorId, seq) {
+  const cur = mnLocks.get(actorId);
+  if (!cur) return;
+  if (cur.seq !== seq) return;
+  mnLocks.delete(actorId);
+}
+// ====================== UI LOCK END ======================
+
+function chunkLinesForEmbed(lines, maxLen = EMBED_FIELD_VALUE_MAX) {
+  const chunks = [];
+  let cur = "";
+  for (const raw of lines || []) {
+    const line = String(raw || "");
+    if (!line) continue;
+
+    if (!cur) {
+      cur = line.slice(0, maxLen);
+      continue;
+    }
+
+    if (cur.length + 1 + line.length <= maxLen) {
+      cur += `\n${line}`;
+      continue;
+    }
+
+    chunks.push(cur);
+    cur = line.slice(0, maxLen);
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+// Webhook URLs often carry secrets in the path; only the host is ever shown.
+function displayTarget(c) {
+  if (c.channel_type === "DISCORD_DM") return "";
+  if (c.channel_type === "WEBHOOK") {
+    try {
+      return new URL(c.target).host;
+    } catch (_) {
+      return "invalid URL";
+    }
+  }
+  return c.target;
+}
+
+function channelLabel(c) {
+  const target = displayTarget(c);
+  return `${CHANNEL_TITLES[c.channel_type] || c.channel_type}${target ? ` ${target}` : ""}`;
+}
+
+function formatAlertTypes(raw) {
+  return raw ? String(raw).split(",").join(", ") : "all alert types";
+}
+
+function formatChannelLine(c) {
+  const state = c.is_enabled === 1 ? "🟢" : "⏸️";
+  const lines = [
+    `${state} ${CHANNEL_EMOJI[c.channel_type] || "•"} \`#${c.id}\` **${channelLabel(c)}** — ${formatAlertTypes(c.alert_types)}`,
+  ];
+  if (c.is_enabled !== 1 && c.disabled_reason) {
+    lines.push(`  ↳ paused: _${String(c.disabled_reason).slice(0, 150)}_`);
+  } else if (c.fail_count > 0) {
+    lines.push(`  ↳ ⚠️ ${c.fail_count} failed send(s): _${String(c.last_error || "").slice(0, 150)}_`);
+  }
+  return lines.join("\n");
+}
+
+function hasExplicitDm(channels) {
+  return channels.some((c) => c.channel_type === "DISCORD_DM");
+}
+
+// ---------- ACK helpers ----------
+
+async function ackUpdate(i) {
+  if (i.deferred || i.replied) return;
+  try {
+    await i.deferUpdate();
+  } catch (_) {}
+}
+
+async function replyOnce(i, content, flags) {
+  try {
+    if (i.deferred || i.replied) {
+      await i.followUp({ content, flags });
+    } else {
+      await i.reply({ content, flags });
+    }
+  } catch (_) {}
+}
+
+// ---------- UI Components ----------
+
+function mainButtonsRows({ userKey, channelCount }) {
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`mn:add:${userKey}`)
+        .setLabel("Add channel")
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(channelCount >= NOTIFY_CHANNELS_MAX_PER_USER),
+      new ButtonBuilder()
+        .setCustomId(`mn:edit:${userKey}`)
+        .setLabel("Alert types")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(channelCount === 0),
+      new ButtonBuilder()
+        .setCustomId(`mn:toggle:${userKey}`)
+        .setLabel("Pause / resume")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(channelCount === 0),
+      new ButtonBuilder()
+        .setCustomId(`mn:test:${userKey}`)
+        .setLabel("Send test")
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(`mn:remove:${userKey}`)
+        .setLabel("Remove")
+        .setStyle(ButtonStyle.Danger)
+        .setDisabled(channelCount === 0)
+    ),
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`mn:done:${userKey}`)
+        .setLabel("Done")
+        .setStyle(ButtonStyle.Success)
+    ),
+  ];
+}
+
+function cancelRow({ userKey }) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`mn:cancel:${userKey}`)
+      .setLabel("Cancel")
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+function typeSelectRow({ userKey, types }) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`mn:type:${userKey}`)
+    .setPlaceholder("Select a channel type")
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(
+      types.map((t) => ({
+        label: CHANNEL_TITLES[t],
+        value: t,
+        ...(t === "DISCORD_DM" ? { description: "Limit which alert types reach your DMs" } : {}),
+      }))
+    );
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+function channelSelectRow({ userKey, action, options, placeholder }) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`mn:${action}:${userKey}`)
+    .setPlaceholder(placeholder)
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(options.slice(0, 25));
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+function channelOptions(channels) {
+  return channels.map((c) => ({
+    label: `#${c.id} ${channelLabel(c)}`.slice(0, 100),
+    description: `${c.is_enabled === 1 ? "Active" : "Paused"} · ${formatAlertTypes(c.alert_types)}`.slice(0, 100),
+    value: String(c.id),
+  }));
+}
+
+function alertTypesInput(current) {
+  const input = new TextInputBuilder()
+    .setCustomId("types")
+    .setLabel("Alert types (blank = all)")
+    .setPlaceholder(NOTIFY_ALERT_TYPES.join(", ").slice(0, 100))
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(false);
+  if (current) input.setValue(String(current).split(",").join(", "));
+  return new ActionRowBuilder().addComponents(input);
+}
+
+function addModal({ userKey, channelType }) {
+  const modal = new ModalBuilder()
+    .setCustomId(`mn:modal:${userKey}:${channelType}`)
+    .setTitle(`Add ${CHANNEL_TITLES[channelType]}`.slice(0, 45));
+
+  const rows = [];
+  const spec = TARGET_INPUTS[channelType];
+  if (spec) {
+    rows.push(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("target")
+          .setLabel(spec.label)
+          .setPlaceholder(spec.placeholder.slice(0, 100))
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(500)
+          .setRequired(true)
+      )
+    );
+  }
+  rows.push(alertTypesInput(null));
+  modal.addComponents(...rows);
+  return modal;
+}
+
+function editModal({ userKey, channel }) {
+  const modal = new ModalBuilder()
+    .setCustomId(`mn:emodal:${userKey}:${channel.id}`)
+    .setTitle(`Alert types — ${CHANNEL_TITLES[channel.channel_type]}`.slice(0, 45));
+  modal.addComponents(alertTypesInput(channel.alert_types));
+  return modal;
+}
+
+// ---------- Embeds / Renders ----------
+
+function renderMain({ actorId, discordName, userId, q }) {
+  const channels = q.selNotifyChannelsForUser.all(userId);
+  const userRow = q.selUser.get(userId);
+  const acceptsDm = userRow?.accepts_dm === 1;
+
+  const embed = new EmbedBuilder()
+    .setTitle("Notification Channels")
+    .setDescription(
+      [
+        discordName ? `User: **${discordName}**` : null,
+        "Choose where alerts, digests and the daily heartbeat are delivered, per alert type.",
+        `Alert types: ${NOTIFY_ALERT_TYPES.join(", ")}.`,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    );
+
+  const lines = [];
+  if (!hasExplicitDm(channels)) {
+    lines.push(
+      acceptsDm
+        ? `🟢 ${CHANNEL_EMOJI.DISCORD_DM} **Discord DM** (default) — all alert types`
+        : `⏸️ ${CHANNEL_EMOJI.DISCORD_DM} **Discord DM** (default) — _DMs are off for your account_`
+    );
+  }
+  lines.push(...channels.map(formatChannelLine));
+
+  const chunks = chunkLinesForEmbed(lines);
+  for (let i = 0; i < chunks.length; i += 1) {
+    const suffix = chunks.length > 1 ? ` (${i + 1}/${chunks.length})` : "";
+    embed.addFields({ name: `Channels${suffix}`, value: chunks[i] });
+  }
+  embed.setFooter({
+    text: `🟢 active · ⏸️ paused · ${channels.length}/${NOTIFY_CHANNELS_MAX_PER_USER} used · channels pause themselves after repeated failures`,
+  });
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: mainButtonsRows({ userKey: actorId, channelCount: channels.length }),
+  };
+}
+
+function renderTypePick({ actorId }) {
+  const types = getAvailableChannelTypes();
+  const embed = new EmbedBuilder()
+    .setTitle("Add Notification Channel")
+    .setDescription(
+      [
+        "Pick a channel type.",
+        "Email / Telegram only appear when the bot operator has configured them.",
+      ].join("\n")
+    );
+  return {
+    content: "",
+    embeds: [embed],
+    components: [typeSelectRow({ userKey: actorId, types }), cancelRow({ userKey: actorId })],
+  };
+}
+
+function renderChannelPick({ actorId, channels, action, title, placeholder, includeImplicitDm = false }) {
+  const options = channelOptions(channels);
+  if (includeImplicitDm && !hasExplicitDm(channels)) {
+    options.unshift({ label: "Discord DM (default)", value: IMPLICIT_DM_VALUE });
+  }
+  const embed = new EmbedBuilder().setTitle(title);
+
+  if (!options.length) {
+    embed.setDescription("_No notification channels._");
+    return { content: "", embeds: [embed], components: [cancelRow({ userKey: actorId })] };
+  }
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [
+      channelSelectRow({ userKey: actorId, action, options, placeholder }),
+      cancelRow({ userKey: actorId }),
+    ],
+  };
+}
+
+/**
+ * Handle all mn:* interactions.
+ * Returns true if handled, false if not ours.
+ */
+async function handleMyNotificationsInteraction(interaction) {
+  const isMn = typeof interaction.customId === "string" && interaction.customId.startsWith("mn:");
+  const isRelevantType =
+    interaction.isButton?.() || interaction.isStringSelectMenu?.() || interaction.isModalSubmit?.();
+
+  if (!isRelevantType || !isMn) return false;
+
+  const actorId = interaction.user?.id;
+  if (!actorId) return false;
+
+  const ephFlags = ephemeralFlags();
+
+  const parts = interaction.customId.split(":");
+  const ns = parts[0];
+  const action = parts[1];
+  if (ns !== "mn") return false;
+
+  const userKey = parts[2];
+  if (!userKey || userKey !== actorId) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const seq = acquireLock(actorId);
+  if (!seq) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const db = getDb();
+  const q = prepareQueries(db);
+
+  try {
+    const discordName = interaction.user.globalName || interaction.user.username || null;
+    const userId = getOrCreateUserId(db, { discordId: actorId, discordName });
+
+    if (!userId) {
+      await ackUpdate(interaction);
+      await replyOnce(interaction, "❌ Could not create/load your user record. Try again.", ephFlags);
+      return true;
+    }
+
+    // ---------- Modal submits ----------
+    if (interaction.isModalSubmit?.() && (action === "modal" || action === "emodal")) {
+      const canUpdate = Boolean(interaction.message);
+      if (!canUpdate && !interaction.deferred && !interaction.replied) {
+        await interaction.deferReply({ flags: ephFlags }).catch(() => {});
+      }
+      const respond = async (payload) => {
+        if (canUpdate) await interaction.update(payload).catch(() => {});
+        else await interaction.editReply(payload).catch(() => {});
+      };
+      const fail = async (content) => {
+        await respond(renderMain({ actorId, discordName, userId, q }));
+        await replyOnce(interaction, content, ephFlags);
+        return true;
+      };
+
+      const types = normalizeAlertTypes(interaction.fields.getTextInputValue("types"));
+      if (types.error) return fail(`❌ ${types.error}`);
+
+      if (action === "emodal") {
+        // mn:emodal:<userKey>:<channelId>
+        const id = Number(parts[3]);
+        const res = q.setNotifyChannelAlertTypesForUser.run(types.value, id, userId);
+        if (!res.changes) return fail("❌ Channel not found.");
+        await respond(renderMain({ actorId, discordName, userId, q }));
+        return true;
+      }
+
+      // mn:modal:<userKey>:<channelType>
+      const channelType = parts[3];
+      if (!getAvailableChannelTypes().includes(channelType)) {
+        return fail("❌ That channel type is not available on this bot.");
+      }
+      const spec = TARGET_INPUTS[channelType];
+      const target = spec ? String(interaction.fields.getTextInputValue("target") || "").trim() : "";
+      if (spec && !spec.validate(target)) return fail(`❌ Invalid ${spec.label.toLowerCase()}.`);
+      if (spec?.verify) {
+        const check = await spec.verify(target);
+        if (!check.ok) return fail(`❌ ${check.reason}`);
+      }
+
+      const channels = q.selNotifyChannelsForUser.all(userId);
+      const exists = channels.some((c) => c.channel_type === channelType && c.target === target);
+      if (!exists && channels.length >= NOTIFY_CHANNELS_MAX_PER_USER) {
+        return fail(`❌ You already have ${NOTIFY_CHANNELS_MAX_PER_USER} channels. Remove one first.`);
+      }
+
+      q.upsertNotifyChannel.run({ userId, channelType, target, alertTypes: types.value });
+      logger.info(`[my-notifications-ui] saved ${channelType} channel userId=${userId} types=${types.value || "ALL"}`);
+      await respond(renderMain({ actorId, discordName, userId, q }));
+      return true;
+    }
+
+    // ---------- Buttons ----------
+    if (interaction.isButton?.()) {
+      if (action === "done") {
+        await interaction.update({ content: "✅ Done.", embeds: [], components: [] }).catch(() => {});
+        return true;
+      }
+
+      if (action === "cancel") {
+        await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+        return true;
+      }
+
+      if (action === "add") {
+        await interaction.update(renderTypePick({ actorId })).catch(() => {});
+        return true;
+      }
+
+      const picks = {
+        edit: { next: "esel", title: "Change Alert Types", placeholder: "Select a channel" },
+        toggle: { next: "tsel", title: "Pause / Resume Channel", placeholder: "Select a channel" },
+        test: { next: "xsel", title: "Send Test Notification", placeholder: "Select a channel to test" },
+        remove: { next: "rsel", title: "Remove Channel", placeholder: "Select a channel to remove" },
+      };
+      if (picks[action]) {
+        const pick = picks[action];
+        await interaction
+          .update(
+            renderChannelPick({
+              actorId,
+              channels: q.selNotifyChannelsForUser.all(userId),
+              action: pick.next,
+              title: pick.title,
+              placeholder: pick.placeholder,
+              includeImplicitDm: action === "test",
+            })
+          )
+          .catch(() => {});
+        return true;
+      }
+
+      await ackUpdate(interaction);
+      return true;
+    }
+
+    // ---------- Select menus ----------
+    if (interaction.isStringSelectMenu?.()) {
+      const value = interaction.values?.[0];
+
+      if (action === "type") {
+        if (!getAvailableChannelTypes().includes(value)) {
+          await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+          await replyOnce(interaction, "❌ That channel type is not available on this bot.", ephFlags);
+          return true;
+        }
+        // showModal is the ACK for select menu interactions
+        try {
+          await interaction.showModal(addModal({ userKey: actorId, channelType: value }));
+        } catch (err) {
+          await ackUpdate(interaction);
+          await replyOnce(interaction, `❌ Could not open the modal: ${err.message}`, ephFlags);
+        }
+        return true;
+      }
+
+      const channels = q.selNotifyChannelsForUser.all(userId);
+      const channel =
+        value === IMPLICIT_DM_VALUE
+          ? { id: null, channel_type: "DISCORD_DM", target: "" }
+          : channels.find((c) => c.id === Number(value));
+      if (!channel) {
+        await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+        await replyOnce(interaction, "❌ Channel not found.", ephFlags);
+        return true;
+      }
+
+      if (action === "esel") {
+        try {
+          await interaction.showModal(editModal({ userKey: actorId, channel }));
+        } catch (err) {
+          await ackUpdate(interaction);
+          await replyOnce(interaction, `❌ Could not open the modal: ${err.message}`, ephFlags);
+        }
+        return true;
+      }
+
+      if (action === "tsel") {
+        q.setNotifyChannelEnabledForUser.run({
+          enabled: channel.is_enabled === 1 ? 0 : 1,
+          id: channel.id,
+          userId,
+        });
+        await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+        return true;
+      }
+
+      if (action === "rsel") {
+        q.deleteNotifyChannelByIdForUser.run(channel.id, userId);
+        await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+        return true;
+      }
+
+      if (action === "xsel") {
+        // Retries can outlast the 3s interaction window: ACK first, report after
+        await ackUpdate(interaction);
+        const { sent } = await sendTestNotification({ userId, channel });
+        await interaction.editReply(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+        await replyOnce(
+          interaction,
+          sent
+            ? `✅ Test sent via ${channelLabel(channel)}.`
+            : `❌ Test via ${channelLabel(channel)} failed. See the channel list for the error.`,
+          ephFlags
+        );
+        return true;
+      }
+    }
+
+    await ackUpdate(interaction);
+    return true;
+  } catch (err) {
+    logger.error("[my-notifications-ui] router error:", err);
+    await ackUpdate(interaction);
+    await replyOnce(interaction, `❌ Error: ${err.message}`, ephFlags);
+    return true;
+  } finally {
+    releaseLock(actorId, seq);
+  }
+}
+
+module.exports = {
+  handleMyNotificationsInteraction,
+  renderMain,
+};
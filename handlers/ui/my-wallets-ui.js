@@ -138,19 +138,33 @@ function releaseLock(actorId, seq) {
 
 // ---------------- UI helpers ----------------
 
-function buildWalletsEmbed({ discordName, wallets, heartbeatHour, heartbeatTz, heartbeatEnabled }) {
+function buildWalletsEmbed({
+  discordName,
+  wallets,
+  heartbeatHour,
+  heartbeatTz,
+  heartbeatEnabled,
+  quietEnabled,
+  quietStartHour,
+  quietEndHour,
+}) {
   const hbTz = heartbeatTz || DEFAULT_HEARTBEAT_TZ;
   const hbHour = Number.isInteger(heartbeatHour) ? heartbeatHour : 3;
   const hbEnabled = heartbeatEnabled !== 0;
   const hbLine = `Heartbeat: **${formatHourLabel(hbHour)}** (${hbTz})${
     hbEnabled ? "" : " — _disabled_"
   }`;
+  const qhLine =
+    quietEnabled === 1
+      ? `Quiet hours: **${formatHourLabel(quietStartHour)} → ${formatHourLabel(quietEndHour)}** (${hbTz})`
+      : "Quiet hours: _off_";
   const embed = new EmbedBuilder()
     .setTitle("My Wallets")
     .setDescription(
       [
         discordName ? `User: **${discordName}**` : null,
         hbLine,
+        qhLine,
       ]
         .filter(Boolean)
         .join("\n")
@@ -212,6 +226,15 @@ function mainButtonsRow({ userKey }) {
   );
 }
 
+function settingsButtonsRow({ userKey }) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`mw:quiet:${userKey}`)
+      .setLabel("Quiet hours")
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
 function cancelRow({ userKey }) {
   return new ActionRowBuilder().addComponents(
     new ButtonBuilder()
@@ -306,13 +329,19 @@ function walletModal({ userKey, chainId }) {
   return modal;
 }
 
-function heartbeatRegionRow({ userKey }) {
+// Timezone picker is shared by the heartbeat ("hb") and quiet hours ("qh") flows;
+// the target rides along as the last customId segment.
+function tzPickTitle(target) {
+  return target === "qh" ? "Quiet Hours" : "Daily Heartbeat";
+}
+
+function heartbeatRegionRow({ userKey, target = "hb" }) {
   const regions = getTzRegions().slice(0, 25).map((r) => ({
     label: r,
     value: r,
   }));
   const menu = new StringSelectMenuBuilder()
-    .setCustomId(`mw:hbregion:${userKey}`)
+    .setCustomId(`mw:hbregion:${userKey}:${target}`)
     .setPlaceholder("Select a region")
     .setMinValues(1)
     .setMaxValues(1)
@@ -320,7 +349,7 @@ function heartbeatRegionRow({ userKey }) {
   return new ActionRowBuilder().addComponents(menu);
 }
 
-function heartbeatTzRow({ userKey, region, page }) {
+function heartbeatTzRow({ userKey, region, page, target = "hb" }) {
   const all = getTzForRegion(region);
   const pageSize = 23; // leave room for Prev/Next options
   const maxPage = Math.max(0, Math.ceil(all.length / pageSize) - 1);
@@ -335,7 +364,7 @@ function heartbeatTzRow({ userKey, region, page }) {
     options.push({ label: "Next page →", value: "__next__" });
   }
   const menu = new StringSelectMenuBuilder()
-    .setCustomId(`mw:hbtz:${userKey}:${region}:${safePage}`)
+    .setCustomId(`mw:hbtz:${userKey}:${region}:${safePage}:${target}`)
     .setPlaceholder(`Select a timezone (${region})`)
     .setMinValues(1)
     .setMaxValues(1)
@@ -343,24 +372,24 @@ function heartbeatTzRow({ userKey, region, page }) {
   return new ActionRowBuilder().addComponents(menu);
 }
 
-function heartbeatTzPager({ userKey, region, page }) {
+function heartbeatTzPager({ userKey, region, page, target = "hb" }) {
   const all = getTzForRegion(region);
   const pageSize = 23; // keep in sync with heartbeatTzRow
   const maxPage = Math.max(0, Math.ceil(all.length / pageSize) - 1);
   const safePage = Math.min(Math.max(page, 0), maxPage);
   return new ActionRowBuilder().addComponents(
     new ButtonBuilder()
-      .setCustomId(`mw:hbpage:${userKey}:${region}:${safePage - 1}`)
+      .setCustomId(`mw:hbpage:${userKey}:${region}:${safePage - 1}:${target}`)
       .setLabel("Prev")
       .setStyle(ButtonStyle.Secondary)
       .setDisabled(safePage <= 0),
     new ButtonBuilder()
-      .setCustomId(`mw:hbpage:${userKey}:${region}:${safePage + 1}`)
+      .setCustomId(`mw:hbpage:${userKey}:${region}:${safePage + 1}:${target}`)
       .setLabel("Next")
       .setStyle(ButtonStyle.Secondary)
       .setDisabled(safePage >= maxPage),
     new ButtonBuilder()
-      .setCustomId(`mw:hbkeep:${userKey}`)
+      .setCustomId(`mw:hbkeep:${userKey}:${target}`)
       .setLabel("Use current TZ")
       .setStyle(ButtonStyle.Primary)
   );
@@ -430,6 +459,69 @@ function heartbeatModalWithTz({ userKey, tz, currentHour, enabled }) {
   return modal;
 }
 
+function quietHoursModal({ userKey, tz, startHour, endHour, enabled }) {
+  const modal = new ModalBuilder()
+    .setCustomId(`mw:qhmodal:${userKey}:${tz}`)
+    .setTitle("Quiet Hours");
+
+  const startInput = new TextInputBuilder()
+    .setCustomId("start")
+    .setLabel("Start hour (0-23, your local time)")
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true);
+  if (Number.isInteger(startHour)) startInput.setValue(String(startHour));
+
+  const endInput = new TextInputBuilder()
+    .setCustomId("end")
+    .setLabel("End hour (0-23, alerts resume at this hour)")
+    .setStyle(TextInputStyle.Short)
+    .setRequired(true);
+  if (Number.isInteger(endHour)) endInput.setValue(String(endHour));
+
+  const enabledInput = new TextInputBuilder()
+    .setCustomId("enabled")
+    .setLabel("Enable quiet hours? (yes/no)")
+    .setStyle(TextInputStyle.Short)
+    .setRequired(false);
+
+  if (enabled === 0) enabledInput.setValue("no");
+  if (enabled === 1) enabledInput.setValue("yes");
+
+  modal.addComponents(
+    new ActionRowBuilder().addComponents(startInput),
+    new ActionRowBuilder().addComponents(endInput),
+    new ActionRowBuilder().addComponents(enabledInput)
+  );
+
+  return modal;
+}
+
+function tzTargetModal({ userKey, tz, userRow, target }) {
+  if (target === "qh") {
+    return quietHoursModal({
+      userKey,
+      tz,
+      startHour: userRow?.quiet_start_hour ?? null,
+      endHour: userRow?.quiet_end_hour ?? null,
+      enabled: 1, // opening the picker means the user wants quiet hours on; "no" turns them off
+    });
+  }
+  return heartbeatModalWithTz({
+    userKey,
+    tz,
+    currentHour: userRow?.heartbeat_hour ?? null,
+    enabled: userRow?.heartbeat_enabled ?? 1,
+  });
+}
+
+function parseYesNo(raw, fallback) {
+  const v = String(raw || "").trim().toLowerCase();
+  if (!v) return fallback;
+  if (["no", "n", "off", "disable", "disabled", "0"].includes(v)) return 0;
+  if (["yes", "y", "on", "enable", "enabled", "1"].includes(v)) return 1;
+  return null;
+}
+
 // ---------------- Renders ----------------
 
 function renderMain({ actorId, discordName, userId, q }) {
@@ -441,8 +533,15 @@ function renderMain({ actorId, discordName, userId, q }) {
     heartbeatHour: userRow?.heartbeat_hour,
     heartbeatTz: userRow?.heartbeat_tz,
     heartbeatEnabled: userRow?.heartbeat_enabled,
+    quietEnabled: userRow?.quiet_enabled,
+    quietStartHour: userRow?.quiet_start_hour,
+    quietEndHour: userRow?.quiet_end_hour,
   });
-  return { content: "", embeds: [embed], components: [mainButtonsRow({ userKey: actorId })] };
+  return {
+    content: "",
+    embeds: [embed],
+    components: [mainButtonsRow({ userKey: actorId }), settingsButtonsRow({ userKey: actorId })],
+  };
 }
 
 function renderChainPick({ actorId, q }) {
@@ -665,6 +764,50 @@ async function handleMyWalletsInteraction(interaction) {
       return true;
     }
 
+    if (interaction.isModalSubmit?.() && action === "qhmodal") {
+      const canUpdate = Boolean(interaction.message);
+      if (!canUpdate && !interaction.deferred && !interaction.replied) {
+        await interaction.deferReply({ flags: ephFlags }).catch(() => {});
+      }
+      const fail = async (content) => {
+        if (canUpdate) {
+          await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+          await replyOnce(interaction, content, ephFlags);
+        } else {
+          await interaction.editReply({ content }).catch(() => {});
+        }
+        return true;
+      };
+
+      const tzFromCustom = parts[3];
+      if (tzFromCustom && !TZ_LIST.includes(tzFromCustom)) {
+        return fail("❌ Invalid timezone selection. Please try again.");
+      }
+
+      const startHour = Number((interaction.fields.getTextInputValue("start") || "").trim());
+      const endHour = Number((interaction.fields.getTextInputValue("end") || "").trim());
+      if (![startHour, endHour].every((h) => Number.isInteger(h) && h >= 0 && h <= 23)) {
+        return fail("❌ Start and end must be integers from 0–23.");
+      }
+      if (startHour === endHour) {
+        return fail("❌ Start and end hour must differ.");
+      }
+      const enabled = parseYesNo(interaction.fields.getTextInputValue("enabled"), 1);
+      if (enabled == null) {
+        return fail("❌ Enable must be yes/no (or leave blank).");
+      }
+
+      const userRow = q.selUser.get(userId);
+      const tz = tzFromCustom || userRow?.heartbeat_tz || DEFAULT_HEARTBEAT_TZ;
+      q.setUserQuietHours.run(startHour, endHour, enabled, tz, userId);
+      if (canUpdate) {
+        await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+      } else {
+        await interaction.editReply(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+      }
+      return true;
+    }
+
     // ---------------- Buttons ----------------
     if (interaction.isButton?.()) {
       if (action === "done") {
@@ -692,23 +835,30 @@ async function handleMyWalletsInteraction(interaction) {
         return true;
       }
 
-      if (action === "heartbeat") {
+      if (action === "heartbeat" || action === "quiet") {
+        const target = action === "quiet" ? "qh" : "hb";
         const userRow = q.selUser.get(userId);
         const userRegion = getRegionFromTz(userRow?.heartbeat_tz) || "America";
         try {
           const embed = new EmbedBuilder()
-            .setTitle("Daily Heartbeat")
+            .setTitle(tzPickTitle(target))
             .setDescription(
               [
+                target === "qh"
+                  ? "Non-critical alerts are held during quiet hours and sent as one digest when they end. CRITICAL liquidation alerts always come through."
+                  : null,
                 "Select a region, then pick your timezone.",
                 "Or choose **Use current TZ** to keep your existing timezone.",
-              ].join("\n")
+                target === "qh" ? "_Quiet hours and the daily heartbeat share one timezone._" : null,
+              ]
+                .filter(Boolean)
+                .join("\n")
             );
           await interaction.update({
             embeds: [embed],
             components: [
-              heartbeatRegionRow({ userKey: actorId }),
-              heartbeatTzPager({ userKey: actorId, region: userRegion, page: 0 }),
+              heartbeatRegionRow({ userKey: actorId, target }),
+              heartbeatTzPager({ userKey: actorId, region: userRegion, page: 0, target }),
               cancelRow({ userKey: actorId }),
             ],
           });
@@ -720,14 +870,15 @@ async function handleMyWalletsInteraction(interaction) {
       }
 
       if (action === "hbkeep") {
+        const target = parts[3] || "hb";
         const userRow = q.selUser.get(userId);
         try {
           await interaction.showModal(
-            heartbeatModalWithTz({
+            tzTargetModal({
               userKey: actorId,
               tz: userRow?.heartbeat_tz || DEFAULT_HEARTBEAT_TZ,
-              currentHour: userRow?.heartbeat_hour ?? null,
-              enabled: userRow?.heartbeat_enabled ?? 1,
+              userRow,
+              target,
             })
           );
         } catch (err) {
@@ -740,14 +891,15 @@ async function handleMyWalletsInteraction(interaction) {
       if (action === "hbpage") {
         const region = parts[3];
         const page = Number(parts[4]);
+        const target = parts[5] || "hb";
         const embed = new EmbedBuilder()
-          .setTitle("Daily Heartbeat")
+          .setTitle(tzPickTitle(target))
           .setDescription(`Select a timezone in **${region}**.`);
         await interaction.update({
           embeds: [embed],
           components: [
-            heartbeatTzRow({ userKey: actorId, region, page }),
-            heartbeatTzPager({ userKey: actorId, region, page }),
+            heartbeatTzRow({ userKey: actorId, region, page, target }),
+            heartbeatTzPager({ userKey: actorId, region, page, target }),
             cancelRow({ userKey: actorId }),
           ],
         });
@@ -815,14 +967,15 @@ async function handleMyWalletsInteraction(interaction) {
 
       if (action === "hbregion") {
         const region = interaction.values?.[0];
+        const target = parts[3] || "hb";
         const embed = new EmbedBuilder()
-          .setTitle("Daily Heartbeat")
+          .setTitle(tzPickTitle(target))
           .setDescription(`Select a timezone in **${region}**.`);
         await interaction.update({
           embeds: [embed],
           components: [
-            heartbeatTzRow({ userKey: actorId, region, page: 0 }),
-            heartbeatTzPager({ userKey: actorId, region, page: 0 }),
+            heartbeatTzRow({ userKey: actorId, region, page: 0, target }),
+            heartbeatTzPager({ userKey: actorId, region, page: 0, target }),
             cancelRow({ userKey: actorId }),
           ],
         });
@@ -832,18 +985,19 @@ async function handleMyWalletsInteraction(interaction) {
       if (action === "hbtz") {
         const region = parts[3];
         const page = Number(parts[4] || 0);
+        const target = parts[5] || "hb";
         const tz = interaction.values?.[0];
 
         if (tz === "__next__" || tz === "__prev__") {
           const nextPage = tz === "__next__" ? page + 1 : page - 1;
           const embed = new EmbedBuilder()
-            .setTitle("Daily Heartbeat")
+            .setTitle(tzPickTitle(target))
             .setDescription(`Select a timezone in **${region}**.`);
           await interaction.update({
             embeds: [embed],
             components: [
-              heartbeatTzRow({ userKey: actorId, region, page: nextPage }),
-              heartbeatTzPager({ userKey: actorId, region, page: nextPage }),
+              heartbeatTzRow({ userKey: actorId, region, page: nextPage, target }),
+              heartbeatTzPager({ userKey: actorId, region, page: nextPage, target }),
               cancelRow({ userKey: actorId }),
             ],
           });
@@ -851,14 +1005,7 @@ async function handleMyWalletsInteraction(interaction) {
         }
         const userRow = q.selUser.get(userId);
         try {
-          await interaction.showModal(
-            heartbeatModalWithTz({
-              userKey: actorId,
-              tz,
-              currentHour: userRow?.heartbeat_hour ?? null,
-              enabled: userRow?.heartbeat_enabled ?? 1,
-            })
-          );
+          await interaction.showModal(tzTargetModal({ userKey: actorId, tz, userRow, target }));
         } catch (err) {
           await ackUpdate(interaction);
           await replyOnce(interaction, `❌ Could not open the modal: ${err.message}`, ephFlags);
@@ -0,0 +1,647 @@
+// handlers/ui/price-alerts-ui.js
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  EmbedBuilder,
+} = require("discord.js");
+
+const logger = require("../../utils/logger");
+const { getDb, getOrCreateUserId } = require("../../db");
+const { prepareQueries } = require("../../db/queries");
+const { ephemeralFlags } = require("../../utils/discord/ephemerals");
+const { shortenTroveId } = require("../../utils/ethers/shortenTroveId");
+const {
+  PRICE_ALERT_CONDITIONS,
+  evaluatePriceRule,
+  formatPriceRule,
+  formatPriceValue,
+  describeSnapshotPrice,
+} = require("../../monitoring/priceAlerts");
+
+const EMBED_FIELD_VALUE_MAX = 1024;
+const PRICE_ALERTS_MAX_PER_USER = 25; // one select menu worth
+const NOTE_MAX_LEN = 100;
+
+const CONDITION_TITLES = {
+  ABOVE: "Price rises to / above",
+  BELOW: "Price falls to / below",
+  OUTSIDE: "Price leaves a range",
+};
+
+// ===================== UI LOCK START =====================
+const PA_LOCK_TTL_MS = 2500;
+const paLocks = new Map(); // actorId -> { until:number, seq:number }
+
+function nowMs() {
+  return Date.now();
+}
+
+function acquireLock(actorId) {
+  const t = nowMs();
+  const cur = paLocks.get(actorId);
+  if (cur && cur.until > t) return null;
+
+  const next = { until: t + PA_LOCK_TTL_MS, seq: (cur?.seq || 0) + 1 };
+  paLocks.set(actorId, next);
+  return next.seq;
+}
+
+function releaseLock(actorId, seq) {
+  const cur = paLocks.get(actorId);
+  if (!cur) return;
+  if (cur.seq !== seq) return;
+  paLocks.delete(actorId);
+}
+// ====================== UI LOCK END ======================
+
+// ===================== UI SESSION START =====================
+// Position token IDs do not fit in a customId, so the picked position is held per actor.
+const PA_SESSION_TTL_MS = 15 * 60 * 1000;
+const paSessions = new Map(); // actorId -> { until:number, positions, position }
+
+function getSession(actorId) {
+  const cur = paSessions.get(actorId);
+  if (!cur || cur.until <= nowMs()) {
+    paSessions.delete(actorId);
+    return null;
+  }
+  return cur;
+}
+
+function setSession(actorId, patch) {
+  const cur = getSession(actorId) || {};
+  paSessions.set(actorId, { ...cur, ...patch, until: nowMs() + PA_SESSION_TTL_MS });
+}
+// ====================== UI SESSION END ======================
+
+function chunkLinesForEmbed(lines, maxLen = EMBED_FIELD_VALUE_MAX) {
+  const chunks = [];
+  let cur = "";
+  for (const raw of lines || []) {
+    const line = String(raw || "");
+    if (!line) continue;
+
+    if (!cur) {
+      cur = line.slice(0, maxLen);
+      continue;
+    }
+
+    if (cur.length + 1 + line.length <= maxLen) {
+      cur += `\n${line}`;
+      continue;
+    }
+
+    chunks.push(cur);
+    cur = line.slice(0, maxLen);
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+function parseSnapshotJson(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    return null;
+  }
+}
+
+// Accepts "2.5", "2,500.25", "$2.5". Returns a positive number or null.
+function parsePriceInput(raw) {
+  const s = String(raw || "").trim().replace(/[$,\s]/g, "");
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function positionTitle(p) {
+  return `${p.position_kind} ${p.chain_id} ${p.protocol} #${shortenTroveId(p.token_id)}`;
+}
+
+function formatRuleLine(r) {
+  const priceInfo = describeSnapshotPrice(r.position_kind, parseSnapshotJson(r.snapshot_json));
+  const { isActive } = evaluatePriceRule(r, priceInfo.price);
+  const state = r.is_enabled !== 1 ? "⏸️" : isActive ? "🔔" : "🟢";
+  const asset = priceInfo.assetLabel || r.protocol || "?";
+  const now =
+    priceInfo.price != null ? ` · now ${formatPriceValue(priceInfo.price)}` : " · no price yet";
+  const wallet = r.wallet_label ? ` · ${r.wallet_label}` : "";
+  const note = r.note ? ` — _${r.note}_` : "";
+  return (
+    `${state} \`#${r.id}\` **${asset}** ${formatPriceRule(r, priceInfo.priceUnit)}${now}` +
+    ` · ${r.protocol || "?"} #${shortenTroveId(r.token_id)}${wallet}${note}`
+  );
+}
+
+function ruleOptionLabel(r) {
+  const priceInfo = describeSnapshotPrice(r.position_kind, parseSnapshotJson(r.snapshot_json));
+  const asset = priceInfo.assetLabel || r.protocol || "?";
+  return `#${r.id} ${asset} ${formatPriceRule(r, priceInfo.priceUnit)}`.slice(0, 100);
+}
+
+// ---------- ACK helpers ----------
+
+async function ackUpdate(i) {
+  if (i.deferred || i.replied) return;
+  try {
+    await i.deferUpdate();
+  } catch (_) {}
+}
+
+async function replyOnce(i, content, flags) {
+  try {
+    if (i.deferred || i.replied) {
+      await i.followUp({ content, flags });
+    } else {
+      await i.reply({ content, flags });
+    }
+  } catch (_) {}
+}
+
+// ---------- UI Components ----------
+
+function mainButtonsRow({ userKey, ruleCount }) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`pa:add:${userKey}`)
+      .setLabel("Add alert")
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(ruleCount >= PRICE_ALERTS_MAX_PER_USER),
+    new ButtonBuilder()
+      .setCustomId(`pa:toggle:${userKey}`)
+      .setLabel("Pause / resume")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(ruleCount === 0),
+    new ButtonBuilder()
+      .setCustomId(`pa:remove:${userKey}`)
+      .setLabel("Remove")
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(ruleCount === 0),
+    new ButtonBuilder()
+      .setCustomId(`pa:done:${userKey}`)
+      .setLabel("Done")
+      .setStyle(ButtonStyle.Success)
+  );
+}
+
+function cancelRow({ userKey }) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`pa:cancel:${userKey}`)
+      .setLabel("Cancel")
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+function positionSelectRow({ userKey, positions }) {
+  const options = positions.slice(0, 25).map((p, idx) => ({
+    label: `${p.assetLabel} — ${formatPriceValue(p.price)} ${p.priceUnit}`.slice(0, 100),
+    description: `${positionTitle(p)}${p.wallet_label ? ` · ${p.wallet_label}` : ""}`.slice(0, 100),
+    value: String(idx),
+  }));
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`pa:psel:${userKey}`)
+    .setPlaceholder("Select the position that supplies the price")
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(options);
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+function conditionSelectRow({ userKey }) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`pa:cond:${userKey}`)
+    .setPlaceholder("Select when to alert")
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(
+      PRICE_ALERT_CONDITIONS.map((c) => ({
+        label: CONDITION_TITLES[c],
+        value: c,
+      }))
+    );
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+function ruleSelectRow({ userKey, action, rules, placeholder }) {
+  const options = rules.slice(0, 25).map((r) => ({
+    label: ruleOptionLabel(r),
+    description: (r.is_enabled === 1 ? "Active" : "Paused").slice(0, 100),
+    value: String(r.id),
+  }));
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`pa:${action}:${userKey}`)
+    .setPlaceholder(placeholder)
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(options);
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+function priceInput(id, label, position) {
+  return new ActionRowBuilder().addComponents(
+    new TextInputBuilder()
+      .setCustomId(id)
+      .setLabel(`${label} (now ${formatPriceValue(position.price)})`.slice(0, 45))
+      .setPlaceholder(`Price in ${position.priceUnit}`.slice(0, 100))
+      .setStyle(TextInputStyle.Short)
+      .setRequired(true)
+  );
+}
+
+function ruleModal({ userKey, condition, position }) {
+  const modal = new ModalBuilder()
+    .setCustomId(`pa:modal:${userKey}:${condition}`)
+    .setTitle(`Price alert — ${position.assetLabel}`.slice(0, 45));
+
+  const rows = [];
+  if (condition === "ABOVE") rows.push(priceInput("upper", "Alert at or above", position));
+  if (condition === "BELOW") rows.push(priceInput("lower", "Alert at or below", position));
+  if (condition === "OUTSIDE") {
+    rows.push(priceInput("lower", "Range low", position));
+    rows.push(priceInput("upper", "Range high", position));
+  }
+  rows.push(
+    new ActionRowBuilder().addComponents(
+      new TextInputBuilder()
+        .setCustomId("note")
+        .setLabel("Note (optional)")
+        .setStyle(TextInputStyle.Short)
+        .setMaxLength(NOTE_MAX_LEN)
+        .setRequired(false)
+    )
+  );
+
+  modal.addComponents(...rows);
+  return modal;
+}
+
+// ---------- Data helpers ----------
+
+// Monitored positions that currently have a usable price (ALM vaults have none).
+function getPricePositions(q, userId) {
+  const out = [];
+  for (const row of q.selUserPricePositions.all(userId, userId)) {
+    const info = describeSnapshotPrice(row.position_kind, parseSnapshotJson(row.snapshot_json));
+    if (info.price == null) continue;
+    out.push({
+      position_kind: row.position_kind,
+      wallet_id: row.wallet_id,
+      contract_id: row.contract_id,
+      token_id: String(row.token_id),
+      chain_id: row.chain_id,
+      protocol: row.protocol,
+      wallet_label: row.wallet_label || null,
+      ...info,
+    });
+  }
+  return out;
+}
+
+// ---------- Embeds / Renders ----------
+
+function renderMain({ actorId, discordName, userId, q }) {
+  const rules = q.selPriceAlertsForUser.all(userId);
+
+  const embed = new EmbedBuilder()
+    .setTitle("Price Alerts")
+    .setDescription(
+      [
+        discordName ? `User: **${discordName}**` : null,
+        "Get a DM when a collateral oracle price or LP pool price crosses your level, and again when it comes back.",
+        "Loan prices are in USD; LP prices are quote per base token, as shown on /my-lp.",
+      ]
+        .filter(Boolean)
+        .join("\n")
+    );
+
+  if (!rules.length) {
+    embed.addFields({ name: "Alerts", value: "_No price alerts yet. Use **Add alert** to create one._" });
+  } else {
+    const chunks = chunkLinesForEmbed(rules.map(formatRuleLine));
+    for (let i = 0; i < chunks.length; i += 1) {
+      const suffix = chunks.length > 1 ? ` (${i + 1}/${chunks.length})` : "";
+      embed.addFields({ name: `Alerts${suffix}`, value: chunks[i] });
+    }
+    embed.setFooter({
+      text: `🔔 past level · 🟢 waiting · ⏸️ paused · ${rules.length}/${PRICE_ALERTS_MAX_PER_USER} used`,
+    });
+  }
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [mainButtonsRow({ userKey: actorId, ruleCount: rules.length })],
+  };
+}
+
+function renderPositionPick({ actorId, positions }) {
+  const embed = new EmbedBuilder()
+    .setTitle("Add Price Alert")
+    .setDescription("Select the loan or LP position whose price should be watched.");
+
+  if (!positions.length) {
+    embed.addFields({
+      name: "Positions",
+      value: "_No monitored positions with a price yet. Try again after the next scan._",
+    });
+    return { content: "", embeds: [embed], components: [cancelRow({ userKey: actorId })] };
+  }
+
+  if (positions.length > 25) {
+    embed.setFooter({ text: `Showing first 25 of ${positions.length} positions.` });
+  }
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [positionSelectRow({ userKey: actorId, positions }), cancelRow({ userKey: actorId })],
+  };
+}
+
+function renderConditionPick({ actorId, position }) {
+  const embed = new EmbedBuilder()
+    .setTitle(`Add Price Alert — ${position.assetLabel}`)
+    .setDescription(
+      `${positionTitle(position)}\nCurrent price: **${formatPriceValue(position.price)} ${position.priceUnit}**`
+    );
+  return {
+    content: "",
+    embeds: [embed],
+    components: [conditionSelectRow({ userKey: actorId }), cancelRow({ userKey: actorId })],
+  };
+}
+
+function renderRulePick({ actorId, userId, q, action, title, placeholder }) {
+  const rules = q.selPriceAlertsForUser.all(userId);
+  const embed = new EmbedBuilder().setTitle(title);
+
+  if (!rules.length) {
+    embed.setDescription("_No price alerts._");
+    return { content: "", embeds: [embed], components: [cancelRow({ userKey: actorId })] };
+  }
+
+  return {
+    content: "",
+    embeds: [embed],
+    components: [
+      ruleSelectRow({ userKey: actorId, action, rules, placeholder }),
+      cancelRow({ userKey: actorId }),
+    ],
+  };
+}
+
+/**
+ * Handle all pa:* interactions.
+ * Returns true if handled, false if not ours.
+ */
+async function handlePriceAlertsInteraction(interaction) {
+  const isPa = typeof interaction.customId === "string" && interaction.customId.startsWith("pa:");
+  const isRelevantType =
+    interaction.isButton?.() || interaction.isStringSelectMenu?.() || interaction.isModalSubmit?.();
+
+  if (!isRelevantType || !isPa) return false;
+
+  const actorId = interaction.user?.id;
+  if (!actorId) return false;
+
+  const ephFlags = ephemeralFlags();
+
+  const parts = interaction.customId.split(":");
+  const ns = parts[0];
+  const action = parts[1];
+  if (ns !== "pa") return false;
+
+  const userKey = parts[2];
+  if (!userKey || userKey !== actorId) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const seq = acquireLock(actorId);
+  if (!seq) {
+    await ackUpdate(interaction);
+    return true;
+  }
+
+  const db = getDb();
+  const q = prepareQueries(db);
+
+  try {
+    const discordName = interaction.user.globalName || interaction.user.username || null;
+    const userId = getOrCreateUserId(db, { discordId: actorId, discordName });
+
+    if (!userId) {
+      await ackUpdate(interaction);
+      await replyOnce(interaction, "❌ Could not create/load your user record. Try again.", ephFlags);
+      return true;
+    }
+
+    // ---------- Modal submit ----------
+    if (interaction.isModalSubmit?.() && action === "modal") {
+      // pa:modal:<userKey>:<condition>
+      const condition = parts[3];
+      const canUpdate = Boolean(interaction.message);
+      if (!canUpdate && !interaction.deferred && !interaction.replied) {
+        await interaction.deferReply({ flags: ephFlags }).catch(() => {});
+      }
+      const respond = async (payload) => {
+        if (canUpdate) await interaction.update(payload).catch(() => {});
+        else await interaction.editReply(payload).catch(() => {});
+      };
+
+      const position = getSession(actorId)?.position;
+      if (!position || !PRICE_ALERT_CONDITIONS.includes(condition)) {
+        await respond(renderMain({ actorId, discordName, userId, q }));
+        await replyOnce(interaction, "❌ This price alert session expired. Please try again.", ephFlags);
+        return true;
+      }
+
+      const needsLower = condition === "BELOW" || condition === "OUTSIDE";
+      const needsUpper = condition === "ABOVE" || condition === "OUTSIDE";
+      const lowerPrice = needsLower ? parsePriceInput(interaction.fields.getTextInputValue("lower")) : null;
+      const upperPrice = needsUpper ? parsePriceInput(interaction.fields.getTextInputValue("upper")) : null;
+      const note = String(interaction.fields.getTextInputValue("note") || "").trim().slice(0, NOTE_MAX_LEN);
+
+      if ((needsLower && lowerPrice == null) || (needsUpper && upperPrice == null)) {
+        await respond(renderMain({ actorId, discordName, userId, q }));
+        await replyOnce(interaction, "❌ Enter a positive price like 2.35 (commas and $ are ignored).", ephFlags);
+        return true;
+      }
+      if (condition === "OUTSIDE" && !(lowerPrice < upperPrice)) {
+        await respond(renderMain({ actorId, discordName, userId, q }));
+        await replyOnce(interaction, "❌ Range low must be below range high.", ephFlags);
+        return true;
+      }
+      if (q.selPriceAlertsForUser.all(userId).length >= PRICE_ALERTS_MAX_PER_USER) {
+        await respond(renderMain({ actorId, discordName, userId, q }));
+        await replyOnce(
+          interaction,
+          `❌ You already have ${PRICE_ALERTS_MAX_PER_USER} price alerts. Remove one first.`,
+          ephFlags
+        );
+        return true;
+      }
+
+      q.insPriceAlert.run({
+        userId,
+        walletId: position.wallet_id,
+        contractId: position.contract_id,
+        tokenId: position.token_id,
+        positionKind: position.position_kind,
+        condition,
+        lowerPrice,
+        upperPrice,
+        note: note || null,
+      });
+      paSessions.delete(actorId);
+
+      logger.info(
+        `[price-alerts-ui] added ${condition} rule userId=${userId} ` +
+          `${position.position_kind} token=${position.token_id} lower=${lowerPrice} upper=${upperPrice}`
+      );
+      await respond(renderMain({ actorId, discordName, userId, q }));
+      return true;
+    }
+
+    // ---------- Buttons ----------
+    if (interaction.isButton?.()) {
+      if (action === "done") {
+        paSessions.delete(actorId);
+        await interaction.update({ content: "✅ Done.", embeds: [], components: [] }).catch(() => {});
+        return true;
+      }
+
+      if (action === "cancel") {
+        await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+        return true;
+      }
+
+      if (action === "add") {
+        const positions = getPricePositions(q, userId);
+        setSession(actorId, { positions, position: null });
+        await interaction.update(renderPositionPick({ actorId, positions })).catch(() => {});
+        return true;
+      }
+
+      if (action === "toggle") {
+        await interaction
+          .update(
+            renderRulePick({
+              actorId,
+              userId,
+              q,
+              action: "tsel",
+              title: "Pause / Resume Price Alert",
+              placeholder: "Select an alert to pause or resume",
+            })
+          )
+          .catch(() => {});
+        return true;
+      }
+
+      if (action === "remove") {
+        await interaction
+          .update(
+            renderRulePick({
+              actorId,
+              userId,
+              q,
+              action: "rsel",
+              title: "Remove Price Alert",
+              placeholder: "Select an alert to remove",
+            })
+          )
+          .catch(() => {});
+        return true;
+      }
+
+      await ackUpdate(interaction);
+      return true;
+    }
+
+    // ---------- Select menus ----------
+    if (interaction.isStringSelectMenu?.()) {
+      if (action === "psel") {
+        const idx = Number(interaction.values?.[0]);
+        const position = getSession(actorId)?.positions?.[idx];
+        if (!position) {
+          await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+          await replyOnce(interaction, "❌ Position selection expired. Please try again.", ephFlags);
+          return true;
+        }
+
+        setSession(actorId, { position });
+        await interaction.update(renderConditionPick({ actorId, position })).catch(() => {});
+        return true;
+      }
+
+      if (action === "cond") {
+        const condition = interaction.values?.[0];
+        const position = getSession(actorId)?.position;
+        if (!position || !PRICE_ALERT_CONDITIONS.includes(condition)) {
+          await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+          await replyOnce(interaction, "❌ This price alert session expired. Please try again.", ephFlags);
+          return true;
+        }
+
+        // showModal is the ACK for select menu interactions
+        try {
+          await interaction.showModal(ruleModal({ userKey: actorId, condition, position }));
+        } catch (err) {
+          await ackUpdate(interaction);
+          await replyOnce(interaction, `❌ Could not open the modal: ${err.message}`, ephFlags);
+        }
+        return true;
+      }
+
+      if (action === "tsel") {
+        const id = Number(interaction.values?.[0]);
+        const rule = q.selPriceAlertsForUser.all(userId).find((r) => r.id === id);
+        if (rule) {
+          const enable = rule.is_enabled === 1 ? 0 : 1;
+          q.setPriceAlertEnabledForUser.run(enable, id, userId);
+          // Pausing drops any open alert so resuming starts a fresh NEW/RESOLVED cycle
+          if (!enable) q.deletePriceAlertState.run(userId, `pa:${id}`);
+        }
+        await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+        return true;
+      }
+
+      if (action === "rsel") {
+        const id = Number(interaction.values?.[0]);
+        if (Number.isFinite(id)) {
+          db.transaction(() => {
+            const res = q.deletePriceAlertByIdForUser.run(id, userId);
+            if (res.changes) q.deletePriceAlertState.run(userId, `pa:${id}`);
+          })();
+        }
+        await interaction.update(renderMain({ actorId, discordName, userId, q })).catch(() => {});
+        return true;
+      }
+    }
+
+    await ackUpdate(interaction);
+    return true;
+  } catch (err) {
+    logger.error("[price-alerts-ui] router error:", err);
+    await ackUpdate(interaction);
+    await replyOnce(interaction, `❌ Error: ${err.message}`, ephFlags);
+    return true;
+  } finally {
+    releaseLock(actorId, seq);
+  }
+}
+
+module.exports = {
+  handlePriceAlertsInteraction,
+  renderMain,
+};
@@ -0,0 +1,51 @@
+// jobs/alertDigestJob.js
+const cron = require("node-cron");
+const { sendAlertDigests } = require("../monitoring/alertDigest");
+const logger = require("../utils/logger");
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (v === undefined || v === null || v === "") {
+    logger.error(`[alertDigestJob] Missing required env var ${name}`);
+    process.exit(1);
+  }
+  return v;
+}
+
+function startAlertDigestJob(client) {
+  const ALERT_DIGEST_CRON = mustEnv("ALERT_DIGEST_CRON");
+
+  if (!cron.validate(ALERT_DIGEST_CRON)) {
+    logger.error(`[alertDigestJob] Invalid ALERT_DIGEST_CRON: "${ALERT_DIGEST_CRON}"`);
+    process.exit(1);
+  }
+
+  logger.startup(`[CRON] Using alert digest schedule: ${ALERT_DIGEST_CRON}`);
+
+  let isRunning = false;
+
+  async function runOnce(label) {
+    if (isRunning) {
+      logger.warn(`[CRON] Previous ${label} still running — skipping.`);
+      return;
+    }
+
+    isRunning = true;
+    const t0 = Date.now();
+    logger.debug(`▶️  ${label} start`);
+
+    try {
+      await sendAlertDigests(client); // only users whose quiet window has ended
+    } catch (e) {
+      logger.error(`❌ ${label} failed:`, e);
+    } finally {
+      const elapsed = Date.now() - t0;
+      logger.debug(`⏹️  ${label} end (elapsed ${elapsed} ms)`);
+      isRunning = false;
+    }
+  }
+
+  cron.schedule(ALERT_DIGEST_CRON, () => runOnce("Alert digest"));
+}
+
+module.exports = { startAlertDigestJob };
@@ -0,0 +1,227 @@
+const path = require("path");
+
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+
+const Database = require("better-sqlite3");
+
+const baseLogger = require("../utils/logger");
+const logger = baseLogger.forEnv("SCAN_DEBUG");
+const { initSchema } = require("../db");
+const { LP_LIQUIDITY_STREAMS, decodeLpLiquidityLog } = require("../utils/indexer/lpLiquidityEvents");
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (!v || !String(v).trim()) throw new Error(`Missing env var ${name}`);
+  return String(v).trim();
+}
+
+function intArg(name) {
+  const raw = process.argv.find((a) => a.startsWith(`--${name}=`))?.split("=")[1];
+  if (raw == null) return null;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`--${name} must be a non-negative integer`);
+  return n;
+}
+
+function strArg(name) {
+  const raw = process.argv.find((a) => a.startsWith(`--${name}=`))?.split("=")[1];
+  return raw == null ? null : String(raw);
+}
+
+function boolArg(name) {
+  if (process.argv.includes(`--${name}`)) return 1;
+  const raw = process.argv.find((a) => a.startsWith(`--${name}=`))?.split("=")[1];
+  if (raw == null) return 0;
+  const v = String(raw).trim().toLowerCase();
+  if (["1", "true", "yes", "y", "on"].includes(v)) return 1;
+  if (["0", "false", "no", "n", "off"].includes(v)) return 0;
+  throw new Error(`--${name} must be boolean-like (1/0, true/false, yes/no)`);
+}
+
+function parseDecoded(row) {
+  if (row.decoded_json) {
+    try {
+      const d = JSON.parse(row.decoded_json);
+      if (d && d.kind && d.tokenId != null && d.amount0Raw != null && d.amount1Raw != null) return d;
+    } catch (_) {}
+  }
+
+  let topics;
+  try {
+    topics = JSON.parse(row.topics_json || "[]");
+  } catch {
+    return null;
+  }
+  return decodeLpLiquidityLog(topics, row.data_hex);
+}
+
+async function main() {
+  const DB_PATH = requireEnv("DB_PATH");
+
+  const chain = strArg("chain")?.toUpperCase() || null;
+  const contractId = intArg("contract-id");
+  const streamId = intArg("stream-id");
+  const batchSizeArg = intArg("batch");
+  const batchSize = Number.isInteger(batchSizeArg) && batchSizeArg > 0 ? batchSizeArg : 1000;
+  const fullReplay = boolArg("full-replay") === 1;
+  const resetCursor = boolArg("reset-cursor") === 1;
+
+  const deriveKey = [
+    "derive_lp_liquidity_events",
+    chain || "ALL",
+    contractId == null ? "ALL" : String(contractId),
+    streamId == null ? "ALL" : String(streamId),
+  ].join(":");
+
+  const db = new Database(DB_PATH);
+  initSchema(db);
+  db.pragma("foreign_keys = ON");
+  db.pragma("busy_timeout = 5000");
+
+  const topics = [...new Set(LP_LIQUIDITY_STREAMS.map((s) => s.topic0))];
+  const where = [`e.topic0 IN (${topics.map(() => "?").join(", ")})`, "e.removed = 0", "c.kind = 'LP_NFT'"];
+  const argsBase = [...topics];
+
+  if (chain) {
+    where.push("e.chain_id = ?");
+    argsBase.push(chain);
+  }
+  if (contractId != null) {
+    where.push("e.contract_id = ?");
+    argsBase.push(contractId);
+  }
+  if (streamId != null) {
+    where.push("e.stream_id = ?");
+    argsBase.push(streamId);
+  }
+
+  const selBatch = db.prepare(`
+    SELECT
+      e.id,
+      e.chain_id,
+      e.contract_id,
+      e.stream_id,
+      e.block_number,
+      e.tx_hash,
+      e.log_index,
+      e.topics_json,
+      e.data_hex,
+      e.decoded_json
+    FROM chain_events e
+    JOIN contracts c
+      ON c.id = e.contract_id
+    WHERE ${where.join(" AND ")}
+      AND e.id > ?
+    ORDER BY e.id
+    LIMIT ?
+  `);
+
+  const selCursor = db.prepare(`
+    SELECT last_event_id
+    FROM derive_cursors
+    WHERE derive_key = ?
+    LIMIT 1
+  `);
+
+  const upsertCursor = db.prepare(`
+    INSERT INTO derive_cursors (derive_key, last_event_id, updated_at)
+    VALUES (?, ?, datetime('now'))
+    ON CONFLICT(derive_key) DO UPDATE SET
+      last_event_id = excluded.last_event_id,
+      updated_at = datetime('now')
+  `);
+
+  const upsertLedger = db.prepare(`
+    INSERT INTO lp_liquidity_events (
+      event_id, chain_id, contract_id, stream_id, block_number, tx_hash, log_index,
+      token_id, event_kind, liquidity_raw, amount0_raw, amount1_raw, recipient_lower, created_at
+    ) VALUES (
+      ?, ?, ?, ?, ?, ?, ?,
+      ?, ?, ?, ?, ?, ?, datetime('now')
+    )
+    ON CONFLICT(event_id) DO UPDATE SET
+      chain_id = excluded.chain_id,
+      contract_id = excluded.contract_id,
+      stream_id = excluded.stream_id,
+      block_number = excluded.block_number,
+      tx_hash = excluded.tx_hash,
+      log_index = excluded.log_index,
+      token_id = excluded.token_id,
+      event_kind = excluded.event_kind,
+      liquidity_raw = excluded.liquidity_raw,
+      amount0_raw = excluded.amount0_raw,
+      amount1_raw = excluded.amount1_raw,
+      recipient_lower = excluded.recipient_lower
+  `);
+
+  const applyBatch = db.transaction((rows) => {
+    let eventsWritten = 0;
+    for (const r of rows) {
+      const d = parseDecoded(r);
+      if (!d) continue;
+
+      const res = upsertLedger.run(
+        r.id,
+        r.chain_id,
+        r.contract_id,
+        r.stream_id,
+        r.block_number,
+        r.tx_hash,
+        r.log_index,
+        String(d.tokenId),
+        d.kind,
+        d.liquidityRaw == null ? null : String(d.liquidityRaw),
+        String(d.amount0Raw),
+        String(d.amount1Raw),
+        d.recipient ? String(d.recipient).toLowerCase() : null
+      );
+      eventsWritten += Number(res?.changes || 0);
+    }
+    return { eventsWritten };
+  });
+
+  if (resetCursor) {
+    upsertCursor.run(deriveKey, 0);
+    logger.info(`[deriveLpLiquidityFromEvents] cursor reset derive_key=${deriveKey}`);
+  }
+
+  const cursorRow = selCursor.get(deriveKey);
+  let lastId = fullReplay ? 0 : Math.max(0, Number(cursorRow?.last_event_id) || 0);
+  let scanned = 0;
+  let totalEventsWritten = 0;
+
+  try {
+    logger.info(
+      `[deriveLpLiquidityFromEvents] start chain=${chain || "ALL"} contractId=${contractId ?? "ALL"} streamId=${streamId ?? "ALL"} batch=${batchSize} derive_key=${deriveKey} from_event_id=${lastId} full_replay=${fullReplay ? 1 : 0}`
+    );
+    for (;;) {
+      const rows = selBatch.all(...argsBase, lastId, batchSize);
+      if (!rows.length) break;
+
+      const { eventsWritten } = applyBatch(rows);
+
+      scanned += rows.length;
+      totalEventsWritten += eventsWritten;
+      lastId = rows[rows.length - 1].id;
+      upsertCursor.run(deriveKey, lastId);
+
+      logger.info(
+        `[deriveLpLiquidityFromEvents] batch size=${rows.length} scanned=${scanned} events_written=${totalEventsWritten} last_event_id=${lastId}`
+      );
+    }
+
+    logger.info(
+      `[deriveLpLiquidityFromEvents] DONE scanned=${scanned} events_written=${totalEventsWritten} cursor_event_id=${lastId}`
+    );
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((err) => {
+  logger.error("[deriveLpLiquidityFromEvents] FATAL:", err);
+  process.exitCode = 1;
+});
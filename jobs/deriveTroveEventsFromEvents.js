@@ -0,0 +1,331 @@
+const path = require("path");
+
+require("dotenv").config({
+  path: path.join(__dirname, "..", ".env"),
+  quiet: true,
+});
+
+const Database = require("better-sqlite3");
+
+const baseLogger = require("../utils/logger");
+const logger = baseLogger.forEnv("SCAN_DEBUG");
+const { initSchema } = require("../db");
+const { TROVE_STREAMS, decodeTroveLog } = require("../utils/indexer/troveEvents");
+const { getScanProviderForChain } = require("../utils/ethers/providers");
+
+function requireEnv(name) {
+  const v = process.env[name];
+  if (!v || !String(v).trim()) throw new Error(`Missing env var ${name}`);
+  return String(v).trim();
+}
+
+function intArg(name) {
+  const raw = process.argv.find((a) => a.startsWith(`--${name}=`))?.split("=")[1];
+  if (raw == null) return null;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`--${name} must be a non-negative integer`);
+  return n;
+}
+
+function strArg(name) {
+  const raw = process.argv.find((a) => a.startsWith(`--${name}=`))?.split("=")[1];
+  return raw == null ? null : String(raw);
+}
+
+function boolArg(name) {
+  if (process.argv.includes(`--${name}`)) return 1;
+  const raw = process.argv.find((a) => a.startsWith(`--${name}=`))?.split("=")[1];
+  if (raw == null) return 0;
+  const v = String(raw).trim().toLowerCase();
+  if (["1", "true", "yes", "y", "on"].includes(v)) return 1;
+  if (["0", "false", "no", "n", "off"].includes(v)) return 0;
+  throw new Error(`--${name} must be boolean-like (1/0, true/false, yes/no)`);
+}
+
+function parseDecoded(row) {
+  if (row.decoded_json) {
+    try {
+      const d = JSON.parse(row.decoded_json);
+      if (d && (d.event === "TroveOperation" || d.event === "TroveUpdated") && d.troveId != null) return d;
+    } catch (_) {}
+  }
+
+  let topics;
+  try {
+    topics = JSON.parse(row.topics_json || "[]");
+  } catch {
+    return null;
+  }
+  return decodeTroveLog(topics, row.data_hex);
+}
+
+// Block timestamps are best-effort: rows are still written (block_timestamp NULL)
+// when the chain has no RPC configured or the lookup fails. Every run then retries up to
+// --batch of the newest NULL blocks (fillMissingTimestamps), so REDEMPTION_HIT alerts,
+// which select by block time, pick the hit up once its timestamp is known.
+function getProvider(providers, chainId) {
+  const cid = String(chainId || "").toUpperCase();
+  if (cid in providers) return providers[cid];
+  const url = process.env[`${cid}_MAINNET_SCAN`];
+  providers[cid] = url && String(url).trim() ? getScanProviderForChain(cid) : null;
+  return providers[cid];
+}
+
+async function loadBlockTimestamps(rows, providers, cache) {
+  for (const r of rows) {
+    const key = `${r.chain_id}:${r.block_number}`;
+    if (cache.has(key)) continue;
+    const provider = getProvider(providers, r.chain_id);
+    if (!provider) {
+      cache.set(key, null);
+      continue;
+    }
+    try {
+      const block = await provider.getBlock(Number(r.block_number));
+      const ts = block && Number.isInteger(Number(block.timestamp)) ? Number(block.timestamp) : null;
+      cache.set(key, ts);
+    } catch (err) {
+      logger.warn(
+        `[deriveTroveEventsFromEvents] block timestamp lookup failed chain=${r.chain_id} block=${r.block_number}: ${err?.message || err}`
+      );
+      cache.set(key, null);
+    }
+  }
+}
+
+async function main() {
+  const DB_PATH = requireEnv("DB_PATH");
+
+  const chain = strArg("chain")?.toUpperCase() || null;
+  const contractId = intArg("contract-id");
+  const streamId = intArg("stream-id");
+  const batchSizeArg = intArg("batch");
+  const batchSize = Number.isInteger(batchSizeArg) && batchSizeArg > 0 ? batchSizeArg : 1000;
+  const fullReplay = boolArg("full-replay") === 1;
+  const resetCursor = boolArg("reset-cursor") === 1;
+
+  const deriveKey = [
+    "derive_trove_events",
+    chain || "ALL",
+    contractId == null ? "ALL" : String(contractId),
+    streamId == null ? "ALL" : String(streamId),
+  ].join(":");
+
+  const db = new Database(DB_PATH);
+  initSchema(db);
+  db.pragma("foreign_keys = ON");
+  db.pragma("busy_timeout = 5000");
+
+  // Redemption / Liquidation carry no trove id; /loan-history joins them by tx_hash instead
+  const topics = TROVE_STREAMS.filter((s) => s.eventName === "TroveOperation" || s.eventName === "TroveUpdated").map(
+    (s) => s.topic0
+  );
+  const where = [`e.topic0 IN (${topics.map(() => "?").join(", ")})`, "e.removed = 0", "c.kind = 'LOAN_NFT'"];
+  const argsBase = [...topics];
+
+  if (chain) {
+    where.push("e.chain_id = ?");
+    argsBase.push(chain);
+  }
+  if (contractId != null) {
+    where.push("e.contract_id = ?");
+    argsBase.push(contractId);
+  }
+  if (streamId != null) {
+    where.push("e.stream_id = ?");
+    argsBase.push(streamId);
+  }
+
+  const selBatch = db.prepare(`
+    SELECT
+      e.id,
+      e.chain_id,
+      e.contract_id,
+      e.stream_id,
+      e.block_number,
+      e.tx_hash,
+      e.log_index,
+      e.topics_json,
+      e.data_hex,
+      e.decoded_json
+    FROM chain_events e
+    JOIN contracts c
+      ON c.id = e.contract_id
+    WHERE ${where.join(" AND ")}
+      AND e.id > ?
+    ORDER BY e.id
+    LIMIT ?
+  `);
+
+  const selCursor = db.prepare(`
+    SELECT last_event_id
+    FROM derive_cursors
+    WHERE derive_key = ?
+    LIMIT 1
+  `);
+
+  const upsertCursor = db.prepare(`
+    INSERT INTO derive_cursors (derive_key, last_event_id, updated_at)
+    VALUES (?, ?, datetime('now'))
+    ON CONFLICT(derive_key) DO UPDATE SET
+      last_event_id = excluded.last_event_id,
+      updated_at = datetime('now')
+  `);
+
+  const upsertLedger = db.prepare(`
+    INSERT INTO trove_events (
+      event_id, chain_id, contract_id, stream_id, block_number, block_timestamp, tx_hash, log_index,
+      trove_id, event_kind, operation, annual_interest_rate_raw,
+      debt_change_raw, coll_change_raw, upfront_fee_raw, debt_raw, coll_raw, created_at
+    ) VALUES (
+      ?, ?, ?, ?, ?, ?, ?, ?,
+      ?, ?, ?, ?,
+      ?, ?, ?, ?, ?, datetime('now')
+    )
+    ON CONFLICT(event_id) DO UPDATE SET
+      chain_id = excluded.chain_id,
+      contract_id = excluded.contract_id,
+      stream_id = excluded.stream_id,
+      block_number = excluded.block_number,
+      block_timestamp = COALESCE(excluded.block_timestamp, trove_events.block_timestamp),
+      tx_hash = excluded.tx_hash,
+      log_index = excluded.log_index,
+      trove_id = excluded.trove_id,
+      event_kind = excluded.event_kind,
+      operation = excluded.operation,
+      annual_interest_rate_raw = excluded.annual_interest_rate_raw,
+      debt_change_raw = excluded.debt_change_raw,
+      coll_change_raw = excluded.coll_change_raw,
+      upfront_fee_raw = excluded.upfront_fee_raw,
+      debt_raw = excluded.debt_raw,
+      coll_raw = excluded.coll_raw
+  `);
+
+  const missingWhere = ["t.block_timestamp IS NULL"];
+  const missingArgs = [];
+  if (chain) {
+    missingWhere.push("t.chain_id = ?");
+    missingArgs.push(chain);
+  }
+  if (contractId != null) {
+    missingWhere.push("t.contract_id = ?");
+    missingArgs.push(contractId);
+  }
+  if (streamId != null) {
+    missingWhere.push("t.stream_id = ?");
+    missingArgs.push(streamId);
+  }
+
+  // Newest first: recent blocks are the ones REDEMPTION_HIT can still alert on
+  const selMissingTimestamps = db.prepare(`
+    SELECT DISTINCT t.chain_id, t.block_number
+    FROM trove_events t
+    WHERE ${missingWhere.join(" AND ")}
+    ORDER BY t.block_number DESC
+    LIMIT ?
+  `);
+
+  const updTimestamp = db.prepare(`
+    UPDATE trove_events
+    SET block_timestamp = ?
+    WHERE chain_id = ?
+      AND block_number = ?
+      AND block_timestamp IS NULL
+  `);
+
+  const str = (v) => (v == null ? null : String(v));
+
+  const applyBatch = db.transaction((rows, timestamps) => {
+    let eventsWritten = 0;
+    for (const r of rows) {
+      const d = parseDecoded(r);
+      if (!d || (d.event !== "TroveOperation" && d.event !== "TroveUpdated")) continue;
+      const isOp = d.event === "TroveOperation";
+
+      const res = upsertLedger.run(
+        r.id,
+        r.chain_id,
+        r.contract_id,
+        r.stream_id,
+        r.block_number,
+        timestamps.get(`${r.chain_id}:${r.block_number}`) ?? null,
+        r.tx_hash,
+        r.log_index,
+        String(d.troveId),
+        isOp ? "OPERATION" : "UPDATED",
+        isOp ? d.operation : null,
+        str(d.annualInterestRateRaw),
+        isOp ? str(d.debtChangeRaw) : null,
+        isOp ? str(d.collChangeRaw) : null,
+        isOp ? str(d.debtIncreaseFromUpfrontFeeRaw) : null,
+        isOp ? null : str(d.debtRaw),
+        isOp ? null : str(d.collRaw)
+      );
+      eventsWritten += Number(res?.changes || 0);
+    }
+    return { eventsWritten };
+  });
+
+  if (resetCursor) {
+    upsertCursor.run(deriveKey, 0);
+    logger.info(`[deriveTroveEventsFromEvents] cursor reset derive_key=${deriveKey}`);
+  }
+
+  const cursorRow = selCursor.get(deriveKey);
+  let lastId = fullReplay ? 0 : Math.max(0, Number(cursorRow?.last_event_id) || 0);
+  let scanned = 0;
+  let totalEventsWritten = 0;
+  const providers = {};
+  const timestamps = new Map();
+
+  try {
+    logger.info(
+      `[deriveTroveEventsFromEvents] start chain=${chain || "ALL"} contractId=${contractId ?? "ALL"} streamId=${streamId ?? "ALL"} batch=${batchSize} derive_key=${deriveKey} from_event_id=${lastId} full_replay=${fullReplay ? 1 : 0}`
+    );
+    for (;;) {
+      const rows = selBatch.all(...argsBase, lastId, batchSize);
+      if (!rows.length) break;
+
+      await loadBlockTimestamps(rows, providers, timestamps);
+      const { eventsWritten } = applyBatch(rows, timestamps);
+      timestamps.clear();
+
+      scanned += rows.length;
+      totalEventsWritten += eventsWritten;
+      lastId = rows[rows.length - 1].id;
+      upsertCursor.run(deriveKey, lastId);
+
+      logger.info(
+        `[deriveTroveEventsFromEvents] batch size=${rows.length} scanned=${scanned} events_written=${totalEventsWritten} last_event_id=${lastId}`
+      );
+    }
+
+    const missing = selMissingTimestamps.all(...missingArgs, batchSize);
+    let timestampsFilled = 0;
+    if (missing.length) {
+      await loadBlockTimestamps(missing, providers, timestamps);
+      db.transaction(() => {
+        for (const m of missing) {
+          const ts = timestamps.get(`${m.chain_id}:${m.block_number}`);
+          if (ts == null) continue;
+          timestampsFilled += Number(updTimestamp.run(ts, m.chain_id, m.block_number).changes || 0);
+        }
+      })();
+      timestamps.clear();
+      logger.info(
+        `[deriveTroveEventsFromEvents] missing timestamps blocks=${missing.length} rows_filled=${timestampsFilled}`
+      );
+    }
+
+    logger.info(
+      `[deriveTroveEventsFromEvents] DONE scanned=${scanned} events_written=${totalEventsWritten} cursor_event_id=${lastId}`
+    );
+  } finally {
+    db.close();
+  }
+}
+
+main().catch((err) => {
+  logger.error("[deriveTroveEventsFromEvents] FATAL:", err);
+  process.exitCode = 1;
+});
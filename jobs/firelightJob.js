@@ -4,6 +4,7 @@ const { ethers } = require("ethers");
 
 const firelightVaultAbi = require("../abi/firelightVault.json");
 const { getProviderForChain } = require("../utils/ethers/providers");
+const { getTokenDecimals } = require("../utils/tokenRegistry");
 const { getDb } = require("../db");
 const logger = require("../utils/logger");
 const { firelightText } = require("../config/firelightText");
@@ -89,7 +90,7 @@ async function readFirelightState() {
   const [assetsRaw, limitRaw, decimals] = await Promise.all([
     vault.totalAssets(),
     vault.depositLimit(),
-    vault.decimals(),
+    getTokenDecimals(provider, "FLR", FIRELIGHT_VAULT_ADDRESS),
   ]);
   const assets = Number(ethers.formatUnits(assetsRaw, decimals));
   const limit = Number(ethers.formatUnits(limitRaw, decimals));
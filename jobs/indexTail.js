@@ -11,9 +11,17 @@ const { ethers } = require("ethers");
 const baseLogger = require("../utils/logger");
 const logger = baseLogger.forEnv("SCAN_DEBUG");
 const { initSchema } = require("../db");
-const { syncTransferStreams, listStreams } = require("../utils/indexer/streamRegistry");
+const {
+  syncIndexStreams,
+  syncTroveStreams,
+  isIndexedEventName,
+  decodeStreamLog,
+  listStreams,
+} = require("../utils/indexer/streamRegistry");
+const { resolveTroveManagerAddress } = require("../utils/indexer/troveEvents");
 const { prepareEventStore } = require("../utils/indexer/eventStore");
 const { runWindowedScan, getBlockNumberWithRetry } = require("../utils/indexer/windowRunner");
+const { getScanProviderForChain } = require("../utils/ethers/providers");
 
 function requireEnv(name) {
   const v = process.env[name];
@@ -58,11 +66,6 @@ function decodeTransfer(topics) {
   }
 }
 
-function getRpcUrl(chainId) {
-  const cid = String(chainId || "").toUpperCase();
-  return requireEnv(`${cid}_MAINNET_SCAN`);
-}
-
 function getWindowSize(chainId) {
   const cid = String(chainId || "").toUpperCase();
   const raw = requireEnv(`${cid}_MAINNET_SCAN_BLOCKS`);
@@ -104,10 +107,24 @@ async function main() {
   db.pragma("busy_timeout = 5000");
 
   try {
-    syncTransferStreams(db, { chainId: chain, kind, contractKey });
+    const providers = {};
+    const getProvider = (chainId) =>
+      providers[chainId] || (providers[chainId] = getScanProviderForChain(chainId));
+
+    syncIndexStreams(db, { chainId: chain, kind, contractKey });
+    try {
+      await syncTroveStreams(db, {
+        chainId: chain,
+        kind,
+        contractKey,
+        resolveTroveManager: (c) => resolveTroveManagerAddress(getProvider(c.chain_id), c.address_eip55),
+      });
+    } catch (err) {
+      logger.warn(`[indexTail] trove stream sync failed: ${err?.message || err}`);
+    }
 
     let streams = listStreams(db, { chainId: chain, streamKey, isEnabled: 1 }).filter(
-      (s) => s.event_name === "Transfer"
+      (s) => isIndexedEventName(s.event_name)
     );
 
     if (contractKey) {
@@ -123,11 +140,8 @@ async function main() {
       return;
     }
 
-    const providers = {};
-
     for (const stream of streams) {
-      const rpcUrl = getRpcUrl(stream.chain_id);
-      const provider = providers[stream.chain_id] || (providers[stream.chain_id] = new ethers.JsonRpcProvider(rpcUrl));
+      const provider = getProvider(stream.chain_id);
       const store = prepareEventStore(db);
 
       const streamStart = Number(stream.start_block) || 0;
@@ -205,7 +219,10 @@ async function main() {
             const logIndex = stableLogIndex(lg);
             if (logIndex == null || !lg?.transactionHash) continue;
 
-            const decoded = decodeTransfer(lg.topics);
+            const decoded =
+              stream.event_name === "Transfer"
+                ? decodeTransfer(lg.topics)
+                : decodeStreamLog(stream.event_name, lg.topics, lg.data);
             const decodedJson = decoded ? JSON.stringify(decoded) : null;
             const topic0 = lg?.topics?.[0] || stream.topic0;
 
@@ -2,6 +2,7 @@
 const cron = require("node-cron");
 const { monitorLoans } = require("../monitoring/loanMonitor");
 const { monitorLPs } = require("../monitoring/lpMonitor");
+const { monitorStabilityPools } = require("../monitoring/spAlertMonitor");
 
 const logger = require("../utils/logger");
 
@@ -40,6 +41,7 @@ function startMonitoringJob() {
     try {
       await monitorLoans();
       await monitorLPs();
+      await monitorStabilityPools();
     } catch (e) {
       logger.error(`❌ ${label} failed:`, e);
     } finally {
@@ -14,6 +14,7 @@ const baseLogger = require("../utils/logger");
 const logger = baseLogger.forEnv("SCAN_DEBUG"); // required in .env (fail-fast)
 
 const { acquireLock, releaseLock } = require("../utils/lock");
+const { getScanProviderForChain } = require("../utils/ethers/providers");
 const { refreshLoanSnapshots } = require("../monitoring/loanMonitor");
 const { refreshLpSnapshots } = require("../monitoring/lpMonitor");
 const { getAlmDiscoveriesForChain } = require("../utils/almConfig");
@@ -39,8 +40,9 @@ function requireEnv(name) {
 
 const DB_PATH = requireEnv("DB_PATH");
 
-const FLR_RPC_URL = requireEnv("FLR_MAINNET_SCAN");
-const XDC_RPC_URL = requireEnv("XDC_MAINNET_SCAN");
+// Fail fast here; the pooled scan providers read these (one URL or a comma-separated list)
+requireEnv("FLR_MAINNET_SCAN");
+requireEnv("XDC_MAINNET_SCAN");
 
 const FLR_SCAN_BLOCKS = Number(requireEnv("FLR_MAINNET_SCAN_BLOCKS"));
 const XDC_SCAN_BLOCKS = Number(requireEnv("XDC_MAINNET_SCAN_BLOCKS"));
@@ -255,8 +257,7 @@ async function getLogsWithRetry(provider, filter, { maxAttempts = 6 } = {}) {
 }
 
 function providerForChain(chainId) {
-  if (chainId === "FLR") return new ethers.JsonRpcProvider(FLR_RPC_URL);
-  if (chainId === "XDC") return new ethers.JsonRpcProvider(XDC_RPC_URL);
+  if (chainId === "FLR" || chainId === "XDC") return getScanProviderForChain(chainId);
   throw new Error(`Unsupported chain_id: ${chainId}`);
 }
 
@@ -773,6 +774,32 @@ function computeBuckets(irDebts, totalDebt) {
   }));
 }
 
+// Fraction of total debt at an IR strictly below each 0.1pp step, as [irPct, frac] pairs
+// (only where the fraction changes); monitoring/irOptimizer.js reads debt ahead off it.
+function computeIrCurve(irDebts, totalDebt) {
+  if (!Array.isArray(irDebts) || !irDebts.length || !(totalDebt > 0)) return null;
+  const sorted = [...irDebts].sort((a, b) => a.irPct - b.irPct);
+  const step = 0.1;
+  const maxStep = Math.ceil(sorted[sorted.length - 1].irPct / step) + 1;
+  const points = [];
+  let i = 0;
+  let below = 0;
+  let lastFrac = null;
+  for (let k = 0; k <= maxStep; k += 1) {
+    const irPct = Math.round(k * step * 10) / 10;
+    while (i < sorted.length && sorted[i].irPct < irPct - 1e-9) {
+      below += sorted[i].debt;
+      i += 1;
+    }
+    const frac = Math.round(Math.min(1, below / totalDebt) * 1e6) / 1e6;
+    if (frac !== lastFrac) {
+      points.push([irPct, frac]);
+      lastFrac = frac;
+    }
+  }
+  return points;
+}
+
 async function refreshRedemptionRateSnapshots(
   db,
   providers,
@@ -915,6 +942,7 @@ async function refreshRedemptionRateSnapshots(
 
         const range = computeIrRange(tierData.irDebts);
         const buckets = computeBuckets(tierData.irDebts, poolStats.totalDebt);
+        const irCurve = computeIrCurve(tierData.irDebts, poolStats.totalDebt);
 
         const aheadAt = {
           LOW:
@@ -935,6 +963,7 @@ async function refreshRedemptionRateSnapshots(
           aheadAt,
           irRange: range,
           buckets,
+          irCurve,
         };
 
     upsert.run(c.contract_id, chainId, c.protocol, JSON.stringify(snapshot));
@@ -1380,11 +1409,19 @@ async function main() {
          AND pi.wallet_id      = w.id
          AND pi.contract_id    = t.contract_id
          AND (pi.token_id IS NULL OR pi.token_id = t.token_id)
+        LEFT JOIN position_spam_flags sf
+          ON sf.user_id        = w.user_id
+         AND sf.wallet_id      = w.id
+         AND sf.contract_id    = t.contract_id
+         AND sf.token_id       = t.token_id
+         AND sf.confidence     = 'HIGH'
+         AND sf.user_status    = 'AUTO'
         WHERE c.kind = 'LP_NFT'
           AND t.is_burned = 0
           AND w.is_enabled = 1
           AND c.is_enabled = 1
           AND pi.id IS NULL
+          AND sf.id IS NULL
           AND NOT EXISTS (
             SELECT 1 FROM lp_position_snapshots s
             WHERE s.contract_id = t.contract_id
@@ -4,6 +4,7 @@ require('dotenv').config({ path: path.join(__dirname, '..', '.env'), quiet: true
 const { ethers } = require('ethers');
 const { getDb } = require('../db');
 const baseLogger = require('../utils/logger');
+const { getScanProviderForChain } = require('../utils/ethers/providers');
 const logger = baseLogger.forEnv('SCAN_DEBUG');
 const primefiConfig = require('../data/primefi_loans.json');
 
@@ -23,7 +24,6 @@ function requireNonNegIntEnv(name) {
   return n;
 }
 
-const XDC_RPC_URL = requireEnv('XDC_MAINNET_SCAN');
 const XDC_SCAN_BLOCKS = requireIntEnv('XDC_MAINNET_SCAN_BLOCKS');
 const XDC_PAUSE_MS = requireNonNegIntEnv('XDC_MAINNET_SCAN_PAUSE_MS');
 
@@ -76,7 +76,7 @@ async function getBlockTimestamp(provider, cache, blockNumber) {
 
 async function main() {
   const args = parseArgs(process.argv);
-  const provider = new ethers.JsonRpcProvider(XDC_RPC_URL);
+  const provider = getScanProviderForChain('XDC');
   const latestBlock = args.toBlock || await provider.getBlockNumber();
   const db = getDb();
   const markets = getMarkets('XDC', args.marketKey);
@@ -8,8 +8,12 @@ require("dotenv").config({
 const { ethers } = require("ethers");
 
 const stabilityPoolAbi = require("../abi/stabilityPool.json");
+const troveNftAbi = require("../abi/troveNFT.json");
+const troveManagerAbi = require("../abi/troveManager.json");
+const priceFeedAbi = require("../abi/priceFeed.json");
 const { getDb } = require("../db");
 const { getProviderForChain } = require("../utils/ethers/providers");
+const { getBatchedProvider, forEachConcurrent } = require("../utils/ethers/multicall");
 const baseLogger = require("../utils/logger");
 const logger = baseLogger.forEnv("SCAN_DEBUG");
 const { acquireLock, releaseLock } = require("../utils/lock");
@@ -75,6 +79,51 @@ function extractInitialDeposit(rawResult) {
   return 0n;
 }
 
+// Collateral USD price per pool (lastGoodPrice of the loan branch with the same collateral
+// token, 18 decimals), for SP_CLAIMABLE_GAIN. null when no enabled LOAN_NFT branch matches.
+async function loadCollateralPrices(db, provider, pools, contracts, rpcTimeoutMs) {
+  const loanRows = db.prepare(`
+    SELECT contract_key, address_eip55
+    FROM contracts
+    WHERE chain_id = 'FLR' AND kind = 'LOAN_NFT' AND is_enabled = 1
+  `).all();
+
+  const priceByToken = new Map();
+  await Promise.all(
+    loanRows.map(async (row) => {
+      try {
+        const nft = new ethers.Contract(row.address_eip55, troveNftAbi, provider);
+        const [collToken, troveManagerAddr] = await withTimeout(
+          Promise.all([nft.collToken(), nft.troveManager()]),
+          rpcTimeoutMs,
+          `${row.contract_key}.collToken/troveManager`
+        );
+        const troveManager = new ethers.Contract(troveManagerAddr, troveManagerAbi, provider);
+        const priceFeedAddr = await withTimeout(troveManager.priceFeed(), rpcTimeoutMs, `${row.contract_key}.priceFeed`);
+        const priceFeed = new ethers.Contract(priceFeedAddr, priceFeedAbi, provider);
+        const price = format18(await withTimeout(priceFeed.lastGoodPrice(), rpcTimeoutMs, `${row.contract_key}.lastGoodPrice`));
+        if (Number.isFinite(price) && price > 0) priceByToken.set(String(collToken).toLowerCase(), price);
+      } catch (err) {
+        logger.warn(`[sp-position-scan] collateral price failed contract=${row.contract_key}: ${err?.message || err}`);
+      }
+    })
+  );
+
+  const out = new Map();
+  await Promise.all(
+    pools.map(async (pool) => {
+      try {
+        const collToken = await withTimeout(contracts.get(pool.key).collToken(), rpcTimeoutMs, `${pool.key}.collToken`);
+        out.set(pool.key, priceByToken.get(String(collToken).toLowerCase()) ?? null);
+      } catch (err) {
+        logger.warn(`[sp-position-scan] collToken failed pool=${pool.key}: ${err?.message || err}`);
+        out.set(pool.key, null);
+      }
+    })
+  );
+  return out;
+}
+
 async function main() {
   const lockPath = acquireLock(LOCK_NAME);
   if (!lockPath) {
@@ -84,7 +133,7 @@ async function main() {
 
   try {
     const rpcTimeoutMs = requireNumberEnv("SP_POSITION_RPC_TIMEOUT_MS");
-    const provider = getProviderForChain("FLR", CHAINS_CONFIG);
+    const provider = getBatchedProvider(getProviderForChain("FLR", CHAINS_CONFIG));
     const pools = getStabilityPoolsForChain("FLR");
     const db = getDb();
 
@@ -132,18 +181,22 @@ async function main() {
       contracts.set(pool.key, new ethers.Contract(pool.address, stabilityPoolAbi, provider));
     }
 
+    const collPrices = await loadCollateralPrices(db, provider, pools, contracts, rpcTimeoutMs);
+
     let activeCount = 0;
     let scannedCount = 0;
 
     for (const pool of pools) {
       const contract = contracts.get(pool.key);
+      const collPriceUsd = collPrices.get(pool.key) ?? null;
       const totalBoldDeposits = await withTimeout(
         contract.getTotalBoldDeposits(),
         rpcTimeoutMs,
         `${pool.key}.getTotalBoldDeposits`
       );
 
-      for (const wallet of wallets) {
+      // Wallets run MULTICALL_CONCURRENCY at a time so their reads share Multicall3 batches
+      await forEachConcurrent(wallets, async (wallet) => {
         scannedCount += 1;
         const addr = wallet.address_eip55;
         try {
@@ -170,7 +223,7 @@ async function main() {
 
           if (!isActive) {
             del.run(wallet.user_id, wallet.wallet_id, "FLR", pool.key);
-            continue;
+            return;
           }
 
           const snapshot = {
@@ -195,6 +248,8 @@ async function main() {
             stashedCollateral: format18(stashedCollRaw),
             claimableCollateralRaw: collClaimableRaw.toString(),
             claimableCollateral: format18(collClaimableRaw),
+            collateralPriceUsd: collPriceUsd,
+            claimableCollateralUsd: collPriceUsd != null ? format18(collClaimableRaw) * collPriceUsd : null,
             totalPoolDepositsRaw: totalBoldDeposits.toString(),
             totalPoolDeposits: format18(totalBoldDeposits),
             poolSharePct: percentOf(totalBoldDeposits, compoundedRaw),
@@ -213,7 +268,7 @@ async function main() {
         } catch (err) {
           logger.error(`[sp-position-scan] failed pool=${pool.key} wallet=${addr}: ${err?.message || err}`);
         }
-      }
+      });
     }
 
     logger.info(
@@ -0,0 +1,57 @@
+// jobs/snapshotHistoryJob.js
+const cron = require("node-cron");
+const { compactSnapshotHistory } = require("../monitoring/snapshotHistory");
+const logger = require("../utils/logger");
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (v === undefined || v === null || v === "") {
+    logger.error(`[snapshotHistoryJob] Missing required env var ${name}`);
+    process.exit(1);
+  }
+  return v;
+}
+
+function startSnapshotHistoryJob() {
+  const SNAPSHOT_HISTORY_CRON = mustEnv("SNAPSHOT_HISTORY_CRON");
+
+  if (!cron.validate(SNAPSHOT_HISTORY_CRON)) {
+    logger.error(`[snapshotHistoryJob] Invalid SNAPSHOT_HISTORY_CRON: "${SNAPSHOT_HISTORY_CRON}"`);
+    process.exit(1);
+  }
+
+  logger.startup(`[CRON] Using snapshot history compaction schedule: ${SNAPSHOT_HISTORY_CRON}`);
+
+  let isRunning = false;
+
+  function runOnce(label) {
+    if (isRunning) {
+      logger.warn(`[CRON] Previous ${label} still running — skipping.`);
+      return;
+    }
+
+    isRunning = true;
+    const t0 = Date.now();
+    logger.debug(`▶️  ${label} start`);
+
+    try {
+      const res = compactSnapshotHistory(); // RAW -> HOURLY (7d), HOURLY -> DAILY (90d)
+      for (const [kind, c] of Object.entries(res)) {
+        logger.debug(
+          `[snapshotHistoryJob] ${kind}: ${c.hourly} hourly kept / ${c.rawDropped} raw dropped, ` +
+            `${c.daily} daily kept / ${c.hourlyDropped} hourly dropped`
+        );
+      }
+    } catch (e) {
+      logger.error(`❌ ${label} failed:`, e);
+    } finally {
+      const elapsed = Date.now() - t0;
+      logger.debug(`⏹️  ${label} end (elapsed ${elapsed} ms)`);
+      isRunning = false;
+    }
+  }
+
+  cron.schedule(SNAPSHOT_HISTORY_CRON, () => runOnce("Snapshot history compaction"));
+}
+
+module.exports = { startSnapshotHistoryJob };
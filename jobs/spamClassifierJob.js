@@ -0,0 +1,51 @@
+// jobs/spamClassifierJob.js
+const cron = require("node-cron");
+const { classifySpamPositions } = require("../monitoring/spamClassifier");
+const logger = require("../utils/logger");
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (v === undefined || v === null || v === "") {
+    logger.error(`[spamClassifierJob] Missing required env var ${name}`);
+    process.exit(1);
+  }
+  return v;
+}
+
+function startSpamClassifierJob() {
+  const SPAM_CLASSIFY_CRON = mustEnv("SPAM_CLASSIFY_CRON");
+
+  if (!cron.validate(SPAM_CLASSIFY_CRON)) {
+    logger.error(`[spamClassifierJob] Invalid SPAM_CLASSIFY_CRON: "${SPAM_CLASSIFY_CRON}"`);
+    process.exit(1);
+  }
+
+  logger.startup(`[CRON] Using spam classifier schedule: ${SPAM_CLASSIFY_CRON}`);
+
+  let isRunning = false;
+
+  function runOnce(label) {
+    if (isRunning) {
+      logger.warn(`[CRON] Previous ${label} still running — skipping.`);
+      return;
+    }
+
+    isRunning = true;
+    const t0 = Date.now();
+    logger.debug(`▶️  ${label} start`);
+
+    try {
+      classifySpamPositions(); // flags / hides suspicious LP NFTs in position_spam_flags
+    } catch (e) {
+      logger.error(`❌ ${label} failed:`, e);
+    } finally {
+      const elapsed = Date.now() - t0;
+      logger.debug(`⏹️  ${label} end (elapsed ${elapsed} ms)`);
+      isRunning = false;
+    }
+  }
+
+  cron.schedule(SPAM_CLASSIFY_CRON, () => runOnce("Spam classifier"));
+}
+
+module.exports = { startSpamClassifierJob };
@@ -0,0 +1,224 @@
+// monitoring/aaveV2Market.js
+//
+// Read-only adapter for Aave v2-compatible lending markets (PrimeFi and other forks),
+// driven by the market entries in data/primefi_loans.json:
+// - Reserves are enumerated from the uiPoolDataProvider (getReservesList), falling back
+//   to LendingPool.getReservesList(); config / token addresses come from the protocol
+//   data provider, symbols from the token registry. Cached per market for RESERVES_TTL_MS
+// - readAaveV2Account() returns a wallet's account totals plus every reserve it supplies
+//   or borrows, with oracle prices in the market's base currency
+// - Base-currency values (totals, priceBase) are only meaningful relative to each other;
+//   callers convert to USD through a reserve with a known USD price
+//
+// Used by:
+// - monitoring/primefiLoanMonitor.js (refreshPrimefiLoanSnapshots)
+const { ethers } = require("ethers");
+
+const logger = require("../utils/logger");
+const { getTokenSymbol } = require("../utils/tokenRegistry");
+
+// Reserve sets and their configuration change rarely (governance listings)
+const RESERVES_TTL_MS = 60 * 60 * 1000;
+
+const lendingPoolAbi = [
+  "function getUserAccountData(address user) view returns (uint256 totalCollateralETH,uint256 totalDebtETH,uint256 availableBorrowsETH,uint256 currentLiquidationThreshold,uint256 ltv,uint256 healthFactor)",
+  "function getReservesList() view returns (address[])",
+  "function getAddressesProvider() view returns (address)",
+];
+
+const addressesProviderAbi = ["function getPriceOracle() view returns (address)"];
+
+const priceOracleAbi = ["function getAssetPrice(address asset) view returns (uint256)"];
+
+const uiPoolDataProviderAbi = ["function getReservesList(address provider) view returns (address[])"];
+
+const dataProviderAbi = [
+  "function getUserReserveData(address asset,address user) view returns (uint256 currentATokenBalance,uint256 currentStableDebt,uint256 currentVariableDebt,uint256 principalStableDebt,uint256 scaledVariableDebt,uint256 stableBorrowRate,uint256 liquidityRate,uint40 stableRateLastUpdated,bool usageAsCollateralEnabled)",
+  "function getReserveConfigurationData(address asset) view returns (uint256 decimals,uint256 ltv,uint256 liquidationThreshold,uint256 liquidationBonus,bool usageAsCollateralEnabled,bool borrowingEnabled,bool stableBorrowRateEnabled,bool isActive,bool isFrozen)",
+  "function getReserveTokensAddresses(address asset) view returns (address aTokenAddress,address stableDebtTokenAddress,address variableDebtTokenAddress)",
+];
+
+const erc20BalanceAbi = ["function balanceOf(address account) view returns (uint256)"];
+
+const reservesByMarket = new Map(); // `${chainId}:${market.key}` -> { loadedAtMs, promise }
+
+function toNumUnits(raw, decimals) {
+  try {
+    const n = Number(ethers.formatUnits(raw, decimals));
+    return Number.isFinite(n) ? n : null;
+  } catch {
+    return null;
+  }
+}
+
+async function listReserveAddresses(provider, market, lendingPool, addressesProvider) {
+  if (market.uiPoolDataProvider) {
+    try {
+      const ui = new ethers.Contract(market.uiPoolDataProvider, uiPoolDataProviderAbi, provider);
+      const list = await ui.getReservesList(addressesProvider);
+      if (list.length) return list.map((a) => ethers.getAddress(a));
+    } catch (err) {
+      logger.debug(
+        `[aaveV2Market] ${market.key} uiPoolDataProvider.getReservesList failed; using LendingPool: ${err?.message || err}`
+      );
+    }
+  }
+  const list = await lendingPool.getReservesList();
+  return list.map((a) => ethers.getAddress(a));
+}
+
+async function loadReserves(provider, market) {
+  const lendingPool = new ethers.Contract(market.lendingPool, lendingPoolAbi, provider);
+  const dataProvider = new ethers.Contract(market.dataProvider, dataProviderAbi, provider);
+
+  const addressesProvider = market.addressesProvider || (await lendingPool.getAddressesProvider());
+  const addressesProviderContract = new ethers.Contract(addressesProvider, addressesProviderAbi, provider);
+  const [assets, priceOracle] = await Promise.all([
+    listReserveAddresses(provider, market, lendingPool, addressesProvider),
+    addressesProviderContract.getPriceOracle(),
+  ]);
+
+  const reserves = await Promise.all(
+    assets.map(async (asset) => {
+      const [cfg, tokens, symbol] = await Promise.all([
+        dataProvider.getReserveConfigurationData(asset),
+        dataProvider.getReserveTokensAddresses(asset),
+        getTokenSymbol(provider, market.chainId, asset).catch(() => null),
+      ]);
+      return {
+        asset,
+        symbol,
+        decimals: Number(cfg.decimals),
+        ltvFrac: Number(cfg.ltv) / 10000,
+        liqThresholdFrac: Number(cfg.liquidationThreshold) / 10000,
+        collateralEnabled: Boolean(cfg.usageAsCollateralEnabled),
+        isActive: Boolean(cfg.isActive),
+        isFrozen: Boolean(cfg.isFrozen),
+        aTokenAddress: ethers.getAddress(tokens.aTokenAddress),
+      };
+    })
+  );
+
+  logger.debug(`[aaveV2Market] ${market.key} loaded ${reserves.length} reserves`);
+  return { reserves, priceOracle: ethers.getAddress(priceOracle) };
+}
+
+/**
+ * Reserves of a market: { reserves: [{ asset, symbol, decimals, ltvFrac, liqThresholdFrac,
+ * collateralEnabled, isActive, isFrozen, aTokenAddress }], priceOracle }.
+ * A failed load is not cached.
+ */
+function getMarketReserves(provider, market) {
+  const key = `${market.chainId}:${market.key}`;
+  const cached = reservesByMarket.get(key);
+  if (cached && Date.now() - cached.loadedAtMs < RESERVES_TTL_MS) return cached.promise;
+
+  const promise = loadReserves(provider, market);
+  reservesByMarket.set(key, { loadedAtMs: Date.now(), promise });
+  promise.catch(() => {
+    if (reservesByMarket.get(key)?.promise === promise) reservesByMarket.delete(key);
+  });
+  return promise;
+}
+
+/**
+ * One wallet's position in an Aave v2-style market.
+ * Returns {
+ *   totalCollateralBase, totalDebtBase, availableBorrowsBase, currentLiqThresholdFrac, ltvFrac,
+ *   healthFactor,  // null without debt (the pool reports uint256 max)
+ *   supplies: [{ ...reserve, amount, usedAsCollateral, priceBase, availableLiquidity }],
+ *   borrows:  [{ ...reserve, amount, variableAmount, stableAmount, priceBase }],
+ * }
+ * priceBase is null when the oracle read failed.
+ */
+async function readAaveV2Account(provider, market, user) {
+  const { reserves, priceOracle } = await getMarketReserves(provider, market);
+  const lendingPool = new ethers.Contract(market.lendingPool, lendingPoolAbi, provider);
+  const dataProvider = new ethers.Contract(market.dataProvider, dataProviderAbi, provider);
+  const oracle = new ethers.Contract(priceOracle, priceOracleAbi, provider);
+
+  const [accountData, userReserves] = await Promise.all([
+    lendingPool.getUserAccountData(user),
+    Promise.all(reserves.map((r) => dataProvider.getUserReserveData(r.asset, user))),
+  ]);
+
+  const held = [];
+  reserves.forEach((r, i) => {
+    const ur = userReserves[i];
+    const amount = toNumUnits(ur.currentATokenBalance, r.decimals) || 0;
+    const variableAmount = toNumUnits(ur.currentVariableDebt, r.decimals) || 0;
+    const stableAmount = toNumUnits(ur.currentStableDebt, r.decimals) || 0;
+    if (amount > 0 || variableAmount + stableAmount > 0) {
+      held.push({ reserve: r, amount, variableAmount, stableAmount, usedAsCollateral: Boolean(ur.usageAsCollateralEnabled) });
+    }
+  });
+
+  const prices = await Promise.all(
+    held.map((h) =>
+      oracle.getAssetPrice(h.reserve.asset).then(
+        (p) => toNumUnits(p, 18),
+        (err) => {
+          logger.debug(`[aaveV2Market] ${market.key} getAssetPrice(${h.reserve.asset}) failed: ${err?.message || err}`);
+          return null;
+        }
+      )
+    )
+  );
+  const liquidity = await Promise.all(
+    held.map((h) => {
+      if (!(h.amount > 0)) return null;
+      const token = new ethers.Contract(h.reserve.asset, erc20BalanceAbi, provider);
+      return token.balanceOf(h.reserve.aTokenAddress).then(
+        (raw) => toNumUnits(raw, h.reserve.decimals),
+        (err) => {
+          logger.warn(
+            `[aaveV2Market] ${market.key} reserve liquidity read failed asset=${h.reserve.asset}: ${err?.message || err}`
+          );
+          return null;
+        }
+      );
+    })
+  );
+
+  const supplies = [];
+  const borrows = [];
+  held.forEach((h, i) => {
+    const priceBase = Number.isFinite(prices[i]) && prices[i] > 0 ? prices[i] : null;
+    if (h.amount > 0) {
+      supplies.push({
+        ...h.reserve,
+        amount: h.amount,
+        usedAsCollateral: h.usedAsCollateral && h.reserve.liqThresholdFrac > 0,
+        priceBase,
+        availableLiquidity: liquidity[i],
+      });
+    }
+    if (h.variableAmount + h.stableAmount > 0) {
+      borrows.push({
+        ...h.reserve,
+        amount: h.variableAmount + h.stableAmount,
+        variableAmount: h.variableAmount,
+        stableAmount: h.stableAmount,
+        priceBase,
+      });
+    }
+  });
+
+  const totalDebtBase = toNumUnits(accountData.totalDebtETH, 18);
+  const healthFactor = totalDebtBase > 0 ? toNumUnits(accountData.healthFactor, 18) : null;
+  return {
+    totalCollateralBase: toNumUnits(accountData.totalCollateralETH, 18),
+    totalDebtBase,
+    availableBorrowsBase: toNumUnits(accountData.availableBorrowsETH, 18),
+    currentLiqThresholdFrac: Number(accountData.currentLiquidationThreshold) / 10000,
+    ltvFrac: Number(accountData.ltv) / 10000,
+    healthFactor,
+    supplies,
+    borrows,
+  };
+}
+
+module.exports = {
+  getMarketReserves,
+  readAaveV2Account,
+};
@@ -0,0 +1,223 @@
+// monitoring/alertDigest.js
+//
+// Quiet hours + alert digests.
+// - users.quiet_start_hour / quiet_end_hour are local hours in users.heartbeat_tz
+//   (start inclusive, end exclusive; start > end wraps past midnight)
+// - During quiet hours alertEngine.sendDmToUser queues DMs in alert_outbox instead of sending
+// - CRITICAL liquidation alerts always break through
+// - sendAlertDigests (jobs/alertDigestJob.js) delivers one batched digest per user once the window ends
+//   (alert type DIGEST, so it follows the user's notify channel routing)
+//
+// Used by:
+// - monitoring/alertEngine.js (sendDmToUser)
+// - jobs/alertDigestJob.js
+
+const { EmbedBuilder } = require("discord.js");
+const { getDb } = require("../db");
+const logger = require("../utils/logger");
+const { notifyUser, resolveChannels } = require("./notifiers");
+
+const DEFAULT_QUIET_TZ = "America/Los_Angeles";
+const DIGEST_DESCRIPTION_MAX = 3800;
+
+let _userStmt = null;
+let _insStmt = null;
+
+const tzFormatterCache = new Map();
+function getLocalHourNow(tz, now = new Date()) {
+  const timeZone = tz || DEFAULT_QUIET_TZ;
+  let fmt = tzFormatterCache.get(timeZone);
+  if (!fmt) {
+    try {
+      fmt = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hour: "2-digit",
+        hour12: false,
+      });
+    } catch (_) {
+      fmt = new Intl.DateTimeFormat("en-US", {
+        timeZone: "UTC",
+        hour: "2-digit",
+        hour12: false,
+      });
+      logger.warn(`[digest] Invalid timezone "${timeZone}", using UTC`);
+    }
+    tzFormatterCache.set(timeZone, fmt);
+  }
+  // en-US renders midnight as "24" with hour12=false
+  const hour = Number.parseInt(fmt.format(now), 10) % 24;
+  return Number.isInteger(hour) ? hour : null;
+}
+
+function isHourInQuietWindow(hour, startHour, endHour) {
+  if (!Number.isInteger(hour) || !Number.isInteger(startHour) || !Number.isInteger(endHour)) {
+    return false;
+  }
+  if (startHour === endHour) return false;
+  if (startHour < endHour) return hour >= startHour && hour < endHour;
+  return hour >= startHour || hour < endHour;
+}
+
+function isUserRowInQuietHours(row, now = new Date()) {
+  if (!row || Number(row.quiet_enabled) !== 1) return false;
+  const hour = getLocalHourNow(row.heartbeat_tz, now);
+  return isHourInQuietWindow(hour, Number(row.quiet_start_hour), Number(row.quiet_end_hour));
+}
+
+function getUserQuietHours(userId) {
+  const db = getDb();
+  if (!_userStmt) {
+    _userStmt = db.prepare(`
+      SELECT quiet_enabled, quiet_start_hour, quiet_end_hour, heartbeat_tz
+      FROM users
+      WHERE id = ?
+      LIMIT 1
+    `);
+  }
+  return _userStmt.get(userId) || null;
+}
+
+function isUserInQuietHours(userId, now = new Date()) {
+  return isUserRowInQuietHours(getUserQuietHours(userId), now);
+}
+
+// Alerts that are never held back by quiet hours.
+function isQuietHoursBreakthrough({ alertType, meta }) {
+  return (
+    (alertType === "LIQUIDATION" || alertType === "PRIMEFI_LIQUIDATION") &&
+    String(meta?.newTier || "").toUpperCase() === "CRITICAL"
+  );
+}
+
+function enqueueAlertDigest({ userId, alertType, phase, summary, message, meta }) {
+  const db = getDb();
+  if (!_insStmt) {
+    _insStmt = db.prepare(`
+      INSERT INTO alert_outbox (user_id, alert_type, phase, summary, message, meta_json)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+  }
+  _insStmt.run(
+    userId,
+    alertType,
+    phase,
+    summary || message,
+    message,
+    meta && Object.keys(meta).length ? JSON.stringify(meta) : null
+  );
+}
+
+function formatQuietHours({ startHour, endHour }) {
+  const fmt = (h) => `${String(h).padStart(2, "0")}:00`;
+  return `${fmt(startHour)}–${fmt(endHour)}`;
+}
+
+function parseOutboxTs(raw) {
+  if (!raw) return null;
+  const iso = String(raw).replace(" ", "T");
+  const ms = Date.parse(iso.endsWith("Z") ? iso : `${iso}Z`);
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+function buildDigestEmbed({ rows, userRow, client }) {
+  const lines = [];
+  let used = 0;
+  let shown = 0;
+  for (const r of rows) {
+    const ts = parseOutboxTs(r.created_at);
+    const line = `${ts ? `<t:${ts}:t>` : "—"} · **${r.alert_type}** ${r.phase} · ${r.summary}`;
+    if (used + line.length + 1 > DIGEST_DESCRIPTION_MAX) break;
+    lines.push(line);
+    used += line.length + 1;
+    shown += 1;
+  }
+  if (shown < rows.length) {
+    lines.push(`…and ${rows.length - shown} more. Use \`/my-alerts\` for the full history.`);
+  }
+
+  const window = formatQuietHours({
+    startHour: Number(userRow.quiet_start_hour),
+    endHour: Number(userRow.quiet_end_hour),
+  });
+  const embed = new EmbedBuilder()
+    .setColor("Blurple")
+    .setTitle(`🌙 Alert digest (${rows.length})`)
+    .setDescription(lines.join("\n"))
+    .setFooter({ text: `Held during quiet hours ${window} (${userRow.heartbeat_tz || DEFAULT_QUIET_TZ})` })
+    .setTimestamp(new Date());
+  if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+  return embed;
+}
+
+/**
+ * Deliver queued alerts for every user whose quiet window has ended (or who turned
+ * quiet hours off). One digest per user; rows stay queued if every channel fails.
+ */
+async function sendAlertDigests(client) {
+  const db = getDb();
+  const users = db
+    .prepare(
+      `
+      SELECT DISTINCT
+        u.id, u.quiet_enabled, u.quiet_start_hour, u.quiet_end_hour, u.heartbeat_tz
+      FROM alert_outbox o
+      JOIN users u ON u.id = o.user_id
+      WHERE o.delivered_at IS NULL
+    `
+    )
+    .all();
+  if (!users.length) return;
+
+  const selPending = db.prepare(`
+    SELECT id, alert_type, phase, summary, created_at
+    FROM alert_outbox
+    WHERE user_id = ? AND delivered_at IS NULL
+    ORDER BY id
+  `);
+  const markDelivered = db.prepare(`
+    UPDATE alert_outbox
+    SET delivered_at = datetime('now')
+    WHERE user_id = ? AND delivered_at IS NULL AND id <= ?
+  `);
+
+  const now = new Date();
+  for (const u of users) {
+    if (isUserRowInQuietHours(u, now)) continue;
+
+    const rows = selPending.all(u.id);
+    if (!rows.length) continue;
+    const maxId = rows[rows.length - 1].id;
+
+    // No channel left for digests (DMs off, channels paused): drop the backlog instead of retrying forever.
+    const channels = resolveChannels(u.id, "DIGEST");
+    if (!channels.length) {
+      markDelivered.run(u.id, maxId);
+      logger.info(`[digest] Dropped ${rows.length} queued alert(s) for userId=${u.id} (no channels)`);
+      continue;
+    }
+
+    const { sent } = await notifyUser(
+      {
+        userId: u.id,
+        alertType: "DIGEST",
+        phase: "DIGEST",
+        embeds: [buildDigestEmbed({ rows, userRow: u, client })],
+        data: { tier: null, position: null, signature: null, meta: { count: rows.length } },
+      },
+      { logPrefix: "[digest]", channels }
+    );
+    if (sent > 0) {
+      markDelivered.run(u.id, maxId);
+      logger.info(`[digest] Sent digest of ${rows.length} alert(s) to userId=${u.id}`);
+    } else {
+      logger.warn(`[digest] Digest delivery failed for userId=${u.id}; will retry`);
+    }
+  }
+}
+
+module.exports = {
+  isUserInQuietHours,
+  isQuietHoursBreakthrough,
+  enqueueAlertDigest,
+  sendAlertDigests,
+};
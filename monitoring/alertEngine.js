@@ -4,11 +4,23 @@
 const crypto = require("crypto");
 const { EmbedBuilder } = require("discord.js");
 const { getDb } = require("../db");
-const { sendLongDM } = require("../utils/discord/sendLongDM");
 const logger = require("../utils/logger");
 const { shortenAddress } = require("../utils/ethers/shortenAddress");
 const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
-const { formatAddressLink, formatLpPositionLink, formatLoanTroveLink } = require("../utils/links");
+const {
+  formatAddressLink,
+  formatLpPositionLink,
+  formatLoanTroveLink,
+  formatTxLink,
+} = require("../utils/links");
+const {
+  isUserInQuietHours,
+  isQuietHoursBreakthrough,
+  enqueueAlertDigest,
+} = require("./alertDigest");
+const { notifyUser, resolveChannels, setNotifierClient } = require("./notifiers");
+const { postAlertToRoutes } = require("./alertRoutes");
+const { buildAlertActionRow } = require("../handlers/ui/alert-actions-ui");
 
 function trendLabel(prevTier, newTier, order) {
   const p = (prevTier || "").toString().toUpperCase();
@@ -75,6 +87,17 @@ function formatSnapshotLine(snapshotAt, source, staleWarnMs) {
   return `<t:${ts}:f>${warn}`;
 }
 
+// 95 min -> "1h 35m"
+function formatElapsed(ms) {
+  const totalMin = Math.max(0, Math.floor(Number(ms || 0) / 60000));
+  const d = Math.floor(totalMin / 1440);
+  const h = Math.floor((totalMin % 1440) / 60);
+  const m = totalMin % 60;
+  if (d) return `${d}d ${h}h`;
+  if (h) return `${h}h ${m}m`;
+  return `${m}m`;
+}
+
 function redemptionMeaning(tier, aheadPctText) {
   const t = (tier || "UNKNOWN").toString().toUpperCase();
   const aheadSuffix = aheadPctText ? ` with ${aheadPctText} of total loan debt in front of it.` : ".";
@@ -88,6 +111,7 @@ function redemptionMeaning(tier, aheadPctText) {
 let _client = null;
 function setAlertEngineClient(client) {
   _client = client;
+  setNotifierClient(client);
 }
 
 function assertPresent(name, v) {
@@ -131,6 +155,32 @@ if (PRIMEFI_WITHDRAW_ALERT_RESET_UNITS > PRIMEFI_WITHDRAW_ALERT_TRIGGER_UNITS) {
   );
 }
 
+// PRIMEFI_LIQUIDATION tiers, safest first (LOW = inactive)
+const PRIMEFI_LIQ_TIER_ORDER = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+// -----------------------------
+// Stability Pool alert thresholds (STRICT)
+// -----------------------------
+const SP_POSITION_SNAPSHOT_STALE_WARN_MS = Math.max(
+  0,
+  Math.floor(requireNumberEnv("SP_POSITION_SNAPSHOT_STALE_WARN_MIN") * 60 * 1000)
+);
+// SP_DEPOSIT_LOSS: active from this % of the deposit lost; UPDATED at every further multiple
+const SP_LOSS_ALERT_PCT = requireNumberEnv("SP_LOSS_ALERT_PCT");
+const SP_CLAIM_ALERT_USD = requireNumberEnv("SP_CLAIM_ALERT_USD");
+const SP_CLAIM_RESET_USD = requireNumberEnv("SP_CLAIM_RESET_USD");
+const SP_APR_GAP_ALERT_PP = requireNumberEnv("SP_APR_GAP_ALERT_PP");
+const SP_APR_GAP_RESET_PP = requireNumberEnv("SP_APR_GAP_RESET_PP");
+if (!(SP_LOSS_ALERT_PCT > 0) || !(SP_CLAIM_ALERT_USD > 0) || !(SP_APR_GAP_ALERT_PP > 0)) {
+  throw new Error("[alertEngine] SP_LOSS_ALERT_PCT, SP_CLAIM_ALERT_USD and SP_APR_GAP_ALERT_PP must be > 0");
+}
+if (SP_CLAIM_RESET_USD > SP_CLAIM_ALERT_USD) {
+  throw new Error("[alertEngine] SP_CLAIM_RESET_USD must be <= SP_CLAIM_ALERT_USD");
+}
+if (SP_APR_GAP_RESET_PP > SP_APR_GAP_ALERT_PP) {
+  throw new Error("[alertEngine] SP_APR_GAP_RESET_PP must be <= SP_APR_GAP_ALERT_PP");
+}
+
 // -----------------------------
 // LP debounce/cooldown config (STRICT)
 // -----------------------------
@@ -158,6 +208,10 @@ const LOAN_LIQ_IMPROVING_DEBOUNCE_MS = Math.max(
   Math.floor(LOAN_LIQ_IMPROVING_DEBOUNCE_SEC * 1000)
 );
 
+// Re-notify cadence while a liquidation alert stays CRITICAL (0 = off)
+const LOAN_LIQ_CRITICAL_REMIND_MIN = requireNumberEnv("LOAN_LIQ_CRITICAL_REMIND_MIN");
+const LOAN_LIQ_CRITICAL_REMIND_MS = Math.max(0, Math.floor(LOAN_LIQ_CRITICAL_REMIND_MIN * 60 * 1000));
+
 const LOAN_REDEMP_WORSENING_DEBOUNCE_MS = Math.max(
   0,
   Math.floor(LOAN_REDEMP_WORSENING_DEBOUNCE_SEC * 1000)
@@ -167,6 +221,25 @@ const LOAN_REDEMP_IMPROVING_DEBOUNCE_MS = Math.max(
   Math.floor(LOAN_REDEMP_IMPROVING_DEBOUNCE_SEC * 1000)
 );
 
+// -----------------------------
+// PRICE_LEVEL debounce config (STRICT)
+// -----------------------------
+const PRICE_LEVEL_TRIGGER_DEBOUNCE_SEC = requireNumberEnv("PRICE_LEVEL_TRIGGER_DEBOUNCE_SEC");
+const PRICE_LEVEL_RESOLVE_DEBOUNCE_SEC = requireNumberEnv("PRICE_LEVEL_RESOLVE_DEBOUNCE_SEC");
+
+const PRICE_LEVEL_TRIGGER_DEBOUNCE_MS = Math.max(
+  0,
+  Math.floor(PRICE_LEVEL_TRIGGER_DEBOUNCE_SEC * 1000)
+);
+const PRICE_LEVEL_RESOLVE_DEBOUNCE_MS = Math.max(
+  0,
+  Math.floor(PRICE_LEVEL_RESOLVE_DEBOUNCE_SEC * 1000)
+);
+
+// REDEMPTION_TREND: an active trend alert stays up until the projection drifts past
+// the horizon by this factor (avoids NEW/RESOLVED flapping around the horizon)
+const REDEMP_TREND_RESOLVE_MULT = 1.5;
+
 // -----------------------------
 // Helpers
 // -----------------------------
@@ -185,541 +258,960 @@ function makeSignature(payload) {
   return crypto.createHash("sha256").update(stableStringify(payload)).digest("hex");
 }
 
-function disableUserDm(userId, reason = null) {
-  try {
-    const db = getDb();
-    db.prepare(
-      `
-      UPDATE users
-      SET accepts_dm = 0
-      WHERE id = ?
-    `
-    ).run(userId);
-
-    if (reason) console.warn(`[dm] Disabled DMs for userId=${userId} (${reason})`);
-    else console.warn(`[dm] Disabled DMs for userId=${userId}`);
-  } catch (e) {
-    console.error(`[dm] Failed to disable DMs for userId=${userId}:`, e.message);
-  }
-}
-
 /**
- * Discord DM failure classifier.
- * Only disable DMs for strong signals that user can't be messaged.
+ * Build the Discord payload for one alert phase: { embeds } for the typed alerts,
+ * { content } (plain text) for anything else. Pure rendering, no send/skip rules,
+ * so /my-alerts can re-render alert_log rows exactly as they were DM'd.
  */
-function shouldDisableDmForError(err) {
-  const code = err?.code;
-  const status = err?.status;
+function buildAlertDmPayload({ phase, alertType, logPrefix, message, meta }) {
+  const client = _client;
 
-  // Strong Discord API signals
-  if (code === 50007) return { disable: true, reason: "Cannot send messages to this user (50007)" };
-  if (code === 10013) return { disable: true, reason: "Unknown user (10013)" };
+  if (alertType === "REDEMPTION") {
+    const fmt2 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(2) : "n/a");
+    const fmt2c = (v) =>
+      typeof v === "number" && Number.isFinite(v)
+        ? new Intl.NumberFormat("en-US", {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2,
+          }).format(v)
+        : "n/a";
+    const prevTier = meta?.prevTier || "UNKNOWN";
+    const newTier = meta?.newTier || "UNKNOWN";
+    const trend = trendLabel(prevTier, newTier, ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"]);
+    const headline =
+      trend.label === "Improving"
+        ? { text: "Improving", emoji: "🟢" }
+        : trend.label === "Worsening"
+        ? { text: "Worsening", emoji: "🔴" }
+        : { text: "Updated", emoji: "⚪" };
+    const alertColor = tierColor(newTier);
+    const trendArrow =
+      headline.text === "Improving"
+        ? "↗️"
+        : headline.text === "Worsening"
+        ? "↘️"
+        : "→";
+
+    const embed = new EmbedBuilder()
+      .setTitle(`Redemption Alert ${headline.emoji} ${trendArrow}`)
+      .setDescription(`${meta?.protocol || "UNKNOWN_PROTOCOL"}`)
+      .setColor(alertColor)
+      .setTimestamp();
+
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const troveText =
+      meta?.troveId && meta?.protocol
+        ? formatLoanTroveLink(meta.protocol, meta.troveId, meta.troveId)
+        : meta?.troveId || "n/a";
+    const fields = [
+      { name: "Trove", value: troveText, inline: true },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+    const debtAheadPct =
+      typeof meta?.debtAheadPct === "number" && Number.isFinite(meta.debtAheadPct)
+        ? meta.debtAheadPct
+        : null;
+    const debtAheadText = fmt2c(meta?.debtAhead);
+    const debtTotalText = fmt2c(meta?.debtTotal);
+    const aheadPctText =
+      debtAheadPct == null ? "n/a" : `${(debtAheadPct * 100).toFixed(2)}%`;
+    const aheadMeaning = aheadPctText !== "n/a" ? aheadPctText : null;
+    const deltaIr =
+      typeof meta?.loanIR === "number" && typeof meta?.globalIR === "number"
+        ? meta.loanIR - meta.globalIR
+        : null;
+    const deltaText =
+      deltaIr == null || !Number.isFinite(deltaIr)
+        ? "n/a"
+        : `Δ ${deltaIr >= 0 ? "+" : ""}${deltaIr.toFixed(2)} pp`;
+    fields.push(
+      { name: "Loan IR", value: `${fmt2(meta?.loanIR)}%`, inline: true },
+      { name: "Global IR", value: `${fmt2(meta?.globalIR)}%`, inline: true },
+      { name: "Delta IR", value: deltaText, inline: true },
+      { name: "Debt Ahead", value: debtAheadText, inline: true },
+      { name: "Debt Total", value: debtTotalText, inline: true },
+      { name: "Ahead %", value: aheadPctText, inline: true },
+      {
+        name: "Redemption Position - Higher % = safer",
+        value: renderPositionBar(debtAheadPct),
+        inline: false,
+      },
+      { name: "Tier", value: formatTierList(newTier), inline: false },
+      {
+        name: "Meaning",
+        value: redemptionMeaning(newTier, aheadMeaning),
+        inline: false,
+      }
+    );
+    const snapshotLine = formatSnapshotLine(
+      meta?.snapshotAt,
+      meta?.snapshotSource,
+      LOAN_SNAPSHOT_STALE_WARN_MS
+    );
+    if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
+    embed.addFields(fields);
 
-  // discord.js sometimes yields REST/HTTP statuses
-  if (status === 403 || status === 401) return { disable: true, reason: `HTTP ${status}` };
+    return { embeds: [embed] };
+  }
 
-  const msg = String(err?.message || "").toLowerCase();
+  if (alertType === "REDEMPTION_HIT") {
+    const fmtAmt = (v, digits) =>
+      typeof v === "number" && Number.isFinite(v)
+        ? new Intl.NumberFormat("en-US", {
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits,
+          }).format(v)
+        : "n/a";
+    const fmtPx = (v) =>
+      typeof v === "number" && Number.isFinite(v) ? `$${fmtAmt(v, v >= 1 ? 4 : 6)}` : "n/a";
+    const collSym = meta?.collSymbol || "COLL";
+
+    const embed = new EmbedBuilder()
+      .setTitle("Redemption Hit 🟧")
+      .setDescription(`${meta?.protocol || "UNKNOWN_PROTOCOL"} — part of this trove was redeemed`)
+      .setColor("Orange")
+      .setTimestamp();
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const troveText =
+      meta?.troveId && meta?.protocol
+        ? formatLoanTroveLink(meta.protocol, meta.troveId, meta.troveId)
+        : meta?.troveId || "n/a";
+    const fields = [
+      { name: "Trove", value: troveText, inline: true },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+
+    const beforePct =
+      typeof meta?.preDebtAheadPct === "number" && Number.isFinite(meta.preDebtAheadPct)
+        ? `${(meta.preDebtAheadPct * 100).toFixed(2)}%`
+        : "n/a";
+    fields.push(
+      { name: "Debt redeemed", value: `${fmtAmt(meta?.debtRedeemed, 2)} CDP`, inline: true },
+      { name: "Collateral redeemed", value: `${fmtAmt(meta?.collRedeemed, 4)} ${collSym}`, inline: true },
+      { name: "Fee earned", value: `${fmtAmt(meta?.collFee, 4)} ${collSym}`, inline: true },
+      { name: "Effective price", value: fmtPx(meta?.effectivePrice), inline: true },
+      { name: "Oracle price", value: fmtPx(meta?.oraclePrice), inline: true },
+      { name: "Loan IR", value: `${fmtAmt(meta?.loanIR, 2)}%`, inline: true },
+      {
+        name: "Now",
+        value: `${fmtAmt(meta?.collAfter, 4)} ${collSym} / ${fmtAmt(meta?.debtAfter, 2)} CDP`,
+        inline: false,
+      },
+      {
+        name: "Just before the hit",
+        value: meta?.preSnapshotAt
+          ? `Debt ahead ${beforePct} · tier ${meta?.preTier || "UNKNOWN"} (snapshot ${meta.preSnapshotAt} UTC)`
+          : "No snapshot from before the hit",
+        inline: false,
+      },
+      {
+        name: "Transaction",
+        value: `${formatTxLink(meta?.chainId, meta?.txHash)}${
+          Number.isInteger(meta?.blockTimestamp) ? ` · <t:${meta.blockTimestamp}:f>` : ""
+        }`,
+        inline: false,
+      }
+    );
+    embed.addFields(fields);
 
-  if (msg.includes("cannot send messages to this user")) {
-    return { disable: true, reason: "cannot send messages to this user" };
-  }
-  if (msg.includes("missing access") || msg.includes("missing permissions")) {
-    return { disable: true, reason: "missing access/permissions" };
+    return { embeds: [embed] };
   }
 
-  // Do NOT disable on timeouts / 5xx / rate limits
-  if (msg.includes("timeout") || msg.includes("timed out")) return { disable: false, reason: null };
-  if (status && status >= 500) return { disable: false, reason: null };
-  if (status === 429) return { disable: false, reason: null };
+  if (alertType === "REDEMPTION_TREND") {
+    const fmt2 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(2) : "n/a");
+    const fmtPct = (v) => (typeof v === "number" && Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : "n/a");
+    const nextTier = meta?.newTier || "UNKNOWN";
+    const etaHours = typeof meta?.etaHours === "number" && Number.isFinite(meta.etaHours) ? meta.etaHours : null;
+
+    const embed = new EmbedBuilder()
+      .setTitle(`Redemption Risk Trend ⏳ → ${nextTier}`)
+      .setDescription(
+        `${meta?.protocol || "UNKNOWN_PROTOCOL"} — debt ahead is shrinking; at the current pace this trove ` +
+          `reaches **${nextTier}** ${etaHours != null ? `in about **${etaHours.toFixed(1)}h**` : "soon"}.`
+      )
+      .setColor(tierColor(nextTier))
+      .setTimestamp();
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const troveText =
+      meta?.troveId && meta?.protocol
+        ? formatLoanTroveLink(meta.protocol, meta.troveId, meta.troveId)
+        : meta?.troveId || "n/a";
+    const fields = [
+      { name: "Trove", value: troveText, inline: true },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+
+    const pace =
+      typeof meta?.slopePctPerHour === "number" && Number.isFinite(meta.slopePctPerHour)
+        ? `${(meta.slopePctPerHour * 100).toFixed(3)} pp/h`
+        : "n/a";
+    fields.push(
+      { name: "Tier now", value: meta?.currentTier || "UNKNOWN", inline: true },
+      { name: "Ahead % now", value: fmtPct(meta?.debtAheadPct), inline: true },
+      { name: `${nextTier} below`, value: fmtPct(meta?.boundaryPct), inline: true },
+      { name: "Pace", value: pace, inline: true },
+      {
+        name: "Projected",
+        value:
+          etaHours != null
+            ? `<t:${Math.floor(Date.now() / 1000 + etaHours * 3600)}:R>`
+            : "n/a",
+        inline: true,
+      },
+      { name: "Loan IR", value: `${fmt2(meta?.loanIR)}%`, inline: true },
+      {
+        name: "Redemption Position - Higher % = safer",
+        value: renderPositionBar(meta?.debtAheadPct),
+        inline: false,
+      },
+      {
+        name: "What to do",
+        value:
+          "Raising the interest rate moves more debt ahead of this trove. " +
+          "See `/redemption-rate` or the **Optimize interest rates** button on `/my-loans`.",
+        inline: false,
+      },
+      {
+        name: "Basis",
+        value: `${meta?.points ?? "?"} snapshots over the last ${fmt2(meta?.windowHours)}h at the current IR; alerting within ${fmt2(meta?.horizonHours)}h.`,
+        inline: false,
+      }
+    );
+    const snapshotLine = formatSnapshotLine(
+      meta?.snapshotAt,
+      meta?.snapshotSource,
+      LOAN_SNAPSHOT_STALE_WARN_MS
+    );
+    if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
+    embed.addFields(fields);
 
-  return { disable: false, reason: null };
-}
+    return { embeds: [embed] };
+  }
 
-function getUserDmTarget(userId) {
-  const db = getDb();
-  const row = db
-    .prepare(
-      `
-      SELECT discord_id, discord_name, accepts_dm
-      FROM users
-      WHERE id = ?
-      LIMIT 1
-    `
-    )
-    .get(userId);
+  if (alertType === "LIQUIDATION") {
+    const fmt2 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(2) : "n/a");
+    const fmt4 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(4) : "n/a");
+    const prevTier = meta?.prevTier || "UNKNOWN";
+    const newTier = meta?.newTier || "UNKNOWN";
+    const trend = trendLabel(prevTier, newTier, ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"]);
+    const headline =
+      trend.label === "Improving"
+        ? { text: "Improving", emoji: "🟢" }
+        : trend.label === "Worsening"
+        ? { text: "Worsening", emoji: "🔴" }
+        : { text: "Updated", emoji: "⚪" };
+    const alertColor = tierColor(newTier);
+    const trendArrow =
+      headline.text === "Improving"
+        ? "↗️"
+        : headline.text === "Worsening"
+        ? "↘️"
+        : "→";
+    const bufferPct =
+      typeof meta?.liquidationBufferFrac === "number" && Number.isFinite(meta?.liquidationBufferFrac)
+        ? `${(meta.liquidationBufferFrac * 100).toFixed(2)}%`
+        : "n/a";
+
+    const reminder = phase === "REMINDER" ? meta?.reminder : null;
+    const embed = new EmbedBuilder()
+      .setTitle(
+        reminder
+          ? `Liquidation Alert ⏰ Still CRITICAL (reminder ${reminder.count})`
+          : `Liquidation Alert ${headline.emoji} ${trendArrow}`
+      )
+      .setDescription(`${meta?.protocol || "UNKNOWN_PROTOCOL"}`)
+      .setColor(alertColor)
+      .setTimestamp();
+
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const troveText =
+      meta?.troveId && meta?.protocol
+        ? formatLoanTroveLink(meta.protocol, meta.troveId, meta.troveId)
+        : meta?.troveId || "n/a";
+    const fields = [
+      { name: "Trove", value: troveText, inline: true },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+    fields.push(
+      { name: "LTV", value: `${fmt2(meta?.ltvPct)}%`, inline: true },
+      { name: "Buffer", value: bufferPct, inline: true },
+      {
+        name: "Price / Liq",
+        value: `${fmt4(meta?.currentPrice)} / ${fmt4(meta?.liquidationPrice)}`,
+        inline: true,
+      },
+      {
+        name: "Liquidation Position - Higher % = safer",
+        value: renderPositionBar(meta?.liquidationBufferFrac),
+        inline: false,
+      }
+    );
+    if (reminder) {
+      const startFrac = reminder.startBufferFrac;
+      const nowFrac = meta?.liquidationBufferFrac;
+      const hasBoth =
+        typeof startFrac === "number" &&
+        Number.isFinite(startFrac) &&
+        typeof nowFrac === "number" &&
+        Number.isFinite(nowFrac);
+      const deltaPp = hasBoth ? (nowFrac - startFrac) * 100 : null;
+      fields.push(
+        { name: "Critical for", value: formatElapsed(reminder.criticalForMs), inline: true },
+        {
+          name: "Buffer since first alert",
+          value: hasBoth
+            ? `${(startFrac * 100).toFixed(2)}% → ${(nowFrac * 100).toFixed(2)}% (${deltaPp >= 0 ? "+" : ""}${deltaPp.toFixed(2)} pp)`
+            : "n/a",
+          inline: true,
+        }
+      );
+    }
+    fields.push(
+      { name: "Tier", value: formatTierList(newTier), inline: false },
+      {
+        name: "Meaning",
+        value:
+          newTier === "LOW"
+            ? "Your loan is comfortably safe from liquidation."
+            : newTier === "MEDIUM"
+            ? "Your loan is safe, but at slight risk of liquidation."
+            : newTier === "HIGH"
+            ? "Your loan is at elevated risk of liquidation."
+            : newTier === "CRITICAL"
+            ? "Your loan is at severe risk of liquidation."
+            : "Liquidation risk is unknown.",
+        inline: false,
+      }
+    );
+  const snapshotLine = formatSnapshotLine(
+    meta?.snapshotAt,
+    meta?.snapshotSource,
+    LOAN_SNAPSHOT_STALE_WARN_MS
+  );
+    if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
+    embed.addFields(fields);
 
-  if (!row) return null;
-  if (Number(row.accepts_dm) !== 1) return null;
-  if (!row.discord_id) return null;
+    return { embeds: [embed] };
+  }
 
-  return { discordId: row.discord_id, discordName: row.discord_name || null };
-}
+  if (alertType === "PRIMEFI_WITHDRAW") {
+    const fmtAmt = (v) =>
+      typeof v === "number" && Number.isFinite(v)
+        ? new Intl.NumberFormat("en-US", { minimumFractionDigits: 0, maximumFractionDigits: 2 }).format(v)
+        : "n/a";
+    const fmtUsdValue = (v) =>
+      typeof v === "number" && Number.isFinite(v)
+        ? new Intl.NumberFormat("en-US", {
+            style: "currency",
+            currency: "USD",
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 2,
+          }).format(v)
+        : "n/a";
+    const limitText =
+      meta?.withdrawableConstraint === "LIQUIDITY"
+        ? "liquidity-limited"
+        : meta?.withdrawableConstraint === "RISK"
+        ? "risk-limited"
+        : meta?.withdrawableConstraint === "BALANCED"
+        ? "balanced"
+        : "limit unknown";
+
+    const embed = new EmbedBuilder()
+      .setTitle("PrimeFi Availability Alert")
+      .setDescription(`${meta?.protocol || "PRIMEFI_LOAN"} (${meta?.chainId || "?"})`)
+      .setColor("Blue")
+      .setTimestamp();
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+
+    const fields = [
+      {
+        name: "Withdrawable now",
+        value: `${fmtAmt(meta?.withdrawableNowAmount)} ${meta?.collateralSymbol || ""}`.trim(),
+        inline: true,
+      },
+      { name: "USD value", value: fmtUsdValue(meta?.withdrawableNowUsd), inline: true },
+      { name: "Limit", value: limitText, inline: true },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+    if (typeof meta?.withdrawableByRiskAmount === "number" && Number.isFinite(meta.withdrawableByRiskAmount)) {
+      fields.push({
+        name: "Max by risk",
+        value: `${fmtAmt(meta.withdrawableByRiskAmount)} ${meta?.collateralSymbol || ""}`.trim(),
+        inline: true,
+      });
+    }
+    if (typeof meta?.reserveAvailableAmount === "number" && Number.isFinite(meta.reserveAvailableAmount)) {
+      fields.push({
+        name: "Reserve available",
+        value: `${fmtAmt(meta.reserveAvailableAmount)} ${meta?.collateralSymbol || ""}`.trim(),
+        inline: true,
+      });
+    }
+    const snapshotLine = formatSnapshotLine(
+      meta?.snapshotAt,
+      meta?.snapshotSource,
+      LOAN_SNAPSHOT_STALE_WARN_MS
+    );
+    if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
+    embed.addFields(fields);
 
-async function sendDmToUser({ userId, phase, alertType, logPrefix, message, meta }) {
-  const target = getUserDmTarget(userId);
-  if (!target) return;
+    return { embeds: [embed] };
+  }
 
-  const client = _client;
-  if (!client || !client.users) {
-    console.error(
-      `${logPrefix} [dm] Discord client not set. Call setAlertEngineClient(client) in onReady.`
+  if (alertType === "PRIMEFI_LIQUIDATION") {
+    const fmt2 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(2) : "n/a");
+    const fmt4 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(4) : "n/a");
+    const prevTier = meta?.prevTier || "UNKNOWN";
+    const newTier = meta?.newTier || "UNKNOWN";
+    const trend = trendLabel(prevTier, newTier, PRIMEFI_LIQ_TIER_ORDER);
+    const reminder = phase === "REMINDER" ? meta?.reminder : null;
+    const title =
+      phase === "RESOLVED"
+        ? "PrimeFi Liquidation Alert ✅ Resolved"
+        : reminder
+        ? `PrimeFi Liquidation Alert ⏰ Still CRITICAL (reminder ${reminder.count})`
+        : trend.label === "Improving"
+        ? "PrimeFi Liquidation Alert 🟢 ↗️"
+        : "PrimeFi Liquidation Alert 🔴 ↘️";
+    const hf =
+      typeof meta?.healthFactor === "number" && Number.isFinite(meta.healthFactor) && meta.healthFactor < 1e6
+        ? meta.healthFactor.toFixed(3)
+        : "n/a";
+    const bufferPct =
+      typeof meta?.liquidationBufferFrac === "number" && Number.isFinite(meta?.liquidationBufferFrac)
+        ? `${(meta.liquidationBufferFrac * 100).toFixed(2)}%`
+        : "n/a";
+
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setDescription(`${meta?.protocol || "PRIMEFI_LOAN"} (${meta?.chainId || "?"})`)
+      .setColor(tierColor(newTier))
+      .setTimestamp();
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const marketText =
+      meta?.collateralSymbol && meta?.debtSymbol
+        ? `${meta.collateralSymbol}/${meta.debtSymbol}`
+        : meta?.marketKey || "n/a";
+    const fields = [
+      { name: "Market", value: marketText, inline: true },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+    fields.push(
+      { name: "Health factor", value: hf, inline: true },
+      { name: "LTV", value: `${fmt2(meta?.ltvPct)}%`, inline: true },
+      { name: "Buffer", value: bufferPct, inline: true },
+      {
+        name: "Price / Liq",
+        value: `${fmt4(meta?.currentPrice)} / ${fmt4(meta?.liquidationPrice)}`,
+        inline: true,
+      }
     );
-    return;
-  }
+    if (reminder) {
+      fields.push({ name: "Critical for", value: formatElapsed(reminder.criticalForMs), inline: true });
+    }
+    fields.push(
+      { name: "Tier", value: formatTierList(newTier), inline: false },
+      {
+        name: "Meaning",
+        value:
+          newTier === "LOW"
+            ? "Your health factor is comfortably above the liquidation point."
+            : newTier === "MEDIUM"
+            ? "Your position is safe, but the health factor is getting closer to 1.00."
+            : newTier === "HIGH"
+            ? "Your health factor is close to 1.00; the position is at elevated risk of liquidation."
+            : newTier === "CRITICAL"
+            ? "Your health factor is just above 1.00; the position can be liquidated at 1.00."
+            : "Liquidation risk is unknown.",
+        inline: false,
+      }
+    );
+    const snapshotLine = formatSnapshotLine(
+      meta?.snapshotAt,
+      meta?.snapshotSource,
+      LOAN_SNAPSHOT_STALE_WARN_MS
+    );
+    if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
+    embed.addFields(fields);
 
-  let user;
-  try {
-    user = await client.users.fetch(target.discordId);
-  } catch (err) {
-    console.error(`${logPrefix} [dm] Cannot fetch user ${target.discordId}:`, err?.message || err);
-    const verdict = shouldDisableDmForError(err);
-    if (verdict.disable) disableUserDm(userId, verdict.reason);
-    return;
+    return { embeds: [embed] };
   }
-  if (!user) return;
 
-  try {
-    if (alertType === "REDEMPTION") {
-      if (phase === "NEW" || phase === "RESOLVED") return;
-      const fmt2 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(2) : "n/a");
-      const fmt2c = (v) =>
-        typeof v === "number" && Number.isFinite(v)
-          ? new Intl.NumberFormat("en-US", {
-              minimumFractionDigits: 2,
-              maximumFractionDigits: 2,
-            }).format(v)
-          : "n/a";
-      const prevTier = meta?.prevTier || "UNKNOWN";
-      const newTier = meta?.newTier || "UNKNOWN";
-      const trend = trendLabel(prevTier, newTier, ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"]);
-      const headline =
-        trend.label === "Improving"
-          ? { text: "Improving", emoji: "🟢" }
-          : trend.label === "Worsening"
-          ? { text: "Worsening", emoji: "🔴" }
-          : { text: "Updated", emoji: "⚪" };
-      const alertColor = tierColor(newTier);
-      const trendArrow =
-        headline.text === "Improving"
-          ? "↗️"
-          : headline.text === "Worsening"
-          ? "↘️"
-          : "→";
-
-      const embed = new EmbedBuilder()
-        .setTitle(`Redemption Alert ${headline.emoji} ${trendArrow}`)
-        .setDescription(`${meta?.protocol || "UNKNOWN_PROTOCOL"}`)
-        .setColor(alertColor)
-        .setTimestamp();
-
-      if (client.user) embed.setThumbnail(client.user.displayAvatarURL());
-
-      const walletText = meta?.walletAddress
-        ? formatAddressLink(meta.chainId, meta.walletAddress)
-        : meta?.wallet || "n/a";
-      const troveText =
-        meta?.troveId && meta?.protocol
-          ? formatLoanTroveLink(meta.protocol, meta.troveId, meta.troveId)
-          : meta?.troveId || "n/a";
-      const fields = [
-        { name: "Trove", value: troveText, inline: true },
-        { name: "Wallet", value: walletText, inline: true },
-      ];
-      if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
-      const debtAheadPct =
-        typeof meta?.debtAheadPct === "number" && Number.isFinite(meta.debtAheadPct)
-          ? meta.debtAheadPct
-          : null;
-      const debtAheadText = fmt2c(meta?.debtAhead);
-      const debtTotalText = fmt2c(meta?.debtTotal);
-      const aheadPctText =
-        debtAheadPct == null ? "n/a" : `${(debtAheadPct * 100).toFixed(2)}%`;
-      const aheadMeaning = aheadPctText !== "n/a" ? aheadPctText : null;
-      const deltaIr =
-        typeof meta?.loanIR === "number" && typeof meta?.globalIR === "number"
-          ? meta.loanIR - meta.globalIR
-          : null;
-      const deltaText =
-        deltaIr == null || !Number.isFinite(deltaIr)
-          ? "n/a"
-          : `Δ ${deltaIr >= 0 ? "+" : ""}${deltaIr.toFixed(2)} pp`;
+  if (alertType === "SP_DEPOSIT_LOSS" || alertType === "SP_CLAIMABLE_GAIN" || alertType === "SP_APR_GAP") {
+    const fmtNum = (v, digits = 2) =>
+      typeof v === "number" && Number.isFinite(v)
+        ? new Intl.NumberFormat("en-US", { minimumFractionDigits: 0, maximumFractionDigits: digits }).format(v)
+        : "n/a";
+    const fmtUsdValue = (v) =>
+      typeof v === "number" && Number.isFinite(v)
+        ? new Intl.NumberFormat("en-US", {
+            style: "currency",
+            currency: "USD",
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 2,
+          }).format(v)
+        : "n/a";
+    const fmtPct = (v) => (typeof v === "number" && Number.isFinite(v) ? `${v.toFixed(2)}%` : "n/a");
+    const resolved = phase === "RESOLVED";
+    const coll = meta?.collSymbol || "COLL";
+    const spec =
+      alertType === "SP_DEPOSIT_LOSS"
+        ? { title: "Stability Pool Loss Alert", emoji: "🔻", color: "Orange" }
+        : alertType === "SP_CLAIMABLE_GAIN"
+        ? { title: "Stability Pool Claim Alert", emoji: "💰", color: "Blue" }
+        : { title: "Stability Pool APR Alert", emoji: "📉", color: "Yellow" };
+    const title = resolved
+      ? `${spec.title} ✅ Resolved`
+      : phase === "UPDATED"
+      ? `${spec.title} ${spec.emoji} Updated`
+      : `${spec.title} ${spec.emoji}`;
+
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setDescription(`${meta?.poolLabel || meta?.poolKey || "Stability Pool"} (${meta?.chainId || "?"})`)
+      .setColor(resolved ? "Green" : spec.color)
+      .setTimestamp();
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const fields = [{ name: "Wallet", value: walletText, inline: true }];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+
+    let meaning;
+    if (alertType === "SP_DEPOSIT_LOSS") {
       fields.push(
-        { name: "Loan IR", value: `${fmt2(meta?.loanIR)}%`, inline: true },
-        { name: "Global IR", value: `${fmt2(meta?.globalIR)}%`, inline: true },
-        { name: "Delta IR", value: deltaText, inline: true },
-        { name: "Debt Ahead", value: debtAheadText, inline: true },
-        { name: "Debt Total", value: debtTotalText, inline: true },
-        { name: "Ahead %", value: aheadPctText, inline: true },
-        {
-          name: "Redemption Position - Higher % = safer",
-          value: renderPositionBar(debtAheadPct),
-          inline: false,
-        },
-        { name: "Tier", value: formatTierList(newTier), inline: false },
+        { name: "Deposit now / initial", value: `${fmtNum(meta?.compoundedDeposit)} / ${fmtNum(meta?.initialDeposit)} CDP`, inline: true },
+        { name: "Loss", value: fmtPct(meta?.lossPct), inline: true },
         {
-          name: "Meaning",
-          value: redemptionMeaning(newTier, aheadMeaning),
-          inline: false,
+          name: "Claimable collateral",
+          value: `${fmtNum(meta?.claimableCollateral, 4)} ${coll} (${fmtUsdValue(meta?.claimableCollateralUsd)})`,
+          inline: true,
         }
       );
-      const snapshotLine = formatSnapshotLine(
-        meta?.snapshotAt,
-        meta?.snapshotSource,
-        LOAN_SNAPSHOT_STALE_WARN_MS
-      );
-      if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
-      embed.addFields(fields);
-
-      await user.send({ embeds: [embed] });
-      return;
-    }
-
-    if (alertType === "LIQUIDATION") {
-      if (phase === "NEW" || phase === "RESOLVED") return;
-      const fmt2 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(2) : "n/a");
-      const fmt4 = (v) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(4) : "n/a");
-      const prevTier = meta?.prevTier || "UNKNOWN";
-      const newTier = meta?.newTier || "UNKNOWN";
-      const trend = trendLabel(prevTier, newTier, ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"]);
-      const headline =
-        trend.label === "Improving"
-          ? { text: "Improving", emoji: "🟢" }
-          : trend.label === "Worsening"
-          ? { text: "Worsening", emoji: "🔴" }
-          : { text: "Updated", emoji: "⚪" };
-      const alertColor = tierColor(newTier);
-      const trendArrow =
-        headline.text === "Improving"
-          ? "↗️"
-          : headline.text === "Worsening"
-          ? "↘️"
-          : "→";
-      const bufferPct =
-        typeof meta?.liquidationBufferFrac === "number" && Number.isFinite(meta?.liquidationBufferFrac)
-          ? `${(meta.liquidationBufferFrac * 100).toFixed(2)}%`
-          : "n/a";
-
-      const embed = new EmbedBuilder()
-        .setTitle(`Liquidation Alert ${headline.emoji} ${trendArrow}`)
-        .setDescription(`${meta?.protocol || "UNKNOWN_PROTOCOL"}`)
-        .setColor(alertColor)
-        .setTimestamp();
-
-      if (client.user) embed.setThumbnail(client.user.displayAvatarURL());
-
-      const walletText = meta?.walletAddress
-        ? formatAddressLink(meta.chainId, meta.walletAddress)
-        : meta?.wallet || "n/a";
-      const troveText =
-        meta?.troveId && meta?.protocol
-          ? formatLoanTroveLink(meta.protocol, meta.troveId, meta.troveId)
-          : meta?.troveId || "n/a";
-      const fields = [
-        { name: "Trove", value: troveText, inline: true },
-        { name: "Wallet", value: walletText, inline: true },
-      ];
-      if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+      meaning = resolved
+        ? "The deposit loss is back below the alert threshold."
+        : `Liquidations have used ${fmtPct(meta?.lossPct)} of your deposit; you received ${coll} in return. ` +
+          "Check the collateral value against the CDP spent.";
+    } else if (alertType === "SP_CLAIMABLE_GAIN") {
       fields.push(
-        { name: "LTV", value: `${fmt2(meta?.ltvPct)}%`, inline: true },
-        { name: "Buffer", value: bufferPct, inline: true },
         {
-          name: "Price / Liq",
-          value: `${fmt4(meta?.currentPrice)} / ${fmt4(meta?.liquidationPrice)}`,
+          name: "Claimable collateral",
+          value: `${fmtNum(meta?.claimableCollateral, 4)} ${coll}`,
           inline: true,
         },
+        { name: "USD value", value: fmtUsdValue(meta?.claimableCollateralUsd), inline: true },
+        { name: `${coll} price`, value: fmtUsdValue(meta?.collateralPriceUsd), inline: true }
+      );
+      meaning = resolved
+        ? "Claimable collateral is back below the alert threshold."
+        : `You have ${coll} waiting to be claimed; claiming (and selling) locks in its current value.`;
+    } else {
+      fields.push(
+        { name: "Pool APR (24h)", value: fmtPct(meta?.poolAprPct), inline: true },
         {
-          name: "Liquidation Position - Higher % = safer",
-          value: renderPositionBar(meta?.liquidationBufferFrac),
-          inline: false,
+          name: "Best alternative",
+          value: `${meta?.bestPoolLabel || meta?.bestPoolKey || "n/a"}: ${fmtPct(meta?.bestAprPct)}`,
+          inline: true,
         },
-        { name: "Tier", value: formatTierList(newTier), inline: false },
         {
-          name: "Meaning",
-          value:
-            newTier === "LOW"
-              ? "Your loan is comfortably safe from liquidation."
-              : newTier === "MEDIUM"
-              ? "Your loan is safe, but at slight risk of liquidation."
-              : newTier === "HIGH"
-              ? "Your loan is at elevated risk of liquidation."
-              : newTier === "CRITICAL"
-              ? "Your loan is at severe risk of liquidation."
-              : "Liquidation risk is unknown.",
-          inline: false,
+          name: "Gap",
+          value: typeof meta?.gapPp === "number" && Number.isFinite(meta.gapPp) ? `${meta.gapPp.toFixed(2)} pp` : "n/a",
+          inline: true,
         }
       );
+      meaning = resolved
+        ? "Your pool's APR is back close to the best alternative."
+        : "Another pool pays more, even after your deposit would dilute it. Compare with `/best-sp-deposit`.";
+    }
+    if (meta?.positionClosed) {
+      meaning = meta?.depositDepleted
+        ? `Liquidations have used up the whole deposit, so it no longer earns APR. Claim the ${coll} it received.`
+        : "The deposit is no longer in this pool.";
+    }
+    fields.push({ name: "Meaning", value: meaning, inline: false });
+
+    const snapshotLine = formatSnapshotLine(meta?.snapshotAt, null, SP_POSITION_SNAPSHOT_STALE_WARN_MS);
+    if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
+    embed.addFields(fields);
+
+    return { embeds: [embed] };
+  }
+
+  if (alertType === "PRICE_LEVEL") {
+    const fmtPrice = (v) => {
+      if (typeof v !== "number" || !Number.isFinite(v)) return "n/a";
+      const abs = Math.abs(v);
+      if (abs >= 1) return v.toFixed(5);
+      if (abs === 0) return "0";
+      const floor = Math.floor(Math.log10(abs));
+      return v.toFixed(Math.max(0, 4 - 1 - floor));
+    };
+    const unit = meta?.priceUnit ? ` ${meta.priceUnit}` : "";
+    const side = (meta?.side || "").toString().toUpperCase();
+    const resolved = phase === "RESOLVED";
+    const headline = resolved
+      ? {
+          emoji: "🟢",
+          text:
+            meta?.condition === "OUTSIDE"
+              ? "back in range"
+              : side === "ABOVE"
+              ? "back below level"
+              : "back above level",
+        }
+      : side === "ABOVE"
+      ? { emoji: "🔺", text: "above" }
+      : { emoji: "🔻", text: "below" };
+
+    const embed = new EmbedBuilder()
+      .setTitle(`Price Alert ${headline.emoji} ${meta?.assetLabel || "Price"} ${headline.text}`)
+      .setDescription(`${meta?.protocol || "UNKNOWN_PROTOCOL"} (${meta?.chainId || "?"})`)
+      .setColor(resolved ? "Green" : side === "ABOVE" ? "Blue" : "Orange")
+      .setTimestamp();
+
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const positionText =
+      meta?.positionKind === "LP"
+        ? meta?.positionId && meta?.protocol
+          ? formatLpPositionLink(meta.protocol, meta.positionId, meta.positionId)
+          : meta?.positionId || "n/a"
+        : meta?.positionId && meta?.protocol
+        ? formatLoanTroveLink(meta.protocol, meta.positionId, shortenTroveId(meta.positionId))
+        : meta?.positionId || "n/a";
+
+    const fields = [
+      { name: meta?.positionKind === "LP" ? "Position" : "Trove", value: positionText, inline: true },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+    fields.push(
+      { name: "Rule", value: meta?.ruleText || "n/a", inline: true },
+      { name: "Current", value: `${fmtPrice(meta?.currentPrice)}${unit}`, inline: true }
+    );
+    if (meta?.note) fields.push({ name: "Note", value: String(meta.note).slice(0, 1024), inline: false });
     const snapshotLine = formatSnapshotLine(
       meta?.snapshotAt,
       meta?.snapshotSource,
-      LOAN_SNAPSHOT_STALE_WARN_MS
+      meta?.positionKind === "LP" ? LP_SNAPSHOT_STALE_WARN_MS : LOAN_SNAPSHOT_STALE_WARN_MS
     );
-      if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
-      embed.addFields(fields);
-
-      await user.send({ embeds: [embed] });
-      return;
-    }
+    if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
+    embed.addFields(fields);
 
-    if (alertType === "PRIMEFI_WITHDRAW") {
-      if (phase !== "NEW") return;
-      const fmtAmt = (v) =>
-        typeof v === "number" && Number.isFinite(v)
-          ? new Intl.NumberFormat("en-US", { minimumFractionDigits: 0, maximumFractionDigits: 2 }).format(v)
-          : "n/a";
-      const fmtUsdValue = (v) =>
-        typeof v === "number" && Number.isFinite(v)
-          ? new Intl.NumberFormat("en-US", {
-              style: "currency",
-              currency: "USD",
-              minimumFractionDigits: 0,
-              maximumFractionDigits: 2,
-            }).format(v)
-          : "n/a";
-      const limitText =
-        meta?.withdrawableConstraint === "LIQUIDITY"
-          ? "liquidity-limited"
-          : meta?.withdrawableConstraint === "RISK"
-          ? "risk-limited"
-          : meta?.withdrawableConstraint === "BALANCED"
-          ? "balanced"
-          : "limit unknown";
-
-      const embed = new EmbedBuilder()
-        .setTitle("PrimeFi Availability Alert")
-        .setDescription(`${meta?.protocol || "PRIMEFI_LOAN"} (${meta?.chainId || "?"})`)
-        .setColor("Blue")
-        .setTimestamp();
-      if (client.user) embed.setThumbnail(client.user.displayAvatarURL());
-
-      const walletText = meta?.walletAddress
-        ? formatAddressLink(meta.chainId, meta.walletAddress)
-        : meta?.wallet || "n/a";
-
-      const fields = [
-        {
-          name: "Withdrawable now",
-          value: `${fmtAmt(meta?.withdrawableNowAmount)} ${meta?.collateralSymbol || ""}`.trim(),
-          inline: true,
-        },
-        { name: "USD value", value: fmtUsdValue(meta?.withdrawableNowUsd), inline: true },
-        { name: "Limit", value: limitText, inline: true },
-        { name: "Wallet", value: walletText, inline: true },
-      ];
-      if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
-      if (typeof meta?.withdrawableByRiskAmount === "number" && Number.isFinite(meta.withdrawableByRiskAmount)) {
-        fields.push({
-          name: "Max by risk",
-          value: `${fmtAmt(meta.withdrawableByRiskAmount)} ${meta?.collateralSymbol || ""}`.trim(),
-          inline: true,
-        });
-      }
-      if (typeof meta?.reserveAvailableAmount === "number" && Number.isFinite(meta.reserveAvailableAmount)) {
-        fields.push({
-          name: "Reserve available",
-          value: `${fmtAmt(meta.reserveAvailableAmount)} ${meta?.collateralSymbol || ""}`.trim(),
-          inline: true,
-        });
-      }
-      const snapshotLine = formatSnapshotLine(
-        meta?.snapshotAt,
-        meta?.snapshotSource,
-        LOAN_SNAPSHOT_STALE_WARN_MS
-      );
-      if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
-      embed.addFields(fields);
+    return { embeds: [embed] };
+  }
 
-      await user.send({ embeds: [embed] });
-      return;
+  if (alertType === "LP_RANGE") {
+    const prevTier = meta?.prevTier || "UNKNOWN";
+    const newTier = meta?.newTier || "UNKNOWN";
+    const prevStatus = meta?.prevStatus || "UNKNOWN";
+    const currentStatus = meta?.currentStatus || "UNKNOWN";
+    const trend = trendLabel(prevTier, newTier, ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"]);
+    const phaseTag =
+      phase === "UPDATED"
+        ? ` ${trend.emoji} ${trend.label}`
+        : phase === "NEW"
+        ? " ⚠️"
+        : phase === "RESOLVED"
+        ? " ✅"
+        : "";
+
+    const prettyStatus = (s) => (s || "UNKNOWN").toString().replace(/_/g, " ");
+    const statusEmoji = (s) =>
+      ({
+        IN_RANGE: "🟢",
+        OUT_OF_RANGE: "🔴",
+        INACTIVE: "⚪",
+        UNKNOWN: "⚪",
+      }[s] || "⚪");
+    const tierEmoji = (t) =>
+      ({
+        CRITICAL: "🟥",
+        HIGH: "🟧",
+        MEDIUM: "🟨",
+        LOW: "🟩",
+        UNKNOWN: "⬜",
+      }[t] || "⬜");
+    const fmtPrice = (v) => {
+      if (typeof v !== "number" || !Number.isFinite(v)) return "n/a";
+      const abs = Math.abs(v);
+      if (abs >= 1) return v.toFixed(5);
+      if (abs === 0) return "0";
+      const log10 = Math.log10(abs);
+      const floor = Math.floor(log10);
+      const decimals = Math.max(0, 3 - 1 - floor);
+      return v.toFixed(decimals);
+    };
+    const priceLabel =
+      meta?.priceBaseSymbol && meta?.priceQuoteSymbol
+        ? `${meta.priceQuoteSymbol}/${meta.priceBaseSymbol}`
+        : "";
+    const currentPriceText =
+      meta?.currentPrice != null
+        ? `${fmtPrice(meta.currentPrice)}${priceLabel ? ` ${priceLabel}` : ""}`
+        : "n/a";
+    const statusChanged = prevStatus !== currentStatus;
+    const tierChanged = prevTier !== newTier;
+    const statusValue = `${statusEmoji(currentStatus)} ${prettyStatus(currentStatus)}`;
+    const statusWithPrice = `${statusValue} | Current: ${currentPriceText}`;
+    const tierOrder = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+    const tierLines = tierOrder.map((t) => {
+      const marker = t === newTier ? " ◀" : "";
+      return `${tierEmoji(t)} ${t}${marker}`;
+    });
+    const tierValue = tierLines.join("\n");
+
+    const lpRangeLabel = meta?.lpRangeLabel || null;
+    let meaning = lpRangeLabel || "Status unchanged.";
+
+    const labelFromStatus = () => {
+      if (currentStatus === "IN_RANGE") return { text: "Improving", emoji: "🟢" };
+      if (currentStatus === "OUT_OF_RANGE") return { text: "Worsening", emoji: "🔴" };
+      return { text: "Updated", emoji: "⚪" };
+    };
+    const labelFromTrend = () => {
+      if (trend.label === "Improving") return { text: "Improving", emoji: "🟢" };
+      if (trend.label === "Worsening") return { text: "Worsening", emoji: "🔴" };
+      return { text: "Updated", emoji: "⚪" };
+    };
+    let headline = { text: "Updated", emoji: "⚪" };
+    if (statusChanged) headline = labelFromStatus();
+    else if (tierChanged) headline = labelFromTrend();
+
+    const alertColor = tierColor(newTier);
+
+    const statusShort =
+      currentStatus === "IN_RANGE"
+        ? { text: "IR", emoji: "🟢" }
+        : currentStatus === "OUT_OF_RANGE"
+        ? { text: "OOR", emoji: "🔴" }
+        : { text: "UNK", emoji: "⚪" };
+    const tierU = (newTier || "UNKNOWN").toString().toUpperCase();
+    const pairText =
+      meta?.pairLabel ||
+      `${meta?.token0Symbol || meta?.token0 || "?"}-${meta?.token1Symbol || meta?.token1 || "?"}`;
+    const trendArrow =
+      headline.text === "Improving"
+        ? "↗️"
+        : headline.text === "Worsening"
+        ? "↘️"
+        : "→";
+
+    const embed = new EmbedBuilder()
+      .setTitle(`LP Alert - ${statusShort.emoji} ${statusShort.text} ${tierEmoji(tierU)} ${tierU}`)
+      .setDescription(`${pairText} ${trendArrow} ${meta?.protocol || "LP"}`)
+      .setColor(alertColor)
+      .setTimestamp();
+
+    if (client?.user) embed.setThumbnail(client.user.displayAvatarURL());
+
+    const walletText = meta?.walletAddress
+      ? formatAddressLink(meta.chainId, meta.walletAddress)
+      : meta?.wallet || "n/a";
+    const statusOnly = meta?.lpStatusOnly === 1 || meta?.lpStatusOnly === true;
+    if (statusOnly) {
+      const statusText =
+        currentStatus === "IN_RANGE"
+          ? { text: "In Range", emoji: "🟢", color: "Green" }
+          : currentStatus === "OUT_OF_RANGE"
+          ? { text: "Out of Range", emoji: "🔴", color: "Red" }
+          : { text: "Updated", emoji: "⚪", color: "Grey" };
+      embed.setTitle(`LP Range Alert - ${statusText.text} ${statusText.emoji}`);
+      embed.setColor(tierColor(newTier));
     }
+    const fields = [
+      {
+        name: "Position",
+        value:
+          meta?.positionId && meta?.protocol
+            ? formatLpPositionLink(meta.protocol, meta.positionId, meta.positionId)
+            : meta?.positionId || "n/a",
+        inline: true,
+      },
+      { name: "Wallet", value: walletText, inline: true },
+    ];
+    if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
+    if (meta?.pairLabel) fields.push({ name: "Pair", value: meta.pairLabel, inline: true });
+    fields.push({
+      name: "Min Price",
+      value: meta?.priceLower != null ? fmtPrice(meta.priceLower) : "n/a",
+      inline: true,
+    });
+    fields.push({
+      name: "Max Price",
+      value: meta?.priceUpper != null ? fmtPrice(meta.priceUpper) : "n/a",
+      inline: true,
+    });
+    fields.push(
+      { name: "Status", value: statusWithPrice, inline: false },
+      ...(statusOnly
+        ? []
+        : [
+            { name: "Tier", value: tierValue, inline: false },
+            { name: "Meaning", value: meaning, inline: false },
+          ])
+    );
+    const snapshotLine = formatSnapshotLine(
+      meta?.snapshotAt,
+      meta?.snapshotSource,
+      LP_SNAPSHOT_STALE_WARN_MS
+    );
+    if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
+    embed.addFields(fields);
 
-    if (alertType === "LP_RANGE") {
-      const prevTier = meta?.prevTier || "UNKNOWN";
-      const newTier = meta?.newTier || "UNKNOWN";
-      const prevStatus = meta?.prevStatus || "UNKNOWN";
-      const currentStatus = meta?.currentStatus || "UNKNOWN";
-      const trend = trendLabel(prevTier, newTier, ["LOW", "MEDIUM", "HIGH", "CRITICAL", "UNKNOWN"]);
-      const phaseTag =
-        phase === "UPDATED"
-          ? ` ${trend.emoji} ${trend.label}`
-          : phase === "NEW"
-          ? " ⚠️"
-          : phase === "RESOLVED"
-          ? " ✅"
-          : "";
-
-      if (phase === "NEW") {
-        return;
-      }
+    return { embeds: [embed] };
+  }
 
-      if (phase === "UPDATED" && prevStatus === currentStatus && prevTier === newTier) {
-        return;
-      }
+  const lines = [];
+  lines.push(`${logPrefix} ${phase} ${alertType} ALERT`);
+  lines.push(message);
 
-      const prettyStatus = (s) => (s || "UNKNOWN").toString().replace(/_/g, " ");
-      const statusEmoji = (s) =>
-        ({
-          IN_RANGE: "🟢",
-          OUT_OF_RANGE: "🔴",
-          INACTIVE: "⚪",
-          UNKNOWN: "⚪",
-        }[s] || "⚪");
-      const tierEmoji = (t) =>
-        ({
-          CRITICAL: "🟥",
-          HIGH: "🟧",
-          MEDIUM: "🟨",
-          LOW: "🟩",
-          UNKNOWN: "⬜",
-        }[t] || "⬜");
-      const fmtPrice = (v) => {
-        if (typeof v !== "number" || !Number.isFinite(v)) return "n/a";
-        const abs = Math.abs(v);
-        if (abs >= 1) return v.toFixed(5);
-        if (abs === 0) return "0";
-        const log10 = Math.log10(abs);
-        const floor = Math.floor(log10);
-        const decimals = Math.max(0, 3 - 1 - floor);
-        return v.toFixed(decimals);
-      };
-      const priceLabel =
-        meta?.priceBaseSymbol && meta?.priceQuoteSymbol
-          ? `${meta.priceQuoteSymbol}/${meta.priceBaseSymbol}`
-          : "";
-      const currentPriceText =
-        meta?.currentPrice != null
-          ? `${fmtPrice(meta.currentPrice)}${priceLabel ? ` ${priceLabel}` : ""}`
-          : "n/a";
-      const statusChanged = prevStatus !== currentStatus;
-      const tierChanged = prevTier !== newTier;
-      const statusValue = `${statusEmoji(currentStatus)} ${prettyStatus(currentStatus)}`;
-      const statusWithPrice = `${statusValue} | Current: ${currentPriceText}`;
-      const tierOrder = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
-      const tierLines = tierOrder.map((t) => {
-        const marker = t === newTier ? " ◀" : "";
-        return `${tierEmoji(t)} ${t}${marker}`;
-      });
-      const tierValue = tierLines.join("\n");
+  if (meta && Object.keys(meta).length > 0) {
+    lines.push("");
+    lines.push("Details:");
+    for (const [k, v] of Object.entries(meta)) {
+      lines.push(`• ${k}: ${v}`);
+    }
+  }
 
-      const lpRangeLabel = meta?.lpRangeLabel || null;
-      let meaning = lpRangeLabel || "Status unchanged.";
+  return { content: lines.join("\n") };
+}
 
-      const labelFromStatus = () => {
-        if (currentStatus === "IN_RANGE") return { text: "Improving", emoji: "🟢" };
-        if (currentStatus === "OUT_OF_RANGE") return { text: "Worsening", emoji: "🔴" };
-        return { text: "Updated", emoji: "⚪" };
-      };
-      const labelFromTrend = () => {
-        if (trend.label === "Improving") return { text: "Improving", emoji: "🟢" };
-        if (trend.label === "Worsening") return { text: "Worsening", emoji: "🔴" };
-        return { text: "Updated", emoji: "⚪" };
-      };
-      let headline = { text: "Updated", emoji: "⚪" };
-      if (statusChanged) headline = labelFromStatus();
-      else if (tierChanged) headline = labelFromTrend();
+// Which phases actually DM the user (everything is still written to alert_log).
+function shouldSendAlertDm({ alertType, phase, meta }) {
+  if (alertType === "REDEMPTION" || alertType === "LIQUIDATION") {
+    return phase !== "NEW" && phase !== "RESOLVED";
+  }
+  if (alertType === "PRIMEFI_WITHDRAW" || alertType === "REDEMPTION_HIT") return phase === "NEW";
+  if (alertType === "REDEMPTION_TREND") return phase === "NEW" || phase === "UPDATED";
+  if (alertType === "PRICE_LEVEL") {
+    return phase === "NEW" || phase === "UPDATED" || phase === "RESOLVED";
+  }
+  if (alertType === "LP_RANGE") {
+    if (phase === "NEW") return false;
+    if (
+      phase === "UPDATED" &&
+      (meta?.prevStatus || "UNKNOWN") === (meta?.currentStatus || "UNKNOWN") &&
+      (meta?.prevTier || "UNKNOWN") === (meta?.newTier || "UNKNOWN")
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
 
-      const alertColor = tierColor(newTier);
+// Acknowledge / Snooze / Mute buttons (Discord DM only) for alerts backed by an alert_state row
+// (stateId), a PrimeFi market state row ("pf<id>") or a Stability Pool state row ("sp<id>").
+function buildAlertDmComponents({ userId, phase, stateId, tier }) {
+  if (stateId == null || phase === "RESOLVED") return [];
+  const db = getDb();
+  const user = db.prepare(`SELECT discord_id FROM users WHERE id = ? LIMIT 1`).get(userId);
+  if (!user?.discord_id) return [];
+  return [buildAlertActionRow({ userKey: user.discord_id, stateId, tier })];
+}
 
-      const statusShort =
-        currentStatus === "IN_RANGE"
-          ? { text: "IR", emoji: "🟢" }
-          : currentStatus === "OUT_OF_RANGE"
-          ? { text: "OOR", emoji: "🔴" }
-          : { text: "UNK", emoji: "⚪" };
-      const tierU = (newTier || "UNKNOWN").toString().toUpperCase();
-      const pairText =
-        meta?.pairLabel ||
-        `${meta?.token0Symbol || meta?.token0 || "?"}-${meta?.token1Symbol || meta?.token1 || "?"}`;
-      const trendArrow =
-        headline.text === "Improving"
-          ? "↗️"
-          : headline.text === "Worsening"
-          ? "↘️"
-          : "→";
-
-      const embed = new EmbedBuilder()
-        .setTitle(`LP Alert - ${statusShort.emoji} ${statusShort.text} ${tierEmoji(tierU)} ${tierU}`)
-        .setDescription(`${pairText} ${trendArrow} ${meta?.protocol || "LP"}`)
-        .setColor(alertColor)
-        .setTimestamp();
-
-      if (client.user) embed.setThumbnail(client.user.displayAvatarURL());
-
-      const walletText = meta?.walletAddress
-        ? formatAddressLink(meta.chainId, meta.walletAddress)
-        : meta?.wallet || "n/a";
-      const statusOnly = meta?.lpStatusOnly === 1 || meta?.lpStatusOnly === true;
-      if (statusOnly) {
-        const statusText =
-          currentStatus === "IN_RANGE"
-            ? { text: "In Range", emoji: "🟢", color: "Green" }
-            : currentStatus === "OUT_OF_RANGE"
-            ? { text: "Out of Range", emoji: "🔴", color: "Red" }
-            : { text: "Updated", emoji: "⚪", color: "Grey" };
-        embed.setTitle(`LP Range Alert - ${statusText.text} ${statusText.emoji}`);
-        embed.setColor(tierColor(newTier));
-      }
-      const fields = [
-        {
-          name: "Position",
-          value:
-            meta?.positionId && meta?.protocol
-              ? formatLpPositionLink(meta.protocol, meta.positionId, meta.positionId)
-              : meta?.positionId || "n/a",
-          inline: true,
-        },
-        { name: "Wallet", value: walletText, inline: true },
-      ];
-      if (meta?.walletLabel) fields.push({ name: "Label", value: meta.walletLabel, inline: true });
-      if (meta?.pairLabel) fields.push({ name: "Pair", value: meta.pairLabel, inline: true });
-      fields.push({
-        name: "Min Price",
-        value: meta?.priceLower != null ? fmtPrice(meta.priceLower) : "n/a",
-        inline: true,
-      });
-      fields.push({
-        name: "Max Price",
-        value: meta?.priceUpper != null ? fmtPrice(meta.priceUpper) : "n/a",
-        inline: true,
-      });
-      fields.push(
-        { name: "Status", value: statusWithPrice, inline: false },
-        ...(statusOnly
-          ? []
-          : [
-              { name: "Tier", value: tierValue, inline: false },
-              { name: "Meaning", value: meaning, inline: false },
-            ])
-      );
-      const snapshotLine = formatSnapshotLine(
-        meta?.snapshotAt,
-        meta?.snapshotSource,
-        LP_SNAPSHOT_STALE_WARN_MS
-      );
-      if (snapshotLine) fields.push({ name: "Data captured", value: snapshotLine, inline: false });
-      embed.addFields(fields);
+// Alert delivery: guild channel routes (admin-managed) plus every notify channel
+// the user routes this alert type to (DM by default).
+async function sendDmToUser({
+  userId,
+  phase,
+  alertType,
+  logPrefix,
+  message,
+  meta,
+  position = null,
+  signature = null,
+  stateId = null,
+  holdReason = null,
+}) {
+  if (!shouldSendAlertDm({ alertType, phase, meta })) return;
 
-      await user.send({ embeds: [embed] });
-      return;
-    }
+  const payload = buildAlertDmPayload({ phase, alertType, logPrefix, message, meta });
 
-    const lines = [];
-    lines.push(`${logPrefix} ${phase} ${alertType} ALERT`);
-    lines.push(message);
+  // Team channels are not subject to the user's channel choices or quiet hours.
+  await postAlertToRoutes({
+    userId,
+    alertType,
+    phase,
+    tier: meta?.newTier ?? null,
+    position,
+    signature,
+    payload,
+    logPrefix,
+  });
 
-    if (meta && Object.keys(meta).length > 0) {
-      lines.push("");
-      lines.push("Details:");
-      for (const [k, v] of Object.entries(meta)) {
-        lines.push(`• ${k}: ${v}`);
-      }
-    }
+  // Acknowledged / snoozed / muted via the alert DM buttons: the user's own channels stay quiet.
+  if (holdReason) {
+    console.log(`${logPrefix} [dm] Held ${alertType} ${phase} for userId=${userId} (${holdReason})`);
+    return;
+  }
 
-    await sendLongDM(user, lines.join("\n"));
-  } catch (err) {
-    console.error(`${logPrefix} [dm] Failed to send DM to ${target.discordId}:`, err?.message || err);
-    const verdict = shouldDisableDmForError(err);
-    if (verdict.disable) disableUserDm(userId, verdict.reason);
+  const channels = resolveChannels(userId, alertType);
+  if (!channels.length) return;
+
+  // Quiet hours: hold everything except CRITICAL liquidation for the digest.
+  if (isUserInQuietHours(userId) && !isQuietHoursBreakthrough({ alertType, meta })) {
+    try {
+      const first = payload.embeds?.[0]?.data;
+      const summary = first?.title
+        ? [first.title, first.description].filter(Boolean).join(" — ")
+        : String(payload.content || message).split("\n")[0];
+      enqueueAlertDigest({ userId, alertType, phase, summary, message, meta });
+      console.log(`${logPrefix} [dm] Quiet hours: queued ${alertType} ${phase} for userId=${userId}`);
+    } catch (err) {
+      console.error(`${logPrefix} [dm] Failed to queue digest for userId=${userId}:`, err?.message || err);
+    }
+    return;
   }
+
+  await notifyUser(
+    {
+      userId,
+      alertType,
+      phase,
+      embeds: payload.embeds,
+      content: payload.content,
+      components: buildAlertDmComponents({ userId, phase, stateId, tier: meta?.newTier ?? null }),
+      data: { tier: meta?.newTier ?? null, position, signature, meta },
+    },
+    { logPrefix, channels }
+  );
 }
 
 // -----------------------------
@@ -732,7 +1224,9 @@ function getPrevState({ userId, walletId, contractId, tokenId, alertType }) {
   const row = db
     .prepare(
       `
-      SELECT is_active AS isActive, signature, state_json AS stateJson
+      SELECT id, is_active AS isActive, signature, state_json AS stateJson,
+             ack_at AS ackAt, ack_tier AS ackTier, muted_at AS mutedAt,
+             (snooze_until IS NOT NULL AND snooze_until > datetime('now')) AS isSnoozed
       FROM alert_state
       WHERE user_id = ?
         AND wallet_id = ?
@@ -744,7 +1238,19 @@ function getPrevState({ userId, walletId, contractId, tokenId, alertType }) {
     )
     .get(userId, walletId, contractId, tokenId, alertTypeU);
 
-  if (!row) return { isActive: 0, signature: null, stateJson: null, exists: false };
+  if (!row) {
+    return {
+      id: null,
+      isActive: 0,
+      signature: null,
+      stateJson: null,
+      ackAt: null,
+      ackTier: null,
+      mutedAt: null,
+      isSnoozed: 0,
+      exists: false,
+    };
+  }
   return { ...row, exists: true };
 }
 
@@ -761,7 +1267,7 @@ function upsertAlertState({
   const db = getDb();
   const alertTypeU = (alertType || "GENERIC").toString().toUpperCase();
 
-  db.prepare(
+  const row = db.prepare(
     `
     INSERT INTO alert_state (
       user_id, wallet_id, contract_id, token_id, alert_type,
@@ -777,8 +1283,9 @@ function upsertAlertState({
       signature    = excluded.signature,
       state_json   = excluded.state_json,
       last_seen_at = datetime('now')
+    RETURNING id
   `
-  ).run({
+  ).get({
     userId,
     walletId,
     contractId,
@@ -788,6 +1295,37 @@ function upsertAlertState({
     signature: signature ?? null,
     stateJson: stateJson ?? null,
   });
+  return row?.id ?? null;
+}
+
+// Ack / snooze cover one alert episode: cleared on RESOLVED and when the tier escalates.
+function clearAlertAck(stateId) {
+  if (stateId == null) return;
+  const db = getDb();
+  db.prepare(
+    `
+    UPDATE alert_state
+    SET ack_at = NULL,
+        ack_tier = NULL,
+        snooze_until = NULL
+    WHERE id = ?
+  `
+  ).run(stateId);
+}
+
+const ACK_TIER_ORDER = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+/**
+ * Why a DM should be held back after the user pressed an alert DM button, or null.
+ * - muted: every phase (CRITICAL liquidation still breaks through)
+ * - snoozed / acknowledged: UPDATED only, unless the tier escalated past ack_tier
+ */
+function getUserHoldReason({ prev, phase, alertType, meta }) {
+  if (prev.mutedAt && !isQuietHoursBreakthrough({ alertType, meta })) return "muted";
+  if (phase !== "UPDATED") return null;
+  if (!prev.ackAt && !Number(prev.isSnoozed)) return null;
+  if (isTierEscalation(prev.ackTier, meta?.newTier, ACK_TIER_ORDER)) return null;
+  return Number(prev.isSnoozed) ? "snoozed" : "acknowledged";
 }
 
 function insertAlertLog({
@@ -828,12 +1366,34 @@ function insertAlertLog({
   });
 }
 
+// One-shot alerts (REDEMPTION_HIT) dedupe on their alert_log signature instead of alert_state.
+function hasAlertLogSignature({ walletId, contractId, tokenId, alertType, signature }) {
+  const db = getDb();
+  const row = db
+    .prepare(
+      `
+      SELECT 1
+      FROM alert_log
+      WHERE wallet_id = ?
+        AND contract_id = ?
+        AND token_id = ?
+        AND alert_type = ?
+        AND signature = ?
+      LIMIT 1
+    `
+    )
+    .get(walletId, contractId, tokenId, alertType, signature);
+  return !!row;
+}
+
 function getPrevPrimefiWithdrawState({ userId, walletId, chainId, protocol, marketKey, alertType }) {
   const db = getDb();
   const row = db
     .prepare(
       `
-      SELECT is_active AS isActive, signature, state_json AS stateJson
+      SELECT id, is_active AS isActive, signature, state_json AS stateJson,
+             ack_at AS ackAt, ack_tier AS ackTier, muted_at AS mutedAt,
+             (snooze_until IS NOT NULL AND snooze_until > datetime('now')) AS isSnoozed
       FROM primefi_withdraw_alert_state
       WHERE user_id = ?
         AND wallet_id = ?
@@ -845,7 +1405,19 @@ function getPrevPrimefiWithdrawState({ userId, walletId, chainId, protocol, mark
     `
     )
     .get(userId, walletId, String(chainId || "").toUpperCase(), protocol, marketKey, alertType);
-  if (!row) return { isActive: 0, signature: null, stateJson: null, exists: false };
+  if (!row) {
+    return {
+      id: null,
+      isActive: 0,
+      signature: null,
+      stateJson: null,
+      ackAt: null,
+      ackTier: null,
+      mutedAt: null,
+      isSnoozed: 0,
+      exists: false,
+    };
+  }
   return { ...row, exists: true };
 }
 
@@ -861,7 +1433,7 @@ function upsertPrimefiWithdrawState({
   stateJson,
 }) {
   const db = getDb();
-  db.prepare(
+  const row = db.prepare(
     `
     INSERT INTO primefi_withdraw_alert_state (
       user_id, wallet_id, chain_id, protocol, market_key, alert_type,
@@ -876,8 +1448,9 @@ function upsertPrimefiWithdrawState({
       state_json = excluded.state_json,
       last_seen_at = datetime('now'),
       updated_at = datetime('now')
+    RETURNING id
   `
-  ).run({
+  ).get({
     userId,
     walletId,
     chainId: String(chainId || "").toUpperCase(),
@@ -888,15 +1461,41 @@ function upsertPrimefiWithdrawState({
     signature: signature ?? null,
     stateJson: stateJson ?? null,
   });
+  return row?.id ?? null;
 }
 
-function insertPrimefiWithdrawLog({
-  userId,
-  walletId,
-  chainId,
-  protocol,
-  marketKey,
-  alertType,
+// PRIMEFI_LIQUIDATION counterpart of clearAlertAck (market-keyed state row)
+function clearPrimefiAlertAck(stateId) {
+  if (stateId == null) return;
+  const db = getDb();
+  db.prepare(
+    `
+    UPDATE primefi_withdraw_alert_state
+    SET ack_at = NULL,
+        ack_tier = NULL,
+        snooze_until = NULL
+    WHERE id = ?
+  `
+  ).run(stateId);
+}
+
+// Alert DM buttons address primefi_withdraw_alert_state rows as "pf<id>" and sp_alert_state
+// rows as "sp<id>" (handlers/ui/alert-actions-ui.js)
+function primefiStateRef(stateId) {
+  return stateId != null ? `pf${stateId}` : null;
+}
+
+function spStateRef(stateId) {
+  return stateId != null ? `sp${stateId}` : null;
+}
+
+function insertPrimefiWithdrawLog({
+  userId,
+  walletId,
+  chainId,
+  protocol,
+  marketKey,
+  alertType,
   phase,
   message,
   meta,
@@ -928,6 +1527,113 @@ function insertPrimefiWithdrawLog({
   });
 }
 
+function getPrevSpAlertState({ userId, walletId, chainId, poolKey, alertType }) {
+  const db = getDb();
+  const row = db
+    .prepare(
+      `
+      SELECT id, is_active AS isActive, signature, state_json AS stateJson,
+             ack_at AS ackAt, ack_tier AS ackTier, muted_at AS mutedAt,
+             (snooze_until IS NOT NULL AND snooze_until > datetime('now')) AS isSnoozed
+      FROM sp_alert_state
+      WHERE user_id = ?
+        AND wallet_id = ?
+        AND chain_id = ?
+        AND pool_key = ?
+        AND alert_type = ?
+      LIMIT 1
+    `
+    )
+    .get(userId, walletId, String(chainId || "").toUpperCase(), poolKey, alertType);
+  if (!row) {
+    return {
+      id: null,
+      isActive: 0,
+      signature: null,
+      stateJson: null,
+      ackAt: null,
+      ackTier: null,
+      mutedAt: null,
+      isSnoozed: 0,
+      exists: false,
+    };
+  }
+  return { ...row, exists: true };
+}
+
+function upsertSpAlertState({ userId, walletId, chainId, poolKey, alertType, isActive, signature, stateJson }) {
+  const db = getDb();
+  const row = db.prepare(
+    `
+    INSERT INTO sp_alert_state (
+      user_id, wallet_id, chain_id, pool_key, alert_type,
+      is_active, signature, state_json, last_seen_at, created_at, updated_at
+    ) VALUES (
+      @userId, @walletId, @chainId, @poolKey, @alertType,
+      @isActive, @signature, @stateJson, datetime('now'), datetime('now'), datetime('now')
+    )
+    ON CONFLICT(user_id, wallet_id, chain_id, pool_key, alert_type) DO UPDATE SET
+      is_active = excluded.is_active,
+      signature = excluded.signature,
+      state_json = excluded.state_json,
+      last_seen_at = datetime('now'),
+      updated_at = datetime('now')
+    RETURNING id
+  `
+  ).get({
+    userId,
+    walletId,
+    chainId: String(chainId || "").toUpperCase(),
+    poolKey,
+    alertType,
+    isActive: isActive ? 1 : 0,
+    signature: signature ?? null,
+    stateJson: stateJson ?? null,
+  });
+  return row?.id ?? null;
+}
+
+// SP_* counterpart of clearAlertAck (pool-keyed state row)
+function clearSpAlertAck(stateId) {
+  if (stateId == null) return;
+  const db = getDb();
+  db.prepare(
+    `
+    UPDATE sp_alert_state
+    SET ack_at = NULL,
+        ack_tier = NULL,
+        snooze_until = NULL
+    WHERE id = ?
+  `
+  ).run(stateId);
+}
+
+function insertSpAlertLog({ userId, walletId, chainId, poolKey, alertType, phase, message, meta, signature }) {
+  const db = getDb();
+  const metaJson = meta && Object.keys(meta).length ? JSON.stringify(meta) : null;
+  db.prepare(
+    `
+    INSERT INTO sp_alert_log (
+      user_id, wallet_id, chain_id, pool_key,
+      alert_type, phase, message, meta_json, signature, created_at
+    ) VALUES (
+      @userId, @walletId, @chainId, @poolKey,
+      @alertType, @phase, @message, @metaJson, @signature, datetime('now')
+    )
+  `
+  ).run({
+    userId,
+    walletId,
+    chainId: String(chainId || "").toUpperCase(),
+    poolKey,
+    alertType,
+    phase,
+    message,
+    metaJson,
+    signature: signature ?? null,
+  });
+}
+
 // -----------------------------
 // Core engine
 // -----------------------------
@@ -960,11 +1666,19 @@ async function processAlert({
 
   const prev = getPrevState({ userId, walletId, contractId, tokenId, alertType });
   const prevActive = prev.isActive === 1;
+  const position = {
+    walletId,
+    contractId,
+    tokenId,
+    chainId: meta?.chainId ?? null,
+    protocol: meta?.protocol ?? null,
+    wallet: meta?.wallet ?? null,
+  };
 
   if (forceUpdated && isActive && !prevActive) {
     console.warn(`${logPrefix} ALERT UPDATED: ${message}`, { ...meta });
 
-    upsertAlertState({
+    const stateId = upsertAlertState({
       userId,
       walletId,
       contractId,
@@ -986,14 +1700,26 @@ async function processAlert({
       signature,
     });
 
-    await sendDmToUser({ userId, phase: "UPDATED", alertType, logPrefix, message, meta });
+    const holdReason = getUserHoldReason({ prev, phase: "UPDATED", alertType, meta });
+    await sendDmToUser({
+      userId,
+      phase: "UPDATED",
+      alertType,
+      logPrefix,
+      message,
+      meta,
+      position,
+      signature,
+      stateId,
+      holdReason,
+    });
     return;
   }
 
   if (isActive && !prevActive) {
     console.warn(`${logPrefix} NEW ALERT: ${message}`, { ...meta });
 
-    upsertAlertState({
+    const stateId = upsertAlertState({
       userId,
       walletId,
       contractId,
@@ -1015,14 +1741,26 @@ async function processAlert({
       signature,
     });
 
-    await sendDmToUser({ userId, phase: "NEW", alertType, logPrefix, message, meta });
+    const holdReason = getUserHoldReason({ prev, phase: "NEW", alertType, meta });
+    await sendDmToUser({
+      userId,
+      phase: "NEW",
+      alertType,
+      logPrefix,
+      message,
+      meta,
+      position,
+      signature,
+      stateId,
+      holdReason,
+    });
     return;
   }
 
   if (isActive && prevActive && prev.signature !== signature) {
     console.warn(`${logPrefix} ALERT UPDATED: ${message}`, { ...meta });
 
-    upsertAlertState({
+    const stateId = upsertAlertState({
       userId,
       walletId,
       contractId,
@@ -1044,7 +1782,20 @@ async function processAlert({
       signature,
     });
 
-    await sendDmToUser({ userId, phase: "UPDATED", alertType, logPrefix, message, meta });
+    const holdReason = getUserHoldReason({ prev, phase: "UPDATED", alertType, meta });
+    if (!holdReason && (prev.ackAt || Number(prev.isSnoozed))) clearAlertAck(stateId);
+    await sendDmToUser({
+      userId,
+      phase: "UPDATED",
+      alertType,
+      logPrefix,
+      message,
+      meta,
+      position,
+      signature,
+      stateId,
+      holdReason,
+    });
     return;
   }
 
@@ -1065,7 +1816,7 @@ async function processAlert({
   if (!isActive && prevActive) {
     console.log(`${logPrefix} RESOLVED: ${message}`, { ...meta });
 
-    upsertAlertState({
+    const stateId = upsertAlertState({
       userId,
       walletId,
       contractId,
@@ -1087,8 +1838,21 @@ async function processAlert({
       signature: null,
     });
 
+    clearAlertAck(stateId);
+
     if (notifyOnResolved) {
-      await sendDmToUser({ userId, phase: "RESOLVED", alertType, logPrefix, message, meta });
+      await sendDmToUser({
+        userId,
+        phase: "RESOLVED",
+        alertType,
+        logPrefix,
+        message,
+        meta,
+        position,
+        signature: prev.signature,
+        stateId,
+        holdReason: getUserHoldReason({ prev, phase: "RESOLVED", alertType, meta }),
+      });
     }
     return;
   }
@@ -1181,6 +1945,32 @@ async function handleLiquidationAlert(data) {
   let cand = prevObj?.candidateStatus ? String(prevObj.candidateStatus) : null;
   let candSinceMs = Number(prevObj?.candidateSinceMs || 0) || 0;
 
+  // CRITICAL reminder tracking: starts when the tier is first seen CRITICAL in an episode
+  // and is carried in state_json while the confirmed tier (lastTier) is CRITICAL, so a
+  // debounced dip below it does not restart the reminder clock. Reset once a lower tier is
+  // confirmed or the alert resolves.
+  const isCriticalNow = observedActiveFinal && tierU === "CRITICAL";
+  const wasCritical = prevActive && Number(prevObj?.criticalSinceMs || 0) > 0;
+  const carriedCriticalState = wasCritical
+    ? {
+        criticalSinceMs: Number(prevObj.criticalSinceMs),
+        criticalStartBufferFrac: prevObj.criticalStartBufferFrac ?? null,
+        lastReminderAtMs: Number(prevObj.lastReminderAtMs || 0) || 0,
+        reminderCount: Number(prevObj.reminderCount || 0) || 0,
+      }
+    : null;
+  const noCriticalState = { criticalSinceMs: 0, criticalStartBufferFrac: null, lastReminderAtMs: 0, reminderCount: 0 };
+  const criticalState = isCriticalNow
+    ? carriedCriticalState || {
+        criticalSinceMs: nowMs,
+        criticalStartBufferFrac: liquidationBufferFrac ?? null,
+        lastReminderAtMs: nowMs,
+        reminderCount: 0,
+      }
+    : prevTierU === "CRITICAL" && carriedCriticalState
+    ? carriedCriticalState
+    : noCriticalState;
+
   const sigPayload = {
     tier: tierU,
     bufB: fracBucket(liquidationBufferFrac, 0.01),
@@ -1194,6 +1984,7 @@ async function handleLiquidationAlert(data) {
     currentPrice,
     liquidationBufferFrac,
     lastTierChangeAtMs,
+    ...criticalState,
   };
 
   // Active condition is "liquidation risk tier >= min tier" as decided by caller (or overridden).
@@ -1340,6 +2131,98 @@ async function handleLiquidationAlert(data) {
       }
     }
 
+    // Past the debounce the observed tier is confirmed: a lower tier ends the CRITICAL episode
+    if (!isCriticalNow) Object.assign(baseState, noCriticalState);
+
+    // Still CRITICAL: remind every LOAN_LIQ_CRITICAL_REMIND_MIN until resolved or acknowledged.
+    const reminderDue =
+      LOAN_LIQ_CRITICAL_REMIND_MS > 0 &&
+      !tierChanged &&
+      tierU === "CRITICAL" &&
+      criticalState.criticalSinceMs > 0 &&
+      nowMs - (criticalState.lastReminderAtMs || criticalState.criticalSinceMs) >= LOAN_LIQ_CRITICAL_REMIND_MS;
+
+    if (reminderDue) {
+      const reminderCount = criticalState.reminderCount + 1;
+      const meta = {
+        wallet: shortenAddress(wallet),
+        walletLabel,
+        walletAddress: wallet,
+        chainId,
+        protocol,
+        troveId: shortenTroveId(tokenId),
+        prevTier: prevTierU,
+        newTier: tierU,
+        ltvPct,
+        liquidationPrice,
+        currentPrice,
+        liquidationBufferFrac,
+        snapshotAt,
+        reminder: {
+          count: reminderCount,
+          criticalForMs: nowMs - criticalState.criticalSinceMs,
+          startBufferFrac: criticalState.criticalStartBufferFrac,
+        },
+      };
+
+      // Acknowledge / snooze stop reminders; the normal path below just keeps state fresh.
+      if (!getUserHoldReason({ prev, phase: "UPDATED", alertType, meta })) {
+        const signature = makeSignature(sigPayload);
+        const stateId = upsertAlertState({
+          userId,
+          walletId,
+          contractId,
+          tokenId,
+          alertType,
+          isActive: true,
+          signature,
+          stateJson: JSON.stringify({
+            ...baseState,
+            confirmedStatus: "ON",
+            candidateStatus: null,
+            candidateSinceMs: 0,
+            lastAlertAtMs: nowMs,
+            lastTierChangeAtMs,
+            lastTier: tierU,
+            lastReminderAtMs: nowMs,
+            reminderCount,
+          }),
+        });
+        insertAlertLog({
+          userId,
+          walletId,
+          contractId,
+          tokenId,
+          alertType,
+          phase: "REMINDER",
+          message: `${protocol}`,
+          meta,
+          signature,
+        });
+        console.warn(`[LIQ] CRITICAL REMINDER #${reminderCount}: ${protocol}`, { ...meta });
+
+        await sendDmToUser({
+          userId,
+          phase: "REMINDER",
+          alertType,
+          logPrefix: "[LIQ]",
+          message: `${protocol}`,
+          meta,
+          position: {
+            walletId,
+            contractId,
+            tokenId,
+            chainId: chainId ?? null,
+            protocol: protocol ?? null,
+            wallet: meta.wallet,
+          },
+          signature,
+          stateId,
+        });
+        return;
+      }
+    }
+
     // prevActive=true: keep active, but suppress noisy UPDATEDs during cooldown unless escalation
     const signature = makeSignature(sigPayload);
     const wouldUpdate = prev.signature !== signature;
@@ -1426,6 +2309,8 @@ async function handleLiquidationAlert(data) {
         lastAlertAtMs: newLastAlertAtMs,
         lastTierChangeAtMs: newLastTierChangeAtMs,
         lastTier: tierU,
+        // The tier-change DM counts as the latest CRITICAL notice
+        lastReminderAtMs: isCriticalNow ? nowMs : 0,
       },
       logPrefix: "[LIQ]",
       message: `${protocol}`,
@@ -1504,6 +2389,7 @@ async function handleLiquidationAlert(data) {
       signaturePayload: { resolved: true, kind: "LIQ" },
       state: {
         ...baseState,
+        ...noCriticalState,
         confirmedStatus: "OFF",
         candidateStatus: null,
         candidateSinceMs: 0,
@@ -2342,6 +3228,8 @@ async function handlePrimefiWithdrawAlert(data) {
       logPrefix,
       message,
       meta: state,
+      position: { walletId, contractId: null, tokenId: marketKey, chainId, protocol, wallet: walletAddress },
+      signature,
     });
     return;
   }
@@ -2387,10 +3275,846 @@ async function handlePrimefiWithdrawAlert(data) {
   });
 }
 
+/**
+ * PrimeFi market health-factor alert, stored per market in primefi_withdraw_alert_state
+ * (alert_type PRIMEFI_LIQUIDATION). The caller classifies the health factor into a tier;
+ * MEDIUM or worse is active.
+ * - A tier change is confirmed once it has held for LOAN_LIQ_WORSENING_DEBOUNCE_SEC
+ *   (worse) / LOAN_LIQ_IMPROVING_DEBOUNCE_SEC (better); the pending tier lives in state_json
+ * - Confirmed changes DM as NEW (LOW -> active), UPDATED (tier change) or RESOLVED (back to
+ *   LOW, or no debt left; repaying resolves without the improving debounce)
+ * - While CRITICAL, reminders every LOAN_LIQ_CRITICAL_REMIND_MIN
+ * - DMs carry the Acknowledge / Snooze / Mute buttons (state ref "pf<id>"); holds follow
+ *   getUserHoldReason like LIQUIDATION, so an acknowledged CRITICAL stops its reminders
+ * - UNKNOWN tier (health factor unreadable) leaves the state as it is
+ */
+async function handlePrimefiLiquidationAlert(data) {
+  const {
+    userId,
+    walletId,
+    chainId,
+    protocol,
+    marketKey,
+    walletAddress,
+    walletLabel,
+    collateralSymbol,
+    debtSymbol,
+    hasDebt,
+    tier,
+    healthFactor,
+    ltvPct,
+    currentPrice,
+    liquidationPrice,
+    liquidationBufferFrac,
+    snapshotAt,
+    snapshotSource,
+  } = data || {};
+
+  const alertType = "PRIMEFI_LIQUIDATION";
+  const logPrefix = "[PRIMEFI][liq]";
+  const key = { userId, walletId, chainId, protocol, marketKey, alertType };
+  const nowMs = Date.now();
+
+  const observedTier = hasDebt ? (tier || "UNKNOWN").toString().toUpperCase() : "LOW";
+  if (!PRIMEFI_LIQ_TIER_ORDER.includes(observedTier)) return;
+
+  const prev = getPrevPrimefiWithdrawState(key);
+  let prevObj = null;
+  try {
+    prevObj = prev.stateJson ? JSON.parse(prev.stateJson) : null;
+  } catch (_) {
+    prevObj = null;
+  }
+
+  const confirmedTier = PRIMEFI_LIQ_TIER_ORDER.includes(prevObj?.confirmedTier)
+    ? prevObj.confirmedTier
+    : "LOW";
+  const prevActive = prev.isActive === 1;
+  const lastAlertAtMs = Number(prevObj?.lastAlertAtMs || 0) || 0;
+  const criticalSinceMs = Number(prevObj?.criticalSinceMs || 0) || 0;
+
+  const baseState = {
+    kind: "PRIMEFI_LIQUIDATION",
+    chainId,
+    protocol,
+    marketKey,
+    walletAddress,
+    walletLabel,
+    collateralSymbol,
+    debtSymbol,
+    healthFactor,
+    ltvPct,
+    currentPrice,
+    liquidationPrice,
+    liquidationBufferFrac,
+    observedTier,
+    snapshotAt,
+    snapshotSource,
+  };
+  const meta = {
+    ...baseState,
+    wallet: shortenAddress(walletAddress),
+    prevTier: confirmedTier,
+    newTier: observedTier,
+  };
+  const position = { walletId, contractId: null, tokenId: marketKey, chainId, protocol, wallet: walletAddress };
+
+  if (observedTier === confirmedTier) {
+    const reminderDue =
+      prevActive &&
+      observedTier === "CRITICAL" &&
+      LOAN_LIQ_CRITICAL_REMIND_MS > 0 &&
+      nowMs - lastAlertAtMs >= LOAN_LIQ_CRITICAL_REMIND_MS;
+    // Acknowledge / snooze stop reminders (mute does not: CRITICAL breaks through)
+    const sendReminder = reminderDue && !getUserHoldReason({ prev, phase: "UPDATED", alertType, meta });
+    const reminderCount = sendReminder ? (Number(prevObj?.reminderCount || 0) || 0) + 1 : prevObj?.reminderCount || 0;
+    const stateJson = JSON.stringify({
+      ...baseState,
+      confirmedTier,
+      candidateTier: null,
+      candidateSinceMs: 0,
+      lastAlertAtMs: sendReminder ? nowMs : lastAlertAtMs,
+      criticalSinceMs,
+      reminderCount,
+    });
+    const stateId = upsertPrimefiWithdrawState({ ...key, isActive: prevActive, signature: prev.signature, stateJson });
+    if (!sendReminder) return;
+
+    const reminderMeta = { ...meta, reminder: { count: reminderCount, criticalForMs: nowMs - criticalSinceMs } };
+    const message = `${protocol} ${marketKey} health factor still CRITICAL`;
+    logger.warn(`${logPrefix} CRITICAL REMINDER #${reminderCount}: ${message}`, baseState);
+    insertPrimefiWithdrawLog({ ...key, phase: "REMINDER", message, meta: reminderMeta, signature: prev.signature });
+    await sendDmToUser({
+      userId,
+      phase: "REMINDER",
+      alertType,
+      logPrefix,
+      message,
+      meta: reminderMeta,
+      position,
+      signature: prev.signature,
+      stateId: primefiStateRef(stateId),
+    });
+    return;
+  }
+
+  // Pending change: the clock keeps running while the tier moves further the same way
+  const worsening = isTierEscalation(confirmedTier, observedTier, PRIMEFI_LIQ_TIER_ORDER);
+  const prevCand = PRIMEFI_LIQ_TIER_ORDER.includes(prevObj?.candidateTier) ? prevObj.candidateTier : null;
+  const sameDirection =
+    prevCand != null && isTierEscalation(confirmedTier, prevCand, PRIMEFI_LIQ_TIER_ORDER) === worsening;
+  const candidateSinceMs = sameDirection ? Number(prevObj?.candidateSinceMs || 0) || nowMs : nowMs;
+  const debounceMs = !hasDebt
+    ? 0
+    : worsening
+    ? LOAN_LIQ_WORSENING_DEBOUNCE_MS
+    : LOAN_LIQ_IMPROVING_DEBOUNCE_MS;
+
+  if (nowMs - candidateSinceMs < debounceMs) {
+    upsertPrimefiWithdrawState({
+      ...key,
+      isActive: prevActive,
+      signature: prev.signature,
+      stateJson: JSON.stringify({
+        ...baseState,
+        confirmedTier,
+        candidateTier: observedTier,
+        candidateSinceMs,
+        lastAlertAtMs,
+        criticalSinceMs,
+        reminderCount: prevObj?.reminderCount || 0,
+      }),
+    });
+    return;
+  }
+
+  const isActive = observedTier !== "LOW";
+  const phase = isActive && !prevActive ? "NEW" : !isActive && prevActive ? "RESOLVED" : "UPDATED";
+  const signature = isActive ? makeSignature({ alertType, protocol, marketKey, tier: observedTier }) : null;
+  const message = isActive
+    ? `${protocol} ${marketKey} liquidation risk ${observedTier} (health factor ${
+        Number.isFinite(healthFactor) ? healthFactor.toFixed(3) : "n/a"
+      })`
+    : hasDebt
+    ? `${protocol} ${marketKey} liquidation risk back to LOW`
+    : `${protocol} ${marketKey} debt repaid`;
+  const stateJson = JSON.stringify({
+    ...baseState,
+    confirmedTier: observedTier,
+    candidateTier: null,
+    candidateSinceMs: 0,
+    lastAlertAtMs: nowMs,
+    criticalSinceMs: observedTier === "CRITICAL" ? criticalSinceMs || nowMs : 0,
+    reminderCount: observedTier === "CRITICAL" ? prevObj?.reminderCount || 0 : 0,
+  });
+
+  if (phase === "RESOLVED") logger.info(`${logPrefix} RESOLVED: ${message}`, baseState);
+  else logger.warn(`${logPrefix} ${phase === "NEW" ? "NEW ALERT" : "ALERT UPDATED"}: ${message}`, baseState);
+
+  const stateId = upsertPrimefiWithdrawState({ ...key, isActive, signature, stateJson });
+  insertPrimefiWithdrawLog({ ...key, phase, message, meta, signature });
+
+  const holdReason = getUserHoldReason({ prev, phase, alertType, meta });
+  if (phase === "RESOLVED") clearPrimefiAlertAck(stateId);
+  else if (phase === "UPDATED" && !holdReason && (prev.ackAt || Number(prev.isSnoozed))) clearPrimefiAlertAck(stateId);
+
+  await sendDmToUser({
+    userId,
+    phase,
+    alertType,
+    logPrefix,
+    message,
+    meta,
+    position,
+    signature: signature ?? prev.signature,
+    stateId: primefiStateRef(stateId),
+    holdReason,
+  });
+}
+
+/**
+ * Shared lifecycle of the pool-keyed SP_* alerts (state in sp_alert_state, log in sp_alert_log).
+ * - isActiveFor(prevActive) decides activity, so each type applies its own trigger / reset
+ *   hysteresis; null leaves the state untouched (input unknown this run)
+ * - NEW when it turns active, RESOLVED when it turns inactive (or the position is gone)
+ * - UPDATED while active when `level` rises above the highest level already sent, or the
+ *   `subject` changes (SP_APR_GAP: a different best alternative pool)
+ * - DMs carry the Acknowledge / Snooze / Mute buttons (state ref "sp<id>"); with no tier,
+ *   ack / snooze hold UPDATEDs until the alert resolves
+ */
+async function processSpAlert({ alertType, logPrefix, data, isActiveFor, level = 0, subject = null, message, state }) {
+  const { userId, walletId, chainId, poolKey, walletAddress } = data;
+  const key = { userId, walletId, chainId, poolKey, alertType };
+
+  const prev = getPrevSpAlertState(key);
+  let prevObj = null;
+  try {
+    prevObj = prev.stateJson ? JSON.parse(prev.stateJson) : null;
+  } catch (_) {
+    prevObj = null;
+  }
+  const prevActive = prev.isActive === 1;
+  const isActive = isActiveFor(prevActive);
+  if (isActive == null) return;
+
+  const sentLevel = prevActive ? Number(prevObj?.sentLevel || 0) || 0 : 0;
+  const sentSubject = prevActive ? prevObj?.sentSubject ?? null : null;
+  const phase =
+    isActive && !prevActive
+      ? "NEW"
+      : !isActive && prevActive
+      ? "RESOLVED"
+      : isActive && (level > sentLevel || subject !== sentSubject)
+      ? "UPDATED"
+      : null;
+
+  const signature = isActive ? makeSignature({ alertType, chainId, poolKey, level, subject }) : null;
+  const stateJson = JSON.stringify({
+    ...state,
+    sentLevel: isActive ? Math.max(level, sentLevel) : 0,
+    sentSubject: isActive ? (phase ? subject : sentSubject) : null,
+  });
+
+  if (!phase) {
+    upsertSpAlertState({ ...key, isActive, signature: prev.signature ?? signature, stateJson });
+    return;
+  }
+
+  const text = message(isActive);
+  const meta = { ...state, wallet: shortenAddress(walletAddress), prevLevel: sentLevel, level };
+  if (phase === "RESOLVED") logger.info(`${logPrefix} RESOLVED: ${text}`, state);
+  else logger.warn(`${logPrefix} ${phase === "NEW" ? "NEW ALERT" : "ALERT UPDATED"}: ${text}`, state);
+
+  const stateId = upsertSpAlertState({ ...key, isActive, signature, stateJson });
+  insertSpAlertLog({ ...key, phase, message: text, meta, signature });
+  if (phase === "RESOLVED") clearSpAlertAck(stateId);
+
+  await sendDmToUser({
+    userId,
+    phase,
+    alertType,
+    logPrefix,
+    message: text,
+    meta,
+    position: { walletId, contractId: null, tokenId: poolKey, chainId, protocol: poolKey, wallet: walletAddress },
+    signature: signature ?? prev.signature,
+    stateId: spStateRef(stateId),
+    holdReason: getUserHoldReason({ prev, phase, alertType, meta }),
+  });
+}
+
+function spPoolName(data) {
+  return data?.poolLabel || data?.poolKey || "Stability Pool";
+}
+
+function spBaseState(kind, data) {
+  return {
+    kind,
+    chainId: data.chainId,
+    poolKey: data.poolKey,
+    poolLabel: data.poolLabel,
+    collSymbol: data.collSymbol,
+    walletAddress: data.walletAddress,
+    walletLabel: data.walletLabel,
+    positionClosed: Boolean(data.positionClosed),
+    depositDepleted: Boolean(data.depositDepleted),
+    snapshotAt: data.snapshotAt,
+  };
+}
+
+// RESOLVED text when the position no longer counts: withdrawn, or used up by liquidations
+function spClosedMessage(data) {
+  return data?.depositDepleted
+    ? `${spPoolName(data)} deposit used up by liquidations`
+    : `${spPoolName(data)} deposit withdrawn`;
+}
+
+/**
+ * SP_DEPOSIT_LOSS: the compounded deposit is SP_LOSS_ALERT_PCT (or more) below the
+ * initial deposit after liquidation offsets. UPDATED at every further multiple of
+ * SP_LOSS_ALERT_PCT; RESOLVED once the loss is below it again (deposit topped up or
+ * withdrawn, which resets the initial value) or the position is gone.
+ */
+async function handleSpDepositLossAlert(data) {
+  const { positionClosed, initialDeposit, compoundedDeposit, lossPct } = data || {};
+  const loss = typeof lossPct === "number" && Number.isFinite(lossPct) ? lossPct : null;
+  const state = {
+    ...spBaseState("SP_DEPOSIT_LOSS", data),
+    initialDeposit,
+    compoundedDeposit,
+    lossPct: loss,
+    claimableCollateral: data.claimableCollateral,
+    claimableCollateralUsd: data.claimableCollateralUsd,
+    thresholdPct: SP_LOSS_ALERT_PCT,
+  };
+  const isActive = !positionClosed && loss != null && loss >= SP_LOSS_ALERT_PCT;
+
+  await processSpAlert({
+    alertType: "SP_DEPOSIT_LOSS",
+    logPrefix: "[SP][loss]",
+    data,
+    isActiveFor: () => isActive,
+    level: isActive ? Math.floor(loss / SP_LOSS_ALERT_PCT) : 0,
+    message: (active) =>
+      active
+        ? `${spPoolName(data)} deposit down ${loss.toFixed(2)}% from liquidations`
+        : positionClosed
+        ? spClosedMessage(data)
+        : `${spPoolName(data)} deposit loss below ${SP_LOSS_ALERT_PCT}%`,
+    state,
+  });
+}
+
+/**
+ * SP_CLAIMABLE_GAIN: claimable collateral (accrued + stashed) is worth SP_CLAIM_ALERT_USD
+ * or more; clears below SP_CLAIM_RESET_USD. UPDATED at every further multiple of
+ * SP_CLAIM_ALERT_USD. Runs without a collateral price are skipped.
+ */
+async function handleSpClaimableGainAlert(data) {
+  const { positionClosed, claimableCollateral, claimableCollateralUsd, collateralPriceUsd, yieldGain } = data || {};
+  const usd =
+    typeof claimableCollateralUsd === "number" && Number.isFinite(claimableCollateralUsd)
+      ? claimableCollateralUsd
+      : null;
+  const state = {
+    ...spBaseState("SP_CLAIMABLE_GAIN", data),
+    claimableCollateral,
+    claimableCollateralUsd: usd,
+    collateralPriceUsd,
+    yieldGain,
+    thresholdUsd: SP_CLAIM_ALERT_USD,
+  };
+
+  await processSpAlert({
+    alertType: "SP_CLAIMABLE_GAIN",
+    logPrefix: "[SP][claim]",
+    data,
+    isActiveFor: (prevActive) =>
+      positionClosed
+        ? false
+        : usd == null
+        ? null
+        : prevActive
+        ? usd >= SP_CLAIM_RESET_USD
+        : usd >= SP_CLAIM_ALERT_USD,
+    level: usd != null ? Math.floor(usd / SP_CLAIM_ALERT_USD) : 0,
+    message: (active) =>
+      active
+        ? `${spPoolName(data)} claimable collateral worth $${usd.toFixed(2)}`
+        : positionClosed
+        ? spClosedMessage(data)
+        : `${spPoolName(data)} claimable collateral below $${SP_CLAIM_RESET_USD}`,
+    state,
+  });
+}
+
+/**
+ * SP_APR_GAP: the user's best alternative pool (24h APR diluted by moving this deposit
+ * there) beats the current pool's 24h APR by SP_APR_GAP_ALERT_PP or more; clears below
+ * SP_APR_GAP_RESET_PP. UPDATED when the best alternative changes to another pool.
+ * Runs without APR data are skipped.
+ */
+async function handleSpAprGapAlert(data) {
+  const { positionClosed, poolAprPct, bestAlternative, compoundedDeposit } = data || {};
+  const bestApr = bestAlternative?.dilutedAprPct;
+  const gapPp =
+    typeof poolAprPct === "number" && Number.isFinite(poolAprPct) && typeof bestApr === "number" && Number.isFinite(bestApr)
+      ? bestApr - poolAprPct
+      : null;
+  const state = {
+    ...spBaseState("SP_APR_GAP", data),
+    compoundedDeposit,
+    poolAprPct,
+    bestPoolKey: bestAlternative?.poolKey ?? null,
+    bestPoolLabel: bestAlternative?.poolLabel ?? null,
+    bestAprPct: bestApr ?? null,
+    gapPp,
+    thresholdPp: SP_APR_GAP_ALERT_PP,
+  };
+
+  await processSpAlert({
+    alertType: "SP_APR_GAP",
+    logPrefix: "[SP][apr]",
+    data,
+    isActiveFor: (prevActive) =>
+      positionClosed
+        ? false
+        : gapPp == null
+        ? null
+        : prevActive
+        ? gapPp >= SP_APR_GAP_RESET_PP
+        : gapPp >= SP_APR_GAP_ALERT_PP,
+    subject: gapPp != null && gapPp >= SP_APR_GAP_RESET_PP ? state.bestPoolKey : null,
+    message: (active) =>
+      active
+        ? `${spPoolName(data)} APR ${poolAprPct.toFixed(2)}% trails ${state.bestPoolLabel || state.bestPoolKey} ` +
+          `${bestApr.toFixed(2)}% by ${gapPp.toFixed(2)} pp`
+        : positionClosed
+        ? spClosedMessage(data)
+        : `${spPoolName(data)} APR back within ${SP_APR_GAP_RESET_PP} pp of the best alternative`,
+    state,
+  });
+}
+
+/**
+ * One redemption against a monitored trove (monitoring/redemptionHits.js).
+ * Fires once per TroveOperation event: logged as NEW and delivered immediately,
+ * no alert_state lifecycle. Muting the position's REDEMPTION alert silences hits too.
+ */
+async function handleRedemptionHitAlert(data) {
+  const {
+    userId,
+    walletId,
+    contractId,
+    positionId,
+    eventId,
+
+    protocol,
+    wallet,
+    walletLabel,
+    walletAddress,
+    chainId,
+    collSymbol,
+
+    txHash,
+    blockNumber,
+    blockTimestamp,
+    debtRedeemed,
+    collRedeemed,
+    collFee,
+    effectivePrice,
+    oraclePrice,
+    debtAfter,
+    collAfter,
+    loanIR,
+
+    preDebtAheadPct,
+    preTier,
+    preSnapshotAt,
+  } = data;
+
+  assertPresent("userId", userId);
+  assertPresent("walletId", walletId);
+  assertPresent("contractId", contractId);
+  assertPresent("positionId", positionId);
+  assertPresent("eventId", eventId);
+
+  const alertType = "REDEMPTION_HIT";
+  const logPrefix = "[REDEMPTION_HIT]";
+  const tokenId = String(positionId);
+  const signature = makeSignature({ alertType, eventId });
+  if (hasAlertLogSignature({ walletId, contractId, tokenId, alertType, signature })) return;
+
+  const meta = {
+    protocol,
+    troveId: tokenId,
+    wallet: shortenAddress(wallet),
+    walletAddress,
+    walletLabel,
+    chainId,
+    collSymbol,
+    txHash,
+    blockNumber,
+    blockTimestamp,
+    debtRedeemed,
+    collRedeemed,
+    collFee,
+    effectivePrice,
+    oraclePrice,
+    debtAfter,
+    collAfter,
+    loanIR,
+    preDebtAheadPct,
+    preTier,
+    preSnapshotAt,
+  };
+  const fmt = (v, d) => (typeof v === "number" && Number.isFinite(v) ? v.toFixed(d) : "n/a");
+  const message =
+    `${protocol} trove ${shortenTroveId(tokenId)} redeemed: ` +
+    `${fmt(debtRedeemed, 2)} debt for ${fmt(collRedeemed, 4)} ${collSymbol || "collateral"}`;
+
+  logger.warn(`${logPrefix} NEW ALERT: ${message}`, { txHash, eventId });
+  insertAlertLog({
+    userId,
+    walletId,
+    contractId,
+    tokenId,
+    alertType,
+    phase: "NEW",
+    message,
+    meta,
+    signature,
+  });
+
+  const redemptionState = getPrevState({ userId, walletId, contractId, tokenId, alertType: "REDEMPTION" });
+  await sendDmToUser({
+    userId,
+    phase: "NEW",
+    alertType,
+    logPrefix,
+    message,
+    meta,
+    position: { walletId, contractId, tokenId, chainId, protocol, wallet },
+    signature,
+    holdReason: getUserHoldReason({ prev: redemptionState, phase: "NEW", alertType, meta }),
+  });
+}
+
+/**
+ * Projected debt-ahead decline (monitoring/redemptionTrend.js) for one trove.
+ * Active while the projected time to the next worse tier is within the horizon;
+ * UPDATED only when that next tier changes, RESOLVED silently.
+ */
+async function handleRedemptionTrendAlert(data) {
+  const {
+    userId,
+    walletId,
+    contractId,
+    positionId,
+
+    protocol,
+    wallet,
+    walletLabel,
+    walletAddress,
+    chainId,
+
+    tier,
+    debtAheadPct,
+    loanIR,
+    trend,
+    horizonHours,
+    snapshotAt,
+    snapshotSource,
+  } = data;
+
+  assertPresent("positionId", positionId);
+
+  const alertType = "REDEMPTION_TREND";
+  const tokenId = String(positionId);
+  const prev = getPrevState({ userId, walletId, contractId, tokenId, alertType });
+  const prevActive = prev.isActive === 1;
+
+  const etaHours = trend?.etaHours ?? null;
+  const isActive =
+    !!trend?.isActive ||
+    (prevActive && etaHours != null && etaHours <= horizonHours * REDEMP_TREND_RESOLVE_MULT);
+  const nextTier = trend?.nextTier || null;
+
+  const meta = {
+    protocol,
+    troveId: tokenId,
+    wallet: shortenAddress(wallet),
+    walletAddress,
+    walletLabel,
+    chainId,
+    currentTier: tier,
+    newTier: nextTier,
+    debtAheadPct,
+    boundaryPct: trend?.boundaryPct ?? null,
+    slopePctPerHour: trend?.slopePctPerHour ?? null,
+    etaHours,
+    points: trend?.points ?? null,
+    windowHours: trend?.windowHours ?? null,
+    horizonHours,
+    loanIR,
+    snapshotAt,
+    snapshotSource,
+  };
+
+  await processAlert({
+    userId,
+    walletId,
+    contractId,
+    tokenId,
+    isActive,
+    signaturePayload: isActive ? { nextTier } : { resolved: true, kind: "REDEMPTION_TREND" },
+    state: {
+      tier,
+      nextTier,
+      etaHours,
+      slopePctPerHour: meta.slopePctPerHour,
+      debtAheadPct,
+    },
+    logPrefix: "[REDEMPTION_TREND]",
+    message:
+      `${protocol} trove ${shortenTroveId(tokenId)} ${tier} -> ${nextTier || "?"} ` +
+      `in ~${etaHours != null ? etaHours.toFixed(1) : "?"}h at current pace`,
+    meta,
+    alertType,
+  });
+}
+
+/**
+ * User-defined price level rule (price_alerts row) evaluated against one position's price.
+ * Caller decides isActive (price past the level); this handles debounce + NEW/RESOLVED.
+ * State is keyed per rule: token_id = "pa:<ruleId>".
+ */
+async function handlePriceLevelAlert(data) {
+  const {
+    userId,
+    walletId,
+    contractId,
+    ruleId,
+    positionKind,
+    positionId,
+    isActive: observedActive,
+    side,
+    condition,
+    lowerPrice,
+    upperPrice,
+    currentPrice,
+    ruleText,
+    assetLabel,
+    priceUnit,
+    note,
+    protocol,
+    wallet,
+    walletLabel,
+    chainId,
+    snapshotAt,
+    snapshotSource,
+  } = data;
+
+  assertPresent("ruleId", ruleId);
+  // No price this cycle: leave state untouched rather than resolving.
+  if (typeof currentPrice !== "number" || !Number.isFinite(currentPrice)) return;
+
+  const tokenId = `pa:${ruleId}`;
+  const alertType = "PRICE_LEVEL";
+  const nowMs = Date.now();
+  const sideU = (side || "NONE").toString().toUpperCase();
+
+  const prev = getPrevState({ userId, walletId, contractId, tokenId, alertType });
+  const prevActive = prev.isActive === 1;
+
+  let prevObj = null;
+  try {
+    prevObj = prev.stateJson ? JSON.parse(prev.stateJson) : null;
+  } catch (_) {
+    prevObj = null;
+  }
+
+  const lastAlertAtMs = Number(prevObj?.lastAlertAtMs || 0) || 0;
+  const prevSideU = (prevObj?.lastSide || "NONE").toString().toUpperCase();
+  let cand = prevObj?.candidateStatus ? String(prevObj.candidateStatus) : null;
+  let candSinceMs = Number(prevObj?.candidateSinceMs || 0) || 0;
+
+  // Side (ABOVE/BELOW) is the identity of an active alert; OUTSIDE rules can flip sides.
+  const sigPayload = { side: sideU, condition, lowerPrice, upperPrice };
+
+  const baseState = {
+    kind: positionKind,
+    positionId: String(positionId),
+    condition,
+    lowerPrice,
+    upperPrice,
+    currentPrice,
+  };
+
+  const meta = {
+    ruleId,
+    positionKind,
+    positionId: String(positionId),
+    wallet: shortenAddress(wallet),
+    walletLabel,
+    walletAddress: wallet,
+    chainId,
+    protocol,
+    condition,
+    lowerPrice,
+    upperPrice,
+    side: sideU,
+    currentPrice,
+    ruleText,
+    assetLabel,
+    priceUnit,
+    note,
+    snapshotAt,
+    snapshotSource,
+  };
+
+  if (observedActive) {
+    if (!prevActive) {
+      if (cand !== "ON") {
+        cand = "ON";
+        candSinceMs = nowMs;
+      }
+
+      if (nowMs - candSinceMs < PRICE_LEVEL_TRIGGER_DEBOUNCE_MS) {
+        await processAlert({
+          userId,
+          walletId,
+          contractId,
+          tokenId,
+          isActive: false,
+          signaturePayload: { pending: true, kind: "PRICE_ON" },
+          state: {
+            ...baseState,
+            confirmedStatus: "OFF",
+            candidateStatus: "ON",
+            candidateSinceMs: candSinceMs,
+            lastAlertAtMs,
+            lastSide: prevSideU,
+          },
+          logPrefix: "[PRICE]",
+          message: `${assetLabel || protocol} ${ruleText || condition}`,
+          meta,
+          alertType,
+        });
+        return;
+      }
+    }
+
+    const sideChanged = prevActive && prevSideU !== sideU;
+    await processAlert({
+      userId,
+      walletId,
+      contractId,
+      tokenId,
+      isActive: true,
+      signaturePayload: sigPayload,
+      state: {
+        ...baseState,
+        confirmedStatus: "ON",
+        candidateStatus: null,
+        candidateSinceMs: 0,
+        lastAlertAtMs: !prevActive || sideChanged ? nowMs : lastAlertAtMs,
+        lastSide: sideU,
+      },
+      logPrefix: "[PRICE]",
+      message: `${assetLabel || protocol} ${ruleText || condition}`,
+      meta,
+      alertType,
+    });
+    return;
+  }
+
+  if (prevActive) {
+    if (cand !== "OFF") {
+      cand = "OFF";
+      candSinceMs = nowMs;
+    }
+
+    if (nowMs - candSinceMs < PRICE_LEVEL_RESOLVE_DEBOUNCE_MS) {
+      // Keep the confirmed signature so the pending state does not read as an UPDATE.
+      upsertAlertState({
+        userId,
+        walletId,
+        contractId,
+        tokenId,
+        alertType,
+        isActive: true,
+        signature: prev.signature,
+        stateJson: JSON.stringify({
+          ...baseState,
+          confirmedStatus: "ON",
+          candidateStatus: "OFF",
+          candidateSinceMs: candSinceMs,
+          lastAlertAtMs,
+          lastSide: prevSideU,
+        }),
+      });
+      return;
+    }
+
+    await processAlert({
+      userId,
+      walletId,
+      contractId,
+      tokenId,
+      isActive: false,
+      signaturePayload: { resolved: true, kind: "PRICE" },
+      state: {
+        ...baseState,
+        confirmedStatus: "OFF",
+        candidateStatus: null,
+        candidateSinceMs: 0,
+        lastAlertAtMs,
+        lastSide: "NONE",
+      },
+      logPrefix: "[PRICE]",
+      message: `${assetLabel || protocol} ${ruleText || condition}`,
+      meta: { ...meta, side: prevSideU },
+      alertType,
+      notifyOnResolved: true,
+    });
+    return;
+  }
+
+  await processAlert({
+    userId,
+    walletId,
+    contractId,
+    tokenId,
+    isActive: false,
+    signaturePayload: { steady: true, kind: "PRICE" },
+    state: {
+      ...baseState,
+      confirmedStatus: "OFF",
+      candidateStatus: null,
+      candidateSinceMs: 0,
+      lastAlertAtMs,
+      lastSide: "NONE",
+    },
+    logPrefix: "[PRICE]",
+    message: `${assetLabel || protocol} ${ruleText || condition}`,
+    meta,
+    alertType,
+  });
+}
+
 module.exports = {
   setAlertEngineClient,
   handleLiquidationAlert,
   handleRedemptionAlert,
+  handleRedemptionHitAlert,
+  handleRedemptionTrendAlert,
   handleLpRangeAlert,
   handlePrimefiWithdrawAlert,
+  handlePrimefiLiquidationAlert,
+  handlePriceLevelAlert,
+  handleSpDepositLossAlert,
+  handleSpClaimableGainAlert,
+  handleSpAprGapAlert,
+  buildAlertDmPayload,
 };
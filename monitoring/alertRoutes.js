@@ -0,0 +1,360 @@
+// monitoring/alertRoutes.js
+//
+// Guild channel routing for shared (team / treasury) wallets.
+// - Server admins bind a user or a wallet address to a text channel (!!addroute)
+// - Only alerts of users who opted in to the route are posted (alert_route_optins,
+//   asked by DM via handlers/ui/alert-route-optin-ui.js)
+// - alertEngine posts the same alert embeds there, independent of the user's own
+//   notify channels and quiet hours
+// - mention_role_id is pinged only for CRITICAL tiers
+// - Routes whose channel is gone or unwritable are paused (disabled_reason)
+//
+// Used by:
+// - monitoring/alertEngine.js (sendDmToUser)
+// - events/onMessage.js (admin commands)
+// - handlers/ui/alert-route-optin-ui.js (allow / decline buttons)
+
+const { getDb } = require("../db");
+const logger = require("../utils/logger");
+const { splitIntoDiscordMessages } = require("../utils/discord/sendLongDM");
+const { getDiscordClient } = require("./notifiers/discordDm");
+
+// Same wallet tracked by several users raises the same alert once per user;
+// post it to a channel only once within this window.
+const ROUTE_DEDUPE_MS = 10 * 60 * 1000;
+const recentPosts = new Map();
+
+// Discord API errors that will not fix themselves: unknown channel, missing access / permissions.
+const PERMANENT_DISCORD_CODES = new Set([10003, 50001, 50013]);
+
+let _stmts = null;
+function getStmts() {
+  if (_stmts) return _stmts;
+  const db = getDb();
+  _stmts = {
+    selWallet: db.prepare(`
+      SELECT chain_id, address_lower
+      FROM user_wallets
+      WHERE id = ?
+      LIMIT 1
+    `),
+    selRoutesForAlert: db.prepare(`
+      SELECT r.id, r.channel_id, r.mention_role_id
+      FROM alert_channel_routes r
+      JOIN alert_route_optins o
+        ON o.route_id = r.id
+       AND o.user_id = @userId
+       AND o.status = 'ALLOWED'
+      WHERE r.is_enabled = 1
+        AND (
+          (r.scope_type = 'USER' AND r.user_id = @userId)
+          OR (
+            r.scope_type = 'WALLET'
+            AND r.wallet_address = @walletAddress
+            AND (r.chain_id IS NULL OR r.chain_id = @chainId)
+          )
+        )
+      ORDER BY r.id
+    `),
+    pauseRoute: db.prepare(`
+      UPDATE alert_channel_routes
+      SET is_enabled = 0,
+          disabled_reason = ?
+      WHERE id = ?
+    `),
+    selRoutesForGuild: db.prepare(`
+      SELECT r.id, r.channel_id, r.scope_type, r.wallet_address, r.chain_id,
+             r.mention_role_id, r.is_enabled, r.disabled_reason,
+             u.discord_id, u.discord_name,
+             (SELECT COUNT(*) FROM alert_route_optins o WHERE o.route_id = r.id AND o.status = 'ALLOWED') AS allowed_count,
+             (SELECT COUNT(*) FROM alert_route_optins o WHERE o.route_id = r.id AND o.status = 'PENDING') AS pending_count
+      FROM alert_channel_routes r
+      LEFT JOIN users u ON u.id = r.user_id
+      WHERE r.guild_id = ?
+      ORDER BY r.id
+    `),
+    selRouteById: db.prepare(`
+      SELECT id, guild_id, channel_id, scope_type, user_id, wallet_address, chain_id, created_by
+      FROM alert_channel_routes
+      WHERE id = ?
+      LIMIT 1
+    `),
+    selOptIn: db.prepare(`
+      SELECT status
+      FROM alert_route_optins
+      WHERE route_id = ? AND user_id = ?
+      LIMIT 1
+    `),
+    insOptInPending: db.prepare(`
+      INSERT INTO alert_route_optins (route_id, user_id, status)
+      VALUES (?, ?, 'PENDING')
+      ON CONFLICT(route_id, user_id) DO NOTHING
+    `),
+    setOptInStatus: db.prepare(`
+      INSERT INTO alert_route_optins (route_id, user_id, status)
+      VALUES (@routeId, @userId, @status)
+      ON CONFLICT(route_id, user_id) DO UPDATE SET
+        status = excluded.status,
+        updated_at = datetime('now')
+    `),
+    updOptInIfPresent: db.prepare(`
+      UPDATE alert_route_optins
+      SET status = @status,
+          updated_at = datetime('now')
+      WHERE route_id = @routeId AND user_id = @userId
+    `),
+    selWalletTrackers: db.prepare(`
+      SELECT DISTINCT u.id AS user_id, u.discord_id
+      FROM user_wallets w
+      JOIN users u ON u.id = w.user_id
+      WHERE w.address_lower = @walletAddress
+        AND (@chainId IS NULL OR w.chain_id = @chainId)
+      ORDER BY u.id
+    `),
+    selRouteByScope: db.prepare(`
+      SELECT id
+      FROM alert_channel_routes
+      WHERE channel_id = @channelId
+        AND scope_type = @scopeType
+        AND IFNULL(user_id, 0) = IFNULL(@userId, 0)
+        AND IFNULL(wallet_address, '') = IFNULL(@walletAddress, '')
+        AND IFNULL(chain_id, '') = IFNULL(@chainId, '')
+      LIMIT 1
+    `),
+    insRoute: db.prepare(`
+      INSERT INTO alert_channel_routes (
+        guild_id, channel_id, scope_type, user_id, wallet_address, chain_id,
+        mention_role_id, created_by
+      )
+      VALUES (
+        @guildId, @channelId, @scopeType, @userId, @walletAddress, @chainId,
+        @mentionRoleId, @createdBy
+      )
+    `),
+    updRoute: db.prepare(`
+      UPDATE alert_channel_routes
+      SET mention_role_id = @mentionRoleId,
+          is_enabled = 1,
+          disabled_reason = NULL,
+          created_by = @createdBy
+      WHERE id = @id
+    `),
+    delRoute: db.prepare(`
+      DELETE FROM alert_channel_routes
+      WHERE id = ? AND guild_id = ?
+    `),
+  };
+  return _stmts;
+}
+
+/**
+ * Add (or refresh) a route. Re-adding the same scope to the same channel updates
+ * the mention role and resumes a paused route.
+ * Returns { id, created }.
+ */
+function addAlertRoute({
+  guildId,
+  channelId,
+  scopeType,
+  userId = null,
+  walletAddress = null,
+  chainId = null,
+  mentionRoleId = null,
+  createdBy = null,
+}) {
+  const stmts = getStmts();
+  const params = {
+    guildId: String(guildId),
+    channelId: String(channelId),
+    scopeType,
+    userId,
+    walletAddress: walletAddress ? String(walletAddress).toLowerCase() : null,
+    chainId: chainId ? String(chainId).toUpperCase() : null,
+    mentionRoleId,
+    createdBy,
+  };
+  const existing = stmts.selRouteByScope.get(params);
+  if (existing) {
+    stmts.updRoute.run({ id: existing.id, mentionRoleId, createdBy });
+    return { id: existing.id, created: false };
+  }
+  const info = stmts.insRoute.run(params);
+  return { id: Number(info.lastInsertRowid), created: true };
+}
+
+function getAlertRoute(routeId) {
+  return getStmts().selRouteById.get(routeId) || null;
+}
+
+/** Users (with discord_id) tracking this address, on chainId or any chain when null. */
+function listWalletTrackers(walletAddress, chainId = null) {
+  return getStmts().selWalletTrackers.all({
+    walletAddress: String(walletAddress).toLowerCase(),
+    chainId: chainId ? String(chainId).toUpperCase() : null,
+  });
+}
+
+function getRouteOptIn(routeId, userId) {
+  return getStmts().selOptIn.get(routeId, userId)?.status || null;
+}
+
+/**
+ * Ask a user to opt in: creates a PENDING row unless they already answered.
+ * Returns the resulting status.
+ */
+function requestRouteOptIn(routeId, userId) {
+  const stmts = getStmts();
+  stmts.insOptInPending.run(routeId, userId);
+  return stmts.selOptIn.get(routeId, userId)?.status || null;
+}
+
+/** Record the user's own answer (the admin adding a route for themself counts as ALLOWED). */
+function setRouteOptIn(routeId, userId, status) {
+  getStmts().setOptInStatus.run({ routeId, userId, status });
+}
+
+/** Answer from the DM buttons: only users who were asked can change their status. */
+function answerRouteOptIn(routeId, userId, status) {
+  return getStmts().updOptInIfPresent.run({ routeId, userId, status }).changes > 0;
+}
+
+function listAlertRoutes(guildId) {
+  return getStmts().selRoutesForGuild.all(String(guildId));
+}
+
+function removeAlertRoute(guildId, routeId) {
+  return getStmts().delRoute.run(routeId, String(guildId)).changes > 0;
+}
+
+function resolveRoutes({ userId, walletId }) {
+  const stmts = getStmts();
+  const wallet = walletId != null ? stmts.selWallet.get(walletId) : null;
+  const rows = stmts.selRoutesForAlert.all({
+    userId,
+    walletAddress: wallet?.address_lower || null,
+    chainId: wallet?.chain_id || null,
+  });
+
+  // A user route and a wallet route can point at the same channel: post once,
+  // keeping a mention role if either asks for one.
+  const byChannel = new Map();
+  for (const r of rows) {
+    const cur = byChannel.get(r.channel_id);
+    if (!cur) byChannel.set(r.channel_id, { ...r });
+    else if (!cur.mention_role_id && r.mention_role_id) cur.mention_role_id = r.mention_role_id;
+  }
+  return Array.from(byChannel.values());
+}
+
+function isDuplicatePost(key) {
+  const now = Date.now();
+  for (const [k, at] of recentPosts) {
+    if (now - at > ROUTE_DEDUPE_MS) recentPosts.delete(k);
+  }
+  if (recentPosts.has(key)) return true;
+  recentPosts.set(key, now);
+  return false;
+}
+
+async function sendToChannel(channel, { embeds, content, mentionRoleId }) {
+  const mention = mentionRoleId ? `<@&${mentionRoleId}>` : null;
+  const pinged = { roles: mentionRoleId ? [mentionRoleId] : [] };
+  const silent = { parse: [] };
+
+  if (embeds?.length) {
+    for (let i = 0; i < embeds.length; i += 1) {
+      const first = i === 0 && mention;
+      await channel.send({
+        ...(first ? { content: mention } : {}),
+        embeds: [embeds[i]],
+        allowedMentions: first ? pinged : silent,
+      });
+    }
+    return;
+  }
+
+  const text = mention ? `${mention}\n${content || ""}` : String(content || "");
+  const chunks = splitIntoDiscordMessages(text);
+  for (let i = 0; i < chunks.length; i += 1) {
+    await channel.send({ content: chunks[i], allowedMentions: i === 0 && mention ? pinged : silent });
+  }
+}
+
+/**
+ * Post one alert to every guild channel routed to this user / wallet.
+ * payload is buildAlertDmPayload() output ({ embeds } or { content }).
+ */
+async function postAlertToRoutes({
+  userId,
+  alertType,
+  phase,
+  tier,
+  position,
+  signature,
+  payload,
+  logPrefix = "[routes]",
+}) {
+  const client = getDiscordClient();
+  if (!client) return;
+
+  let routes;
+  try {
+    routes = resolveRoutes({ userId, walletId: position?.walletId ?? null });
+  } catch (err) {
+    logger.error(`${logPrefix} [routes] Failed to resolve channel routes for userId=${userId}:`, err?.message || err);
+    return;
+  }
+  if (!routes.length) return;
+
+  const isCritical = String(tier || "").toUpperCase() === "CRITICAL";
+
+  for (const route of routes) {
+    const dedupeKey = [
+      route.channel_id,
+      alertType,
+      phase,
+      position?.contractId ?? "",
+      position?.tokenId ?? "",
+      signature ?? "",
+    ].join("|");
+    if (isDuplicatePost(dedupeKey)) continue;
+
+    try {
+      const channel = await client.channels.fetch(route.channel_id);
+      if (!channel || !channel.isTextBased()) {
+        const err = new Error("Channel not found or not text-based");
+        err.code = 10003;
+        throw err;
+      }
+      await sendToChannel(channel, {
+        embeds: payload.embeds,
+        content: payload.content,
+        mentionRoleId: isCritical ? route.mention_role_id : null,
+      });
+    } catch (err) {
+      recentPosts.delete(dedupeKey);
+      const msg = err?.message || String(err);
+      if (PERMANENT_DISCORD_CODES.has(err?.code)) {
+        try {
+          getStmts().pauseRoute.run(`${err.code}: ${msg}`.slice(0, 500), route.id);
+        } catch (_) {}
+        logger.warn(`${logPrefix} [routes] Paused route id=${route.id} channel=${route.channel_id} (${msg})`);
+      } else {
+        logger.error(`${logPrefix} [routes] Failed to post to channel=${route.channel_id} (route id=${route.id}):`, msg);
+      }
+    }
+  }
+}
+
+module.exports = {
+  addAlertRoute,
+  getAlertRoute,
+  listAlertRoutes,
+  listWalletTrackers,
+  removeAlertRoute,
+  getRouteOptIn,
+  requestRouteOptIn,
+  setRouteOptIn,
+  answerRouteOptIn,
+  postAlertToRoutes,
+};
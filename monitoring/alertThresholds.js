@@ -0,0 +1,204 @@
+// monitoring/alertThresholds.js
+//
+// Per-user alert tier thresholds (user_alert_thresholds).
+// - Scope precedence: position (wallet+contract+token) > contract (wallet+contract) > wallet > user default
+// - Each column resolves independently; NULL inherits from the next broader scope
+// - Anything still unset falls back to the env tiers inside each classifier
+//
+// Used by:
+// - monitoring/loanMonitor.js (classifyLiquidationRisk, classifyRedemptionTierByDebtAhead)
+// - monitoring/lpMonitor.js   (classifyLpRangeTier)
+// - monitoring/primefiLoanMonitor.js (classifyHealthFactorRisk; wallet + user default scopes only)
+// - handlers/ui/my-alert-settings-ui.js
+
+const { getDb } = require("../db");
+
+// key => column + env default (env names match the global tiers in .env)
+const THRESHOLD_FIELDS = {
+  liqBufferWarn: { column: "liq_buffer_warn", env: "LIQ_BUFFER_WARN" },
+  liqBufferHigh: { column: "liq_buffer_high", env: "LIQ_BUFFER_HIGH" },
+  liqBufferCrit: { column: "liq_buffer_crit", env: "LIQ_BUFFER_CRIT" },
+  redempDebtAheadLowPct: { column: "redemp_debt_ahead_low_pct", env: "REDEMP_DEBT_AHEAD_LOW_PCT" },
+  redempDebtAheadMedPct: { column: "redemp_debt_ahead_med_pct", env: "REDEMP_DEBT_AHEAD_MED_PCT" },
+  redempDebtAheadHighPct: { column: "redemp_debt_ahead_high_pct", env: "REDEMP_DEBT_AHEAD_HIGH_PCT" },
+  lpEdgeWarnFrac: { column: "lp_edge_warn_frac", env: "LP_EDGE_WARN_FRAC" },
+  lpEdgeHighFrac: { column: "lp_edge_high_frac", env: "LP_EDGE_HIGH_FRAC" },
+  lpOutWarnFrac: { column: "lp_out_warn_frac", env: "LP_OUT_WARN_FRAC" },
+  lpOutHighFrac: { column: "lp_out_high_frac", env: "LP_OUT_HIGH_FRAC" },
+  primefiHfWarn: { column: "primefi_hf_warn", env: "PRIMEFI_HF_WARN" },
+  primefiHfHigh: { column: "primefi_hf_high", env: "PRIMEFI_HF_HIGH" },
+  primefiHfCrit: { column: "primefi_hf_crit", env: "PRIMEFI_HF_CRIT" },
+};
+
+const THRESHOLD_KEYS = Object.keys(THRESHOLD_FIELDS);
+
+// Grouping used by the settings UI (one modal per group, max 5 inputs each)
+const THRESHOLD_GROUPS = {
+  LIQ: ["liqBufferWarn", "liqBufferHigh", "liqBufferCrit"],
+  REDEMP: ["redempDebtAheadLowPct", "redempDebtAheadMedPct", "redempDebtAheadHighPct"],
+  LP: ["lpEdgeWarnFrac", "lpEdgeHighFrac", "lpOutWarnFrac", "lpOutHighFrac"],
+  PRIMEFI: ["primefiHfWarn", "primefiHfHigh", "primefiHfCrit"],
+};
+
+let _resolveStmt = null;
+
+function toFiniteOrNull(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function getDefaultAlertThresholds() {
+  const out = {};
+  for (const key of THRESHOLD_KEYS) {
+    out[key] = toFiniteOrNull(process.env[THRESHOLD_FIELDS[key].env]);
+  }
+  return out;
+}
+
+function rowToThresholds(row) {
+  const out = {};
+  for (const key of THRESHOLD_KEYS) {
+    out[key] = toFiniteOrNull(row?.[THRESHOLD_FIELDS[key].column]);
+  }
+  return out;
+}
+
+function hasAnyThreshold(t) {
+  return THRESHOLD_KEYS.some((k) => t?.[k] != null);
+}
+
+/**
+ * Resolve the user's overrides for one position.
+ * Returns null when the user has no applicable rows, otherwise an object with
+ * every threshold key (null = not overridden, use env default).
+ */
+function resolveAlertThresholds({ userId, walletId = null, contractId = null, tokenId = null } = {}) {
+  if (userId == null) return null;
+  const db = getDb();
+  if (!_resolveStmt) {
+    _resolveStmt = db.prepare(`
+      SELECT *
+      FROM user_alert_thresholds
+      WHERE user_id = @userId
+        AND (wallet_id IS NULL OR wallet_id = @walletId)
+        AND (contract_id IS NULL OR contract_id = @contractId)
+        AND (token_id IS NULL OR token_id = @tokenId)
+      ORDER BY
+        (token_id IS NOT NULL) DESC,
+        (contract_id IS NOT NULL) DESC,
+        (wallet_id IS NOT NULL) DESC
+    `);
+  }
+
+  const rows = _resolveStmt.all({
+    userId,
+    walletId: walletId ?? null,
+    contractId: contractId ?? null,
+    tokenId: tokenId != null ? String(tokenId) : null,
+  });
+  if (!rows.length) return null;
+
+  const out = {};
+  for (const key of THRESHOLD_KEYS) out[key] = null;
+  for (const row of rows) {
+    const t = rowToThresholds(row);
+    for (const key of THRESHOLD_KEYS) {
+      if (out[key] == null && t[key] != null) out[key] = t[key];
+    }
+  }
+  return hasAnyThreshold(out) ? out : null;
+}
+
+function pickThreshold(thresholds, key, fallback) {
+  const v = thresholds?.[key];
+  return typeof v === "number" && Number.isFinite(v) ? v : fallback;
+}
+
+/**
+ * Validate a fully-merged threshold set (overrides + env defaults).
+ * Returns an array of human-readable problems (empty = ok).
+ */
+function validateAlertThresholds(t) {
+  const errors = [];
+  const inUnit = (key, label) => {
+    const v = t[key];
+    if (v == null) return;
+    if (!(v > 0 && v <= 1)) errors.push(`${label} must be between 0 and 1 (got ${v}).`);
+  };
+
+  inUnit("liqBufferWarn", "Liq buffer MEDIUM");
+  inUnit("liqBufferHigh", "Liq buffer HIGH");
+  inUnit("liqBufferCrit", "Liq buffer CRITICAL");
+  if (
+    t.liqBufferWarn != null &&
+    t.liqBufferHigh != null &&
+    t.liqBufferCrit != null &&
+    !(t.liqBufferWarn > t.liqBufferHigh && t.liqBufferHigh > t.liqBufferCrit)
+  ) {
+    errors.push("Liq buffer tiers must satisfy MEDIUM > HIGH > CRITICAL.");
+  }
+
+  inUnit("redempDebtAheadLowPct", "Debt-ahead LOW");
+  inUnit("redempDebtAheadMedPct", "Debt-ahead MEDIUM");
+  inUnit("redempDebtAheadHighPct", "Debt-ahead HIGH");
+  if (
+    t.redempDebtAheadLowPct != null &&
+    t.redempDebtAheadMedPct != null &&
+    t.redempDebtAheadHighPct != null &&
+    !(
+      t.redempDebtAheadLowPct > t.redempDebtAheadMedPct &&
+      t.redempDebtAheadMedPct > t.redempDebtAheadHighPct
+    )
+  ) {
+    errors.push("Debt-ahead tiers must satisfy LOW > MEDIUM > HIGH.");
+  }
+
+  if (t.lpEdgeWarnFrac != null && !(t.lpEdgeWarnFrac > 0 && t.lpEdgeWarnFrac < 0.5)) {
+    errors.push(`LP edge MEDIUM must be between 0 and 0.5 (got ${t.lpEdgeWarnFrac}).`);
+  }
+  if (t.lpEdgeHighFrac != null && !(t.lpEdgeHighFrac > 0 && t.lpEdgeHighFrac < 0.5)) {
+    errors.push(`LP edge HIGH must be between 0 and 0.5 (got ${t.lpEdgeHighFrac}).`);
+  }
+  if (t.lpEdgeWarnFrac != null && t.lpEdgeHighFrac != null && !(t.lpEdgeWarnFrac > t.lpEdgeHighFrac)) {
+    errors.push("LP edge tiers must satisfy MEDIUM > HIGH.");
+  }
+  if (t.lpOutWarnFrac != null && !(t.lpOutWarnFrac > 0)) {
+    errors.push(`LP out-of-range MEDIUM must be > 0 (got ${t.lpOutWarnFrac}).`);
+  }
+  if (t.lpOutWarnFrac != null && t.lpOutHighFrac != null && !(t.lpOutHighFrac > t.lpOutWarnFrac)) {
+    errors.push("LP out-of-range tiers must satisfy HIGH > MEDIUM.");
+  }
+
+  // Health factor: liquidation starts below 1.00, so every tier sits above it
+  const aboveOne = (key, label) => {
+    const v = t[key];
+    if (v == null) return;
+    if (!(v > 1)) errors.push(`${label} must be above 1 (got ${v}).`);
+  };
+
+  aboveOne("primefiHfWarn", "PrimeFi HF MEDIUM");
+  aboveOne("primefiHfHigh", "PrimeFi HF HIGH");
+  aboveOne("primefiHfCrit", "PrimeFi HF CRITICAL");
+  if (
+    t.primefiHfWarn != null &&
+    t.primefiHfHigh != null &&
+    t.primefiHfCrit != null &&
+    !(t.primefiHfWarn > t.primefiHfHigh && t.primefiHfHigh > t.primefiHfCrit)
+  ) {
+    errors.push("PrimeFi HF tiers must satisfy MEDIUM > HIGH > CRITICAL.");
+  }
+
+  return errors;
+}
+
+module.exports = {
+  THRESHOLD_FIELDS,
+  THRESHOLD_KEYS,
+  THRESHOLD_GROUPS,
+  getDefaultAlertThresholds,
+  resolveAlertThresholds,
+  rowToThresholds,
+  pickThreshold,
+  validateAlertThresholds,
+};
@@ -6,11 +6,15 @@ const { createDecimalFormatter } = require("../utils/intlNumberFormats");
 const { getDb } = require("../db");
 const { getSpPositionSummaries } = require("../utils/stabilityPoolPositions");
 const { acquireLock, releaseLock } = require("../utils/lock");
+const { notifyUser } = require("./notifiers");
 const logger = require("../utils/logger");
 const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
 const { shortenAddress } = require("../utils/ethers/shortenAddress");
 const { formatLoanTroveLink, formatLpPositionLink, formatAddressLink } = require("../utils/links");
 const { loadPriceCache, isStableUsd, normalizeSymbol } = require("../utils/priceCache");
+const { buildPositionCharts } = require("./historyCharts");
+const { computeLpPnlUsd } = require("./lpPnl");
+const { buildIrRecommendations, formatIrRecommendationField } = require("./irOptimizer");
 const {
   hasHeartbeatTestOverride,
   consumeHeartbeatTestOverride,
@@ -34,6 +38,8 @@ const SNAPSHOT_STALE_WARN_MS = Math.max(
   Math.floor(Math.max(LOAN_SNAPSHOT_STALE_WARN_MIN, LP_SNAPSHOT_STALE_WARN_MIN, SP_POSITION_SNAPSHOT_STALE_WARN_MIN) * 60 * 1000)
 );
 const DEFAULT_HEARTBEAT_TZ = process.env.HEARTBEAT_TZ || "America/Los_Angeles";
+// 1 = attach history charts (Discord DM only; other channels get the embeds)
+const HEARTBEAT_CHARTS = requireNumberEnv("HEARTBEAT_CHARTS") === 1;
 const SNAPSHOT_LOCK_NAME = "snapshot-refresh";
 
 // -----------------------------
@@ -76,6 +82,14 @@ function fmtUsd(n) {
   return `$${fmt2.format(n)}`;
 }
 
+function fmtSignedUsd(n) {
+  if (typeof n !== "number" || !Number.isFinite(n)) return "n/a";
+  const out = fmtUsd(Math.abs(n));
+  if (n > 0) return `+${out}`;
+  if (n < 0) return `-${out}`;
+  return out;
+}
+
 function computePoolSharePct(liquidityRaw, poolLiquidityRaw) {
   if (!liquidityRaw || !poolLiquidityRaw) return null;
   try {
@@ -213,6 +227,14 @@ function formatLoanField(s, priceCache) {
   const debtText =
     typeof s.debtAmount === "number" && Number.isFinite(s.debtAmount) ? fmtDebt.format(s.debtAmount) : "n/a";
   lines.push(`Debt: ${debtText}${s.debtSymbol ? ` ${s.debtSymbol}` : ""}`);
+  if (s.kind === "PRIMEFI_ACCOUNT" && (s.collaterals?.length > 1 || s.debts?.length > 1)) {
+    const assetText = (e) =>
+      `${fmtDebt.format(e.amount)} ${e.symbol || "?"}${
+        typeof e.usd === "number" && Number.isFinite(e.usd) ? ` (${fmtUsd(e.usd)})` : ""
+      }`;
+    if (s.collaterals?.length) lines.push(`Supplied: ${s.collaterals.map(assetText).join(" · ")}`);
+    if (s.debts?.length) lines.push(`Borrowed: ${s.debts.map(assetText).join(" · ")}`);
+  }
   if (s.kind === "PRIMEFI_ACCOUNT" && typeof s.withdrawableNowAmount === "number" && Number.isFinite(s.withdrawableNowAmount)) {
     const limitText =
       s.withdrawableConstraint === "LIQUIDITY"
@@ -424,6 +446,17 @@ function formatLpField(s, priceCache) {
     );
   }
 
+  const pnl = s.lpPnl?.synced ? computeLpPnlUsd(s, priceBase, priceQuote) : null;
+  if (pnl) {
+    parts.push(
+      `Deposited ${fmtUsd(pnl.depositedUsd)} → now ${fmtUsd(pnl.currentUsd)}` +
+        `${pnl.withdrawnUsd > 0 ? ` (+ ${fmtUsd(pnl.withdrawnUsd)} withdrawn)` : ""} | ` +
+        `Fees ${fmtUsd(pnl.feesCollectedUsd)} collected + ${fmtUsd(pnl.feesUncollectedUsd)} uncollected`
+    );
+    const ilPctText = Number.isFinite(pnl.ilPct) ? ` (${pnl.ilPct.toFixed(2)}%)` : "";
+    parts.push(`IL vs holding: ${fmtSignedUsd(pnl.ilUsd)}${ilPctText} | Net P&L: **${fmtSignedUsd(pnl.netPnlUsd)}**`);
+  }
+
   parts.push(`Status: ${s.status || "UNKNOWN"} | Range: ${statusEmoji} ${rangeStatus}`);
 
   if (s.lpRangeTier && s.lpRangeTier !== "UNKNOWN") {
@@ -617,7 +650,15 @@ function colorForLpStatus(status) {
   );
 }
 
-function buildHeartbeatEmbeds({ nowIso, loanSummaries, lpSummaries, spSummaries, client, priceCache }) {
+function buildHeartbeatEmbeds({
+  nowIso,
+  loanSummaries,
+  lpSummaries,
+  spSummaries,
+  client,
+  priceCache,
+  irOptimizerTier = null,
+}) {
   const embeds = [];
   const activeLoanSummaries = (loanSummaries || []).filter(
     (s) => String(s.status || "").toUpperCase() !== "CLOSED"
@@ -831,6 +872,25 @@ function buildHeartbeatEmbeds({ nowIso, loanSummaries, lpSummaries, spSummaries,
     });
   }
 
+  // Opt-in (users.ir_optimizer_tier via the /my-loans optimizer button)
+  const irFields = irOptimizerTier
+    ? buildIrRecommendations(activeLoanSummaries, irOptimizerTier).map((r) => formatIrRecommendationField(r))
+    : [];
+  if (irFields.length) {
+    const title = `Interest Rate Optimizer (${irOptimizerTier})`;
+    const chunks = chunkFieldsBySize(irFields, title.length + 200, 5200);
+    chunks.forEach((fields, idx) => {
+      const e = new EmbedBuilder()
+        .setTitle(idx === 0 ? title : `${title} (cont.)`)
+        .setColor("DarkBlue")
+        .addFields(fields);
+      if (idx === 0) {
+        e.setDescription(`_Cheapest rate that keeps each trove in ${irOptimizerTier} or safer, with adjustment fees._`);
+      }
+      embeds.push(e);
+    });
+  }
+
   if (embeds.length) {
     embeds[embeds.length - 1].setTimestamp();
   }
@@ -851,36 +911,26 @@ function getHeartbeatRecipients() {
       u.discord_name AS discordName,
       u.heartbeat_hour AS heartbeatHour,
       u.heartbeat_enabled AS heartbeatEnabled,
-      u.heartbeat_tz AS heartbeatTz
+      u.heartbeat_tz AS heartbeatTz,
+      u.ir_optimizer_tier AS irOptimizerTier
     FROM users u
     JOIN user_wallets uw
       ON uw.user_id = u.id
      AND uw.is_enabled = 1
     WHERE
-      u.accepts_dm = 1
-      AND u.discord_id IS NOT NULL
+      u.discord_id IS NOT NULL
+      AND (
+        u.accepts_dm = 1
+        OR EXISTS (
+          SELECT 1 FROM notify_channels nc
+          WHERE nc.user_id = u.id AND nc.is_enabled = 1 AND nc.channel_type <> 'DISCORD_DM'
+        )
+      )
   `
     )
     .all();
 }
 
-// If DM is blocked, stop trying daily until user re-enables via onboarding.
-function markUserCannotDm(userId) {
-  try {
-    const db = getDb();
-    db.prepare(
-      `
-      UPDATE users
-      SET accepts_dm = 0,
-          updated_at = datetime('now')
-      WHERE id = ?
-    `
-    ).run(userId);
-  } catch (e) {
-    logger.warn(`[Heartbeat] Failed to mark accepts_dm=0 for userId=${userId}:`, e?.message || e);
-  }
-}
-
 // -----------------------------
 // Main
 // -----------------------------
@@ -891,7 +941,7 @@ async function sendDailyHeartbeat(client) {
 
   const recipients = getHeartbeatRecipients();
   if (!recipients || recipients.length === 0) {
-    logger.info("[Heartbeat] No recipients (accepts_dm=1 with enabled wallets).");
+    logger.info("[Heartbeat] No recipients (DM or notify channel, with enabled wallets).");
     return;
   }
   const filteredRecipients = recipients.filter((r) => {
@@ -959,8 +1009,6 @@ async function sendDailyHeartbeat(client) {
   const nowIso = new Date().toISOString();
   const db = getDb();
 
-  const userCache = new Map(); // discordId -> Discord.User
-
   for (const r of filteredRecipients) {
     const userIdKey = String(r.userId);
     const discordId = String(r.discordId);
@@ -978,33 +1026,26 @@ async function sendDailyHeartbeat(client) {
       spSummaries: userSps,
       client,
       priceCache,
+      irOptimizerTier: r.irOptimizerTier || null,
     });
-
-    try {
-      let user = userCache.get(discordId);
-      if (!user) {
-        user = await client.users.fetch(discordId);
-        userCache.set(discordId, user);
-      }
-
-      for (const e of embeds) {
-        await user.send({ embeds: [e] });
-      }
-
+    const files = HEARTBEAT_CHARTS ? buildPositionCharts({ loans: userLoans, lps: userLps }) : [];
+
+    // Delivery (DM / webhook / email / Telegram) + DM-blocked handling live in the notifiers
+    const { sent, failed } = await notifyUser(
+      {
+        userId: Number(r.userId),
+        alertType: "HEARTBEAT",
+        phase: "HEARTBEAT",
+        embeds,
+        files,
+        data: { tier: null, position: null, signature: null, meta: { nowIso } },
+      },
+      { logPrefix: "[Heartbeat]" }
+    );
+    if (sent > 0) {
       logger.info(`[Heartbeat] Sent daily heartbeat to userId=${r.userId} discordId=${discordId}`);
-    } catch (err) {
-      const code = err?.code;
-      const msgText = err?.message || String(err);
-
-      logger.error(
-        `[Heartbeat] Failed to send to discordId=${discordId} (userId=${r.userId}):`,
-        msgText
-      );
-
-      if (code === 50007) {
-        markUserCannotDm(r.userId);
-        logger.warn(`[Heartbeat] Marked accepts_dm=0 (DM blocked) for userId=${r.userId}`);
-      }
+    } else if (failed > 0) {
+      logger.error(`[Heartbeat] Failed to send to discordId=${discordId} (userId=${r.userId})`);
     }
   }
 }
@@ -0,0 +1,211 @@
+// monitoring/historyCharts.js
+//
+// PNG charts from snapshot history (monitoring/snapshotHistory.js), returned as
+// discord.js AttachmentBuilder objects ready for `files: [...]`.
+// - Loans: liquidation buffer over time with the user's tier thresholds
+// - LPs:   pool price vs the position's range band
+// - ALM:   vault share value vs just holding (in the quote token, no USD history needed)
+//
+// Used by:
+// - commands/my-loans.js, commands/my-lp.js (charts option)
+// - monitoring/dailyHeartbeat.js (HEARTBEAT_CHARTS)
+
+const { AttachmentBuilder } = require("discord.js");
+
+const logger = require("../utils/logger");
+const { renderLineChart } = require("../utils/chart/lineChart");
+const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
+const { getSnapshotHistory } = require("./snapshotHistory");
+const { resolveAlertThresholds, getDefaultAlertThresholds, pickThreshold } = require("./alertThresholds");
+
+const CHART_HISTORY_DAYS = 30;
+// Discord allows 10 attachments per message
+const MAX_CHARTS_PER_MESSAGE = 10;
+
+const COLORS = {
+  line: "#5865f2",
+  alt: "#eb459e",
+  band: "#57f287",
+  MEDIUM: "#f0b232",
+  HIGH: "#f47b20",
+  CRITICAL: "#ed4245",
+};
+
+function parseSnapshotMs(raw) {
+  if (!raw) return NaN;
+  const s = String(raw);
+  const iso = s.includes("T") ? s : s.replace(" ", "T");
+  return Date.parse(iso.endsWith("Z") ? iso : `${iso}Z`);
+}
+
+function num(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function fmtAxis(v) {
+  const abs = Math.abs(v);
+  if (abs >= 1e6) return `${(v / 1e6).toFixed(2)}M`;
+  if (abs >= 1e4) return `${(v / 1e3).toFixed(1)}K`;
+  if (abs >= 100) return v.toFixed(0);
+  if (abs >= 1) return v.toFixed(2);
+  return v.toPrecision(3);
+}
+
+function loadHistory(kind, summary, tokenId, sinceDays) {
+  if (summary?.userId == null || summary?.walletId == null || summary?.contractId == null || tokenId == null) {
+    return [];
+  }
+  return getSnapshotHistory(kind, {
+    userId: summary.userId,
+    walletId: summary.walletId,
+    contractId: summary.contractId,
+    tokenId,
+    sinceDays,
+  })
+    .map((h) => ({ t: parseSnapshotMs(h.snapshotAt), s: h.snapshot }))
+    .filter((h) => Number.isFinite(h.t));
+}
+
+function toAttachment(png, name, description) {
+  if (!png) return null;
+  return new AttachmentBuilder(png, { name, description });
+}
+
+/**
+ * Liquidation buffer (%) over time for one Liquity-style loan summary.
+ */
+function buildLoanBufferChart(summary, { sinceDays = CHART_HISTORY_DAYS } = {}) {
+  const history = loadHistory("LOAN", summary, summary?.troveId, sinceDays);
+  const points = history.map((h) => {
+    const b = num(h.s?.liquidationBufferFrac);
+    return { t: h.t, v: b != null ? b * 100 : null };
+  });
+  if (points.filter((p) => p.v != null).length < 2) return null;
+
+  const overrides = resolveAlertThresholds({
+    userId: summary.userId,
+    walletId: summary.walletId,
+    contractId: summary.contractId,
+    tokenId: summary.troveId,
+  });
+  const defaults = getDefaultAlertThresholds();
+  const tiers = [
+    ["MEDIUM", pickThreshold(overrides, "liqBufferWarn", defaults.liqBufferWarn)],
+    ["HIGH", pickThreshold(overrides, "liqBufferHigh", defaults.liqBufferHigh)],
+    ["CRITICAL", pickThreshold(overrides, "liqBufferCrit", defaults.liqBufferCrit)],
+  ];
+
+  const idShort = shortenTroveId(summary.troveId);
+  const png = renderLineChart({
+    title: `${summary.protocol || "Loan"} ${idShort} liq buffer (${sinceDays}d)`,
+    yFormat: (v) => `${v.toFixed(Math.abs(v) < 10 ? 1 : 0)}%`,
+    series: [{ label: "Liquidation buffer", color: COLORS.line, points }],
+    hlines: tiers
+      .filter(([, v]) => v != null)
+      .map(([tier, v]) => ({ v: v * 100, color: COLORS[tier], label: tier })),
+  });
+  return toAttachment(
+    png,
+    `loan-${summary.contractId}-${String(summary.troveId).slice(-8)}.png`,
+    `Liquidation buffer history for ${idShort}`
+  );
+}
+
+/**
+ * Pool price vs range band for one (non-ALM) LP summary.
+ */
+function buildLpRangeChart(summary, { sinceDays = CHART_HISTORY_DAYS } = {}) {
+  const history = loadHistory("LP", summary, summary?.tokenId, sinceDays);
+  const price = history.map((h) => ({ t: h.t, v: num(h.s?.currentPrice) }));
+  if (price.filter((p) => p.v != null).length < 2) return null;
+  const band = history.map((h) => ({ t: h.t, lo: num(h.s?.priceLower), hi: num(h.s?.priceUpper) }));
+
+  const pair =
+    summary.pairLabel || `${summary.token0Symbol || "?"}/${summary.token1Symbol || "?"}`;
+  const idShort = shortenTroveId(summary.tokenId);
+  const png = renderLineChart({
+    title: `${pair} ${idShort} price vs range (${sinceDays}d)`,
+    yFormat: fmtAxis,
+    areas: [{ label: "Range", color: COLORS.band, alpha: 0.3, points: band }],
+    series: [{ label: "Pool price", color: COLORS.line, points: price }],
+  });
+  return toAttachment(
+    png,
+    `lp-${summary.contractId}-${String(summary.tokenId).slice(-8)}.png`,
+    `Price vs range history for ${pair} ${idShort}`
+  );
+}
+
+/**
+ * ALM vault share value vs just holding, valued in token1 at each snapshot's pool price.
+ */
+function buildAlmValueChart(summary, { sinceDays = CHART_HISTORY_DAYS } = {}) {
+  const history = loadHistory("LP", summary, summary?.tokenId, sinceDays);
+  const value = [];
+  const hold = [];
+  for (const h of history) {
+    const a0 = num(h.s?.amount0);
+    const a1 = num(h.s?.amount1);
+    const p = num(h.s?.currentPrice);
+    if (a0 == null || a1 == null || p == null) continue;
+    value.push({ t: h.t, v: a0 * p + a1 });
+
+    const d0 = num(h.s?.almSinceStart?.strategyDeltaAmount0);
+    const d1 = num(h.s?.almSinceStart?.strategyDeltaAmount1);
+    hold.push({ t: h.t, v: d0 != null && d1 != null ? (a0 - d0) * p + (a1 - d1) : null });
+  }
+  if (value.length < 2) return null;
+
+  const quote = summary.token1Symbol || "token1";
+  const pair = summary.pairLabel || `${summary.token0Symbol || "?"}/${quote}`;
+  const png = renderLineChart({
+    title: `${pair} ALM value vs holding (${sinceDays}d)`,
+    yFormat: fmtAxis,
+    series: [
+      { label: `Vault share (${quote})`, color: COLORS.line, points: value },
+      { label: `Just holding (${quote})`, color: COLORS.alt, points: hold },
+    ],
+  });
+  return toAttachment(
+    png,
+    `alm-${summary.contractId}-${String(summary.tokenId).slice(-8)}.png`,
+    `ALM value vs just holding for ${pair}`
+  );
+}
+
+/**
+ * Charts for a set of summaries, capped at one message's worth of attachments.
+ * loans: getLoanSummaries() rows, lps: getLpSummaries() rows.
+ */
+function buildPositionCharts({ loans = [], lps = [], max = MAX_CHARTS_PER_MESSAGE, sinceDays } = {}) {
+  const out = [];
+  const tryAdd = (fn, s) => {
+    if (out.length >= max) return;
+    try {
+      const a = fn(s, { sinceDays });
+      if (a) out.push(a);
+    } catch (err) {
+      logger.warn(`[historyCharts] ${fn.name} failed: ${err?.message || err}`);
+    }
+  };
+
+  for (const s of loans) {
+    // PrimeFi summaries keep their own history table
+    if (s?.troveId == null) continue;
+    tryAdd(buildLoanBufferChart, s);
+  }
+  for (const s of lps) {
+    tryAdd(s?.positionModel === "ALM" ? buildAlmValueChart : buildLpRangeChart, s);
+  }
+  return out;
+}
+
+module.exports = {
+  CHART_HISTORY_DAYS,
+  MAX_CHARTS_PER_MESSAGE,
+  buildLoanBufferChart,
+  buildLpRangeChart,
+  buildAlmValueChart,
+  buildPositionCharts,
+};
@@ -0,0 +1,323 @@
+// monitoring/irOptimizer.js
+//
+// Interest-rate recommender for Liquity v2 troves.
+// - Debt ahead at a candidate IR comes from the contract's redemption_rate_snapshots
+//   irCurve (jobs/scanLoanLpPositions.js), minus the trove's own debt once the
+//   candidate passes its current rate
+// - Candidates run from MIN_IR_PCT in 0.1pp steps and are classified with the user's
+//   redemption thresholds; the recommendation is the cheapest rate that keeps the
+//   chosen tier (or safer), plus IR_OPTIMIZER_MARGIN_PP so small debt moves do not
+//   push the trove straight back out
+// - Lowering a rate inside the 7-day window after the last adjustment costs the
+//   premature-adjustment fee (7 days of average interest); the recommender compares
+//   it with the interest saved by waiting for the fee-free time
+//
+// Used by:
+// - handlers/ui/ir-optimizer-ui.js (/my-loans button)
+// - monitoring/dailyHeartbeat.js (users.ir_optimizer_tier section)
+// - commands/redemption-rate.js (computeFeeFromSnapshot)
+
+const { getDb } = require("../db");
+const { shortenTroveId } = require("../utils/ethers/shortenTroveId");
+const { formatLoanTroveLink } = require("../utils/links");
+const { resolveAlertThresholds } = require("./alertThresholds");
+const { getDebtAheadOffsetPpForProtocol } = require("./testOffsets");
+const { classifyRedemptionTierByDebtAhead } = require("./loanMonitor");
+
+function requireNumberEnv(name) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") {
+    throw new Error(`[irOptimizer] Missing required env var ${name}`);
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n)) {
+    throw new Error(`[irOptimizer] Env var ${name} must be numeric (got "${raw}")`);
+  }
+  return n;
+}
+
+const IR_OPTIMIZER_MARGIN_PP = Math.max(0, requireNumberEnv("IR_OPTIMIZER_MARGIN_PP"));
+
+// Liquity v2 MIN_ANNUAL_INTEREST_RATE
+const MIN_IR_PCT = 0.5;
+const IR_STEP_PP = 0.1;
+const ADJUSTMENT_COOLDOWN_SEC = 7 * 24 * 60 * 60;
+
+const TARGET_TIERS = ["LOW", "MEDIUM", "HIGH"];
+const TIER_RANK = { LOW: 0, MEDIUM: 1, HIGH: 2, CRITICAL: 3 };
+const TIER_EMOJI = { LOW: "🟩", MEDIUM: "🟨", HIGH: "🟧", CRITICAL: "🟥" };
+
+function tierEmoji(tier) {
+  return TIER_EMOJI[String(tier || "").toUpperCase()] || "⬜";
+}
+
+function fmtNum(v, digits = 2) {
+  if (v == null || !Number.isFinite(v)) return "n/a";
+  return new Intl.NumberFormat("en-US", {
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits,
+  }).format(v);
+}
+
+function fmtPct(v) {
+  return v == null || !Number.isFinite(v) ? "n/a" : `${v.toFixed(2)}%`;
+}
+
+function clamp01(n) {
+  if (!Number.isFinite(n)) return n;
+  return Math.max(0, Math.min(1, n));
+}
+
+function roundIr(v) {
+  return Math.round(v * 10) / 10;
+}
+
+/**
+ * Premature-adjustment fee if the trove's rate is changed now: 7 days of interest at
+ * the average rate, charged while now < lastInterestRateAdjTime + 7d.
+ */
+function computeFeeFromSnapshot({ debtAmount, avgRatePct, lastInterestRateAdjTime }) {
+  const debt = Number(debtAmount);
+  const rate = Number(avgRatePct);
+  const lastAdj = Number(lastInterestRateAdjTime);
+  if (!Number.isFinite(debt) || !Number.isFinite(rate) || !Number.isFinite(lastAdj) || lastAdj <= 0) {
+    return { feeApplies: false, fee: 0, nextFree: null };
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const nextFree = lastAdj + ADJUSTMENT_COOLDOWN_SEC;
+  const feeApplies = now < nextFree;
+  const fee = feeApplies ? debt * (rate / 100) * (7 / 365) : 0;
+  return { feeApplies, fee, nextFree };
+}
+
+// Fraction of total debt at an IR strictly below irPct ([irPct, frac] points, ascending)
+function fracBelowFromCurve(curve, irPct) {
+  let frac = 0;
+  for (const [ir, f] of curve) {
+    if (ir > irPct + 1e-9) break;
+    frac = f;
+  }
+  return frac;
+}
+
+let _stmts = null;
+function getStmts() {
+  if (_stmts) return _stmts;
+  const db = getDb();
+  _stmts = {
+    selRateSnapshot: db.prepare(`
+      SELECT snapshot_at, snapshot_json
+      FROM redemption_rate_snapshots
+      WHERE contract_id = ?
+    `),
+  };
+  return _stmts;
+}
+
+function loadRateSnapshot(contractId) {
+  const row = getStmts().selRateSnapshot.get(contractId);
+  if (!row?.snapshot_json) return null;
+  try {
+    const snap = JSON.parse(row.snapshot_json);
+    return Array.isArray(snap?.irCurve) && snap.irCurve.length && Number(snap.totalDebt) > 0 ? snap : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Recommendation for one loan summary (loan_position_snapshots shape) against a
+ * redemption-rate snapshot with irCurve. targetTier is LOW | MEDIUM | HIGH.
+ */
+function recommendInterestRate(s, rateSnap, targetTier) {
+  const debt = Number(s.debtAmount);
+  const currentIr = Number(s.interestPct);
+  const totalDebt = Number(rateSnap.totalDebt);
+  const thresholds = resolveAlertThresholds({
+    userId: s.userId,
+    walletId: s.walletId,
+    contractId: s.contractId,
+    tokenId: s.troveId,
+  });
+  const offsetPp = getDebtAheadOffsetPpForProtocol(s.protocol);
+  const offsetFrac = Number.isFinite(offsetPp) ? offsetPp / 100 : 0;
+  const ownFrac = debt / totalDebt;
+
+  const aheadAt = (irPct) => {
+    let frac = fracBelowFromCurve(rateSnap.irCurve, irPct);
+    if (currentIr < irPct - 1e-9) frac -= ownFrac;
+    return clamp01(Math.max(0, frac) + offsetFrac);
+  };
+  const tierAt = (irPct) => classifyRedemptionTierByDebtAhead(aheadAt(irPct), thresholds).tier;
+
+  const currentAhead =
+    typeof s.redemptionDebtAheadPct === "number" && Number.isFinite(s.redemptionDebtAheadPct)
+      ? clamp01(s.redemptionDebtAheadPct + offsetFrac)
+      : aheadAt(currentIr);
+  const currentTier = classifyRedemptionTierByDebtAhead(currentAhead, thresholds).tier;
+
+  // Past the last curve point every other trove is already ahead
+  const curveMax = rateSnap.irCurve[rateSnap.irCurve.length - 1][0];
+  const maxIr = Math.max(curveMax, currentIr) + IR_STEP_PP;
+  const minByTier = {};
+  for (let ir = MIN_IR_PCT; ir <= maxIr + 1e-9; ir = roundIr(ir + IR_STEP_PP)) {
+    const rank = TIER_RANK[tierAt(ir)];
+    for (const t of TARGET_TIERS) {
+      if (minByTier[t] == null && rank != null && rank <= TIER_RANK[t]) minByTier[t] = ir;
+    }
+    if (minByTier.LOW != null) break;
+  }
+
+  const perTier = {};
+  for (const t of TARGET_TIERS) {
+    const ir = minByTier[t];
+    perTier[t] = ir == null ? null : { irPct: ir, annualCost: (debt * ir) / 100 };
+  }
+
+  const fee = computeFeeFromSnapshot({
+    debtAmount: debt,
+    avgRatePct: Number(rateSnap.globalIrPct),
+    lastInterestRateAdjTime: s.lastInterestRateAdjTime,
+  });
+
+  const rec = {
+    summary: s,
+    targetTier,
+    current: { irPct: currentIr, tier: currentTier, aheadPct: currentAhead, annualCost: (debt * currentIr) / 100 },
+    target: null,
+    perTier,
+    fee,
+    action: "UNREACHABLE",
+    annualDelta: null,
+    breakevenDays: null,
+  };
+  if (minByTier[targetTier] == null) return rec;
+
+  const mustRaise = (TIER_RANK[currentTier] ?? TIER_RANK.CRITICAL) > TIER_RANK[targetTier];
+  let targetIr = roundIr(minByTier[targetTier] + IR_OPTIMIZER_MARGIN_PP);
+  // The curve can lag the trove's own snapshot; a raise always moves up at least one step
+  if (mustRaise && targetIr <= currentIr) targetIr = roundIr(currentIr + IR_STEP_PP);
+  rec.target = {
+    irPct: targetIr,
+    tier: tierAt(targetIr),
+    aheadPct: aheadAt(targetIr),
+    annualCost: (debt * targetIr) / 100,
+  };
+  rec.annualDelta = rec.target.annualCost - rec.current.annualCost;
+
+  if (mustRaise) {
+    // Riskier than the chosen tier: raising is worth the fee whatever it costs
+    rec.action = "RAISE";
+  } else if (currentIr - targetIr >= IR_STEP_PP - 1e-9) {
+    const dailySaving = -rec.annualDelta / 365;
+    if (fee.feeApplies && fee.fee > 0) {
+      rec.breakevenDays = dailySaving > 0 ? fee.fee / dailySaving : null;
+      const waitDays = Math.max(0, (fee.nextFree - Date.now() / 1000) / 86400);
+      rec.action = fee.fee < dailySaving * waitDays ? "LOWER_NOW" : "LOWER_LATER";
+    } else {
+      rec.action = "LOWER_NOW";
+    }
+  } else {
+    rec.action = "HOLD";
+  }
+  return rec;
+}
+
+/**
+ * Recommendations for the active Liquity v2 troves in `loanSummaries` (getLoanSummaries rows).
+ * Troves whose contract has no irCurve yet come back with action NO_DATA.
+ */
+function buildIrRecommendations(loanSummaries, targetTier) {
+  const tier = TARGET_TIERS.includes(targetTier) ? targetTier : "LOW";
+  const snapsByContract = new Map();
+  const out = [];
+  for (const s of loanSummaries || []) {
+    if (s?.troveId == null || String(s.status || "").toUpperCase() === "CLOSED") continue;
+    if (!Number.isFinite(Number(s.interestPct)) || !(Number(s.debtAmount) > 0)) continue;
+
+    if (!snapsByContract.has(s.contractId)) snapsByContract.set(s.contractId, loadRateSnapshot(s.contractId));
+    const rateSnap = snapsByContract.get(s.contractId);
+    if (!rateSnap) {
+      out.push({ summary: s, targetTier: tier, action: "NO_DATA" });
+      continue;
+    }
+    out.push(recommendInterestRate(s, rateSnap, tier));
+  }
+  return out;
+}
+
+function formatActionLine(rec) {
+  const unit = "CDP";
+  const { target, fee } = rec;
+  const feeText = fee?.feeApplies && fee.fee > 0 ? `~${fmtNum(fee.fee)} ${unit}` : null;
+  switch (rec.action) {
+    case "RAISE":
+      return (
+        `⬆️ Raise to **${fmtPct(target.irPct)}** now — currently riskier than ${rec.targetTier} ` +
+        `(+${fmtNum(rec.annualDelta)} ${unit}/yr${feeText ? `, adjustment fee ${feeText}` : ", no adjustment fee"})`
+      );
+    case "LOWER_NOW":
+      return (
+        `⬇️ Lower to **${fmtPct(target.irPct)}** now — saves **${fmtNum(-rec.annualDelta)} ${unit}/yr**` +
+        (feeText
+          ? `; fee ${feeText} pays back in ${fmtNum(rec.breakevenDays, 1)} days`
+          : " (no adjustment fee)")
+      );
+    case "LOWER_LATER":
+      return (
+        `⏳ Lower to **${fmtPct(target.irPct)}** after <t:${fee.nextFree}:f> (fee-free) — saves ` +
+        `**${fmtNum(-rec.annualDelta)} ${unit}/yr**; changing now costs ${feeText}` +
+        (rec.breakevenDays != null ? ` (breakeven ${fmtNum(rec.breakevenDays, 1)} days)` : "")
+      );
+    case "HOLD":
+      return `✅ Keep the current rate — already within ${fmtNum(IR_OPTIMIZER_MARGIN_PP, 1)}pp of the cheapest ${rec.targetTier} rate`;
+    default:
+      return `⚠️ No rate keeps this trove in ${rec.targetTier} at current debt levels`;
+  }
+}
+
+/**
+ * Embed field for one buildIrRecommendations() entry.
+ */
+function formatIrRecommendationField(rec) {
+  const s = rec.summary;
+  const troveLabel = shortenTroveId(s.troveId);
+  const name = `${tierEmoji(rec.current?.tier)} ${s.protocol || "UNKNOWN"} (${s.chainId || "?"}) — trove ${troveLabel}`;
+
+  const lines = [`Trove: ${formatLoanTroveLink(s.protocol, s.troveId, troveLabel)}`];
+  if (s.walletLabel) lines.push(`Label: **${s.walletLabel}**`);
+  if (rec.action === "NO_DATA") {
+    lines.push("_No redemption-rate curve for this contract yet; try again after the next scan._");
+    return { name, value: lines.join("\n") };
+  }
+
+  const { current, target, perTier } = rec;
+  lines.push(
+    `Now: **${fmtPct(current.irPct)}** (${tierEmoji(current.tier)} ${current.tier}) · ` +
+      `**${fmtNum(current.annualCost)} CDP/yr**`
+  );
+  if (target) {
+    lines.push(
+      `Target ${rec.targetTier}: **${fmtPct(target.irPct)}** (${tierEmoji(target.tier)} ${target.tier}, ` +
+        `${(target.aheadPct * 100).toFixed(2)}% ahead) · **${fmtNum(target.annualCost)} CDP/yr**`
+    );
+  }
+  lines.push(formatActionLine(rec));
+  lines.push(
+    `Cheapest per tier: ${TARGET_TIERS.map(
+      (t) => `${tierEmoji(t)} ${perTier[t] ? `${perTier[t].irPct.toFixed(1)}%` : "n/a"}`
+    ).join(" · ")}`
+  );
+
+  let value = lines.join("\n");
+  if (value.length > 1024) value = value.slice(0, 1020) + "…";
+  return { name, value };
+}
+
+module.exports = {
+  TARGET_TIERS,
+  IR_OPTIMIZER_MARGIN_PP,
+  computeFeeFromSnapshot,
+  buildIrRecommendations,
+  formatIrRecommendationField,
+};
@@ -15,15 +15,27 @@ const https = require("https");
 const troveNftAbi = require("../abi/troveNFT.json");
 const troveManagerAbi = require("../abi/troveManager.json");
 const priceFeedAbi = require("../abi/priceFeed.json");
-const erc20MetadataAbi = require("../abi/erc20Metadata.json");
 const uniswapV3PoolAbi = require("../abi/uniswapV3Pool.json");
 const sortedTrovesAbi = require("../abi/sortedTroves.json");
 const activePoolAbi = require("../abi/activePool.json");
 
 const { getDb } = require("../db");
 const { getProviderForChain } = require("../utils/ethers/providers");
+const { getBatchedProvider, forEachConcurrent } = require("../utils/ethers/multicall");
 const { acquireLock, releaseLock } = require("../utils/lock");
-const { handleLiquidationAlert, handleRedemptionAlert } = require("./alertEngine");
+const { getTokenSymbol, getTokenDecimals } = require("../utils/tokenRegistry");
+const { GLOBAL_IR_FORK } = require("../utils/liquityV2Registry");
+const {
+  handleLiquidationAlert,
+  handleRedemptionAlert,
+  handleRedemptionHitAlert,
+  handleRedemptionTrendAlert,
+} = require("./alertEngine");
+const { resolveAlertThresholds, pickThreshold } = require("./alertThresholds");
+const { checkPriceAlertsForPosition } = require("./priceAlerts");
+const { appendSnapshotHistory } = require("./snapshotHistory");
+const { getRecentRedemptionHits } = require("./redemptionHits");
+const { computeDebtAheadTrend, REDEMP_TREND_HORIZON_HOURS } = require("./redemptionTrend");
 const {
   applyGlobalIrOffset,
   applyPriceMultiplier,
@@ -257,8 +269,10 @@ async function fetchGlobalIrPctMap() {
   return out;
 }
 
+// GLOBAL_IR_URL only describes one fork's branches; other Liquity v2 forks have no global IR
 function inferBranchKeyFromProtocol(protocol) {
   const p = (protocol || "").toUpperCase();
+  if (!p.startsWith(`${GLOBAL_IR_FORK}_`)) return null;
   if (p.includes("STXRP")) return "STXRP";
   if (p.includes("SFLR")) return "SFLR";
   if (p.includes("FXRP")) return "FXRP";
@@ -278,30 +292,49 @@ function getGlobalInterestRatePctFromMap(protocol, globalIrMap) {
 // -----------------------------
 // Tier classifiers
 // -----------------------------
-function classifyRedemptionTierByDebtAhead(debtAheadPct) {
+// `thresholds` is the optional per-user override set from resolveAlertThresholds();
+// unset keys fall back to the env tiers.
+function classifyRedemptionTierByDebtAhead(debtAheadPct, thresholds = null) {
   if (debtAheadPct == null || !Number.isFinite(debtAheadPct)) {
     return { tier: "UNKNOWN", debtAheadPct: null };
   }
-  if (debtAheadPct >= REDEMP_DEBT_AHEAD_LOW_PCT) {
+  const lowPct = pickThreshold(thresholds, "redempDebtAheadLowPct", REDEMP_DEBT_AHEAD_LOW_PCT);
+  const medPct = pickThreshold(thresholds, "redempDebtAheadMedPct", REDEMP_DEBT_AHEAD_MED_PCT);
+  const highPct = pickThreshold(thresholds, "redempDebtAheadHighPct", REDEMP_DEBT_AHEAD_HIGH_PCT);
+  if (debtAheadPct >= lowPct) {
     return { tier: "LOW", debtAheadPct };
   }
-  if (debtAheadPct >= REDEMP_DEBT_AHEAD_MED_PCT) {
+  if (debtAheadPct >= medPct) {
     return { tier: "MEDIUM", debtAheadPct };
   }
-  if (debtAheadPct >= REDEMP_DEBT_AHEAD_HIGH_PCT) {
+  if (debtAheadPct >= highPct) {
     return { tier: "HIGH", debtAheadPct };
   }
   return { tier: "CRITICAL", debtAheadPct };
 }
 
-function classifyLiquidationRisk(bufferFrac) {
+function classifyLiquidationRisk(bufferFrac, thresholds = null) {
   if (bufferFrac == null || !Number.isFinite(bufferFrac)) return { tier: "UNKNOWN" };
-  if (bufferFrac <= LIQ_BUFFER_CRIT) return { tier: "CRITICAL" };
-  if (bufferFrac <= LIQ_BUFFER_HIGH) return { tier: "HIGH" };
-  if (bufferFrac <= LIQ_BUFFER_WARN) return { tier: "MEDIUM" };
+  if (bufferFrac <= pickThreshold(thresholds, "liqBufferCrit", LIQ_BUFFER_CRIT)) return { tier: "CRITICAL" };
+  if (bufferFrac <= pickThreshold(thresholds, "liqBufferHigh", LIQ_BUFFER_HIGH)) return { tier: "HIGH" };
+  if (bufferFrac <= pickThreshold(thresholds, "liqBufferWarn", LIQ_BUFFER_WARN)) return { tier: "MEDIUM" };
   return { tier: "LOW" };
 }
 
+function getRowAlertThresholds(row) {
+  try {
+    return resolveAlertThresholds({
+      userId: row?.userId,
+      walletId: row?.walletId,
+      contractId: row?.contractId,
+      tokenId: row?.troveId,
+    });
+  } catch (err) {
+    logger.warn(`[loanMonitor] Failed to load alert thresholds: ${err?.message || err}`);
+    return null;
+  }
+}
+
 async function getActivePoolStats(provider, troveManagerAddr) {
   const tm = new ethers.Contract(troveManagerAddr, troveManagerAbi, provider);
   const activePoolAddr = await tm.activePool();
@@ -322,8 +355,7 @@ async function computeDebtInFront(provider, troveManagerAddr, troveId) {
   const sorted = new ethers.Contract(sortedAddr, sortedTrovesAbi, provider);
   const target = BigInt(troveId).toString();
 
-  const first = await sorted.getFirst();
-  const last = await sorted.getLast();
+  const [first, last] = await Promise.all([sorted.getFirst(), sorted.getLast()]);
   const firstId = first != null ? BigInt(first).toString() : "0";
   const lastId = last != null ? BigInt(last).toString() : "0";
 
@@ -338,18 +370,21 @@ async function computeDebtInFront(provider, troveManagerAddr, troveId) {
   };
   const [firstIr, lastIr] = await Promise.all([fetchIrPct(firstId), fetchIrPct(lastId)]);
 
-  let current = await sorted.getLast();
+  let current = last;
   let currentId = current != null ? BigInt(current).toString() : "0";
   let totalDebt = 0;
   let count = 0;
   const maxSteps = 50000;
 
   while (currentId !== "0" && currentId !== target) {
-    const latest = await tm.getLatestTroveData(currentId);
+    // Both reads depend only on currentId, so one step is one batch
+    const [latest, prev] = await Promise.all([
+      tm.getLatestTroveData(currentId),
+      sorted.getPrev(currentId),
+    ]);
     const debtNorm = Number(ethers.formatUnits(latest.entireDebt, 18));
     if (Number.isFinite(debtNorm)) totalDebt += debtNorm;
 
-    const prev = await sorted.getPrev(currentId);
     const nextId = prev != null ? BigInt(prev).toString() : "0";
     if (nextId === currentId) break;
 
@@ -391,14 +426,11 @@ async function getCdpPriceFromPool(provider) {
   const tick = Number(rawTick);
   if (!Number.isFinite(tick)) throw new Error(`Invalid tick from pool slot0: ${rawTick}`);
 
-  const token0Contract = new ethers.Contract(token0, erc20MetadataAbi, provider);
-  const token1Contract = new ethers.Contract(token1, erc20MetadataAbi, provider);
-
   const [sym0, sym1, dec0, dec1] = await Promise.all([
-    token0Contract.symbol(),
-    token1Contract.symbol(),
-    token0Contract.decimals(),
-    token1Contract.decimals(),
+    getTokenSymbol(provider, "FLR", token0),
+    getTokenSymbol(provider, "FLR", token1),
+    getTokenDecimals(provider, "FLR", token0),
+    getTokenDecimals(provider, "FLR", token1),
   ]);
 
   const sym0U = String(sym0 || "").toUpperCase();
@@ -572,6 +604,7 @@ function upsertLoanSnapshot(snapshot, runId) {
     snapshot_run_id: runId,
     snapshot_json: JSON.stringify(snapshot),
   });
+  appendSnapshotHistory("LOAN", snapshot);
 }
 
 function cleanupLoanSnapshots(runId) {
@@ -596,20 +629,13 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
   ]);
 
   const troveManager = new ethers.Contract(troveManagerAddr, troveManagerAbi, provider);
-  const collToken = new ethers.Contract(collTokenAddr, erc20MetadataAbi, provider);
-
-  let collDecimals = 18;
-  let collSymbol = "";
-  try {
-    [collDecimals, collSymbol] = await Promise.all([
-      collToken.decimals().catch(() => 18),
-      collToken.symbol().catch(() => ""),
-    ]);
-  } catch (_) {}
 
-  const [latest, statusCode] = await Promise.all([
+  const [collDecimals, collSymbol, latest, statusCode, priceFeedAddr] = await Promise.all([
+    getTokenDecimals(provider, chainId, collTokenAddr).catch(() => 18),
+    getTokenSymbol(provider, chainId, collTokenAddr).catch(() => ""),
     troveManager.getLatestTroveData(troveId),
     troveManager.getTroveStatus(troveId),
+    troveManager.priceFeed(),
   ]);
 
   const debtNorm = Number(ethers.formatUnits(latest.entireDebt, 18));
@@ -656,7 +682,6 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
     icr: null,
   };
 
-  const priceFeedAddr = await troveManager.priceFeed();
   const priceFeed = new ethers.Contract(priceFeedAddr, priceFeedAbi, provider);
   const { rawPrice, source } = await getOraclePrice(priceFeed);
 
@@ -664,7 +689,11 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
 
   const priceNormRaw = Number(ethers.formatUnits(rawPrice, 18));
   const priceNorm = applyPriceMultiplier(priceNormRaw, protocol);
-  const mcrNorm = Number(ethers.formatUnits(await troveManager.MCR(), 18));
+  const [mcrRaw, icrRaw] = await Promise.all([
+    troveManager.MCR(),
+    troveManager.getCurrentICR(troveId, rawPrice).catch(() => null),
+  ]);
+  const mcrNorm = Number(ethers.formatUnits(mcrRaw, 18));
 
   const collValue = collNorm * priceNorm;
   const ltv = collValue > 0 ? debtNorm / collValue : 0;
@@ -672,12 +701,11 @@ async function summarizeLoanPosition(provider, chainId, protocol, row, globalIrM
 
   let icrNorm = null;
   try {
-    const icrRaw = await troveManager.getCurrentICR(troveId, rawPrice);
     icrNorm = icrRaw != null ? Number(ethers.formatUnits(icrRaw, 18)) : null;
   } catch (_) {}
 
   const bufferFrac = priceNorm > 0 ? (priceNorm - liquidationPrice) / priceNorm : null;
-  const liqClass = classifyLiquidationRisk(bufferFrac);
+  const liqClass = classifyLiquidationRisk(bufferFrac, getRowAlertThresholds(row));
 
   return {
     ...base,
@@ -714,11 +742,10 @@ async function describeLoanPosition(
   ]);
 
   const troveManager = new ethers.Contract(troveManagerAddr, troveManagerAbi, provider);
-  const collToken = new ethers.Contract(collTokenAddr, erc20MetadataAbi, provider);
 
   const [collDecimals, collSymbol, latest, statusCode] = await Promise.all([
-    collToken.decimals(),
-    collToken.symbol().catch(() => ""),
+    getTokenDecimals(provider, chainId, collTokenAddr),
+    getTokenSymbol(provider, chainId, collTokenAddr).catch(() => ""),
     troveManager.getLatestTroveData(troveId),
     troveManager.getTroveStatus(troveId),
   ]);
@@ -748,7 +775,8 @@ async function describeLoanPosition(
   const bufferFrac =
     priceNorm > 0 && liquidationPrice != null ? (priceNorm - liquidationPrice) / priceNorm : null;
 
-  const liqClass = classifyLiquidationRisk(bufferFrac);
+  const thresholds = getRowAlertThresholds(row);
+  const liqClass = classifyLiquidationRisk(bufferFrac, thresholds);
 
   const debtSnap = getDebtAheadSnapshot({ userId, walletId, contractId, troveId });
   const snapshotAt = new Date().toISOString();
@@ -802,7 +830,7 @@ async function describeLoanPosition(
   if (debtAheadPct != null && Number.isFinite(totalOffsetPp) && totalOffsetPp !== 0) {
     debtAheadPct = clamp01(debtAheadPct + totalOffsetPp / 100);
   }
-  const redDebtClass = classifyRedemptionTierByDebtAhead(debtAheadPct);
+  const redDebtClass = classifyRedemptionTierByDebtAhead(debtAheadPct, thresholds);
   const redTierFinal = redDebtClass.tier;
   const redIsActiveFinal = debtAheadPct != null;
 
@@ -846,6 +874,41 @@ async function describeLoanPosition(
     status: statusStr,
   });
 
+  await alertRedemptionTrend({
+    userId,
+    walletId,
+    contractId,
+    troveId,
+    protocol,
+    owner,
+    walletLabel,
+    chainId,
+    thresholds,
+    rawDebtAheadPct: debtSnap?.redemptionDebtAheadPct,
+    debtAheadPct,
+    tier: redTierFinal,
+    loanIR,
+    // Debt ahead on this path still comes from the stored snapshot, so date the point by it
+    snapshotAt: debtSnap?.snapshotAt || snapshotAt,
+    snapshotSource: "rpc",
+  });
+
+  await checkPriceAlertsForPosition({
+    positionKind: "LOAN",
+    userId,
+    walletId,
+    contractId,
+    positionId: String(troveId),
+    currentPrice: priceNorm,
+    assetLabel: collSymbol || "Collateral",
+    priceUnit: "USD",
+    protocol,
+    wallet: owner,
+    walletLabel,
+    chainId,
+    snapshotAt,
+    snapshotSource: "rpc",
+  });
 }
 
 async function describeLoanFromSnapshot(row, snapshot, { cdpState } = {}) {
@@ -896,7 +959,8 @@ async function describeLoanFromSnapshot(row, snapshot, { cdpState } = {}) {
     bufferFrac = (currentPrice - liquidationPrice) / currentPrice;
   }
 
-  const liqClass = classifyLiquidationRisk(bufferFrac);
+  const thresholds = getRowAlertThresholds(row);
+  const liqClass = classifyLiquidationRisk(bufferFrac, thresholds);
   const liqTierFinal = liqClass.tier;
   const liqIsActiveFinal = liqTierFinal !== "UNKNOWN";
 
@@ -939,7 +1003,7 @@ async function describeLoanFromSnapshot(row, snapshot, { cdpState } = {}) {
     debtAheadPct = applyDebtAheadOffsetPct(debtAheadPct, protocol);
   }
 
-  const redDebtClass = classifyRedemptionTierByDebtAhead(debtAheadPct);
+  const redDebtClass = classifyRedemptionTierByDebtAhead(debtAheadPct, thresholds);
   const redTierFinal = redDebtClass.tier;
   const redIsActiveFinal = debtAheadPct != null;
 
@@ -986,6 +1050,143 @@ async function describeLoanFromSnapshot(row, snapshot, { cdpState } = {}) {
     isCDPActive: cdpIsActive,
     status: statusStr,
   });
+
+  await alertRedemptionTrend({
+    userId,
+    walletId,
+    contractId,
+    troveId,
+    protocol,
+    owner,
+    walletLabel,
+    chainId,
+    thresholds,
+    rawDebtAheadPct: snapshot.redemptionDebtAheadPct,
+    debtAheadPct,
+    tier: redTierFinal,
+    loanIR,
+    snapshotAt,
+    snapshotSource: "snapshot",
+  });
+
+  await checkPriceAlertsForPosition({
+    positionKind: "LOAN",
+    userId,
+    walletId,
+    contractId,
+    positionId: String(troveId),
+    currentPrice,
+    assetLabel: snapshot.collSymbol || "Collateral",
+    priceUnit: "USD",
+    protocol,
+    wallet: owner,
+    walletLabel,
+    chainId,
+    snapshotAt,
+    snapshotSource: "snapshot",
+  });
+}
+
+// Projected slide into the next worse redemption tier, from the debt-ahead pace across
+// snapshot history. Failures only cost the trend alert, never the cycle.
+async function alertRedemptionTrend(ctx) {
+  try {
+    const trend = computeDebtAheadTrend(
+      {
+        userId: ctx.userId,
+        walletId: ctx.walletId,
+        contractId: ctx.contractId,
+        troveId: ctx.troveId,
+        thresholds: ctx.thresholds,
+      },
+      {
+        snapshotAt: ctx.snapshotAt,
+        rawDebtAheadPct: ctx.rawDebtAheadPct,
+        debtAheadPct: ctx.debtAheadPct,
+        tier: ctx.tier,
+        interestPct: ctx.loanIR,
+      }
+    );
+    await handleRedemptionTrendAlert({
+      userId: ctx.userId,
+      walletId: ctx.walletId,
+      contractId: ctx.contractId,
+      positionId: String(ctx.troveId),
+      protocol: ctx.protocol,
+      wallet: ctx.owner,
+      walletLabel: ctx.walletLabel,
+      walletAddress: ctx.owner,
+      chainId: ctx.chainId,
+      tier: ctx.tier,
+      debtAheadPct: ctx.debtAheadPct,
+      loanIR: ctx.loanIR,
+      trend,
+      horizonHours: REDEMP_TREND_HORIZON_HOURS,
+      snapshotAt: ctx.snapshotAt,
+      snapshotSource: ctx.snapshotSource,
+    });
+  } catch (err) {
+    logger.warn(`[loanMonitor] Redemption trend failed troveId=${ctx.troveId}: ${err?.message || err}`);
+  }
+}
+
+// Redemptions that hit this trove since the last cycle (indexed TroveOperation events).
+// The debt-ahead / tier shown are from the last snapshot taken before the hit.
+async function alertRedemptionHits(row) {
+  let hits;
+  try {
+    hits = getRecentRedemptionHits(row);
+  } catch (err) {
+    logger.warn(`[loanMonitor] Redemption hit lookup failed troveId=${row.troveId}: ${err?.message || err}`);
+    return;
+  }
+  if (!hits.length) return;
+
+  const thresholds = getRowAlertThresholds(row);
+  for (const hit of hits) {
+    const snap = hit.before?.snapshot || null;
+    const preDebtAheadPct =
+      typeof snap?.redemptionDebtAheadPct === "number" && Number.isFinite(snap.redemptionDebtAheadPct)
+        ? snap.redemptionDebtAheadPct
+        : null;
+
+    try {
+      await handleRedemptionHitAlert({
+        userId: row.userId,
+        walletId: row.walletId,
+        contractId: row.contractId,
+        positionId: String(row.troveId),
+        eventId: hit.eventId,
+
+        protocol: row.protocol,
+        wallet: row.owner,
+        walletLabel: row.walletLabel,
+        walletAddress: row.owner,
+        chainId: row.chainId,
+        collSymbol: snap?.collSymbol || null,
+
+        txHash: hit.txHash,
+        blockNumber: hit.blockNumber,
+        blockTimestamp: hit.blockTimestamp,
+        debtRedeemed: hit.debtRedeemed,
+        collRedeemed: hit.collRedeemed,
+        collFee: hit.collFee,
+        effectivePrice: hit.effectivePrice,
+        oraclePrice: hit.oraclePrice,
+        debtAfter: hit.debtAfter,
+        collAfter: hit.collAfter,
+        loanIR: hit.interestPct,
+
+        preDebtAheadPct,
+        preTier: classifyRedemptionTierByDebtAhead(preDebtAheadPct, thresholds).tier,
+        preSnapshotAt: hit.before?.snapshotAt || null,
+      });
+    } catch (err) {
+      logger.error(
+        `[loanMonitor] Redemption hit alert failed troveId=${row.troveId} eventId=${hit.eventId}: ${err?.message || err}`
+      );
+    }
+  }
 }
 
 // -----------------------------
@@ -1021,6 +1222,8 @@ async function monitorLoans() {
       let provider = null;
 
       for (const row of chainRows) {
+        await alertRedemptionHits(row);
+
         const debtSnap = getDebtAheadSnapshot({
           userId: row.userId,
           walletId: row.walletId,
@@ -1206,18 +1409,21 @@ async function refreshLoanSnapshots() {
   }
 
   const providers = {};
-  const getP = (chainId) => (providers[chainId] ||= getProviderForChain(chainId, CHAINS_CONFIG));
+  const getP = (chainId) =>
+    (providers[chainId] ||= getBatchedProvider(getProviderForChain(chainId, CHAINS_CONFIG)));
+  // Promises, so concurrent rows on the same contract share one lookup
   const poolStatsByContract = new Map();
   const troveManagerByNft = new Map();
 
-  for (const row of rows) {
+  // Rows run MULTICALL_CONCURRENCY at a time so their reads share Multicall3 batches
+  await forEachConcurrent(rows, async (row) => {
     const chainId = String(row.chainId || "").toUpperCase();
     let provider;
     try {
       provider = getP(chainId);
     } catch (e) {
       logger.warn(`[loanMonitor] Skipping chain ${chainId} for snapshots: ${e?.message || e}`);
-      continue;
+      return;
     }
 
     const protocol = row.protocol || "UNKNOWN_PROTOCOL";
@@ -1226,26 +1432,19 @@ async function refreshLoanSnapshots() {
       const nftAddr = row.contract;
       if (nftAddr) {
         if (!troveManagerByNft.has(nftAddr)) {
-          try {
-            const nft = new ethers.Contract(nftAddr, troveNftAbi, provider);
-            const tmAddr = await nft.troveManager();
-            troveManagerByNft.set(nftAddr, tmAddr);
-          } catch (e) {
-            troveManagerByNft.set(nftAddr, null);
-          }
+          const nft = new ethers.Contract(nftAddr, troveNftAbi, provider);
+          troveManagerByNft.set(nftAddr, nft.troveManager().catch(() => null));
         }
-        const troveManagerAddr = troveManagerByNft.get(nftAddr);
-        if (!troveManagerAddr) continue;
+        const troveManagerAddr = await troveManagerByNft.get(nftAddr);
+        if (!troveManagerAddr) return;
 
         if (!poolStatsByContract.has(troveManagerAddr)) {
-          try {
-            const stats = await getActivePoolStats(provider, troveManagerAddr);
-            poolStatsByContract.set(troveManagerAddr, stats);
-          } catch (e) {
-            poolStatsByContract.set(troveManagerAddr, null);
-          }
+          poolStatsByContract.set(
+            troveManagerAddr,
+            getActivePoolStats(provider, troveManagerAddr).catch(() => null)
+          );
         }
-        const stats = poolStatsByContract.get(troveManagerAddr);
+        const stats = await poolStatsByContract.get(troveManagerAddr);
         const avgIr = stats?.avgIrPct ?? null;
         const totalDebt = stats?.totalDebt ?? null;
         if (row.contractId != null) {
@@ -1275,7 +1474,10 @@ async function refreshLoanSnapshots() {
             totalDebt > 0
               ? adjustedDebtAheadPct * totalDebt
               : debtInfo?.debtInFront ?? null;
-          const redDebt = classifyRedemptionTierByDebtAhead(adjustedDebtAheadPct);
+          const redDebt = classifyRedemptionTierByDebtAhead(
+            adjustedDebtAheadPct,
+            getRowAlertThresholds(row)
+          );
           s.redemptionTier = redDebt.tier;
           s.redemptionDebtAhead = adjustedDebtAhead;
           s.redemptionDebtAheadPct = adjustedDebtAheadPct;
@@ -1312,7 +1514,7 @@ async function refreshLoanSnapshots() {
         `[loanMonitor] Failed snapshot troveId=${row.troveId} chain=${chainId} protocol=${protocol}: ${e?.message || e}`
       );
     }
-  }
+  });
 
   cleanupLoanSnapshots(runId);
   return sharedContractContext;
@@ -1324,4 +1526,6 @@ module.exports = {
   refreshLoanSnapshots,
   getCdpPrice,
   classifyCdpRedemptionState,
+  classifyLiquidationRisk,
+  classifyRedemptionTierByDebtAhead,
 };
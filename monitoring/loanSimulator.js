@@ -0,0 +1,110 @@
+// monitoring/loanSimulator.js
+//
+// "What-if" math for Liquity-style troves (/loan-simulate). Read-only: works on the
+// loan_position_snapshots row written by loanMonitor (summarizeLoanPosition output
+// plus the computeDebtInFront redemption fields) and never touches the chain.
+//
+// Model:
+// - collateral / debt deltas apply to this trove only
+// - price shock scales the oracle price (collateral USD price)
+// - debt ahead (troves with a lower IR) is unchanged by this trove's own debt;
+//   total debt moves by the debt delta, so debt-ahead % shifts slightly
+// - upfront borrowing fees and protocol minimum debt are not modelled
+
+const { classifyLiquidationRisk, classifyRedemptionTierByDebtAhead } = require("./loanMonitor");
+
+function isNum(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+function computeLoanMetrics({ collAmount, debtAmount, price, mcr, debtAhead, totalDebt }, thresholds) {
+  const collValue = isNum(collAmount) && isNum(price) ? collAmount * price : null;
+  const icr = collValue != null && debtAmount > 0 ? collValue / debtAmount : null;
+  const ltv = collValue ? debtAmount / collValue : null;
+  const liquidationPrice = isNum(mcr) && collAmount > 0 ? (debtAmount * mcr) / collAmount : null;
+  const bufferFrac =
+    isNum(price) && price > 0 && liquidationPrice != null ? (price - liquidationPrice) / price : null;
+  const debtAheadPct = isNum(debtAhead) && isNum(totalDebt) && totalDebt > 0 ? debtAhead / totalDebt : null;
+
+  return {
+    collAmount,
+    debtAmount,
+    price,
+    icr,
+    ltvPct: ltv != null ? ltv * 100 : null,
+    liquidationPrice,
+    liquidationBufferFrac: bufferFrac,
+    liquidationTier: classifyLiquidationRisk(bufferFrac, thresholds).tier,
+    belowMcr: icr != null && isNum(mcr) ? icr < mcr : false,
+    debtAhead: isNum(debtAhead) ? debtAhead : null,
+    totalDebt: isNum(totalDebt) ? totalDebt : null,
+    debtAheadPct,
+    redemptionTier: classifyRedemptionTierByDebtAhead(debtAheadPct, thresholds).tier,
+  };
+}
+
+/**
+ * actions = { addColl, removeColl, borrow, repay, priceShockPct } (all optional, >= 0 except shock)
+ * Returns { current, simulated, warnings } or { error }.
+ */
+function simulateLoanPosition(snapshot, actions = {}, thresholds = null) {
+  const collAmount = Number(snapshot?.collAmount);
+  const debtAmount = Number(snapshot?.debtAmount);
+  const price = Number(snapshot?.price);
+  const mcr = Number(snapshot?.mcr);
+
+  if (!isNum(collAmount) || !isNum(debtAmount)) {
+    return { error: "This loan snapshot has no collateral/debt data yet." };
+  }
+  if (!snapshot?.hasPrice || !isNum(price) || price <= 0 || !isNum(mcr)) {
+    return { error: "No oracle price / MCR in the latest snapshot; try again after the next refresh." };
+  }
+
+  const addColl = Number(actions.addColl || 0);
+  const removeColl = Number(actions.removeColl || 0);
+  const borrow = Number(actions.borrow || 0);
+  const repay = Number(actions.repay || 0);
+  const shockPct = Number(actions.priceShockPct || 0);
+
+  if ([addColl, removeColl, borrow, repay].some((v) => !isNum(v) || v < 0)) {
+    return { error: "Amounts must be zero or positive." };
+  }
+  if (!isNum(shockPct) || shockPct <= -100) {
+    return { error: "Price shock must be greater than -100%." };
+  }
+
+  const newColl = collAmount + addColl - removeColl;
+  const newDebt = debtAmount + borrow - repay;
+  if (newColl < 0) return { error: "You cannot remove more collateral than the trove holds." };
+  if (newDebt < 0) return { error: "You cannot repay more than the trove's debt." };
+
+  const debtAhead = Number(snapshot.redemptionDebtAhead);
+  const totalDebt = Number(snapshot.redemptionTotalDebt);
+  const newTotalDebt = isNum(totalDebt) ? Math.max(0, totalDebt + (newDebt - debtAmount)) : null;
+
+  const current = computeLoanMetrics(
+    { collAmount, debtAmount, price, mcr, debtAhead, totalDebt },
+    thresholds
+  );
+  const simulated = computeLoanMetrics(
+    {
+      collAmount: newColl,
+      debtAmount: newDebt,
+      price: price * (1 + shockPct / 100),
+      mcr,
+      debtAhead,
+      totalDebt: newTotalDebt,
+    },
+    thresholds
+  );
+
+  const warnings = [];
+  if (newDebt === 0) warnings.push("Debt would be fully repaid (the trove would be closed).");
+  else if (newColl === 0) warnings.push("No collateral left: the trove cannot stay open with debt.");
+  else if (simulated.belowMcr) warnings.push("ICR would be below MCR: the trove would be liquidatable.");
+  if (!isNum(debtAhead) || !isNum(totalDebt)) warnings.push("No debt-ahead data in the snapshot; redemption tier unavailable.");
+
+  return { current, simulated, warnings, mcr };
+}
+
+module.exports = { simulateLoanPosition };
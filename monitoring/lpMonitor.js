@@ -5,6 +5,9 @@
 //   - NFT LPs: (user_wallets + contracts(kind=LP_NFT) + nft_tokens current owner)
 //   - ALM LPs: (user_wallets + contracts(kind=LP_ALM))
 // - Uses lp_token_meta.pair_label when available
+// - Skips positions in position_ignores and auto-hidden spam (position_spam_flags HIGH + AUTO)
+// - Token symbol/decimals from token_registry, pool address/flavor from pool_registry
+//   (utils/tokenRegistry.js, utils/poolRegistry.js); both filled on first lookup
 // - Persists previous range status in alert_state.state_json (via alertEngine) - no extra tables
 // - Provider endpoints come from .env (FLR_MAINNET, XDC_MAINNET, etc.)
 // - Keeps existing range-tier logic + alertEngine integration intact
@@ -13,13 +16,13 @@
 // - amount0/amount1 principal amounts (Uniswap v3 math) from liquidity + slot0.sqrtPriceX96
 // - fees: prefer "callStatic collect" (simulated) to show current uncollected fees,
 //         fallback to tokensOwed0/tokensOwed1 when collect isn't available.
+// - lpPnl: deposit/withdraw/collect totals from lp_liquidity_events (monitoring/lpPnl.js)
 
 const { ethers } = require("ethers");
 
 const positionManagerAbi = require("../abi/positionManager.json");
 const uniswapV3FactoryAbi = require("../abi/uniswapV3Factory.json");
 const uniswapV3PoolAbi = require("../abi/uniswapV3Pool.json");
-const erc20MetadataAbi = require("../abi/erc20Metadata.json");
 const JSBI = require("jsbi");
 const { TickMath, SqrtPriceMath } = require("@uniswap/v3-sdk");
 const algebraFactoryAbi = [
@@ -102,9 +105,16 @@ async function readAlgebraGlobalState(provider, poolAddr) {
 
 const { getDb } = require("../db");
 const { getProviderForChain } = require("../utils/ethers/providers");
+const { getBatchedProvider, forEachConcurrent } = require("../utils/ethers/multicall");
 const { acquireLock, releaseLock } = require("../utils/lock");
 const { getAlmPeripheryAddress } = require("../utils/almConfig");
+const { getTokenSymbol, getTokenDecimals, rememberToken } = require("../utils/tokenRegistry");
+const { getRegisteredPool, registerPool } = require("../utils/poolRegistry");
 const { handleLpRangeAlert } = require("./alertEngine");
+const { resolveAlertThresholds, pickThreshold } = require("./alertThresholds");
+const { checkPriceAlertsForPosition } = require("./priceAlerts");
+const { appendSnapshotHistory } = require("./snapshotHistory");
+const { attachLpPnl } = require("./lpPnl");
 const { applyLpTickShift, applyAlmFlowOverride, logRunApplied } = require("./testOffsets");
 const logger = require("../utils/logger");
 
@@ -261,31 +271,91 @@ function isLpTierAtLeast(tier, minTier) {
 }
 
 // -----------------------------
-// Token caches (best-effort)
+// Pool discovery (pool_registry)
 // -----------------------------
-const tokenSymbolCache = new Map();
-const tokenDecimalsCache = new Map();
+function isZeroAddr(addr) {
+  return !addr || addr === ethers.ZeroAddress;
+}
+
+/**
+ * Pool for a V3-style position: pool_registry first, else factory lookup
+ * (Uniswap getPool(t0, t1, fee), then Algebra poolByPair / getPool(t0, t1)), registered
+ * once found. Returns { poolAddr, factoryAddr, flavor } or null.
+ */
+async function resolvePool(provider, pm, { chainId, contract, token0, token1, fee, tokenId, protocol, logPrefix = "" }) {
+  const key = { chainId, positionManager: contract, token0, token1, fee };
+  const registered = getRegisteredPool(key);
+  if (registered) return registered;
+
+  const factoryAddr = await pm.factory();
+  if (isZeroAddr(factoryAddr)) {
+    logger.debug(
+      `[LP][${chainId}] ${logPrefix}factory missing/zero tokenId=${tokenId} protocol=${protocol}`
+    );
+    return null;
+  }
+
+  let poolAddr = null;
+  let flavor = String(protocol || "").toUpperCase().includes("_V4") ? "ALGEBRA" : "UNISWAP_V3";
+  const factory = new ethers.Contract(factoryAddr, uniswapV3FactoryAbi, provider);
+  try {
+    poolAddr = await factory.getPool(token0, token1, fee);
+  } catch (_) {}
+  if (isZeroAddr(poolAddr)) {
+    flavor = "ALGEBRA";
+    const algFactory = new ethers.Contract(factoryAddr, algebraFactoryAbi, provider);
+    try {
+      poolAddr = await algFactory.poolByPair(token0, token1);
+    } catch (_) {}
+    if (isZeroAddr(poolAddr)) {
+      try {
+        poolAddr = await algFactory.getPool(token0, token1);
+      } catch (_) {}
+    }
+  }
 
-async function getTokenSymbol(provider, address) {
-  const key = (address || "").toLowerCase();
-  if (tokenSymbolCache.has(key)) return tokenSymbolCache.get(key);
+  if (isZeroAddr(poolAddr)) {
+    logger.debug(
+      `[LP][${chainId}] ${logPrefix}getPool returned zero tokenId=${tokenId} protocol=${protocol} ` +
+        `factory=${factoryAddr} token0=${token0} token1=${token1} fee=${fee}`
+    );
+    return null;
+  }
 
-  const token = new ethers.Contract(address, erc20MetadataAbi, provider);
-  const symbol = await token.symbol();
-  tokenSymbolCache.set(key, symbol);
-  return symbol;
+  return registerPool({ ...key, factory: factoryAddr, poolAddr, flavor });
 }
 
-async function getTokenDecimals(provider, address) {
-  const key = (address || "").toLowerCase();
-  if (tokenDecimalsCache.has(key)) return tokenDecimalsCache.get(key);
+/**
+ * Current tick + sqrtPriceX96: globalState() for Algebra pools, slot0() otherwise.
+ * A pool without slot0() that answers globalState() is re-registered as ALGEBRA.
+ */
+async function readPoolPrice(provider, pool, { chainId, contract, token0, token1, fee }) {
+  if (pool.flavor === "ALGEBRA") {
+    const gs = await readAlgebraGlobalState(provider, pool.poolAddr);
+    return { tick: gs.tick, sqrtPriceX96: gs.price, flavor: "ALGEBRA" };
+  }
 
-  const token = new ethers.Contract(address, erc20MetadataAbi, provider);
-  const decRaw = await token.decimals();
-  const dec = Number(decRaw);
-  const out = Number.isFinite(dec) ? dec : 18;
-  tokenDecimalsCache.set(key, out);
-  return out;
+  const v3Pool = new ethers.Contract(pool.poolAddr, uniswapV3PoolAbi, provider);
+  try {
+    const slot0 = await v3Pool.slot0();
+    return {
+      tick: slot0.tick !== undefined ? slot0.tick : slot0[1],
+      sqrtPriceX96: slot0.sqrtPriceX96 !== undefined ? slot0.sqrtPriceX96 : slot0[0],
+      flavor: "UNISWAP_V3",
+    };
+  } catch (_) {
+    const gs = await readAlgebraGlobalState(provider, pool.poolAddr);
+    registerPool({
+      chainId,
+      positionManager: contract,
+      token0,
+      token1,
+      fee,
+      poolAddr: pool.poolAddr,
+      flavor: "ALGEBRA",
+    });
+    return { tick: gs.tick, sqrtPriceX96: gs.price, flavor: "ALGEBRA" };
+  }
 }
 
 // -----------------------------
@@ -311,11 +381,14 @@ async function computeFeesOwedFromPool({
   tokensOwed0,
   tokensOwed1,
 }) {
-  const feeGrowthGlobal0X128 = toBigIntish(await pool.feeGrowthGlobal0X128());
-  const feeGrowthGlobal1X128 = toBigIntish(await pool.feeGrowthGlobal1X128());
-
-  const lower = await pool.ticks(Number(tickLower));
-  const upper = await pool.ticks(Number(tickUpper));
+  const [global0, global1, lower, upper] = await Promise.all([
+    pool.feeGrowthGlobal0X128(),
+    pool.feeGrowthGlobal1X128(),
+    pool.ticks(Number(tickLower)),
+    pool.ticks(Number(tickUpper)),
+  ]);
+  const feeGrowthGlobal0X128 = toBigIntish(global0);
+  const feeGrowthGlobal1X128 = toBigIntish(global1);
 
   const lowerOut0 = toBigIntish(lower.feeGrowthOutside0X128 ?? lower[2]);
   const lowerOut1 = toBigIntish(lower.feeGrowthOutside1X128 ?? lower[3]);
@@ -406,7 +479,9 @@ async function simulateCollectFees(pm, tokenIdBN, recipientEip55) {
 // -----------------------------
 // LP range tier classification
 // -----------------------------
-function classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick) {
+// `thresholds` is the optional per-user override set from resolveAlertThresholds();
+// unset keys fall back to the LP_* env fracs.
+function classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick, thresholds = null) {
   const normStatus = (rangeStatus || "").toString().toUpperCase().replace(/\s+/g, "_");
 
   const width = tickUpper - tickLower;
@@ -417,10 +492,10 @@ function classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick) {
     Number.isFinite(tickUpper) &&
     Number.isFinite(currentTick);
 
-  const edgeWarn = LP_EDGE_WARN_FRAC;
-  const edgeHigh = LP_EDGE_HIGH_FRAC;
-  const outWarn = LP_OUT_WARN_FRAC;
-  const outHigh = LP_OUT_HIGH_FRAC;
+  const edgeWarn = pickThreshold(thresholds, "lpEdgeWarnFrac", LP_EDGE_WARN_FRAC);
+  const edgeHigh = pickThreshold(thresholds, "lpEdgeHighFrac", LP_EDGE_HIGH_FRAC);
+  const outWarn = pickThreshold(thresholds, "lpOutWarnFrac", LP_OUT_WARN_FRAC);
+  const outHigh = pickThreshold(thresholds, "lpOutHighFrac", LP_OUT_HIGH_FRAC);
 
   if (normStatus === "IN_RANGE" && hasTicks) {
     const positionFrac = (currentTick - tickLower) / width;
@@ -477,6 +552,20 @@ function classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick) {
   };
 }
 
+function getRowAlertThresholds(row) {
+  try {
+    return resolveAlertThresholds({
+      userId: row?.userId,
+      walletId: row?.walletId,
+      contractId: row?.contractId,
+      tokenId: row?.tokenId,
+    });
+  } catch (err) {
+    logger.warn(`[LP] Failed to load alert thresholds: ${err?.message || err}`);
+    return null;
+  }
+}
+
 // -----------------------------
 // DB: fetch monitored LP rows (NEW SCHEMA)
 // -----------------------------
@@ -527,11 +616,19 @@ function getMonitoredLpRows(userId = null) {
      AND pi.wallet_id      = uw.id
      AND pi.contract_id    = c.id
      AND (pi.token_id IS NULL OR pi.token_id = nt.token_id)
+    LEFT JOIN position_spam_flags sf
+      ON sf.user_id     = u.id
+     AND sf.wallet_id   = uw.id
+     AND sf.contract_id = c.id
+     AND sf.token_id    = nt.token_id
+     AND sf.confidence  = 'HIGH'
+     AND sf.user_status = 'AUTO'
     WHERE
       uw.is_enabled = 1
       AND c.is_enabled = 1
       AND (? IS NULL OR u.id = ?)
       AND pi.id IS NULL
+      AND sf.id IS NULL
     UNION ALL
     SELECT
       u.id                 AS userId,
@@ -604,6 +701,8 @@ async function loadSteerVaultBase(provider, chainId, vaultAddr, cache = null) {
     detailSource = "vaultDetailsByAddress";
     details = await periphery.vaultDetailsByAddress(vaultAddr);
   }
+  rememberToken(chainId, details.token0, { symbol: details.token0Symbol || null, decimals: details.token0Decimals });
+  rememberToken(chainId, details.token1, { symbol: details.token1Symbol || null, decimals: details.token1Decimals });
 
   let balancesWithFees = null;
   try {
@@ -768,6 +867,7 @@ function upsertLpSnapshot(snapshot, runId) {
     snapshot_run_id: runId,
     snapshot_json: JSON.stringify(snapshot),
   });
+  appendSnapshotHistory("LP", snapshot);
 }
 
 function cleanupLpSnapshots(runId) {
@@ -1225,10 +1325,12 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
   let dec0 = 18;
   let dec1 = 18;
 
-  try { token0Symbol = await getTokenSymbol(provider, token0); } catch (_) {}
-  try { token1Symbol = await getTokenSymbol(provider, token1); } catch (_) {}
-  try { dec0 = await getTokenDecimals(provider, token0); } catch (_) {}
-  try { dec1 = await getTokenDecimals(provider, token1); } catch (_) {}
+  await Promise.all([
+    getTokenSymbol(provider, chainId, token0).then((v) => { token0Symbol = v; }, () => {}),
+    getTokenSymbol(provider, chainId, token1).then((v) => { token1Symbol = v; }, () => {}),
+    getTokenDecimals(provider, chainId, token0).then((v) => { dec0 = v; }, () => {}),
+    getTokenDecimals(provider, chainId, token1).then((v) => { dec1 = v; }, () => {}),
+  ]);
 
   const pairLabel = dbPairLabel || `${token0Symbol}-${token1Symbol}`;
   const tickToPrice = (tick) => {
@@ -1284,84 +1386,42 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
   let poolLiquidity = null;
   let rangeStatus = "UNKNOWN";
   let poolReader = null;
-  const isAlgebraProtocol = String(protocol || "").toUpperCase().includes("_V4");
+  const poolCtx = { chainId, contract, token0, token1, fee, tokenId, protocol };
 
   try {
-    const factoryAddr = await pm.factory();
-    if (!factoryAddr || factoryAddr === ethers.ZeroAddress) {
-      logger.debug(
-        `[LP][${chainId}] factory missing/zero tokenId=${tokenId} protocol=${protocol}`
+    const pool = await resolvePool(provider, pm, poolCtx);
+    if (pool) {
+      poolAddr = pool.poolAddr;
+      const { tick, sqrtPriceX96: sp, flavor } = await readPoolPrice(provider, pool, poolCtx);
+      poolReader = new ethers.Contract(
+        poolAddr,
+        flavor === "ALGEBRA" ? algebraPoolAbi : uniswapV3PoolAbi,
+        provider
       );
-    } else {
-      const factory = new ethers.Contract(factoryAddr, uniswapV3FactoryAbi, provider);
-      try {
-        poolAddr = await factory.getPool(token0, token1, fee);
-      } catch (_) {}
-      if (!poolAddr || poolAddr === ethers.ZeroAddress) {
-        const algFactory = new ethers.Contract(factoryAddr, algebraFactoryAbi, provider);
-        try {
-          poolAddr = await algFactory.poolByPair(token0, token1);
-        } catch (_) {}
-        if (!poolAddr || poolAddr === ethers.ZeroAddress) {
-          try {
-            poolAddr = await algFactory.getPool(token0, token1);
-          } catch (_) {}
-        }
-      }
-      if (!poolAddr || poolAddr === ethers.ZeroAddress) {
-        logger.debug(
-          `[LP][${chainId}] getPool returned zero tokenId=${tokenId} protocol=${protocol} ` +
-            `factory=${factoryAddr} token0=${token0} token1=${token1} fee=${fee}`
-        );
-      } else {
-        let tick;
-        let sp;
-        if (isAlgebraProtocol) {
-          const algPool = new ethers.Contract(poolAddr, algebraPoolAbi, provider);
-          poolReader = algPool;
-          const gs = await readAlgebraGlobalState(provider, poolAddr);
-          tick = gs.tick;
-          sp = gs.price;
-        } else {
-          const v3Pool = new ethers.Contract(poolAddr, uniswapV3PoolAbi, provider);
-          poolReader = v3Pool;
-          try {
-            const slot0 = await v3Pool.slot0();
-            tick = slot0.tick !== undefined ? slot0.tick : slot0[1];
-            sp = slot0.sqrtPriceX96 !== undefined ? slot0.sqrtPriceX96 : slot0[0];
-          } catch (_) {
-            const algPool = new ethers.Contract(poolAddr, algebraPoolAbi, provider);
-            poolReader = algPool;
-            const gs = await readAlgebraGlobalState(provider, poolAddr);
-            tick = gs.tick;
-            sp = gs.price;
-          }
-        }
 
-        currentTick = Number(tick);
-        sqrtPriceX96 = sp ? sp.toString() : null;
+      currentTick = Number(tick);
+      sqrtPriceX96 = sp ? sp.toString() : null;
 
-        if (Number.isFinite(currentTick)) {
-          currentTick = applyLpTickShift(currentTick, tickLower, tickUpper);
-          rangeStatus =
-            currentTick >= tickLower && currentTick < tickUpper ? "IN_RANGE" : "OUT_OF_RANGE";
-        } else {
-          logger.debug(
-            `[LP][${chainId}] slot0 tick invalid tokenId=${tokenId} protocol=${protocol} ` +
-              `pool=${poolAddr} tick=${String(tick)}`
-          );
-        }
+      if (Number.isFinite(currentTick)) {
+        currentTick = applyLpTickShift(currentTick, tickLower, tickUpper);
+        rangeStatus =
+          currentTick >= tickLower && currentTick < tickUpper ? "IN_RANGE" : "OUT_OF_RANGE";
+      } else {
+        logger.debug(
+          `[LP][${chainId}] slot0 tick invalid tokenId=${tokenId} protocol=${protocol} ` +
+            `pool=${poolAddr} tick=${String(tick)}`
+        );
+      }
 
-        try {
-          const liq = await poolReader.liquidity();
-          poolLiquidity = liq != null ? liq.toString() : null;
-        } catch (err) {
-          poolLiquidity = null;
-          logger.debug(
-            `[LP][${chainId}] pool.liquidity() failed tokenId=${tokenId} pool=${poolAddr} ` +
-              `${err?.shortMessage || err?.message || err}`
-          );
-        }
+      try {
+        const liq = await poolReader.liquidity();
+        poolLiquidity = liq != null ? liq.toString() : null;
+      } catch (err) {
+        poolLiquidity = null;
+        logger.debug(
+          `[LP][${chainId}] pool.liquidity() failed tokenId=${tokenId} pool=${poolAddr} ` +
+            `${err?.shortMessage || err?.message || err}`
+        );
       }
     }
   } catch (err) {
@@ -1377,7 +1437,13 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
     );
   }
 
-  const lpClass = classifyLpRangeTier(rangeStatus, tickLower, tickUpper, currentTick);
+  const lpClass = classifyLpRangeTier(
+    rangeStatus,
+    tickLower,
+    tickUpper,
+    currentTick,
+    getRowAlertThresholds(row)
+  );
   const currentPrice = Number.isFinite(currentTick) ? tickToPrice(currentTick) : null;
 
   // principal token amounts (best-effort)
@@ -1501,7 +1567,7 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
       `feeGrowthInside1=${pos.feeGrowthInside1LastX128?.toString?.() || pos.feeGrowthInside1LastX128}`
   );
 
-  return {
+  const summary = {
     userId,
     walletId,
     contractId,
@@ -1547,6 +1613,9 @@ async function summarizeLpPosition(provider, chainId, protocol, row) {
     priceUpper,
     currentPrice,
   };
+
+  // deposits / withdrawals / collected fees for /my-lp + heartbeat P&L
+  return attachLpPnl(summary, row);
 }
 
 // -----------------------------
@@ -1590,20 +1659,21 @@ async function refreshLpSnapshots() {
   const providers = new Map();
   const getP = (chainId) => {
     if (providers.has(chainId)) return providers.get(chainId);
-    const p = getProviderForChain(chainId, CHAINS_CONFIG);
+    const p = getBatchedProvider(getProviderForChain(chainId, CHAINS_CONFIG));
     providers.set(chainId, p);
     return p;
   };
 
   const steerCache = new Map();
-  for (const row of rows) {
+  // Rows run MULTICALL_CONCURRENCY at a time so their reads share Multicall3 batches
+  await forEachConcurrent(rows, async (row) => {
     const chainId = (row.chainId || "").toUpperCase();
     let provider;
     try {
       provider = getP(chainId);
     } catch (err) {
       logger.warn(`[LP] Skipping chain ${chainId} for snapshots: ${err?.message || err}`);
-      continue;
+      return;
     }
 
     try {
@@ -1635,7 +1705,7 @@ async function refreshLpSnapshots() {
         err?.message || err
       );
     }
-  }
+  });
 
   cleanupLpSnapshots(runId);
   logger.debug(
@@ -1684,15 +1754,15 @@ async function describeLpPosition(provider, chainId, protocol, row, options = {}
 
   try {
     [dec0, dec1] = await Promise.all([
-      getTokenDecimals(provider, token0).catch(() => 18),
-      getTokenDecimals(provider, token1).catch(() => 18),
+      getTokenDecimals(provider, chainId, token0).catch(() => 18),
+      getTokenDecimals(provider, chainId, token1).catch(() => 18),
     ]);
   } catch (_) {}
 
   try {
     [sym0, sym1] = await Promise.all([
-      getTokenSymbol(provider, token0).catch(() => token0),
-      getTokenSymbol(provider, token1).catch(() => token1),
+      getTokenSymbol(provider, chainId, token0).catch(() => token0),
+      getTokenSymbol(provider, chainId, token1).catch(() => token1),
     ]);
   } catch (_) {}
 
@@ -1765,7 +1835,6 @@ async function describeLpPosition(provider, chainId, protocol, row, options = {}
   let poolAddr = null;
   let currentTick = null;
   let sqrtPriceX96 = null;
-  const isAlgebraProtocol = String(protocol || "").toUpperCase().includes("_V4");
 
   const tickToPrice = (tick) => {
     if (!Number.isFinite(tick)) return null;
@@ -1777,66 +1846,24 @@ async function describeLpPosition(provider, chainId, protocol, row, options = {}
   let currentPrice = null;
 
   try {
-    const factoryAddr = await pm.factory();
-    if (!factoryAddr || factoryAddr === ethers.ZeroAddress) {
-      logger.debug(
-        `[LP][${chainId}] describe: factory missing/zero tokenId=${tokenId} protocol=${protocol}`
-      );
-    } else {
-      const factory = new ethers.Contract(factoryAddr, uniswapV3FactoryAbi, provider);
-      try {
-        poolAddr = await factory.getPool(token0, token1, fee);
-      } catch (_) {}
-      if (!poolAddr || poolAddr === ethers.ZeroAddress) {
-        const algFactory = new ethers.Contract(factoryAddr, algebraFactoryAbi, provider);
-        try {
-          poolAddr = await algFactory.poolByPair(token0, token1);
-        } catch (_) {}
-        if (!poolAddr || poolAddr === ethers.ZeroAddress) {
-          try {
-            poolAddr = await algFactory.getPool(token0, token1);
-          } catch (_) {}
-        }
-      }
-
-      if (!poolAddr || poolAddr === ethers.ZeroAddress) {
+    const poolCtx = { chainId, contract, token0, token1, fee, tokenId, protocol, logPrefix: "describe: " };
+    const pool = await resolvePool(provider, pm, poolCtx);
+    if (pool) {
+      poolAddr = pool.poolAddr;
+      const { tick, sqrtPriceX96: sp } = await readPoolPrice(provider, pool, poolCtx);
+      currentTick = Number(tick);
+      sqrtPriceX96 = sp ? sp.toString() : null;
+
+      if (Number.isFinite(currentTick)) {
+        currentTick = applyLpTickShift(currentTick, tickLower, tickUpper);
+        currentPrice = tickToPrice(currentTick);
+        currentStatus =
+          currentTick >= tickLower && currentTick < tickUpper ? "IN_RANGE" : "OUT_OF_RANGE";
+      } else {
         logger.debug(
-          `[LP][${chainId}] describe: getPool returned zero tokenId=${tokenId} protocol=${protocol} ` +
-            `factory=${factoryAddr} token0=${token0} token1=${token1} fee=${fee}`
+          `[LP][${chainId}] describe: slot0 tick invalid tokenId=${tokenId} protocol=${protocol} ` +
+            `pool=${poolAddr} tick=${String(tick)}`
         );
-      } else {
-        let tick;
-        let sp;
-        if (isAlgebraProtocol) {
-          const gs = await readAlgebraGlobalState(provider, poolAddr);
-          tick = gs.tick;
-          sp = gs.price;
-        } else {
-          const pool = new ethers.Contract(poolAddr, uniswapV3PoolAbi, provider);
-          try {
-            const slot0 = await pool.slot0();
-            tick = slot0.tick !== undefined ? slot0.tick : slot0[1];
-            sp = slot0.sqrtPriceX96 !== undefined ? slot0.sqrtPriceX96 : slot0[0];
-          } catch (_) {
-            const gs = await readAlgebraGlobalState(provider, poolAddr);
-            tick = gs.tick;
-            sp = gs.price;
-          }
-        }
-        currentTick = Number(tick);
-        sqrtPriceX96 = sp ? sp.toString() : null;
-
-        if (Number.isFinite(currentTick)) {
-          currentTick = applyLpTickShift(currentTick, tickLower, tickUpper);
-          currentPrice = tickToPrice(currentTick);
-          currentStatus =
-            currentTick >= tickLower && currentTick < tickUpper ? "IN_RANGE" : "OUT_OF_RANGE";
-        } else {
-          logger.debug(
-            `[LP][${chainId}] describe: slot0 tick invalid tokenId=${tokenId} protocol=${protocol} ` +
-              `pool=${poolAddr} tick=${String(tick)}`
-          );
-        }
       }
     }
   } catch (err) {
@@ -1850,7 +1877,13 @@ async function describeLpPosition(provider, chainId, protocol, row, options = {}
     );
   }
 
-  const lpClass = classifyLpRangeTier(currentStatus, tickLower, tickUpper, currentTick);
+  const lpClass = classifyLpRangeTier(
+    currentStatus,
+    tickLower,
+    tickUpper,
+    currentTick,
+    getRowAlertThresholds(row)
+  );
   const isActive = lpClass.tier !== "UNKNOWN";
 
   // principal token amounts (best-effort)
@@ -1979,6 +2012,23 @@ async function describeLpPosition(provider, chainId, protocol, row, options = {}
     snapshotSource: "rpc",
   });
 
+  await checkPriceAlertsForPosition({
+    positionKind: "LP",
+    userId,
+    walletId,
+    contractId,
+    positionId: tokenId,
+    currentPrice,
+    assetLabel: pairLabel,
+    priceUnit: `${sym1}/${sym0}`,
+    protocol,
+    wallet: owner,
+    walletLabel,
+    chainId,
+    snapshotAt,
+    snapshotSource: "rpc",
+  });
+
   if (verbose) {
     logger.debug("");
     logger.debug("  --- Range Status ---");
@@ -2084,7 +2134,13 @@ async function describeLpFromSnapshot(row, snapshot, options = {}) {
     return;
   }
 
-  const lpClass = classifyLpRangeTier(currentStatus, tickLower, tickUpper, currentTick);
+  const lpClass = classifyLpRangeTier(
+    currentStatus,
+    tickLower,
+    tickUpper,
+    currentTick,
+    getRowAlertThresholds(row)
+  );
 
   let currentPrice =
     typeof snapshot.currentPrice === "number" && Number.isFinite(snapshot.currentPrice)
@@ -2146,6 +2202,23 @@ async function describeLpFromSnapshot(row, snapshot, options = {}) {
     snapshotSource: "snapshot",
   });
 
+  await checkPriceAlertsForPosition({
+    positionKind: "LP",
+    userId,
+    walletId,
+    contractId,
+    positionId: tokenId,
+    currentPrice,
+    assetLabel: snapshot.pairLabel,
+    priceUnit: `${snapshot.token1Symbol || "?"}/${snapshot.token0Symbol || "?"}`,
+    protocol,
+    wallet: owner,
+    walletLabel,
+    chainId,
+    snapshotAt,
+    snapshotSource: "snapshot",
+  });
+
   if (verbose) {
     logger.debug("");
     logger.debug("  --- Range Status (snapshot) ---");
@@ -0,0 +1,224 @@
+// monitoring/lpPnl.js
+//
+// P&L for plain V3 NFT LP positions (ALM vaults use alm_position_baselines instead).
+// - Ledger: per-NFT totals of IncreaseLiquidity (deposits, incl. mint),
+//   DecreaseLiquidity (principal withdrawn) and Collect (principal + fees paid out)
+//   from lp_liquidity_events (indexed + derived by jobs/deriveLpLiquidityFromEvents.js).
+// - A position counts as synced once every liquidity stream of its contract has
+//   been scanned past the position's mint block.
+// - USD figures are computed at display time (computeLpPnlUsd) from priceCache,
+//   so deposits are valued at today's prices: "IL vs holding" is the classic
+//   LP-vs-HODL comparison, not a cost-basis P&L.
+//
+// Used by:
+// - monitoring/lpMonitor.js (attachLpPnl on snapshot refresh)
+// - commands/my-lp.js, monitoring/dailyHeartbeat.js (computeLpPnlUsd)
+
+const { ethers } = require("ethers");
+
+const { getDb } = require("../db");
+const logger = require("../utils/logger");
+const { LP_LIQUIDITY_EVENT_NAMES } = require("../utils/indexer/lpLiquidityEvents");
+
+function toBig(v) {
+  try {
+    return BigInt(String(v ?? "0"));
+  } catch {
+    return 0n;
+  }
+}
+
+function toFiniteNumber(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function formatRaw(raw, decimals) {
+  try {
+    return Number(ethers.formatUnits(toBig(raw), Number(decimals ?? 18)));
+  } catch {
+    return null;
+  }
+}
+
+let _stmts = null;
+function getStmts() {
+  if (_stmts) return _stmts;
+  const db = getDb();
+  const eventNames = [...LP_LIQUIDITY_EVENT_NAMES];
+  _stmts = {
+    selEvents: db.prepare(`
+      SELECT event_kind, block_number, amount0_raw, amount1_raw
+      FROM lp_liquidity_events
+      WHERE contract_id = ?
+        AND token_id = ?
+      ORDER BY block_number, log_index
+    `),
+    selCoverage: db.prepare(`
+      SELECT
+        COUNT(s.id) AS stream_count,
+        MIN(COALESCE(cur.last_scanned_block, 0)) AS scanned_to,
+        (
+          SELECT t.first_seen_block
+          FROM nft_tokens t
+          WHERE t.contract_id = @contractId
+            AND t.token_id = @tokenId
+        ) AS mint_block
+      FROM index_streams s
+      LEFT JOIN index_cursors cur ON cur.stream_id = s.id
+      WHERE s.contract_id = @contractId
+        AND s.is_enabled = 1
+        AND s.event_name IN (${eventNames.map((n) => `'${n}'`).join(", ")})
+    `),
+  };
+  return _stmts;
+}
+
+/**
+ * Fold lp_liquidity_events for one NFT position into raw totals.
+ * Returns the ledger plus `synced` (liquidity streams scanned past the mint block).
+ */
+function loadLpPositionLedger(contractId, tokenId) {
+  const { selEvents, selCoverage } = getStmts();
+  const rows = selEvents.all(contractId, String(tokenId));
+
+  const ledger = {
+    deposited0: 0n,
+    deposited1: 0n,
+    withdrawn0: 0n,
+    withdrawn1: 0n,
+    collected0: 0n,
+    collected1: 0n,
+    eventCount: rows.length,
+    firstEventBlock: rows.length ? Number(rows[0].block_number) : null,
+  };
+  const fields = {
+    INCREASE: ["deposited0", "deposited1"],
+    DECREASE: ["withdrawn0", "withdrawn1"],
+    COLLECT: ["collected0", "collected1"],
+  };
+  for (const r of rows) {
+    const f = fields[r.event_kind];
+    if (!f) continue;
+    ledger[f[0]] += toBig(r.amount0_raw);
+    ledger[f[1]] += toBig(r.amount1_raw);
+  }
+
+  const cov = selCoverage.get({ contractId, tokenId: String(tokenId) });
+  const mintBlock = cov?.mint_block != null ? Number(cov.mint_block) : ledger.firstEventBlock;
+  ledger.synced =
+    Number(cov?.stream_count) > 0 && mintBlock != null && Number(cov.scanned_to) >= mintBlock;
+
+  return ledger;
+}
+
+/**
+ * Build summary.lpPnl (token units) from loadLpPositionLedger() totals.
+ * Collect pays out withdrawn principal and fees together, so collected fees are
+ * Collect - DecreaseLiquidity per token; principal decreased but not yet collected
+ * is still sitting in tokensOwed and is netted out of the uncollected fees.
+ */
+function buildLpPnl(summary, ledger) {
+  const dec0 = summary.dec0 ?? 18;
+  const dec1 = summary.dec1 ?? 18;
+
+  const deposited0 = formatRaw(ledger.deposited0, dec0);
+  const deposited1 = formatRaw(ledger.deposited1, dec1);
+  const withdrawn0 = formatRaw(ledger.withdrawn0, dec0);
+  const withdrawn1 = formatRaw(ledger.withdrawn1, dec1);
+  const collected0 = formatRaw(ledger.collected0, dec0);
+  const collected1 = formatRaw(ledger.collected1, dec1);
+  if ([deposited0, deposited1, withdrawn0, withdrawn1, collected0, collected1].some((v) => v == null)) {
+    return null;
+  }
+
+  const pendingPrincipal0 = Math.max(0, withdrawn0 - collected0);
+  const pendingPrincipal1 = Math.max(0, withdrawn1 - collected1);
+
+  return {
+    deposited0,
+    deposited1,
+    withdrawn0,
+    withdrawn1,
+    feesCollected0: Math.max(0, collected0 - withdrawn0),
+    feesCollected1: Math.max(0, collected1 - withdrawn1),
+    pendingPrincipal0,
+    pendingPrincipal1,
+    eventCount: ledger.eventCount,
+    firstEventBlock: ledger.firstEventBlock,
+    synced: !!ledger.synced,
+  };
+}
+
+/**
+ * Attach summary.lpPnl to a non-ALM LP summary (best-effort; the snapshot is kept without it on failure).
+ */
+function attachLpPnl(summary, row) {
+  if (!summary || summary.positionModel === "ALM" || !row) return summary;
+
+  try {
+    const ledger = loadLpPositionLedger(row.contractId, row.tokenId);
+    if (!ledger.eventCount && !ledger.synced) return summary;
+    const lpPnl = buildLpPnl(summary, ledger);
+    if (lpPnl) summary.lpPnl = lpPnl;
+  } catch (err) {
+    logger.warn(`[LP][PNL] Ledger load failed tokenId=${row.tokenId}: ${err?.message || err}`);
+  }
+  return summary;
+}
+
+/**
+ * USD view of summary.lpPnl at current prices (priceBase = token0, priceQuote = token1).
+ * Returns null when the position has no ledger or a needed price is missing.
+ *
+ *   depositedUsd  = deposits valued now (= the "just holding" value)
+ *   currentUsd    = principal still in the position
+ *   ilUsd         = (principal + withdrawn principal) - depositedUsd
+ *   netPnlUsd     = ilUsd + fees collected + fees uncollected
+ */
+function computeLpPnlUsd(summary, priceBase, priceQuote) {
+  const pnl = summary?.lpPnl;
+  if (!pnl || !Number.isFinite(priceBase) || !Number.isFinite(priceQuote)) return null;
+
+  const usd = (a0, a1) => {
+    const v0 = toFiniteNumber(a0);
+    const v1 = toFiniteNumber(a1);
+    if (v0 == null || v1 == null) return null;
+    return v0 * priceBase + v1 * priceQuote;
+  };
+
+  const depositedUsd = usd(pnl.deposited0, pnl.deposited1);
+  const currentUsd = usd(summary.amount0, summary.amount1);
+  const withdrawnUsd = usd(pnl.withdrawn0, pnl.withdrawn1);
+  const feesCollectedUsd = usd(pnl.feesCollected0, pnl.feesCollected1);
+  if (depositedUsd == null || currentUsd == null || withdrawnUsd == null || feesCollectedUsd == null) {
+    return null;
+  }
+
+  const uncollected0 = Math.max(0, (toFiniteNumber(summary.fees0) ?? 0) - (pnl.pendingPrincipal0 || 0));
+  const uncollected1 = Math.max(0, (toFiniteNumber(summary.fees1) ?? 0) - (pnl.pendingPrincipal1 || 0));
+  const pendingUsd = usd(pnl.pendingPrincipal0 || 0, pnl.pendingPrincipal1 || 0);
+  const feesUncollectedUsd = usd(uncollected0, uncollected1);
+
+  const ilUsd = currentUsd + withdrawnUsd - depositedUsd;
+  const ilPct = depositedUsd > 0 ? (ilUsd / depositedUsd) * 100 : null;
+
+  return {
+    depositedUsd,
+    currentUsd,
+    withdrawnUsd,
+    pendingPrincipalUsd: pendingUsd,
+    feesCollectedUsd,
+    feesUncollectedUsd,
+    ilUsd,
+    ilPct,
+    netPnlUsd: ilUsd + feesCollectedUsd + feesUncollectedUsd,
+    synced: !!pnl.synced,
+  };
+}
+
+module.exports = {
+  loadLpPositionLedger,
+  attachLpPnl,
+  computeLpPnlUsd,
+};
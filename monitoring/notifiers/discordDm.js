@@ -0,0 +1,156 @@
+// monitoring/notifiers/discordDm.js
+// Discord DM adapter. Default channel for every user with accepts_dm = 1.
+
+const { getDb } = require("../../db");
+const { sendLongDM } = require("../../utils/discord/sendLongDM");
+const logger = require("../../utils/logger");
+
+let _client = null;
+function setDiscordClient(client) {
+  _client = client;
+}
+function getDiscordClient() {
+  return _client;
+}
+
+function disableUserDm(userId, reason = null) {
+  try {
+    const db = getDb();
+    db.prepare(
+      `
+      UPDATE users
+      SET accepts_dm = 0
+      WHERE id = ?
+    `
+    ).run(userId);
+
+    if (reason) logger.warn(`[dm] Disabled DMs for userId=${userId} (${reason})`);
+    else logger.warn(`[dm] Disabled DMs for userId=${userId}`);
+  } catch (e) {
+    logger.error(`[dm] Failed to disable DMs for userId=${userId}:`, e.message);
+  }
+}
+
+/**
+ * Discord DM failure classifier.
+ * Only disable DMs for strong signals that user can't be messaged.
+ */
+function shouldDisableDmForError(err) {
+  const code = err?.code;
+  const status = err?.status;
+
+  // Strong Discord API signals
+  if (code === 50007) return { disable: true, reason: "Cannot send messages to this user (50007)" };
+  if (code === 10013) return { disable: true, reason: "Unknown user (10013)" };
+
+  // discord.js sometimes yields REST/HTTP statuses
+  if (status === 403 || status === 401) return { disable: true, reason: `HTTP ${status}` };
+
+  const msg = String(err?.message || "").toLowerCase();
+
+  if (msg.includes("cannot send messages to this user")) {
+    return { disable: true, reason: "cannot send messages to this user" };
+  }
+  if (msg.includes("missing access") || msg.includes("missing permissions")) {
+    return { disable: true, reason: "missing access/permissions" };
+  }
+
+  // Do NOT disable on timeouts / 5xx / rate limits
+  if (msg.includes("timeout") || msg.includes("timed out")) return { disable: false, reason: null };
+  if (status && status >= 500) return { disable: false, reason: null };
+  if (status === 429) return { disable: false, reason: null };
+
+  return { disable: false, reason: null };
+}
+
+function getUserDmTarget(userId) {
+  const db = getDb();
+  const row = db
+    .prepare(
+      `
+      SELECT discord_id, discord_name, accepts_dm
+      FROM users
+      WHERE id = ?
+      LIMIT 1
+    `
+    )
+    .get(userId);
+
+  if (!row) return null;
+  if (Number(row.accepts_dm) !== 1) return null;
+  if (!row.discord_id) return null;
+
+  return { discordId: row.discord_id, discordName: row.discord_name || null };
+}
+
+// Permanent DM failures also flip users.accepts_dm so every other DM path stops too.
+function classifyDmError(userId, err) {
+  const verdict = shouldDisableDmForError(err);
+  if (verdict.disable) {
+    disableUserDm(userId, verdict.reason);
+    err.permanent = true;
+  }
+  return err;
+}
+
+function isConfigured() {
+  return true;
+}
+
+async function send(channel, notification) {
+  const client = _client;
+  if (!client || !client.users) {
+    throw new Error("Discord client not set. Call setAlertEngineClient(client) in onReady.");
+  }
+
+  const { userId } = notification;
+  const target = getUserDmTarget(userId);
+  if (!target) {
+    const err = new Error("User does not accept DMs");
+    err.permanent = true;
+    throw err;
+  }
+
+  let user;
+  try {
+    user = await client.users.fetch(target.discordId);
+  } catch (err) {
+    throw classifyDmError(userId, err);
+  }
+
+  try {
+    const components = notification.components || [];
+    const files = notification.files || [];
+    if (notification.embeds?.length) {
+      // One embed per message keeps multi-embed payloads (heartbeat) under Discord's size cap.
+      // Buttons and attachments (charts) go on the last message.
+      const last = notification.embeds.length - 1;
+      for (let i = 0; i <= last; i += 1) {
+        const isLast = i === last;
+        await user.send({
+          embeds: [notification.embeds[i]],
+          ...(isLast && components.length ? { components } : {}),
+          ...(isLast && files.length ? { files } : {}),
+        });
+      }
+    } else {
+      const content = notification.content || notification.text;
+      if (components.length && String(content || "").length <= 2000) {
+        await user.send({ content, components });
+      } else {
+        await sendLongDM(user, content);
+        if (components.length) await user.send({ content: "Alert actions:", components });
+      }
+    }
+  } catch (err) {
+    throw classifyDmError(userId, err);
+  }
+}
+
+module.exports = {
+  type: "DISCORD_DM",
+  isConfigured,
+  send,
+  setDiscordClient,
+  getDiscordClient,
+};
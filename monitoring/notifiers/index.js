@@ -0,0 +1,303 @@
+// monitoring/notifiers/index.js
+//
+// Notification channels (notify_channels) + delivery with retry and failure tracking.
+// - DISCORD_DM is implicit for users with accepts_dm = 1 until they add an explicit
+//   DISCORD_DM row (which can then narrow its alert types or be paused)
+// - WEBHOOK / EMAIL / TELEGRAM rows are opt-in per user
+// - alert_types = NULL means every type, else a comma list (see NOTIFY_ALERT_TYPES)
+// - Each channel retries transient failures NOTIFY_RETRY_ATTEMPTS times with exponential
+//   backoff; permanent failures or NOTIFY_MAX_FAILURES consecutive failures pause the row
+//
+// Used by:
+// - monitoring/alertEngine.js (sendDmToUser)
+// - monitoring/dailyHeartbeat.js
+// - monitoring/alertDigest.js
+// - handlers/ui/my-notifications-ui.js
+
+const { getDb } = require("../../db");
+const logger = require("../../utils/logger");
+
+const discordDm = require("./discordDm");
+const webhook = require("./webhook");
+const smtp = require("./smtp");
+const telegram = require("./telegram");
+
+const ADAPTERS = {
+  DISCORD_DM: discordDm,
+  WEBHOOK: webhook,
+  EMAIL: smtp,
+  TELEGRAM: telegram,
+};
+const CHANNEL_TYPES = Object.keys(ADAPTERS);
+
+const NOTIFY_ALERT_TYPES = [
+  "LIQUIDATION",
+  "REDEMPTION",
+  "REDEMPTION_HIT",
+  "REDEMPTION_TREND",
+  "LP_RANGE",
+  "PRICE_LEVEL",
+  "PRIMEFI_WITHDRAW",
+  "PRIMEFI_LIQUIDATION",
+  "SP_DEPOSIT_LOSS",
+  "SP_CLAIMABLE_GAIN",
+  "SP_APR_GAP",
+  "HEARTBEAT",
+  "DIGEST",
+];
+
+function requireNumberEnv(name) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") {
+    throw new Error(`[notifiers] Missing required env var ${name}`);
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n)) {
+    throw new Error(`[notifiers] Env var ${name} must be numeric (got "${raw}")`);
+  }
+  return n;
+}
+
+const NOTIFY_RETRY_ATTEMPTS = Math.max(1, Math.floor(requireNumberEnv("NOTIFY_RETRY_ATTEMPTS")));
+const NOTIFY_RETRY_BASE_MS = Math.max(0, Math.floor(requireNumberEnv("NOTIFY_RETRY_BASE_MS")));
+const NOTIFY_MAX_FAILURES = Math.max(1, Math.floor(requireNumberEnv("NOTIFY_MAX_FAILURES")));
+const NOTIFY_HTTP_TIMEOUT_MS = Math.max(1000, Math.floor(requireNumberEnv("NOTIFY_HTTP_TIMEOUT_MS")));
+
+let _stmts = null;
+function getStmts() {
+  if (_stmts) return _stmts;
+  const db = getDb();
+  _stmts = {
+    selUser: db.prepare(`
+      SELECT accepts_dm, discord_id
+      FROM users
+      WHERE id = ?
+      LIMIT 1
+    `),
+    selChannels: db.prepare(`
+      SELECT id, channel_type, target, alert_types, is_enabled
+      FROM notify_channels
+      WHERE user_id = ?
+      ORDER BY id
+    `),
+    markSuccess: db.prepare(`
+      UPDATE notify_channels
+      SET fail_count = 0,
+          last_error = NULL,
+          last_success_at = datetime('now')
+      WHERE id = ?
+    `),
+    markFailure: db.prepare(`
+      UPDATE notify_channels
+      SET fail_count = fail_count + 1,
+          last_error = ?,
+          last_failure_at = datetime('now')
+      WHERE id = ?
+      RETURNING fail_count
+    `),
+    pauseChannel: db.prepare(`
+      UPDATE notify_channels
+      SET is_enabled = 0,
+          disabled_reason = ?
+      WHERE id = ?
+    `),
+  };
+  return _stmts;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function parseAlertTypes(raw) {
+  if (raw == null || String(raw).trim() === "") return null;
+  return String(raw)
+    .split(",")
+    .map((t) => t.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize user input ("liquidation, lp_range" / blank / "all") to the stored form.
+ * Returns { value } (null = all types) or { error }.
+ */
+function normalizeAlertTypes(raw) {
+  const list = parseAlertTypes(raw);
+  if (!list || (list.length === 1 && list[0] === "ALL")) return { value: null };
+  const unknown = list.filter((t) => !NOTIFY_ALERT_TYPES.includes(t));
+  if (unknown.length) {
+    return { error: `Unknown alert type(s): ${unknown.join(", ")}. Use: ${NOTIFY_ALERT_TYPES.join(", ")}` };
+  }
+  return { value: Array.from(new Set(list)).join(",") };
+}
+
+function channelWantsAlertType(row, alertType) {
+  const list = parseAlertTypes(row.alert_types);
+  return !list || list.includes(String(alertType || "").toUpperCase());
+}
+
+function getAvailableChannelTypes() {
+  return CHANNEL_TYPES.filter((t) => ADAPTERS[t].isConfigured());
+}
+
+/**
+ * Channels that should receive one alert type for one user.
+ * Implicit DISCORD_DM rows have id = null (no failure tracking; DM errors still
+ * flip users.accepts_dm like before).
+ */
+function resolveChannels(userId, alertType) {
+  const { selUser, selChannels } = getStmts();
+  const user = selUser.get(userId);
+  if (!user) return [];
+
+  const acceptsDm = Number(user.accepts_dm) === 1 && Boolean(user.discord_id);
+  const rows = selChannels.all(userId);
+  const out = [];
+
+  if (acceptsDm && !rows.some((r) => r.channel_type === "DISCORD_DM")) {
+    out.push({ id: null, channel_type: "DISCORD_DM", target: "" });
+  }
+  for (const r of rows) {
+    if (Number(r.is_enabled) !== 1) continue;
+    if (!channelWantsAlertType(r, alertType)) continue;
+    if (r.channel_type === "DISCORD_DM" && !acceptsDm) continue;
+    out.push(r);
+  }
+  return out;
+}
+
+// Discord-only formatting (timestamps, mentions) flattened for text channels.
+function discordToPlain(text) {
+  return String(text || "")
+    .replace(/<t:(\d+)(?::[tTdDfFR])?>/g, (_, ts) => new Date(Number(ts) * 1000).toISOString())
+    .replace(/\[([^\]]+)\]\((https?:[^)]+)\)/g, "$1 ($2)")
+    .replace(/\*\*([^*]+)\*\*/g, "$1")
+    .replace(/`([^`]+)`/g, "$1");
+}
+
+function embedsToText(embeds) {
+  const blocks = [];
+  for (const e of embeds || []) {
+    const d = e?.data || e || {};
+    const lines = [];
+    if (d.title) lines.push(d.title);
+    if (d.description) lines.push(d.description);
+    for (const f of d.fields || []) {
+      if (!f?.name && !f?.value) continue;
+      lines.push("", `${f.name}:`, String(f.value || ""));
+    }
+    if (d.footer?.text) lines.push("", d.footer.text);
+    blocks.push(discordToPlain(lines.join("\n")));
+  }
+  return blocks.join("\n\n---\n\n");
+}
+
+async function deliverWithRetry(adapter, channel, notification) {
+  let lastErr = null;
+  for (let attempt = 1; attempt <= NOTIFY_RETRY_ATTEMPTS; attempt += 1) {
+    try {
+      await adapter.send(channel, notification, { timeoutMs: NOTIFY_HTTP_TIMEOUT_MS });
+      return { ok: true, attempts: attempt };
+    } catch (err) {
+      lastErr = err;
+      if (err?.permanent) break;
+      if (attempt < NOTIFY_RETRY_ATTEMPTS) {
+        await sleep(NOTIFY_RETRY_BASE_MS * 2 ** (attempt - 1));
+      }
+    }
+  }
+  return { ok: false, error: lastErr };
+}
+
+function recordResult(channel, result, logPrefix) {
+  if (channel.id == null) return;
+  const stmts = getStmts();
+  try {
+    if (result.ok) {
+      stmts.markSuccess.run(channel.id);
+      return;
+    }
+    const errText = String(result.error?.message || result.error || "unknown error").slice(0, 500);
+    const row = stmts.markFailure.get(errText, channel.id);
+    const failCount = Number(row?.fail_count || 0);
+    if (result.error?.permanent || failCount >= NOTIFY_MAX_FAILURES) {
+      const reason = result.error?.permanent ? `permanent: ${errText}` : `${failCount} consecutive failures`;
+      stmts.pauseChannel.run(reason.slice(0, 500), channel.id);
+      logger.warn(`${logPrefix} [notify] Paused ${channel.channel_type} channel id=${channel.id} (${reason})`);
+    }
+  } catch (err) {
+    logger.error(`${logPrefix} [notify] Failed to record result for channel id=${channel.id}:`, err?.message || err);
+  }
+}
+
+/**
+ * Deliver one notification to every channel the user routes this alert type to.
+ *
+ * notification = {
+ *   userId, alertType, phase?, title?, embeds?, content?, text?,
+ *   data?: { tier, position, signature, meta }   // webhook payload fields
+ * }
+ * Returns { sent, failed }.
+ */
+async function notifyUser(notification, { logPrefix = "[notify]", channels = null } = {}) {
+  const targets = channels || resolveChannels(notification.userId, notification.alertType);
+  if (!targets.length) return { sent: 0, failed: 0 };
+
+  const text = notification.text || embedsToText(notification.embeds) || discordToPlain(notification.content);
+  const title = notification.title || notification.embeds?.[0]?.data?.title || String(text).split("\n")[0];
+  const full = { ...notification, text, title };
+
+  const results = await Promise.all(
+    targets.map(async (channel) => {
+      const adapter = ADAPTERS[channel.channel_type];
+      if (!adapter || !adapter.isConfigured()) {
+        logger.warn(`${logPrefix} [notify] ${channel.channel_type} is not configured; skipping channel id=${channel.id}`);
+        return { ok: false, skipped: true };
+      }
+      const result = await deliverWithRetry(adapter, channel, full);
+      if (!result.ok) {
+        logger.error(
+          `${logPrefix} [notify] ${channel.channel_type} delivery failed for userId=${notification.userId}:`,
+          result.error?.message || result.error
+        );
+      }
+      recordResult(channel, result, logPrefix);
+      return result;
+    })
+  );
+
+  return {
+    sent: results.filter((r) => r.ok).length,
+    failed: results.filter((r) => !r.ok && !r.skipped).length,
+  };
+}
+
+// One-off message to a single channel (UI "Test" button); same retry + failure tracking as alerts.
+function sendTestNotification({ userId, channel }) {
+  return notifyUser(
+    {
+      userId,
+      alertType: "TEST",
+      phase: "TEST",
+      title: "Test notification",
+      text: "This is a test notification from Liquidity Sentinel. If you can read this, the channel works.",
+      data: { tier: null, position: null, signature: null, meta: null },
+    },
+    { logPrefix: "[notify-test]", channels: [channel] }
+  );
+}
+
+module.exports = {
+  CHANNEL_TYPES,
+  NOTIFY_ALERT_TYPES,
+  getAvailableChannelTypes,
+  normalizeAlertTypes,
+  resolveChannels,
+  notifyUser,
+  sendTestNotification,
+  setNotifierClient: discordDm.setDiscordClient,
+  isValidWebhookUrl: webhook.isValidWebhookUrl,
+  checkWebhookTarget: webhook.checkWebhookTarget,
+  isValidEmail: smtp.isValidEmail,
+  isValidChatId: telegram.isValidChatId,
+};
@@ -0,0 +1,206 @@
+// monitoring/notifiers/smtp.js
+// Email adapter: minimal SMTP client (no external dependency).
+// - SMTP_HOST + SMTP_FROM enable the channel; users supply their address
+// - SMTP_SECURE=1 uses implicit TLS (465); otherwise STARTTLS when the server offers it
+// - AUTH PLAIN when SMTP_USER is set, only over TLS (implicit or after STARTTLS); a server
+//   that does not offer STARTTLS fails the send permanently instead of getting the password
+//   in clear text. SMTP_ALLOW_PLAINTEXT_AUTH=1 lifts this for local mocks only
+// - Plain-text UTF-8 body (base64), one recipient per message
+
+const net = require("net");
+const os = require("os");
+const tls = require("tls");
+const crypto = require("crypto");
+
+function getSmtpConfig() {
+  return {
+    host: String(process.env.SMTP_HOST || "").trim(),
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === "1",
+    user: String(process.env.SMTP_USER || "").trim(),
+    pass: String(process.env.SMTP_PASS || ""),
+    from: String(process.env.SMTP_FROM || "").trim(),
+    allowPlaintextAuth: process.env.SMTP_ALLOW_PLAINTEXT_AUTH === "1",
+  };
+}
+
+function isConfigured() {
+  const cfg = getSmtpConfig();
+  return Boolean(cfg.host && cfg.from && Number.isInteger(cfg.port));
+}
+
+function isValidEmail(raw) {
+  return /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(String(raw || "").trim());
+}
+
+function smtpError(resp, step) {
+  const err = new Error(`SMTP ${step} failed: ${resp.code} ${resp.lines.join(" ")}`.trim());
+  err.code = resp.code;
+  // 5xx = permanent rejection (bad mailbox, auth refused); 4xx = try again later
+  err.permanent = resp.code >= 500;
+  return err;
+}
+
+// Reads SMTP replies (multi-line "250-..." until "250 ...") off a socket.
+function createReplyReader(socket) {
+  let buf = "";
+  let pending = [];
+  const ready = [];
+  const waiters = [];
+  let failed = null;
+
+  const onData = (chunk) => {
+    buf += chunk.toString("utf8");
+    let idx;
+    while ((idx = buf.indexOf("\r\n")) !== -1) {
+      const line = buf.slice(0, idx);
+      buf = buf.slice(idx + 2);
+      pending.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: pending.map((l) => l.slice(4)) };
+        pending = [];
+        if (waiters.length) waiters.shift().resolve(reply);
+        else ready.push(reply);
+      }
+    }
+  };
+  const onFail = (err) => {
+    failed = failed || err || new Error("SMTP connection closed");
+    while (waiters.length) waiters.shift().reject(failed);
+  };
+  const onClose = () => onFail(null);
+
+  socket.on("data", onData);
+  socket.on("error", onFail);
+  socket.on("close", onClose);
+
+  return {
+    next() {
+      if (ready.length) return Promise.resolve(ready.shift());
+      if (failed) return Promise.reject(failed);
+      return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+    },
+    detach() {
+      socket.off("data", onData);
+      socket.off("error", onFail);
+      socket.off("close", onClose);
+    },
+  };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timeout after ${timeoutMs}ms`)));
+    socket.once(secure ? "secureConnect" : "connect", () => resolve(socket));
+    socket.once("error", reject);
+  });
+}
+
+function upgradeToTls(socket, host) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host });
+    secured.once("secureConnect", () => resolve(secured));
+    secured.once("error", reject);
+  });
+}
+
+function encodeHeader(value) {
+  const v = String(value || "").replace(/[\r\n]+/g, " ");
+  return /^[\x20-\x7e]*$/.test(v) ? v : `=?UTF-8?B?${Buffer.from(v, "utf8").toString("base64")}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const domain = from.split("@")[1] || "localhost";
+  const body = Buffer.from(String(text || ""), "utf8")
+    .toString("base64")
+    .replace(/.{1,76}/g, "$&\r\n");
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    body,
+  ].join("\r\n");
+}
+
+async function sendMail({ to, subject, text, timeoutMs }) {
+  const cfg = getSmtpConfig();
+  let socket = await connect({ ...cfg, timeoutMs });
+  let reader = createReplyReader(socket);
+  let isTls = cfg.secure;
+
+  const command = async (line, expect, step) => {
+    if (line != null) socket.write(`${line}\r\n`);
+    const reply = await reader.next();
+    if (!expect.includes(reply.code)) throw smtpError(reply, step);
+    return reply;
+  };
+
+  try {
+    await command(null, [220], "greeting");
+    let ehlo = await command(`EHLO ${os.hostname() || "localhost"}`, [250], "EHLO");
+
+    if (!cfg.secure && ehlo.lines.some((l) => /^STARTTLS\b/i.test(l))) {
+      await command("STARTTLS", [220], "STARTTLS");
+      reader.detach();
+      socket = await upgradeToTls(socket, cfg.host);
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timeout after ${timeoutMs}ms`)));
+      reader = createReplyReader(socket);
+      isTls = true;
+      ehlo = await command(`EHLO ${os.hostname() || "localhost"}`, [250], "EHLO");
+    }
+
+    if (cfg.user) {
+      if (!isTls && !cfg.allowPlaintextAuth) {
+        const err = new Error("SMTP server did not offer STARTTLS; refusing to send credentials without TLS");
+        err.permanent = true;
+        throw err;
+      }
+      const token = Buffer.from(`\u0000${cfg.user}\u0000${cfg.pass}`, "utf8").toString("base64");
+      await command(`AUTH PLAIN ${token}`, [235], "AUTH");
+    }
+
+    await command(`MAIL FROM:<${cfg.from}>`, [250], "MAIL FROM");
+    await command(`RCPT TO:<${to}>`, [250, 251], "RCPT TO");
+    await command("DATA", [354], "DATA");
+
+    // Dot-stuffing: a line starting with "." must be doubled
+    const data = buildMessage({ from: cfg.from, to, subject, text }).replace(/^\./gm, "..");
+    await command(`${data}\r\n.`, [250], "message");
+    await command("QUIT", [221], "QUIT").catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
+
+async function send(channel, notification, { timeoutMs }) {
+  if (!isConfigured()) throw new Error("SMTP_HOST / SMTP_FROM are not set");
+  if (!isValidEmail(channel.target)) {
+    const err = new Error("Invalid email address");
+    err.permanent = true;
+    throw err;
+  }
+
+  const title = notification.title || notification.alertType;
+  await sendMail({
+    to: String(channel.target).trim(),
+    subject: `[Liquidity Sentinel] ${title}`,
+    text: notification.text || title,
+    timeoutMs,
+  });
+}
+
+module.exports = {
+  type: "EMAIL",
+  isConfigured,
+  isValidEmail,
+  send,
+};
@@ -0,0 +1,68 @@
+// monitoring/notifiers/telegram.js
+// Telegram Bot API adapter (sendMessage, plain text).
+// - TELEGRAM_BOT_TOKEN enables the channel; users supply their chat id
+// - TELEGRAM_API_BASE lets a local mock server stand in for api.telegram.org
+
+const { splitIntoDiscordMessages } = require("../../utils/discord/sendLongDM");
+const { postJson } = require("./webhook");
+
+const TELEGRAM_MSG_MAX = 4000; // API limit is 4096
+
+function getApiBase() {
+  return String(process.env.TELEGRAM_API_BASE || "https://api.telegram.org").replace(/\/+$/, "");
+}
+
+function isConfigured() {
+  return Boolean(String(process.env.TELEGRAM_BOT_TOKEN || "").trim());
+}
+
+function isValidChatId(raw) {
+  const v = String(raw || "").trim();
+  return /^-?\d+$/.test(v) || /^@[A-Za-z0-9_]{5,}$/.test(v);
+}
+
+function parseDescription(body) {
+  try {
+    const d = JSON.parse(String(body || ""))?.description;
+    return d ? String(d).slice(0, 200) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+async function send(channel, notification, { timeoutMs }) {
+  if (!isConfigured()) throw new Error("TELEGRAM_BOT_TOKEN is not set");
+  if (!isValidChatId(channel.target)) {
+    const err = new Error("Invalid Telegram chat id");
+    err.permanent = true;
+    throw err;
+  }
+
+  const token = String(process.env.TELEGRAM_BOT_TOKEN).trim();
+  const url = `${getApiBase()}/bot${token}/sendMessage`;
+  const text = [notification.title, notification.text].filter(Boolean).join("\n\n");
+
+  for (const chunk of splitIntoDiscordMessages(text, TELEGRAM_MSG_MAX)) {
+    try {
+      await postJson(
+        url,
+        { chat_id: String(channel.target).trim(), text: chunk, disable_web_page_preview: true },
+        timeoutMs
+      );
+    } catch (err) {
+      // Bot API errors explain themselves in "description" (e.g. "chat not found")
+      const description = parseDescription(err.body);
+      if (description) err.message = `${err.message}: ${description}`;
+      // Never let the bot token leak into logs / last_error
+      err.message = String(err.message || "").split(token).join("<token>");
+      throw err;
+    }
+  }
+}
+
+module.exports = {
+  type: "TELEGRAM",
+  isConfigured,
+  isValidChatId,
+  send,
+};
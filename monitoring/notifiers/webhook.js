@@ -0,0 +1,257 @@
+// monitoring/notifiers/webhook.js
+// Generic HTTP webhook adapter: POSTs one JSON document per notification.
+//
+// Payload:
+// {
+//   source, alertType, phase, tier, title, message,
+//   position: { walletId, contractId, tokenId, chainId, protocol, wallet } | null,
+//   signature, meta, sentAt
+// }
+//
+// Targets are user-supplied, so only public https endpoints are allowed:
+// - the host is resolved when the channel is saved (checkWebhookTarget) and again on every
+//   send (the connect lookup), rejecting loopback, private, link-local / metadata and other
+//   non-public ranges, so a DNS change cannot point a saved channel at the bot's network
+// - redirects are not followed and response bodies are never stored (last_error is user-visible)
+// - WEBHOOK_ALLOW_PRIVATE_HOSTS=1 (local testing only, e.g. dev/mockNotifyServer.js) lifts the
+//   address checks and also allows http://
+
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const USER_AGENT = "liquidity-sentinel-notifier";
+const DNS_CHECK_TIMEOUT_MS = 2000;
+
+// Non-public address ranges a webhook must never reach (IPv4-mapped IPv6 is checked
+// against the IPv4 ranges by BlockList)
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8], // private
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8], // loopback
+  ["169.254.0.0", 16], // link-local, cloud metadata (169.254.169.254)
+  ["172.16.0.0", 12], // private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.0.2.0", 24], // documentation
+  ["192.168.0.0", 16], // private
+  ["198.18.0.0", 15], // benchmarking
+  ["198.51.100.0", 24], // documentation
+  ["203.0.113.0", 24], // documentation
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, broadcast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(addr, prefix, "ipv4");
+}
+for (const [addr, prefix] of [
+  ["::", 128], // unspecified
+  ["::1", 128], // loopback
+  ["64:ff9b::", 96], // NAT64
+  ["100::", 64], // discard
+  ["2001:db8::", 32], // documentation
+  ["fc00::", 7], // unique local (incl. fd00:ec2::254 metadata)
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  BLOCKED_ADDRESSES.addSubnet(addr, prefix, "ipv6");
+}
+
+function isConfigured() {
+  return true;
+}
+
+// Operator opt-in for local mocks; read per call like the SMTP settings
+function allowPrivateHosts() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === "1";
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(String(address || ""));
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+function parseWebhookUrl(raw) {
+  try {
+    return new URL(String(raw || "").trim());
+  } catch (_) {
+    return null;
+  }
+}
+
+function hostOf(u) {
+  // URL keeps IPv6 literals bracketed
+  return u.hostname.replace(/^\[|\]$/g, "");
+}
+
+/**
+ * Syntax check (sync): https only, with a host that is not a literal non-public IP or localhost.
+ * checkWebhookTarget() additionally resolves the host.
+ * With WEBHOOK_ALLOW_PRIVATE_HOSTS=1 any http(s) URL with a host passes.
+ */
+function isValidWebhookUrl(raw) {
+  const u = parseWebhookUrl(raw);
+  if (!u) return false;
+  const host = hostOf(u).toLowerCase();
+  if (allowPrivateHosts()) return Boolean(host) && (u.protocol === "https:" || u.protocol === "http:");
+  if (u.protocol !== "https:") return false;
+  if (!host || host === "localhost" || host.endsWith(".localhost")) return false;
+  if (net.isIP(host) && isBlockedAddress(host)) return false;
+  return true;
+}
+
+function lookupAll(host) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`DNS lookup timed out after ${DNS_CHECK_TIMEOUT_MS}ms`)), DNS_CHECK_TIMEOUT_MS);
+  });
+  return Promise.race([dns.promises.lookup(host, { all: true }), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Save-time check of a webhook URL: valid syntax and every address the host resolves to is public.
+ * Returns { ok: true } or { ok: false, reason }.
+ */
+async function checkWebhookTarget(raw) {
+  if (!isValidWebhookUrl(raw)) {
+    return { ok: false, reason: "Webhook URL must be a public https:// URL." };
+  }
+  if (allowPrivateHosts()) return { ok: true };
+  const host = hostOf(parseWebhookUrl(raw));
+  let addrs;
+  try {
+    addrs = await lookupAll(host);
+  } catch (_) {
+    return { ok: false, reason: `Could not resolve ${host}.` };
+  }
+  if (!addrs.length || addrs.some((a) => isBlockedAddress(a.address))) {
+    return { ok: false, reason: `${host} resolves to a private or reserved address.` };
+  }
+  return { ok: true };
+}
+
+function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+// Connect-time lookup: the address actually dialled is checked, not just the one seen at save time
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addrs) => {
+    if (err) return callback(err);
+    if (!addrs.length || addrs.some((a) => isBlockedAddress(a.address))) {
+      return callback(permanentError(`${hostname} resolves to a private or reserved address`));
+    }
+    if (options?.all) return callback(null, addrs);
+    return callback(null, addrs[0].address, addrs[0].family);
+  });
+}
+
+function buildWebhookPayload(notification) {
+  const data = notification.data || {};
+  return {
+    source: "liquidity-sentinel",
+    alertType: notification.alertType,
+    phase: notification.phase || null,
+    tier: data.tier ?? null,
+    title: notification.title || null,
+    message: notification.text || null,
+    position: data.position || null,
+    signature: data.signature ?? null,
+    meta: data.meta || null,
+    sentAt: new Date().toISOString(),
+  };
+}
+
+// 4xx (except timeout/rate limit) means the endpoint rejects us: retrying will not help.
+function isPermanentHttpStatus(status) {
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function httpStatusError(status) {
+  const err = new Error(`HTTP ${status}`);
+  err.status = status;
+  err.permanent = isPermanentHttpStatus(status);
+  return err;
+}
+
+/**
+ * POST JSON to a fixed, operator-configured endpoint (Telegram API base).
+ * The error message carries only the status; the body is attached as err.body for the caller.
+ */
+async function postJson(url, body, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "content-type": "application/json", "user-agent": USER_AGENT },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+  } catch (err) {
+    if (err?.name === "AbortError") throw new Error(`HTTP timeout after ${timeoutMs}ms`);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!res.ok) {
+    const err = httpStatusError(res.status);
+    err.body = await res.text().catch(() => "");
+    throw err;
+  }
+  return res;
+}
+
+// POST to a user-supplied webhook: guarded lookup, no redirects, response body discarded.
+function postWebhook(url, body, timeoutMs) {
+  const payload = JSON.stringify(body);
+  const allowPrivate = allowPrivateHosts();
+  const transport = allowPrivate && parseWebhookUrl(url)?.protocol === "http:" ? http : https;
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "content-length": Buffer.byteLength(payload),
+          "user-agent": USER_AGENT,
+        },
+        ...(allowPrivate ? {} : { lookup: guardedLookup }),
+        timeout: timeoutMs,
+      },
+      (res) => {
+        res.resume();
+        if (res.statusCode >= 200 && res.statusCode < 300) resolve(res.statusCode);
+        else if (res.statusCode >= 300 && res.statusCode < 400) {
+          reject(permanentError(`HTTP ${res.statusCode} (redirects are not followed)`));
+        } else reject(httpStatusError(res.statusCode));
+      }
+    );
+    req.on("timeout", () => req.destroy(new Error(`HTTP timeout after ${timeoutMs}ms`)));
+    req.on("error", reject);
+    req.end(payload);
+  });
+}
+
+async function send(channel, notification, { timeoutMs }) {
+  if (!isValidWebhookUrl(channel.target)) {
+    throw permanentError("Invalid webhook URL (public https:// only)");
+  }
+  await postWebhook(channel.target, buildWebhookPayload(notification), timeoutMs);
+}
+
+module.exports = {
+  type: "WEBHOOK",
+  isConfigured,
+  isValidWebhookUrl,
+  checkWebhookTarget,
+  postJson,
+  send,
+};
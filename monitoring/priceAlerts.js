@@ -0,0 +1,179 @@
+// monitoring/priceAlerts.js
+//
+// User-defined PRICE_LEVEL rules (price_alerts).
+// - Each rule is anchored to one monitored position, which supplies the price:
+//     LOAN = collateral oracle price (USD), LP = pool price (token1 per token0)
+// - ABOVE: active when price >= upper_price
+// - BELOW: active when price <= lower_price
+// - OUTSIDE: active when price < lower_price or price > upper_price
+// - Debounce + NEW/RESOLVED lifecycle lives in alertEngine.handlePriceLevelAlert
+//
+// Used by:
+// - monitoring/loanMonitor.js (describeLoanPosition, describeLoanFromSnapshot)
+// - monitoring/lpMonitor.js   (describeLpPosition, describeLpFromSnapshot)
+// - handlers/ui/price-alerts-ui.js
+
+const { getDb } = require("../db");
+const { handlePriceLevelAlert } = require("./alertEngine");
+const logger = require("../utils/logger");
+
+const PRICE_ALERT_CONDITIONS = ["ABOVE", "BELOW", "OUTSIDE"];
+
+let _rulesStmt = null;
+
+function toFiniteOrNull(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+function formatPriceValue(v) {
+  if (typeof v !== "number" || !Number.isFinite(v)) return "n/a";
+  const abs = Math.abs(v);
+  if (abs >= 1) return v.toFixed(5);
+  if (abs === 0) return "0";
+  const floor = Math.floor(Math.log10(abs));
+  return v.toFixed(Math.max(0, 4 - 1 - floor));
+}
+
+/**
+ * Evaluate one rule against a price.
+ * Returns { isActive, side } where side is ABOVE/BELOW when active, else null.
+ */
+function evaluatePriceRule(rule, price) {
+  const p = toFiniteOrNull(price);
+  if (p == null || !rule) return { isActive: false, side: null };
+
+  const lower = toFiniteOrNull(rule.lower_price);
+  const upper = toFiniteOrNull(rule.upper_price);
+  const cond = String(rule.condition || "").toUpperCase();
+
+  if ((cond === "ABOVE" || cond === "OUTSIDE") && upper != null && p >= upper) {
+    return { isActive: true, side: "ABOVE" };
+  }
+  if ((cond === "BELOW" || cond === "OUTSIDE") && lower != null && p <= lower) {
+    return { isActive: true, side: "BELOW" };
+  }
+  return { isActive: false, side: null };
+}
+
+function formatPriceRule(rule, priceUnit = "") {
+  const unit = priceUnit ? ` ${priceUnit}` : "";
+  const cond = String(rule?.condition || "").toUpperCase();
+  if (cond === "ABOVE") return `≥ ${formatPriceValue(toFiniteOrNull(rule.upper_price))}${unit}`;
+  if (cond === "BELOW") return `≤ ${formatPriceValue(toFiniteOrNull(rule.lower_price))}${unit}`;
+  if (cond === "OUTSIDE") {
+    return `outside ${formatPriceValue(toFiniteOrNull(rule.lower_price))} – ${formatPriceValue(
+      toFiniteOrNull(rule.upper_price)
+    )}${unit}`;
+  }
+  return cond || "n/a";
+}
+
+// Price + labels as shown to the user for a position snapshot (snapshot_json shape).
+function describeSnapshotPrice(positionKind, snapshot) {
+  if (!snapshot) return { price: null, assetLabel: null, priceUnit: null };
+  if (positionKind === "LOAN") {
+    return {
+      price: toFiniteOrNull(snapshot.price),
+      assetLabel: snapshot.collSymbol || "Collateral",
+      priceUnit: "USD",
+    };
+  }
+  if (snapshot.positionModel === "ALM") return { price: null, assetLabel: null, priceUnit: null };
+  const sym0 = snapshot.token0Symbol || snapshot.token0 || "?";
+  const sym1 = snapshot.token1Symbol || snapshot.token1 || "?";
+  return {
+    price: toFiniteOrNull(snapshot.currentPrice),
+    assetLabel: snapshot.pairLabel || `${sym0}-${sym1}`,
+    priceUnit: `${sym1}/${sym0}`,
+  };
+}
+
+function getEnabledPriceAlerts({ userId, walletId, contractId, tokenId }) {
+  const db = getDb();
+  if (!_rulesStmt) {
+    _rulesStmt = db.prepare(`
+      SELECT id, position_kind, condition, lower_price, upper_price, note
+      FROM price_alerts
+      WHERE user_id = ?
+        AND wallet_id = ?
+        AND contract_id = ?
+        AND token_id = ?
+        AND is_enabled = 1
+      ORDER BY id
+    `);
+  }
+  return _rulesStmt.all(userId, walletId, contractId, String(tokenId));
+}
+
+/**
+ * Run every enabled rule for one position through the alert engine.
+ * Errors are contained per rule so one bad row never blocks the monitor loop.
+ */
+async function checkPriceAlertsForPosition({
+  positionKind,
+  userId,
+  walletId,
+  contractId,
+  positionId,
+  currentPrice,
+  assetLabel,
+  priceUnit,
+  protocol,
+  wallet,
+  walletLabel,
+  chainId,
+  snapshotAt,
+  snapshotSource,
+}) {
+  let rules = [];
+  try {
+    rules = getEnabledPriceAlerts({ userId, walletId, contractId, tokenId: positionId });
+  } catch (err) {
+    logger.warn(`[priceAlerts] rule lookup failed token=${positionId}: ${err?.message || err}`);
+    return;
+  }
+  if (!rules.length) return;
+
+  for (const rule of rules) {
+    const { isActive, side } = evaluatePriceRule(rule, currentPrice);
+    try {
+      await handlePriceLevelAlert({
+        userId,
+        walletId,
+        contractId,
+        ruleId: rule.id,
+        positionKind,
+        positionId: String(positionId),
+        isActive,
+        side,
+        condition: rule.condition,
+        lowerPrice: toFiniteOrNull(rule.lower_price),
+        upperPrice: toFiniteOrNull(rule.upper_price),
+        currentPrice: toFiniteOrNull(currentPrice),
+        ruleText: formatPriceRule(rule, priceUnit),
+        assetLabel,
+        priceUnit,
+        note: rule.note || null,
+        protocol,
+        wallet,
+        walletLabel,
+        chainId,
+        snapshotAt,
+        snapshotSource,
+      });
+    } catch (err) {
+      logger.warn(`[priceAlerts] rule=${rule.id} token=${positionId} failed: ${err?.message || err}`);
+    }
+  }
+}
+
+module.exports = {
+  PRICE_ALERT_CONDITIONS,
+  evaluatePriceRule,
+  formatPriceRule,
+  formatPriceValue,
+  describeSnapshotPrice,
+  checkPriceAlertsForPosition,
+};
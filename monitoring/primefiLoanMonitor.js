@@ -1,10 +1,12 @@
-const { ethers } = require("ethers");
 const primefiConfig = require("../data/primefi_loans.json");
 const { getDb } = require("../db");
 const logger = require("../utils/logger");
 const { getProviderForChain } = require("../utils/ethers/providers");
+const { getBatchedProvider } = require("../utils/ethers/multicall");
 const { loadPriceCache, isStableUsd, normalizeSymbol } = require("../utils/priceCache");
-const { handlePrimefiWithdrawAlert } = require("./alertEngine");
+const { handlePrimefiWithdrawAlert, handlePrimefiLiquidationAlert } = require("./alertEngine");
+const { readAaveV2Account } = require("./aaveV2Market");
+const { resolveAlertThresholds, pickThreshold } = require("./alertThresholds");
 
 function requireNumberEnv(name) {
   const raw = process.env[name];
@@ -17,26 +19,20 @@ function requireNumberEnv(name) {
 const LIQ_BUFFER_WARN = requireNumberEnv("LIQ_BUFFER_WARN");
 const LIQ_BUFFER_HIGH = requireNumberEnv("LIQ_BUFFER_HIGH");
 const LIQ_BUFFER_CRIT = requireNumberEnv("LIQ_BUFFER_CRIT");
+// Health-factor tiers for PRIMEFI_LIQUIDATION alerts (liquidation at HF < 1);
+// per-user wallet / default overrides from /my-alert-settings take precedence
+const PRIMEFI_HF_WARN = requireNumberEnv("PRIMEFI_HF_WARN");
+const PRIMEFI_HF_HIGH = requireNumberEnv("PRIMEFI_HF_HIGH");
+const PRIMEFI_HF_CRIT = requireNumberEnv("PRIMEFI_HF_CRIT");
+if (!(PRIMEFI_HF_CRIT <= PRIMEFI_HF_HIGH && PRIMEFI_HF_HIGH <= PRIMEFI_HF_WARN)) {
+  throw new Error("PRIMEFI_HF_CRIT <= PRIMEFI_HF_HIGH <= PRIMEFI_HF_WARN required");
+}
 const CHAINS_CONFIG = {
   FLR: { rpcEnvKey: "FLR_MAINNET" },
   XDC: { rpcEnvKey: "XDC_MAINNET" },
 };
 const DAY_MS = 24 * 60 * 60 * 1000;
 
-const lendingPoolAbi = [
-  "function getUserAccountData(address user) view returns (uint256 totalCollateralETH,uint256 totalDebtETH,uint256 availableBorrowsETH,uint256 currentLiquidationThreshold,uint256 ltv,uint256 healthFactor)",
-];
-
-const dataProviderAbi = [
-  "function getUserReserveData(address asset,address user) view returns (uint256 currentATokenBalance,uint256 currentStableDebt,uint256 currentVariableDebt,uint256 principalStableDebt,uint256 scaledVariableDebt,uint256 stableBorrowRate,uint256 liquidityRate,uint40 stableRateLastUpdated,bool usageAsCollateralEnabled)",
-  "function getReserveConfigurationData(address asset) view returns (uint256 decimals,uint256 ltv,uint256 liquidationThreshold,uint256 liquidationBonus,bool usageAsCollateralEnabled,bool borrowingEnabled,bool stableBorrowRateEnabled,bool isActive,bool isFrozen)",
-  "function getReserveTokensAddresses(address asset) view returns (address aTokenAddress,address stableDebtTokenAddress,address variableDebtTokenAddress)",
-];
-
-const erc20BalanceAbi = [
-  "function balanceOf(address account) view returns (uint256)",
-];
-
 function classifyLiquidationRisk(bufferFrac) {
   if (bufferFrac == null || !Number.isFinite(bufferFrac)) return { tier: "UNKNOWN" };
   if (bufferFrac <= LIQ_BUFFER_CRIT) return { tier: "CRITICAL" };
@@ -45,6 +41,25 @@ function classifyLiquidationRisk(bufferFrac) {
   return { tier: "LOW" };
 }
 
+function classifyHealthFactorRisk(healthFactor, hasDebt, thresholds = null) {
+  if (!hasDebt) return { tier: "LOW" };
+  if (healthFactor == null || !Number.isFinite(healthFactor)) return { tier: "UNKNOWN" };
+  if (healthFactor <= pickThreshold(thresholds, "primefiHfCrit", PRIMEFI_HF_CRIT)) return { tier: "CRITICAL" };
+  if (healthFactor <= pickThreshold(thresholds, "primefiHfHigh", PRIMEFI_HF_HIGH)) return { tier: "HIGH" };
+  if (healthFactor <= pickThreshold(thresholds, "primefiHfWarn", PRIMEFI_HF_WARN)) return { tier: "MEDIUM" };
+  return { tier: "LOW" };
+}
+
+// Markets are not contracts rows, so only wallet and user-default overrides apply
+function getWalletAlertThresholds(wallet) {
+  try {
+    return resolveAlertThresholds({ userId: wallet?.userId, walletId: wallet?.walletId });
+  } catch (err) {
+    logger.warn(`[primefiLoanMonitor] Failed to load alert thresholds: ${err?.message || err}`);
+    return null;
+  }
+}
+
 function getPrimefiMarkets(chainId = null) {
   const chains = primefiConfig?.chains || {};
   const entries = [];
@@ -66,13 +81,43 @@ function getPriceForSymbol(priceMap, chainId, symbol) {
   return Number.isFinite(price) && price > 0 ? price : null;
 }
 
-function toNumUnits(raw, decimals) {
-  try {
-    const n = Number(ethers.formatUnits(raw, decimals));
-    return Number.isFinite(n) ? n : null;
-  } catch {
-    return null;
+// USD per unit of the market's oracle base currency, from a held reserve with a known
+// USD price (stablecoins first)
+function getUsdPerBaseUnit(priceMap, chainId, reserves) {
+  const priced = reserves.filter((r) => Number.isFinite(r.priceBase) && r.priceBase > 0);
+  const stable = priced.find((r) => isStableUsd(chainId, normalizeSymbol(r.symbol)));
+  if (stable) return 1 / stable.priceBase;
+  for (const r of priced) {
+    const usd = getPriceForSymbol(priceMap, chainId, r.symbol);
+    if (Number.isFinite(usd)) return usd / r.priceBase;
+  }
+  return null;
+}
+
+// Configured asset when held, else the largest by USD (amount when unpriced)
+function pickPrimary(entries, preferredAsset) {
+  if (!entries.length) return null;
+  const preferred = preferredAsset
+    ? entries.find((e) => e.asset.toLowerCase() === String(preferredAsset).toLowerCase())
+    : null;
+  if (preferred) return preferred;
+  return [...entries].sort((a, b) => (b.usd ?? -1) - (a.usd ?? -1) || b.amount - a.amount)[0];
+}
+
+function sumUsd(entries, valueOf = (e) => e.usd) {
+  let total = 0;
+  for (const e of entries) {
+    const v = valueOf(e);
+    if (!Number.isFinite(v)) return null;
+    total += v;
   }
+  return total;
+}
+
+// "WXDC+sFLR": primary first
+function symbolList(entries, primary) {
+  const rest = entries.filter((e) => e !== primary);
+  return [primary, ...rest].filter(Boolean).map((e) => e.symbol || "?").join("+");
 }
 
 function parseSnapshotTs(raw) {
@@ -200,9 +245,9 @@ async function refreshPrimefiLoanSnapshots(runId, { enableAlerts = true } = {})
     SELECT uw.id AS walletId, uw.user_id AS userId, uw.chain_id AS chainId,
            uw.address_eip55 AS addressEip55, uw.label AS walletLabel
     FROM user_wallets uw
-    WHERE uw.is_enabled = 1 AND uw.chain_id = 'XDC'
+    WHERE uw.is_enabled = 1
     ORDER BY uw.user_id, uw.id
-  `).all();
+  `).all().filter((w) => getPrimefiMarkets(w.chainId).length > 0);
 
   if (!wallets.length) {
     db.prepare(`DELETE FROM primefi_loan_position_snapshots WHERE snapshot_run_id != ?`).run(runId);
@@ -211,7 +256,9 @@ async function refreshPrimefiLoanSnapshots(runId, { enableAlerts = true } = {})
 
   const providers = new Map();
   const getProvider = (chainId) => {
-    if (!providers.has(chainId)) providers.set(chainId, getProviderForChain(chainId, CHAINS_CONFIG));
+    if (!providers.has(chainId)) {
+      providers.set(chainId, getBatchedProvider(getProviderForChain(chainId, CHAINS_CONFIG)));
+    }
     return providers.get(chainId);
   };
 
@@ -243,92 +290,110 @@ async function refreshPrimefiLoanSnapshots(runId, { enableAlerts = true } = {})
     const markets = getPrimefiMarkets(wallet.chainId);
     const provider = getProvider(wallet.chainId);
     const priceMap = priceCache.get(wallet.chainId);
+    const thresholds = getWalletAlertThresholds(wallet);
 
     for (const market of markets) {
       try {
-        const lendingPool = new ethers.Contract(market.lendingPool, lendingPoolAbi, provider);
-        const dataProvider = new ethers.Contract(market.dataProvider, dataProviderAbi, provider);
-        const [accountData, collateralCfg, collateralUserReserve, debtUserReserve] = await Promise.all([
-          lendingPool.getUserAccountData(wallet.addressEip55),
-          dataProvider.getReserveConfigurationData(market.collateralAsset),
-          dataProvider.getUserReserveData(market.collateralAsset, wallet.addressEip55),
-          dataProvider.getUserReserveData(market.debtAsset, wallet.addressEip55),
-        ]);
-
-        const collDecimals = Number(collateralCfg.decimals);
-        const debtDecimals = 6;
-        const collAmount = toNumUnits(collateralUserReserve.currentATokenBalance, collDecimals);
-        const variableDebt = toNumUnits(debtUserReserve.currentVariableDebt, debtDecimals) || 0;
-        const stableDebt = toNumUnits(debtUserReserve.currentStableDebt, debtDecimals) || 0;
-        const debtAmount = variableDebt + stableDebt;
-        if (!(Number(collAmount) > 0 || Number(debtAmount) > 0)) continue;
-
-        const totalCollateralBase = Number(accountData.totalCollateralETH);
-        const totalDebtBase = Number(accountData.totalDebtETH);
-        const liqThresholdFrac = Number(collateralCfg.liquidationThreshold) / 10000;
-        const currentLiqThresholdFrac = Number(accountData.currentLiquidationThreshold) / 10000;
+        const acct = await readAaveV2Account(provider, market, wallet.addressEip55);
+        if (!acct.supplies.length && !acct.borrows.length) continue;
+
+        const usdPerBase = getUsdPerBaseUnit(priceMap, wallet.chainId, [...acct.supplies, ...acct.borrows]);
+        const assetPriceUsd = (r) =>
+          Number.isFinite(usdPerBase) && Number.isFinite(r.priceBase)
+            ? r.priceBase * usdPerBase
+            : getPriceForSymbol(priceMap, wallet.chainId, r.symbol);
+        const collaterals = acct.supplies.map((r) => {
+          const priceUsd = assetPriceUsd(r);
+          return {
+            asset: r.asset,
+            symbol: r.symbol,
+            amount: r.amount,
+            priceUsd,
+            usd: Number.isFinite(priceUsd) ? r.amount * priceUsd : null,
+            usedAsCollateral: r.usedAsCollateral,
+            liqThresholdPct: r.liqThresholdFrac * 100,
+            availableLiquidity: r.availableLiquidity,
+          };
+        });
+        const debts = acct.borrows.map((r) => {
+          const priceUsd = assetPriceUsd(r);
+          return {
+            asset: r.asset,
+            symbol: r.symbol,
+            amount: r.amount,
+            variableAmount: r.variableAmount,
+            stableAmount: r.stableAmount,
+            priceUsd,
+            usd: Number.isFinite(priceUsd) ? r.amount * priceUsd : null,
+          };
+        });
+
+        // Single-asset fields (collSymbol, price, liquidationPrice, withdrawable) follow the
+        // primary collateral / debt: the configured pair if held, else the largest by USD
+        const primaryColl = pickPrimary(
+          acct.supplies.filter((r) => r.usedAsCollateral).length
+            ? collaterals.filter((c, i) => acct.supplies[i].usedAsCollateral)
+            : collaterals,
+          market.collateralAsset
+        );
+        const primaryCollReserve = primaryColl ? acct.supplies.find((r) => r.asset === primaryColl.asset) : null;
+        const primaryDebt = pickPrimary(debts, market.debtAsset);
+
+        const collAmount = primaryColl ? primaryColl.amount : 0;
+        const debtAmount = primaryDebt ? primaryDebt.amount : 0;
+        const variableDebt = primaryDebt ? primaryDebt.variableAmount : 0;
+        const stableDebt = primaryDebt ? primaryDebt.stableAmount : 0;
+        const hasDebt = debts.length > 0;
+
+        const liqThresholdFrac = primaryCollReserve ? primaryCollReserve.liqThresholdFrac : 0;
         const liqThresholdPct = liqThresholdFrac * 100;
-        let debtAssetPrice = getPriceForSymbol(priceMap, wallet.chainId, market.debtSymbol);
-        if (!Number.isFinite(debtAssetPrice) && String(market.debtSymbol).toUpperCase() === "USDC") debtAssetPrice = 1;
-
-        let collateralPrice = null;
-        if (Number(collAmount) > 0 && Number(debtAmount) > 0 && totalCollateralBase > 0 && totalDebtBase > 0) {
-          const collBasePerUnit = totalCollateralBase / collAmount;
-          const debtBasePerUnit = totalDebtBase / debtAmount;
-          if (Number.isFinite(collBasePerUnit) && Number.isFinite(debtBasePerUnit) && debtBasePerUnit > 0) {
-            collateralPrice = collBasePerUnit / debtBasePerUnit;
-            if (Number.isFinite(debtAssetPrice)) collateralPrice *= debtAssetPrice;
-          }
-        }
-        if (!Number.isFinite(collateralPrice)) collateralPrice = getPriceForSymbol(priceMap, wallet.chainId, market.collateralSymbol);
+        const collateralPrice = primaryColl ? primaryColl.priceUsd : null;
+        const collateralUsdTotal = sumUsd(collaterals.filter((c) => c.usedAsCollateral));
+        const debtUsdTotal = sumUsd(debts);
+        const ltvPct =
+          acct.totalCollateralBase > 0 && Number.isFinite(acct.totalDebtBase)
+            ? (acct.totalDebtBase / acct.totalCollateralBase) * 100
+            : collateralUsdTotal > 0 && Number.isFinite(debtUsdTotal)
+            ? (debtUsdTotal / collateralUsdTotal) * 100
+            : null;
 
-        const collateralUsd = Number.isFinite(collateralPrice) && Number.isFinite(collAmount) ? collAmount * collateralPrice : null;
-        const debtUsd = Number.isFinite(debtAssetPrice) && Number.isFinite(debtAmount) ? debtAmount * debtAssetPrice : null;
-        const ltvPct = collateralUsd > 0 && Number.isFinite(debtUsd) ? (debtUsd / collateralUsd) * 100 : null;
-        const liquidationPrice = Number.isFinite(debtAssetPrice) && Number(collAmount) > 0 && liqThresholdFrac > 0
-          ? (debtAmount * debtAssetPrice) / (collAmount * liqThresholdFrac)
-          : null;
+        // Primary collateral price at which HF hits 1, other collateral held at today's prices
+        const otherWeightedUsd = sumUsd(
+          collaterals.filter((c) => c.usedAsCollateral && c !== primaryColl),
+          (c) => (Number.isFinite(c.usd) ? c.usd * (c.liqThresholdPct / 100) : null)
+        );
+        const liquidationPrice =
+          hasDebt && Number.isFinite(debtUsdTotal) && Number.isFinite(otherWeightedUsd) && collAmount > 0 && liqThresholdFrac > 0
+            ? Math.max(0, debtUsdTotal - otherWeightedUsd) / (collAmount * liqThresholdFrac)
+            : null;
         const liquidationBufferFrac = Number.isFinite(collateralPrice) && Number.isFinite(liquidationPrice) && liquidationPrice > 0
           ? (collateralPrice / liquidationPrice) - 1
           : null;
         const liqClass = classifyLiquidationRisk(liquidationBufferFrac);
-        const healthFactor = Number(ethers.formatUnits(accountData.healthFactor, 18));
-        let reserveAvailableAmount = null;
-        let aTokenAddress = null;
-        try {
-          const reserveTokens = await dataProvider.getReserveTokensAddresses(market.collateralAsset);
-          aTokenAddress = reserveTokens?.aTokenAddress ? ethers.getAddress(reserveTokens.aTokenAddress) : null;
-          if (aTokenAddress) {
-            const collToken = new ethers.Contract(market.collateralAsset, erc20BalanceAbi, provider);
-            const reserveAvailableRaw = await collToken.balanceOf(aTokenAddress);
-            reserveAvailableAmount = toNumUnits(reserveAvailableRaw, collDecimals);
-          }
-        } catch (e) {
-          logger.warn(
-            `[primefiLoanMonitor] reserve liquidity read failed wallet=${wallet.addressEip55} protocol=${market.protocol}: ${e?.message || e}`
-          );
-        }
+        const healthFactor = acct.healthFactor;
+        const hfClass = classifyHealthFactorRisk(healthFactor, hasDebt, thresholds);
+        const reserveAvailableAmount = primaryColl ? primaryColl.availableLiquidity : null;
+        const aTokenAddress = primaryCollReserve ? primaryCollReserve.aTokenAddress : null;
+
+        // Primary collateral that can leave while HF stays >= 1
         let withdrawableByRiskAmount = null;
-        if (Number(collAmount) > 0) {
-          if (!(Number(debtAmount) > 0)) {
+        if (collAmount > 0) {
+          if (!hasDebt || !primaryCollReserve.usedAsCollateral) {
             withdrawableByRiskAmount = collAmount;
           } else if (
-            Number.isFinite(totalCollateralBase) &&
-            totalCollateralBase > 0 &&
-            Number.isFinite(totalDebtBase) &&
-            totalDebtBase >= 0 &&
-            Number.isFinite(currentLiqThresholdFrac) &&
-            currentLiqThresholdFrac > 0
+            Number.isFinite(acct.totalCollateralBase) &&
+            acct.totalCollateralBase > 0 &&
+            Number.isFinite(acct.totalDebtBase) &&
+            Number.isFinite(acct.currentLiqThresholdFrac) &&
+            acct.currentLiqThresholdFrac > 0 &&
+            Number.isFinite(primaryCollReserve.priceBase) &&
+            liqThresholdFrac > 0
           ) {
-            const collateralBasePerUnit = totalCollateralBase / collAmount;
-            const requiredCollateralBase = totalDebtBase / currentLiqThresholdFrac;
-            const removableCollateralBase = Math.max(0, totalCollateralBase - requiredCollateralBase);
-            if (Number.isFinite(collateralBasePerUnit) && collateralBasePerUnit > 0) {
-              withdrawableByRiskAmount = Math.min(
-                collAmount,
-                Math.max(0, removableCollateralBase / collateralBasePerUnit)
-              );
-            }
+            const headroomBase = acct.totalCollateralBase * acct.currentLiqThresholdFrac - acct.totalDebtBase;
+            withdrawableByRiskAmount = Math.min(
+              collAmount,
+              Math.max(0, headroomBase / (primaryCollReserve.priceBase * liqThresholdFrac))
+            );
           }
         }
         const withdrawableNowAmount =
@@ -354,12 +419,12 @@ async function refreshPrimefiLoanSnapshots(runId, { enableAlerts = true } = {})
           protocol: market.protocol,
           marketKey: market.key,
           walletLabel: wallet.walletLabel,
-          positionId: `${market.collateralSymbol}/${market.debtSymbol}`,
+          positionId: `${symbolList(collaterals, primaryColl) || "-"}/${symbolList(debts, primaryDebt) || "-"}`,
           positionLabel: "Market",
-          status: debtAmount > 0 ? "ACTIVE" : "SUPPLIED",
-          collSymbol: market.collateralSymbol,
+          status: hasDebt ? "ACTIVE" : "SUPPLIED",
+          collSymbol: primaryColl?.symbol || market.collateralSymbol || null,
           collAmount,
-          debtSymbol: market.debtSymbol,
+          debtSymbol: primaryDebt?.symbol || market.debtSymbol || null,
           debtAmount,
           debtVariableAmount: variableDebt,
           debtStableAmount: stableDebt,
@@ -371,6 +436,7 @@ async function refreshPrimefiLoanSnapshots(runId, { enableAlerts = true } = {})
           liquidationPrice,
           liquidationBufferFrac,
           liquidationTier: liqClass.tier,
+          healthFactorTier: hfClass.tier,
           redemptionTier: null,
           interestPct: null,
           globalIrPct: null,
@@ -381,6 +447,10 @@ async function refreshPrimefiLoanSnapshots(runId, { enableAlerts = true } = {})
           withdrawableNowUsd,
           withdrawableConstraint,
           aTokenAddress,
+          collaterals,
+          debts,
+          collateralUsd: collateralUsdTotal,
+          debtUsd: debtUsdTotal,
         };
 
         const snapshotJson = JSON.stringify(summary);
@@ -411,7 +481,7 @@ async function refreshPrimefiLoanSnapshots(runId, { enableAlerts = true } = {})
             marketKey: market.key,
             walletAddress: wallet.addressEip55,
             walletLabel: wallet.walletLabel || null,
-            collateralSymbol: market.collateralSymbol,
+            collateralSymbol: summary.collSymbol,
             withdrawableNowAmount,
             withdrawableNowUsd,
             withdrawableByRiskAmount,
@@ -420,6 +490,26 @@ async function refreshPrimefiLoanSnapshots(runId, { enableAlerts = true } = {})
             snapshotAt: new Date().toISOString(),
             snapshotSource: "rpc",
           });
+          await handlePrimefiLiquidationAlert({
+            userId: wallet.userId,
+            walletId: wallet.walletId,
+            chainId: wallet.chainId,
+            protocol: market.protocol,
+            marketKey: market.key,
+            walletAddress: wallet.addressEip55,
+            walletLabel: wallet.walletLabel || null,
+            collateralSymbol: summary.collSymbol,
+            debtSymbol: summary.debtSymbol,
+            hasDebt,
+            tier: hfClass.tier,
+            healthFactor: Number.isFinite(healthFactor) ? healthFactor : null,
+            ltvPct,
+            currentPrice: collateralPrice,
+            liquidationPrice,
+            liquidationBufferFrac,
+            snapshotAt: new Date().toISOString(),
+            snapshotSource: "rpc",
+          });
         }
         inserted.push(summary);
       } catch (err) {
@@ -0,0 +1,188 @@
+// monitoring/redemptionHits.js
+//
+// Redemptions that actually hit a monitored trove (REDEMPTION_HIT alerts).
+// - Source: TroveOperation(REDEEM_COLLATERAL) rows in trove_events
+//   (jobs/deriveTroveEventsFromEvents.js); the fee kept by the trove comes from the
+//   same tx's RedemptionFeePaidToTrove log and the oracle price from its Redemption
+//   log, both read from chain_events
+// - "Before the hit" is the trove's loan_position_snapshots row when it predates the
+//   hit, else the latest snapshot history row before the block time
+// - Only hits newer than REDEMPTION_HIT_MAX_AGE_MIN are returned, so a backfill does not
+//   replay old redemptions as alerts; dedupe per event lives in alertEngine (alert_log)
+// - Hits whose block timestamp lookup failed are picked up once the deriver's next run
+//   fills it (it retries NULL timestamps every pass)
+//
+// Used by:
+// - monitoring/loanMonitor.js (monitorLoans -> handleRedemptionHitAlert)
+
+const { ethers } = require("ethers");
+
+const { getDb } = require("../db");
+const { getSnapshotBefore } = require("./snapshotHistory");
+
+function requireNumberEnv(name) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") {
+    throw new Error(`[redemptionHits] Missing required env var ${name}`);
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n)) {
+    throw new Error(`[redemptionHits] Env var ${name} must be numeric (got "${raw}")`);
+  }
+  return n;
+}
+
+const REDEMPTION_HIT_MAX_AGE_MIN = requireNumberEnv("REDEMPTION_HIT_MAX_AGE_MIN");
+
+// Liquity v2 debt and collateral are both 18-decimal
+function fromRaw(raw, decimals = 18) {
+  if (raw == null) return null;
+  try {
+    return Number(ethers.formatUnits(BigInt(String(raw)), decimals));
+  } catch {
+    return null;
+  }
+}
+
+function toSqlDatetime(tsSec) {
+  return new Date(tsSec * 1000).toISOString().slice(0, 19).replace("T", " ");
+}
+
+let _stmts = null;
+function getStmts() {
+  if (_stmts) return _stmts;
+  const db = getDb();
+  _stmts = {
+    selHits: db.prepare(`
+      SELECT
+        o.event_id,
+        o.block_number,
+        o.block_timestamp,
+        o.tx_hash,
+        o.debt_change_raw,
+        o.coll_change_raw,
+        o.annual_interest_rate_raw,
+        (
+          SELECT u.debt_raw
+          FROM trove_events u
+          WHERE u.contract_id = o.contract_id
+            AND u.trove_id = o.trove_id
+            AND u.block_number = o.block_number
+            AND u.tx_hash = o.tx_hash
+            AND u.event_kind = 'UPDATED'
+          ORDER BY u.log_index DESC
+          LIMIT 1
+        ) AS debt_after_raw,
+        (
+          SELECT u.coll_raw
+          FROM trove_events u
+          WHERE u.contract_id = o.contract_id
+            AND u.trove_id = o.trove_id
+            AND u.block_number = o.block_number
+            AND u.tx_hash = o.tx_hash
+            AND u.event_kind = 'UPDATED'
+          ORDER BY u.log_index DESC
+          LIMIT 1
+        ) AS coll_after_raw,
+        (
+          SELECT json_extract(f.decoded_json, '$.collFeeRaw')
+          FROM chain_events f
+          WHERE f.contract_id = o.contract_id
+            AND f.block_number = o.block_number
+            AND f.tx_hash = o.tx_hash
+            AND f.event_name = 'RedemptionFeePaidToTrove'
+            AND f.removed = 0
+            AND json_extract(f.decoded_json, '$.troveId') = o.trove_id
+          LIMIT 1
+        ) AS coll_fee_raw,
+        (
+          SELECT json_extract(r.decoded_json, '$.priceRaw')
+          FROM chain_events r
+          WHERE r.contract_id = o.contract_id
+            AND r.block_number = o.block_number
+            AND r.tx_hash = o.tx_hash
+            AND r.event_name = 'Redemption'
+            AND r.removed = 0
+          ORDER BY r.log_index
+          LIMIT 1
+        ) AS price_raw
+      FROM trove_events o
+      WHERE o.contract_id = @contractId
+        AND o.trove_id = @troveId
+        AND o.event_kind = 'OPERATION'
+        AND o.operation = 'REDEEM_COLLATERAL'
+        AND o.block_timestamp >= @minTs
+      ORDER BY o.block_number, o.log_index
+    `),
+    selCurrentSnapshot: db.prepare(`
+      SELECT snapshot_at, snapshot_json
+      FROM loan_position_snapshots
+      WHERE user_id = ?
+        AND wallet_id = ?
+        AND contract_id = ?
+        AND token_id = ?
+    `),
+  };
+  return _stmts;
+}
+
+/**
+ * Loan snapshot in effect just before `hitAt` (SQLite datetime text).
+ * Returns { snapshotAt, snapshot } or null.
+ */
+function getSnapshotBeforeHit(row, hitAt) {
+  const { selCurrentSnapshot } = getStmts();
+  const cur = selCurrentSnapshot.get(row.userId, row.walletId, row.contractId, String(row.troveId));
+  if (cur?.snapshot_json && cur.snapshot_at < hitAt) {
+    try {
+      return { snapshotAt: cur.snapshot_at, snapshot: JSON.parse(cur.snapshot_json) };
+    } catch (_) {}
+  }
+  return getSnapshotBefore("LOAN", {
+    userId: row.userId,
+    walletId: row.walletId,
+    contractId: row.contractId,
+    tokenId: row.troveId,
+    before: hitAt,
+  });
+}
+
+/**
+ * Recent redemptions against one monitored trove (getMonitoredLoanRows() row), oldest first.
+ * Amounts are in token units; effectivePrice is debt cleared per unit of collateral
+ * taken (oracle price plus the redemption fee).
+ */
+function getRecentRedemptionHits(row) {
+  const { selHits } = getStmts();
+  const minTs = Math.floor(Date.now() / 1000 - REDEMPTION_HIT_MAX_AGE_MIN * 60);
+  const rows = selHits.all({ contractId: row.contractId, troveId: String(row.troveId), minTs });
+
+  return rows.map((r) => {
+    const debtChange = fromRaw(r.debt_change_raw);
+    const collChange = fromRaw(r.coll_change_raw);
+    const debtRedeemed = debtChange != null ? Math.abs(debtChange) : null;
+    const collRedeemed = collChange != null ? Math.abs(collChange) : null;
+    const hitAt = toSqlDatetime(Number(r.block_timestamp));
+
+    return {
+      eventId: r.event_id,
+      blockNumber: r.block_number,
+      blockTimestamp: r.block_timestamp,
+      hitAt,
+      txHash: r.tx_hash,
+      debtRedeemed,
+      collRedeemed,
+      collFee: fromRaw(r.coll_fee_raw),
+      oraclePrice: fromRaw(r.price_raw),
+      effectivePrice: debtRedeemed != null && collRedeemed ? debtRedeemed / collRedeemed : null,
+      debtAfter: fromRaw(r.debt_after_raw),
+      collAfter: fromRaw(r.coll_after_raw),
+      interestPct: fromRaw(r.annual_interest_rate_raw, 16),
+      before: getSnapshotBeforeHit(row, hitAt),
+    };
+  });
+}
+
+module.exports = {
+  getRecentRedemptionHits,
+};
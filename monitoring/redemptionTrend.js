@@ -0,0 +1,134 @@
+// monitoring/redemptionTrend.js
+//
+// Debt-ahead trend for one trove (REDEMPTION_TREND alerts).
+// - Points: loan snapshot history (monitoring/snapshotHistory.js) over the last
+//   REDEMP_TREND_LOOKBACK_HOURS plus the snapshot being evaluated, restricted to the
+//   trove's current interest rate (an IR change moves debt ahead in one jump, which
+//   is not a trend)
+// - Pace: least-squares slope of debt-ahead % per hour
+// - Projection: hours until the pace carries debt ahead below the boundary of the
+//   next worse redemption tier (user thresholds, env defaults)
+//
+// Used by:
+// - monitoring/loanMonitor.js (describeLoanPosition / describeLoanFromSnapshot -> handleRedemptionTrendAlert)
+
+const { getSnapshotHistory } = require("./snapshotHistory");
+const { pickThreshold } = require("./alertThresholds");
+
+function requireNumberEnv(name) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") {
+    throw new Error(`[redemptionTrend] Missing required env var ${name}`);
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n)) {
+    throw new Error(`[redemptionTrend] Env var ${name} must be numeric (got "${raw}")`);
+  }
+  return n;
+}
+
+const REDEMP_TREND_HORIZON_HOURS = requireNumberEnv("REDEMP_TREND_HORIZON_HOURS");
+const REDEMP_TREND_LOOKBACK_HOURS = requireNumberEnv("REDEMP_TREND_LOOKBACK_HOURS");
+const REDEMP_TREND_MIN_POINTS = Math.max(2, requireNumberEnv("REDEMP_TREND_MIN_POINTS"));
+
+const REDEMP_DEBT_AHEAD_LOW_PCT = requireNumberEnv("REDEMP_DEBT_AHEAD_LOW_PCT");
+const REDEMP_DEBT_AHEAD_MED_PCT = requireNumberEnv("REDEMP_DEBT_AHEAD_MED_PCT");
+const REDEMP_DEBT_AHEAD_HIGH_PCT = requireNumberEnv("REDEMP_DEBT_AHEAD_HIGH_PCT");
+
+// Current tier -> next worse tier and the threshold key that separates them
+const NEXT_TIER = {
+  LOW: { tier: "MEDIUM", key: "redempDebtAheadLowPct", fallback: REDEMP_DEBT_AHEAD_LOW_PCT },
+  MEDIUM: { tier: "HIGH", key: "redempDebtAheadMedPct", fallback: REDEMP_DEBT_AHEAD_MED_PCT },
+  HIGH: { tier: "CRITICAL", key: "redempDebtAheadHighPct", fallback: REDEMP_DEBT_AHEAD_HIGH_PCT },
+};
+
+function parseSnapshotMs(raw) {
+  if (!raw) return NaN;
+  const s = String(raw);
+  const iso = s.includes("T") ? s : s.replace(" ", "T");
+  return Date.parse(iso.endsWith("Z") ? iso : `${iso}Z`);
+}
+
+function sameRate(a, b) {
+  return Number.isFinite(a) && Number.isFinite(b) && Math.abs(a - b) < 1e-6;
+}
+
+// Least-squares slope of y over x
+function slopeOf(points) {
+  const n = points.length;
+  const mx = points.reduce((s, p) => s + p.x, 0) / n;
+  const my = points.reduce((s, p) => s + p.y, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (const p of points) {
+    num += (p.x - mx) * (p.y - my);
+    den += (p.x - mx) ** 2;
+  }
+  return den > 0 ? num / den : null;
+}
+
+/**
+ * Projected time for one trove to fall into the next worse redemption tier.
+ *
+ * current: { snapshotAt, rawDebtAheadPct, debtAheadPct, tier, interestPct }
+ *   rawDebtAheadPct is the snapshot value (history is stored raw); debtAheadPct and
+ *   tier are what the monitor classified (after test offsets), used for the boundary.
+ *
+ * Returns null when there is no usable trend, else
+ * { nextTier, boundaryPct, slopePctPerHour, etaHours, points, windowHours, isActive }
+ * where isActive = shrinking and etaHours <= REDEMP_TREND_HORIZON_HOURS.
+ */
+function computeDebtAheadTrend({ userId, walletId, contractId, troveId, thresholds }, current) {
+  if (!(REDEMP_TREND_HORIZON_HOURS > 0)) return null;
+  const next = NEXT_TIER[String(current?.tier || "").toUpperCase()];
+  if (!next) return null;
+  if (!Number.isFinite(current.debtAheadPct) || !Number.isFinite(current.rawDebtAheadPct)) return null;
+
+  const nowMs = parseSnapshotMs(current.snapshotAt);
+  if (!Number.isFinite(nowMs)) return null;
+  const sinceMs = nowMs - REDEMP_TREND_LOOKBACK_HOURS * 3600 * 1000;
+
+  const history = getSnapshotHistory("LOAN", {
+    userId,
+    walletId,
+    contractId,
+    tokenId: troveId,
+    sinceDays: Math.ceil(REDEMP_TREND_LOOKBACK_HOURS / 24),
+  });
+
+  const points = [];
+  for (const h of history) {
+    const atMs = parseSnapshotMs(h.snapshotAt);
+    const pct = h.snapshot?.redemptionDebtAheadPct;
+    if (!Number.isFinite(atMs) || atMs < sinceMs || atMs >= nowMs) continue;
+    if (typeof pct !== "number" || !Number.isFinite(pct)) continue;
+    if (!sameRate(Number(h.snapshot?.interestPct), Number(current.interestPct))) continue;
+    points.push({ x: (atMs - nowMs) / 3600000, y: pct });
+  }
+  points.push({ x: 0, y: current.rawDebtAheadPct });
+  if (points.length < REDEMP_TREND_MIN_POINTS) return null;
+
+  const slope = slopeOf(points);
+  if (slope == null) return null;
+
+  const boundaryPct = pickThreshold(thresholds, next.key, next.fallback);
+  if (!Number.isFinite(boundaryPct)) return null;
+
+  const distance = current.debtAheadPct - boundaryPct;
+  const etaHours = slope < 0 && distance >= 0 ? distance / -slope : null;
+
+  return {
+    nextTier: next.tier,
+    boundaryPct,
+    slopePctPerHour: slope,
+    etaHours,
+    points: points.length,
+    windowHours: -points[0].x,
+    isActive: etaHours != null && etaHours <= REDEMP_TREND_HORIZON_HOURS,
+  };
+}
+
+module.exports = {
+  REDEMP_TREND_HORIZON_HOURS,
+  computeDebtAheadTrend,
+};
@@ -0,0 +1,199 @@
+// monitoring/snapshotHistory.js
+//
+// Append-only history for loan_position_snapshots / lp_position_snapshots.
+// - Rows are appended by loanMonitor / lpMonitor on every snapshot refresh (RAW)
+// - compactSnapshotHistory() thins old rows in place (jobs/snapshotHistoryJob.js):
+//     RAW    older than 7 days  -> last row per position per hour  (HOURLY)
+//     HOURLY older than 90 days -> last row per position per day   (DAILY, kept forever)
+// - Cutoffs are aligned to hour / day starts so a bucket is never split.
+//
+// Used by:
+// - monitoring/loanMonitor.js, monitoring/lpMonitor.js (append)
+// - jobs/snapshotHistoryJob.js (compaction)
+// - commands that chart a position over time (getSnapshotHistory)
+// - monitoring/redemptionHits.js (getSnapshotBefore: position state just before a redemption)
+
+const { getDb } = require("../db");
+const logger = require("../utils/logger");
+
+const RAW_RETENTION_DAYS = 7;
+const HOURLY_RETENTION_DAYS = 90;
+
+const HISTORY_TABLES = {
+  LOAN: "loan_position_snapshot_history",
+  LP: "lp_position_snapshot_history",
+};
+
+const _stmts = new Map();
+function getStmts(kind) {
+  if (_stmts.has(kind)) return _stmts.get(kind);
+  const table = HISTORY_TABLES[kind];
+  if (!table) throw new Error(`Unknown snapshot history kind: ${kind}`);
+
+  const db = getDb();
+  const stmts = {
+    insert: db.prepare(`
+      INSERT INTO ${table} (
+        user_id, wallet_id, contract_id, token_id,
+        chain_id, protocol, snapshot_at, snapshot_json
+      )
+      VALUES (
+        @user_id, @wallet_id, @contract_id, @token_id,
+        @chain_id, @protocol, datetime('now'), @snapshot_json
+      )
+    `),
+    promoteHourly: db.prepare(`
+      UPDATE ${table}
+      SET granularity = 'HOURLY'
+      WHERE id IN (
+        SELECT MAX(id)
+        FROM ${table}
+        WHERE granularity = 'RAW'
+          AND snapshot_at < strftime('%Y-%m-%d %H:00:00', 'now', @rawAge)
+        GROUP BY user_id, wallet_id, contract_id, token_id, strftime('%Y-%m-%d %H', snapshot_at)
+      )
+    `),
+    dropRaw: db.prepare(`
+      DELETE FROM ${table}
+      WHERE granularity = 'RAW'
+        AND snapshot_at < strftime('%Y-%m-%d %H:00:00', 'now', @rawAge)
+    `),
+    promoteDaily: db.prepare(`
+      UPDATE ${table}
+      SET granularity = 'DAILY'
+      WHERE id IN (
+        SELECT MAX(id)
+        FROM ${table}
+        WHERE granularity = 'HOURLY'
+          AND snapshot_at < datetime(date('now', @hourlyAge))
+        GROUP BY user_id, wallet_id, contract_id, token_id, date(snapshot_at)
+      )
+    `),
+    dropHourly: db.prepare(`
+      DELETE FROM ${table}
+      WHERE granularity = 'HOURLY'
+        AND snapshot_at < datetime(date('now', @hourlyAge))
+    `),
+    selForPosition: db.prepare(`
+      SELECT snapshot_at, granularity, snapshot_json
+      FROM ${table}
+      WHERE user_id = @userId
+        AND wallet_id = @walletId
+        AND contract_id = @contractId
+        AND token_id = @tokenId
+        AND snapshot_at >= datetime('now', @sinceAge)
+      ORDER BY snapshot_at ASC, id ASC
+    `),
+    selLatestBefore: db.prepare(`
+      SELECT snapshot_at, snapshot_json
+      FROM ${table}
+      WHERE user_id = @userId
+        AND wallet_id = @walletId
+        AND contract_id = @contractId
+        AND token_id = @tokenId
+        AND snapshot_at < @before
+      ORDER BY snapshot_at DESC, id DESC
+      LIMIT 1
+    `),
+  };
+  _stmts.set(kind, stmts);
+  return stmts;
+}
+
+/**
+ * Append one snapshot (same object written to the *_position_snapshots cache).
+ * kind: "LOAN" | "LP". Loan snapshots carry troveId, LP snapshots tokenId.
+ */
+function appendSnapshotHistory(kind, snapshot) {
+  if (!snapshot) return;
+  const tokenId = kind === "LOAN" ? snapshot.troveId : snapshot.tokenId;
+  if (snapshot.userId == null || snapshot.walletId == null || snapshot.contractId == null || tokenId == null) {
+    return;
+  }
+  try {
+    getStmts(kind).insert.run({
+      user_id: snapshot.userId,
+      wallet_id: snapshot.walletId,
+      contract_id: snapshot.contractId,
+      token_id: String(tokenId),
+      chain_id: snapshot.chainId,
+      protocol: snapshot.protocol,
+      snapshot_json: JSON.stringify(snapshot),
+    });
+  } catch (err) {
+    logger.warn(`[snapshotHistory] Failed to append ${kind} history: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Downsample both history tables. Returns per-kind counts for logging.
+ */
+function compactSnapshotHistory() {
+  const db = getDb();
+  const rawAge = `-${RAW_RETENTION_DAYS} days`;
+  const hourlyAge = `-${HOURLY_RETENTION_DAYS} days`;
+
+  const out = {};
+  for (const kind of Object.keys(HISTORY_TABLES)) {
+    const stmts = getStmts(kind);
+    out[kind] = db.transaction(() => {
+      const hourly = stmts.promoteHourly.run({ rawAge }).changes;
+      const rawDropped = stmts.dropRaw.run({ rawAge }).changes;
+      const daily = stmts.promoteDaily.run({ hourlyAge }).changes;
+      const hourlyDropped = stmts.dropHourly.run({ hourlyAge }).changes;
+      return { hourly, rawDropped, daily, hourlyDropped };
+    })();
+  }
+  return out;
+}
+
+/**
+ * History for one position, oldest first.
+ * Returns [{ snapshotAt, granularity, snapshot }].
+ */
+function getSnapshotHistory(kind, { userId, walletId, contractId, tokenId, sinceDays = 30 }) {
+  const rows = getStmts(kind).selForPosition.all({
+    userId,
+    walletId,
+    contractId,
+    tokenId: String(tokenId),
+    sinceAge: `-${Math.max(0, Number(sinceDays) || 0)} days`,
+  });
+
+  const out = [];
+  for (const r of rows) {
+    try {
+      out.push({ snapshotAt: r.snapshot_at, granularity: r.granularity, snapshot: JSON.parse(r.snapshot_json) });
+    } catch (_) {}
+  }
+  return out;
+}
+
+/**
+ * Latest history row strictly before `before` (SQLite datetime text, UTC), or null.
+ * Returns { snapshotAt, snapshot }.
+ */
+function getSnapshotBefore(kind, { userId, walletId, contractId, tokenId, before }) {
+  const r = getStmts(kind).selLatestBefore.get({
+    userId,
+    walletId,
+    contractId,
+    tokenId: String(tokenId),
+    before,
+  });
+  if (!r) return null;
+  try {
+    return { snapshotAt: r.snapshot_at, snapshot: JSON.parse(r.snapshot_json) };
+  } catch (_) {
+    return null;
+  }
+}
+
+module.exports = {
+  RAW_RETENTION_DAYS,
+  HOURLY_RETENTION_DAYS,
+  appendSnapshotHistory,
+  compactSnapshotHistory,
+  getSnapshotHistory,
+  getSnapshotBefore,
+};
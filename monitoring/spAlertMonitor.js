@@ -0,0 +1,221 @@
+// monitoring/spAlertMonitor.js
+//
+// Stability Pool alerts (SP_DEPOSIT_LOSS, SP_CLAIMABLE_GAIN, SP_APR_GAP) from stored data only:
+// - Positions: sp_position_snapshots (jobs/scanStabilityPoolPositions.js), incl. the
+//   collateral USD price read from the branch PriceFeed. Rows older than
+//   SP_POSITION_SNAPSHOT_STALE_WARN_MIN are skipped (their alerts are left as they are)
+// - APR: the latest sp_apr_snapshots row per pool (jobs/collectStabilityPoolSnapshots.js),
+//   ignored once older than SP_SNAPSHOT_STALE_WARN_HOURS. The best alternative is the other
+//   pool with the highest 24h APR after diluting it by this deposit (as /best-sp-deposit ranks)
+// - Active alerts whose position is gone (deposit withdrawn, wallet removed) are resolved;
+//   a deposit used up by liquidations (compounded 0, initial still set) resolves SP_APR_GAP
+//   with its own message
+//
+// Used by:
+// - jobs/monitoringJob.js (after the loan + LP monitors)
+
+const { getDb } = require("../db");
+const logger = require("../utils/logger");
+const { parseSnapshotTime } = require("../utils/stabilityPoolPositions");
+const { getLatestStabilityPoolSnapshots, recommendSinglePoolAllocation } = require("../utils/stabilityPoolSignals");
+const {
+  handleSpDepositLossAlert,
+  handleSpClaimableGainAlert,
+  handleSpAprGapAlert,
+} = require("./alertEngine");
+
+function requireNumberEnv(name) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") {
+    throw new Error(`[spAlertMonitor] Missing required env var ${name}`);
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n)) {
+    throw new Error(`[spAlertMonitor] Env var ${name} must be numeric (got "${raw}")`);
+  }
+  return n;
+}
+
+// APR rows older than the board's stale warning are not compared
+const SP_APR_MAX_AGE_MS = Math.max(0, requireNumberEnv("SP_SNAPSHOT_STALE_WARN_HOURS") * 60 * 60 * 1000);
+// Position rows older than the /my-sp stale warning are not evaluated
+const SP_POSITION_MAX_AGE_MS = Math.max(0, requireNumberEnv("SP_POSITION_SNAPSHOT_STALE_WARN_MIN") * 60 * 1000);
+
+const HANDLERS = {
+  SP_DEPOSIT_LOSS: handleSpDepositLossAlert,
+  SP_CLAIMABLE_GAIN: handleSpClaimableGainAlert,
+  SP_APR_GAP: handleSpAprGapAlert,
+};
+
+function num(v) {
+  const n = Number(v);
+  return v != null && Number.isFinite(n) ? n : null;
+}
+
+function isFreshSnapshot(snapshotAt, nowMs) {
+  const t = parseSnapshotTime(snapshotAt);
+  return t != null && nowMs - t.ms <= SP_POSITION_MAX_AGE_MS;
+}
+
+function loadPositions(db) {
+  const rows = db.prepare(`
+    SELECT user_id, wallet_id, chain_id, pool_key, snapshot_json, snapshot_at
+    FROM sp_position_snapshots
+    ORDER BY chain_id, pool_key, user_id, wallet_id
+  `).all();
+
+  const out = [];
+  for (const row of rows) {
+    let snap;
+    try {
+      snap = JSON.parse(row.snapshot_json);
+    } catch {
+      continue;
+    }
+    if (!snap || typeof snap !== "object") continue;
+    out.push({ row, snap });
+  }
+  return out;
+}
+
+function bestAlternativeFor(aprRows, poolKey, deposit) {
+  const others = aprRows.filter((r) => r.pool_key !== poolKey);
+  const [best] = recommendSinglePoolAllocation(others, deposit);
+  if (!best) return null;
+  return {
+    poolKey: best.poolKey,
+    poolLabel: best.poolLabel,
+    collSymbol: best.collSymbol,
+    dilutedAprPct: best.dilutedAprPct,
+  };
+}
+
+async function evaluatePosition({ row, snap }, aprRowsByChain) {
+  const chainId = String(row.chain_id).toUpperCase();
+  const initialDeposit = num(snap.initialDeposit);
+  const compoundedDeposit = num(snap.compoundedDeposit);
+  const base = {
+    userId: row.user_id,
+    walletId: row.wallet_id,
+    chainId,
+    poolKey: row.pool_key,
+    poolLabel: snap.poolLabel || row.pool_key,
+    collSymbol: snap.collSymbol || null,
+    walletAddress: snap.walletAddress,
+    walletLabel: snap.walletLabel || null,
+    snapshotAt: row.snapshot_at,
+    positionClosed: false,
+  };
+
+  await handleSpDepositLossAlert({
+    ...base,
+    initialDeposit,
+    compoundedDeposit,
+    lossPct:
+      initialDeposit > 0 && compoundedDeposit != null
+        ? Math.max(0, ((initialDeposit - compoundedDeposit) / initialDeposit) * 100)
+        : null,
+    claimableCollateral: num(snap.claimableCollateral),
+    claimableCollateralUsd: num(snap.claimableCollateralUsd),
+  });
+
+  await handleSpClaimableGainAlert({
+    ...base,
+    claimableCollateral: num(snap.claimableCollateral),
+    claimableCollateralUsd: num(snap.claimableCollateralUsd),
+    collateralPriceUsd: num(snap.collateralPriceUsd),
+    yieldGain: num(snap.yieldGain),
+  });
+
+  // A fully used-up deposit earns nothing, so there is no APR to compare (resolves an open alert).
+  // Liquidations leave the initial deposit set; a withdrawal clears it.
+  const aprRows = aprRowsByChain.get(chainId) || [];
+  const own = aprRows.find((r) => r.pool_key === row.pool_key);
+  const hasDeposit = compoundedDeposit > 0;
+  await handleSpAprGapAlert({
+    ...base,
+    positionClosed: !hasDeposit,
+    depositDepleted: !hasDeposit && initialDeposit > 0,
+    compoundedDeposit,
+    poolAprPct: hasDeposit ? num(own?.apr_24h_pct) : null,
+    bestAlternative: hasDeposit ? bestAlternativeFor(aprRows, row.pool_key, compoundedDeposit) : null,
+  });
+}
+
+async function resolveClosedPositions(db, seen) {
+  const active = db.prepare(`
+    SELECT user_id, wallet_id, chain_id, pool_key, alert_type, state_json
+    FROM sp_alert_state
+    WHERE is_active = 1
+  `).all();
+
+  for (const st of active) {
+    if (seen.has(`${st.user_id}:${st.wallet_id}:${st.chain_id}:${st.pool_key}`)) continue;
+    const handler = HANDLERS[st.alert_type];
+    if (!handler) continue;
+    let prev = null;
+    try {
+      prev = st.state_json ? JSON.parse(st.state_json) : null;
+    } catch {
+      prev = null;
+    }
+    await handler({
+      userId: st.user_id,
+      walletId: st.wallet_id,
+      chainId: st.chain_id,
+      poolKey: st.pool_key,
+      poolLabel: prev?.poolLabel || st.pool_key,
+      collSymbol: prev?.collSymbol || null,
+      walletAddress: prev?.walletAddress,
+      walletLabel: prev?.walletLabel || null,
+      snapshotAt: null,
+      positionClosed: true,
+    });
+  }
+}
+
+async function monitorStabilityPools() {
+  const db = getDb();
+  const positions = loadPositions(db);
+
+  const aprRowsByChain = new Map();
+  for (const chainId of new Set(positions.map((p) => String(p.row.chain_id).toUpperCase()))) {
+    const fresh = getLatestStabilityPoolSnapshots(db, chainId).filter((r) => {
+      const t = parseSnapshotTime(r.created_at);
+      return t != null && Date.now() - t.ms <= SP_APR_MAX_AGE_MS;
+    });
+    aprRowsByChain.set(chainId, fresh);
+  }
+
+  const seen = new Set();
+  const nowMs = Date.now();
+  let stale = 0;
+  for (const p of positions) {
+    // Stale rows still count as present, so their open alerts are not resolved either
+    seen.add(`${p.row.user_id}:${p.row.wallet_id}:${p.row.chain_id}:${p.row.pool_key}`);
+    if (!isFreshSnapshot(p.row.snapshot_at, nowMs)) {
+      stale += 1;
+      continue;
+    }
+    try {
+      await evaluatePosition(p, aprRowsByChain);
+    } catch (err) {
+      logger.error(
+        `[sp-alerts] failed pool=${p.row.pool_key} wallet_id=${p.row.wallet_id}: ${err?.message || err}`
+      );
+    }
+  }
+
+  try {
+    await resolveClosedPositions(db, seen);
+  } catch (err) {
+    logger.error(`[sp-alerts] resolving closed positions failed: ${err?.message || err}`);
+  }
+
+  if (stale) logger.warn(`[sp-alerts] skipped ${stale} stale Stability Pool position snapshot(s)`);
+  logger.debug(`[sp-alerts] evaluated ${positions.length - stale} Stability Pool position(s)`);
+}
+
+module.exports = {
+  monitorStabilityPools,
+};
@@ -0,0 +1,327 @@
+// monitoring/spamClassifier.js
+//
+// Scheduled spam / scam classifier for tracked LP NFT positions (position_spam_flags).
+// Each signal adds its weight to a score:
+//   MASS_AIRDROP   3  first transfer is not a mint but comes from an address that handed out
+//                     >= SPAM_ISSUER_MIN_COUNT tokens of the contract (the heuristic from
+//                     dev/findSparkdexScamLpTokens.js)
+//   SCAM_SYMBOL    3  a pair token symbol looks like a URL / call to action
+//   UNKNOWN_TOKEN  1  symbol() unavailable for a pair token
+//   UNPRICED_PAIR  1  neither token is in price_cache or a USD stable
+//   NO_POOL        1  open position but no pool found for the pair
+//   ZERO_LIQUIDITY 1  position liquidity is 0
+//   DUST           1  pool has no liquidity, or the position is worth < SPAM_DUST_USD
+// - score >= SPAM_FLAG_SCORE -> FLAGGED (listed for review in /ignore-spam-tx)
+// - score >= SPAM_HIDE_SCORE -> HIGH (hidden from /my-lp, snapshots and alerts while AUTO)
+// - Everything but MASS_AIRDROP reads the position's lp_position_snapshots row. Hidden
+//   positions are no longer refreshed, so they keep their last snapshot-based reasons.
+// - User decisions survive reclassification: DISMISSED stays visible; CONFIRMED positions
+//   are covered by their position_ignores rule (removing that rule turns the flag DISMISSED).
+//
+// Used by:
+// - jobs/spamClassifierJob.js (classifySpamPositions)
+// - handlers/ui/ignore-spam-tx-ui.js (confirm / undo via db/queries.js)
+
+const { getDb } = require("../db");
+const { loadPriceCache, isStableUsd, normalizeSymbol } = require("../utils/priceCache");
+const logger = require("../utils/logger");
+
+function requireNumberEnv(name) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") {
+    throw new Error(`[spamClassifier] Missing required env var ${name}`);
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n)) {
+    throw new Error(`[spamClassifier] Env var ${name} must be numeric (got "${raw}")`);
+  }
+  return n;
+}
+
+const SPAM_ISSUER_MIN_COUNT = requireNumberEnv("SPAM_ISSUER_MIN_COUNT");
+const SPAM_DUST_USD = requireNumberEnv("SPAM_DUST_USD");
+const SPAM_FLAG_SCORE = requireNumberEnv("SPAM_FLAG_SCORE");
+const SPAM_HIDE_SCORE = requireNumberEnv("SPAM_HIDE_SCORE");
+
+const SIGNAL_WEIGHTS = {
+  MASS_AIRDROP: 3,
+  SCAM_SYMBOL: 3,
+  UNKNOWN_TOKEN: 1,
+  UNPRICED_PAIR: 1,
+  NO_POOL: 1,
+  ZERO_LIQUIDITY: 1,
+  DUST: 1,
+};
+
+// Signals that need an lp_position_snapshots row (carried over when there is none)
+const SNAPSHOT_SIGNALS = new Set(Object.keys(SIGNAL_WEIGHTS).filter((c) => c !== "MASS_AIRDROP"));
+
+const SIGNAL_LABELS = {
+  MASS_AIRDROP: "mass airdrop",
+  SCAM_SYMBOL: "scam token symbol",
+  UNKNOWN_TOKEN: "unknown token",
+  UNPRICED_PAIR: "unlisted pair",
+  NO_POOL: "no pool",
+  ZERO_LIQUIDITY: "zero liquidity",
+  DUST: "dust",
+};
+
+const BURN_ADDRESSES = new Set([
+  "0x0000000000000000000000000000000000000000",
+  "0x000000000000000000000000000000000000dead",
+]);
+
+const SCAM_SYMBOL_RE =
+  /https?:\/\/|www\.|t\.me\/|\.(com|io|org|net|xyz|app|site|live|gift)\b|claim|visit|reward|airdrop|voucher/i;
+
+let _stmts = null;
+function getStmts() {
+  if (_stmts) return _stmts;
+  const db = getDb();
+  _stmts = {
+    // Tracked LP NFTs without a manual ignore rule, with their snapshot + current flag
+    selPositions: db.prepare(`
+      SELECT
+        uw.user_id          AS user_id,
+        uw.id               AS wallet_id,
+        c.id                AS contract_id,
+        c.chain_id          AS chain_id,
+        nt.token_id         AS token_id,
+        s.snapshot_json     AS snapshot_json,
+        sf.reasons_json     AS prev_reasons_json,
+        sf.pair_label       AS prev_pair_label,
+        sf.user_status      AS user_status
+      FROM user_wallets uw
+      JOIN contracts c
+        ON c.chain_id = uw.chain_id
+       AND c.kind = 'LP_NFT'
+      JOIN nft_tokens nt
+        ON nt.contract_id = c.id
+       AND nt.owner_lower = uw.address_lower
+       AND nt.is_burned = 0
+      LEFT JOIN lp_position_snapshots s
+        ON s.user_id     = uw.user_id
+       AND s.wallet_id   = uw.id
+       AND s.contract_id = c.id
+       AND s.token_id    = nt.token_id
+      LEFT JOIN position_spam_flags sf
+        ON sf.user_id     = uw.user_id
+       AND sf.wallet_id   = uw.id
+       AND sf.contract_id = c.id
+       AND sf.token_id    = nt.token_id
+      LEFT JOIN position_ignores pi
+        ON pi.user_id        = uw.user_id
+       AND pi.position_kind  = 'LP'
+       AND pi.wallet_id      = uw.id
+       AND pi.contract_id    = c.id
+       AND (pi.token_id IS NULL OR pi.token_id = nt.token_id)
+      WHERE uw.is_enabled = 1
+        AND c.is_enabled = 1
+        AND pi.id IS NULL
+    `),
+    selFirstTransfer: db.prepare(`
+      SELECT from_lower
+      FROM nft_transfers
+      WHERE contract_id = ?
+        AND token_id = ?
+      ORDER BY block_number ASC, log_index ASC
+      LIMIT 1
+    `),
+    selIssuerStats: db.prepare(`
+      SELECT COUNT(DISTINCT token_id) AS tokens, COUNT(DISTINCT to_lower) AS recipients
+      FROM nft_transfers
+      WHERE contract_id = ?
+        AND from_lower = ?
+    `),
+    upsertFlag: db.prepare(`
+      INSERT INTO position_spam_flags (
+        user_id, wallet_id, contract_id, token_id, pair_label,
+        score, confidence, reasons_json, user_status, decided_at, classify_run_id
+      )
+      VALUES (
+        @userId, @walletId, @contractId, @tokenId, @pairLabel,
+        @score, @confidence, @reasonsJson, @userStatus,
+        CASE WHEN @userStatus = 'AUTO' THEN NULL ELSE datetime('now') END,
+        @runId
+      )
+      ON CONFLICT(user_id, wallet_id, contract_id, token_id) DO UPDATE SET
+        pair_label      = excluded.pair_label,
+        score           = excluded.score,
+        confidence      = excluded.confidence,
+        reasons_json    = excluded.reasons_json,
+        user_status     = excluded.user_status,
+        decided_at      = CASE
+                            WHEN excluded.user_status = position_spam_flags.user_status
+                              THEN position_spam_flags.decided_at
+                            ELSE excluded.decided_at
+                          END,
+        classify_run_id = excluded.classify_run_id,
+        updated_at      = datetime('now')
+    `),
+    // CONFIRMED rows are kept: their position is hidden by its ignore rule, not by the flag
+    cleanup: db.prepare(`
+      DELETE FROM position_spam_flags
+      WHERE classify_run_id != ?
+        AND user_status != 'CONFIRMED'
+    `),
+  };
+  return _stmts;
+}
+
+function parseJson(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch (_) {
+    return null;
+  }
+}
+
+function isPlaceholderSymbol(sym, address) {
+  // lpMonitor falls back to the token address when symbol() fails
+  return !sym || String(sym).toLowerCase() === String(address || "").toLowerCase();
+}
+
+function massAirdropReason(contractId, tokenId, issuerCache) {
+  const { selFirstTransfer, selIssuerStats } = getStmts();
+  const first = selFirstTransfer.get(contractId, tokenId);
+  const issuer = first?.from_lower;
+  if (!issuer || BURN_ADDRESSES.has(issuer)) return null;
+
+  const key = `${contractId}:${issuer}`;
+  if (!issuerCache.has(key)) issuerCache.set(key, selIssuerStats.get(contractId, issuer));
+  const stats = issuerCache.get(key);
+  if (!(stats?.tokens >= SPAM_ISSUER_MIN_COUNT) || !(stats?.recipients >= SPAM_ISSUER_MIN_COUNT)) {
+    return null;
+  }
+  return {
+    code: "MASS_AIRDROP",
+    detail: `first transfer from ${issuer} (${stats.tokens} tokens to ${stats.recipients} wallets)`,
+  };
+}
+
+function snapshotReasons(chainId, snap, priceCache) {
+  const reasons = [];
+  const sym0 = snap.token0Symbol;
+  const sym1 = snap.token1Symbol;
+  const unknown0 = isPlaceholderSymbol(sym0, snap.token0);
+  const unknown1 = isPlaceholderSymbol(sym1, snap.token1);
+
+  const scamSym = [unknown0 ? null : sym0, unknown1 ? null : sym1].find((s) => s && SCAM_SYMBOL_RE.test(s));
+  if (scamSym) reasons.push({ code: "SCAM_SYMBOL", detail: String(scamSym).slice(0, 64) });
+
+  if (unknown0 || unknown1) {
+    const addrs = [unknown0 ? snap.token0 : null, unknown1 ? snap.token1 : null].filter(Boolean);
+    reasons.push({ code: "UNKNOWN_TOKEN", detail: addrs.join(", ") || "symbol unavailable" });
+  }
+
+  const prices = priceCache.get(chainId) || new Map();
+  const priceOf = (sym, unknown) => {
+    if (unknown) return null;
+    if (isStableUsd(chainId, sym)) return 1;
+    const p = prices.get(normalizeSymbol(sym));
+    return Number.isFinite(p) && p > 0 ? p : null;
+  };
+  const px0 = priceOf(sym0, unknown0);
+  const px1 = priceOf(sym1, unknown1);
+  if (px0 == null && px1 == null) {
+    reasons.push({ code: "UNPRICED_PAIR", detail: snap.pairLabel || `${sym0}-${sym1}` });
+  }
+
+  const inactive = String(snap.status || "").toUpperCase() === "INACTIVE" || String(snap.liquidity) === "0";
+  if (inactive) {
+    reasons.push({ code: "ZERO_LIQUIDITY", detail: "liquidity 0" });
+    return reasons;
+  }
+
+  if (!snap.poolAddr) {
+    reasons.push({ code: "NO_POOL", detail: "factory returned no pool" });
+    return reasons;
+  }
+
+  if (String(snap.poolLiquidity) === "0") {
+    reasons.push({ code: "DUST", detail: "pool liquidity 0" });
+  } else if (px0 != null || px1 != null) {
+    const valueUsd = (Number(snap.amount0) || 0) * (px0 || 0) + (Number(snap.amount1) || 0) * (px1 || 0);
+    if (Number.isFinite(valueUsd) && valueUsd < SPAM_DUST_USD) {
+      reasons.push({ code: "DUST", detail: `position worth ~$${valueUsd.toFixed(2)}` });
+    }
+  }
+  return reasons;
+}
+
+/**
+ * One classifier pass over every tracked LP NFT. Returns counts for the job log.
+ */
+function classifySpamPositions() {
+  const db = getDb();
+  const stmts = getStmts();
+  const runId = String(Date.now());
+  const priceCache = loadPriceCache(db);
+  const issuerCache = new Map();
+  const counts = { positions: 0, flagged: 0, hidden: 0, dismissed: 0 };
+
+  const rows = stmts.selPositions.all();
+  const tx = db.transaction(() => {
+    for (const r of rows) {
+      counts.positions += 1;
+      const snap = parseJson(r.snapshot_json);
+      const reasons = [];
+
+      const airdrop = massAirdropReason(r.contract_id, r.token_id, issuerCache);
+      if (airdrop) reasons.push(airdrop);
+
+      if (snap) {
+        reasons.push(...snapshotReasons(String(r.chain_id).toUpperCase(), snap, priceCache));
+      } else {
+        const prev = parseJson(r.prev_reasons_json);
+        if (Array.isArray(prev)) reasons.push(...prev.filter((x) => SNAPSHOT_SIGNALS.has(x?.code)));
+      }
+
+      const score = reasons.reduce((sum, x) => sum + (SIGNAL_WEIGHTS[x.code] || 0), 0);
+      // Still here despite CONFIRMED => the user removed the ignore rule; respect that
+      const userStatus =
+        r.user_status === "DISMISSED" || r.user_status === "CONFIRMED" ? "DISMISSED" : "AUTO";
+
+      // Dismissed rows are kept while the position is tracked so the decision sticks
+      if (score < SPAM_FLAG_SCORE && userStatus !== "DISMISSED") continue;
+
+      const confidence = score >= SPAM_HIDE_SCORE ? "HIGH" : "FLAGGED";
+      stmts.upsertFlag.run({
+        userId: r.user_id,
+        walletId: r.wallet_id,
+        contractId: r.contract_id,
+        tokenId: r.token_id,
+        pairLabel: snap?.pairLabel || r.prev_pair_label || null,
+        score,
+        confidence,
+        reasonsJson: JSON.stringify(reasons),
+        userStatus,
+        runId,
+      });
+
+      if (userStatus === "DISMISSED") counts.dismissed += 1;
+      else if (confidence === "HIGH") counts.hidden += 1;
+      else counts.flagged += 1;
+    }
+    stmts.cleanup.run(runId);
+  });
+  tx();
+
+  logger.debug(
+    `[spamClassifier] positions=${counts.positions} flagged=${counts.flagged} ` +
+      `hidden=${counts.hidden} dismissed=${counts.dismissed}`
+  );
+  return counts;
+}
+
+function formatSpamReasons(reasonsJson) {
+  const reasons = parseJson(reasonsJson);
+  if (!Array.isArray(reasons) || !reasons.length) return "—";
+  return reasons.map((x) => SIGNAL_LABELS[x?.code] || String(x?.code || "?")).join(", ");
+}
+
+module.exports = {
+  classifySpamPositions,
+  formatSpamReasons,
+};
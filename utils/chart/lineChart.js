@@ -0,0 +1,222 @@
+// utils/chart/lineChart.js
+//
+// Time-series line chart -> PNG Buffer (rendered in-process via utils/chart/raster.js).
+//
+// spec = {
+//   title,
+//   width = 720, height = 320,
+//   yFormat: (v) => string,              // axis label formatter
+//   series: [{ label, color, points: [{ t, v }] }],          // t = ms epoch, v = null breaks the line
+//   areas:  [{ label, color, alpha, points: [{ t, lo, hi }] }], // shaded band (e.g. LP range)
+//   hlines: [{ v, color, label }],        // dashed reference lines (e.g. tier thresholds)
+// }
+// Colors follow Discord's dark theme so the image blends into embeds.
+
+const { createRaster } = require("./raster");
+
+const THEME = {
+  background: "#2b2d31",
+  plot: "#313338",
+  grid: "#3f4147",
+  axis: "#949ba4",
+  text: "#dbdee1",
+};
+
+const PAD = { left: 72, right: 16, top: 36, bottom: 46 };
+
+function isNum(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+function niceStep(range, targetTicks) {
+  const raw = range / Math.max(1, targetTicks);
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const norm = raw / mag;
+  const nice = norm <= 1 ? 1 : norm <= 2 ? 2 : norm <= 2.5 ? 2.5 : norm <= 5 ? 5 : 10;
+  return nice * mag;
+}
+
+function defaultYFormat(v) {
+  const abs = Math.abs(v);
+  if (abs >= 1e6) return `${(v / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return `${(v / 1e3).toFixed(1)}K`;
+  if (abs >= 1) return v.toFixed(2);
+  return v.toPrecision(3);
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function formatTimeTick(ms, spanMs) {
+  const d = new Date(ms);
+  const day = `${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+  if (spanMs <= 2 * 24 * 60 * 60 * 1000) return `${day} ${pad2(d.getUTCHours())}:${pad2(d.getUTCMinutes())}`;
+  return day;
+}
+
+function truncate(str, maxChars) {
+  const s = String(str || "");
+  return s.length <= maxChars ? s : `${s.slice(0, Math.max(0, maxChars - 2))}..`;
+}
+
+/**
+ * Returns a PNG Buffer, or null when there is nothing to plot.
+ */
+function renderLineChart(spec) {
+  const width = spec.width || 720;
+  const height = spec.height || 320;
+  const series = (spec.series || []).filter((s) => s.points?.length);
+  const areas = (spec.areas || []).filter((a) => a.points?.length);
+  const hlines = (spec.hlines || []).filter((h) => isNum(h.v));
+  const yFormat = spec.yFormat || defaultYFormat;
+
+  // ---- data bounds
+  let tMin = Infinity;
+  let tMax = -Infinity;
+  let vMin = Infinity;
+  let vMax = -Infinity;
+  const seeT = (t) => {
+    if (!isNum(t)) return;
+    tMin = Math.min(tMin, t);
+    tMax = Math.max(tMax, t);
+  };
+  const seeV = (v) => {
+    if (!isNum(v)) return;
+    vMin = Math.min(vMin, v);
+    vMax = Math.max(vMax, v);
+  };
+  for (const s of series) {
+    for (const p of s.points) {
+      if (!isNum(p.v)) continue;
+      seeT(p.t);
+      seeV(p.v);
+    }
+  }
+  for (const a of areas) {
+    for (const p of a.points) {
+      if (!isNum(p.lo) || !isNum(p.hi)) continue;
+      seeT(p.t);
+      seeV(p.lo);
+      seeV(p.hi);
+    }
+  }
+  if (!isNum(tMin) || !isNum(vMin)) return null;
+
+  // Reference lines only widen the axis when they are near the data
+  for (const h of hlines) {
+    const span = Math.max(vMax - vMin, Math.abs(vMax) * 0.05, 1e-12);
+    if (h.v >= vMin - span && h.v <= vMax + span) seeV(h.v);
+  }
+
+  if (tMax === tMin) {
+    tMin -= 30 * 60 * 1000;
+    tMax += 30 * 60 * 1000;
+  }
+  if (vMax === vMin) {
+    const d = Math.abs(vMax) * 0.05 || 1;
+    vMin -= d;
+    vMax += d;
+  }
+  const vPad = (vMax - vMin) * 0.06;
+  vMin -= vPad;
+  vMax += vPad;
+
+  const step = niceStep(vMax - vMin, 5);
+  const yLo = Math.floor(vMin / step) * step;
+  const yHi = Math.ceil(vMax / step) * step;
+
+  // ---- layout
+  const r = createRaster(width, height, THEME.background);
+  const px = PAD.left;
+  const py = PAD.top;
+  const pw = width - PAD.left - PAD.right;
+  const ph = height - PAD.top - PAD.bottom;
+  const xOf = (t) => px + ((t - tMin) / (tMax - tMin)) * pw;
+  const yOf = (v) => py + ph - ((v - yLo) / (yHi - yLo)) * ph;
+
+  r.fillRect(px, py, pw, ph, THEME.plot);
+
+  // ---- title
+  if (spec.title) {
+    const maxChars = Math.floor((width - 20) / 12);
+    r.text(10, 10, truncate(spec.title, maxChars), THEME.text, 2);
+  }
+
+  // ---- grid + y labels
+  for (let v = yLo; v <= yHi + step / 2; v += step) {
+    const y = Math.round(yOf(v));
+    r.line(px, y, px + pw, y, THEME.grid);
+    const label = truncate(yFormat(v), 11);
+    r.text(px - 6 - r.textWidth(label), y - 3, label, THEME.axis);
+  }
+
+  // ---- x labels
+  const xTicks = Math.max(2, Math.min(6, Math.floor(pw / 110)));
+  for (let i = 0; i <= xTicks; i += 1) {
+    const t = tMin + ((tMax - tMin) * i) / xTicks;
+    const x = Math.round(xOf(t));
+    r.line(x, py + ph, x, py + ph + 4, THEME.axis);
+    const label = formatTimeTick(t, tMax - tMin);
+    const lw = r.textWidth(label);
+    const lx = Math.min(Math.max(x - lw / 2, 2), width - lw - 2);
+    r.text(lx, py + ph + 8, label, THEME.axis);
+  }
+
+  // ---- shaded bands (step function: a range holds until the next point, i.e. the next rebalance)
+  for (const a of areas) {
+    const pts = a.points.filter((p) => isNum(p.t) && isNum(p.lo) && isNum(p.hi)).sort((p, q) => p.t - q.t);
+    const alpha = isNum(a.alpha) ? a.alpha : 0.25;
+    for (let i = 0; i < pts.length; i += 1) {
+      const p = pts[i];
+      const x0 = Math.round(xOf(p.t));
+      const x1 = pts[i + 1] ? Math.round(xOf(pts[i + 1].t)) : x0 + 1;
+      const yTop = yOf(Math.min(Math.max(p.lo, p.hi), yHi));
+      const yBot = yOf(Math.max(Math.min(p.lo, p.hi), yLo));
+      r.fillRect(x0, yTop, Math.max(1, x1 - x0), Math.max(1, yBot - yTop), a.color, alpha);
+    }
+  }
+
+  // ---- reference lines
+  for (const h of hlines) {
+    if (h.v < yLo || h.v > yHi) continue;
+    const y = Math.round(yOf(h.v));
+    r.line(px, y, px + pw, y, h.color, 1, [6, 4]);
+    if (h.label) r.text(px + pw - r.textWidth(h.label) - 4, y - 10, h.label, h.color);
+  }
+
+  // ---- series
+  for (const s of series) {
+    const pts = s.points.filter((p) => isNum(p.t)).sort((p, q) => p.t - q.t);
+    let prev = null;
+    for (const p of pts) {
+      if (!isNum(p.v)) {
+        prev = null;
+        continue;
+      }
+      const x = xOf(p.t);
+      const y = yOf(Math.min(Math.max(p.v, yLo), yHi));
+      if (prev) r.line(prev.x, prev.y, x, y, s.color, s.thickness || 2);
+      else r.fillRect(x - 1, y - 1, 2, 2, s.color);
+      prev = { x, y };
+    }
+  }
+
+  // ---- axes
+  r.line(px, py, px, py + ph, THEME.axis);
+  r.line(px, py + ph, px + pw, py + ph, THEME.axis);
+
+  // ---- legend
+  let lx = px;
+  const ly = height - 14;
+  for (const item of [...areas, ...series]) {
+    if (!item.label) continue;
+    r.fillRect(lx, ly, 10, 7, item.color, areas.includes(item) ? 0.6 : 1);
+    r.text(lx + 14, ly, item.label, THEME.text);
+    lx += 14 + r.textWidth(item.label) + 18;
+  }
+
+  return r.toPng();
+}
+
+module.exports = { renderLineChart };
@@ -0,0 +1,250 @@
+// utils/chart/raster.js
+//
+// Minimal RGB raster + PNG encoder (no native deps, no external services).
+// - Solid / alpha-blended rectangles, thick lines, dashed lines
+// - 5x7 bitmap font (upper-case, digits, common punctuation), integer scaling
+// - toPng() encodes with zlib (filter 0 on every row)
+//
+// Used by utils/chart/lineChart.js.
+
+const zlib = require("zlib");
+
+// 5x7 glyphs, one 5-bit row per entry (bit 4 = leftmost pixel)
+const GLYPHS = {
+  "0": [0x0e, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0e],
+  "1": [0x04, 0x0c, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  "2": [0x0e, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1f],
+  "3": [0x1f, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0e],
+  "4": [0x02, 0x06, 0x0a, 0x12, 0x1f, 0x02, 0x02],
+  "5": [0x1f, 0x10, 0x1e, 0x01, 0x01, 0x11, 0x0e],
+  "6": [0x06, 0x08, 0x10, 0x1e, 0x11, 0x11, 0x0e],
+  "7": [0x1f, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  "8": [0x0e, 0x11, 0x11, 0x0e, 0x11, 0x11, 0x0e],
+  "9": [0x0e, 0x11, 0x11, 0x0f, 0x01, 0x02, 0x0c],
+  A: [0x0e, 0x11, 0x11, 0x11, 0x1f, 0x11, 0x11],
+  B: [0x1e, 0x11, 0x11, 0x1e, 0x11, 0x11, 0x1e],
+  C: [0x0e, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0e],
+  D: [0x1c, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1c],
+  E: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x1f],
+  F: [0x1f, 0x10, 0x10, 0x1e, 0x10, 0x10, 0x10],
+  G: [0x0e, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0f],
+  H: [0x11, 0x11, 0x11, 0x1f, 0x11, 0x11, 0x11],
+  I: [0x0e, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0e],
+  J: [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0c],
+  K: [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  L: [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1f],
+  M: [0x11, 0x1b, 0x15, 0x15, 0x11, 0x11, 0x11],
+  N: [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  O: [0x0e, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  P: [0x1e, 0x11, 0x11, 0x1e, 0x10, 0x10, 0x10],
+  Q: [0x0e, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0d],
+  R: [0x1e, 0x11, 0x11, 0x1e, 0x14, 0x12, 0x11],
+  S: [0x0f, 0x10, 0x10, 0x0e, 0x01, 0x01, 0x1e],
+  T: [0x1f, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  U: [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0e],
+  V: [0x11, 0x11, 0x11, 0x11, 0x11, 0x0a, 0x04],
+  W: [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0a],
+  X: [0x11, 0x11, 0x0a, 0x04, 0x0a, 0x11, 0x11],
+  Y: [0x11, 0x11, 0x11, 0x0a, 0x04, 0x04, 0x04],
+  Z: [0x1f, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1f],
+  " ": [0, 0, 0, 0, 0, 0, 0],
+  ".": [0, 0, 0, 0, 0, 0x0c, 0x0c],
+  ",": [0, 0, 0, 0, 0x0c, 0x04, 0x08],
+  "-": [0, 0, 0, 0x1f, 0, 0, 0],
+  "+": [0, 0x04, 0x04, 0x1f, 0x04, 0x04, 0],
+  "%": [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03],
+  $: [0x04, 0x0f, 0x14, 0x0e, 0x05, 0x1e, 0x04],
+  ":": [0, 0x0c, 0x0c, 0, 0x0c, 0x0c, 0],
+  "/": [0, 0x01, 0x02, 0x04, 0x08, 0x10, 0],
+  "(": [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02],
+  ")": [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+  _: [0, 0, 0, 0, 0, 0, 0x1f],
+  "=": [0, 0, 0x1f, 0, 0x1f, 0, 0],
+  "<": [0x02, 0x04, 0x08, 0x10, 0x08, 0x04, 0x02],
+  ">": [0x08, 0x04, 0x02, 0x01, 0x02, 0x04, 0x08],
+  "#": [0x0a, 0x0a, 0x1f, 0x0a, 0x1f, 0x0a, 0x0a],
+  "'": [0x0c, 0x04, 0x08, 0, 0, 0, 0],
+  "|": [0x04, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  "?": [0x0e, 0x11, 0x01, 0x02, 0x04, 0, 0x04],
+};
+
+const GLYPH_W = 5;
+const GLYPH_H = 7;
+
+// -----------------------------
+// PNG encoding
+// -----------------------------
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i += 1) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length, 0);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([len, body, crc]);
+}
+
+// "#rrggbb" -> [r, g, b]
+function parseColor(c) {
+  if (Array.isArray(c)) return c;
+  const hex = String(c || "#000000").replace("#", "");
+  return [parseInt(hex.slice(0, 2), 16), parseInt(hex.slice(2, 4), 16), parseInt(hex.slice(4, 6), 16)];
+}
+
+/**
+ * RGB raster. Coordinates outside the canvas are clipped.
+ */
+function createRaster(width, height, background = "#000000") {
+  const w = Math.max(1, Math.floor(width));
+  const h = Math.max(1, Math.floor(height));
+  const data = Buffer.alloc(w * h * 3);
+  const bg = parseColor(background);
+  for (let i = 0; i < w * h; i += 1) {
+    data[i * 3] = bg[0];
+    data[i * 3 + 1] = bg[1];
+    data[i * 3 + 2] = bg[2];
+  }
+
+  function setPixel(x, y, rgb, alpha = 1) {
+    const xi = Math.round(x);
+    const yi = Math.round(y);
+    if (xi < 0 || yi < 0 || xi >= w || yi >= h) return;
+    const o = (yi * w + xi) * 3;
+    if (alpha >= 1) {
+      data[o] = rgb[0];
+      data[o + 1] = rgb[1];
+      data[o + 2] = rgb[2];
+      return;
+    }
+    data[o] = Math.round(data[o] * (1 - alpha) + rgb[0] * alpha);
+    data[o + 1] = Math.round(data[o + 1] * (1 - alpha) + rgb[1] * alpha);
+    data[o + 2] = Math.round(data[o + 2] * (1 - alpha) + rgb[2] * alpha);
+  }
+
+  function fillRect(x, y, rw, rh, color, alpha = 1) {
+    const rgb = parseColor(color);
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(w, Math.round(x + rw));
+    const y1 = Math.min(h, Math.round(y + rh));
+    for (let yy = y0; yy < y1; yy += 1) {
+      for (let xx = x0; xx < x1; xx += 1) setPixel(xx, yy, rgb, alpha);
+    }
+  }
+
+  // Bresenham with a square brush; dash = [on, off] in pixels
+  function line(xa, ya, xb, yb, color, thickness = 1, dash = null) {
+    const rgb = parseColor(color);
+    let x0 = Math.round(xa);
+    let y0 = Math.round(ya);
+    const x1 = Math.round(xb);
+    const y1 = Math.round(yb);
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy;
+    const r0 = -Math.floor((thickness - 1) / 2);
+    const r1 = Math.ceil((thickness - 1) / 2);
+    let step = 0;
+
+    for (;;) {
+      const on = !dash || step % (dash[0] + dash[1]) < dash[0];
+      if (on) {
+        for (let oy = r0; oy <= r1; oy += 1) {
+          for (let ox = r0; ox <= r1; ox += 1) setPixel(x0 + ox, y0 + oy, rgb);
+        }
+      }
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * err;
+      if (e2 >= dy) {
+        err += dy;
+        x0 += sx;
+      }
+      if (e2 <= dx) {
+        err += dx;
+        y0 += sy;
+      }
+      step += 1;
+    }
+  }
+
+  function textWidth(str, scale = 1) {
+    const n = String(str).length;
+    return n ? n * (GLYPH_W + 1) * scale - scale : 0;
+  }
+
+  // (x, y) = top-left of the first glyph
+  function text(x, y, str, color, scale = 1) {
+    const rgb = parseColor(color);
+    let cx = Math.round(x);
+    for (const ch of String(str).toUpperCase()) {
+      const glyph = GLYPHS[ch] || GLYPHS["?"];
+      for (let row = 0; row < GLYPH_H; row += 1) {
+        const bits = glyph[row];
+        if (!bits) continue;
+        for (let col = 0; col < GLYPH_W; col += 1) {
+          if (!(bits & (1 << (GLYPH_W - 1 - col)))) continue;
+          for (let sy = 0; sy < scale; sy += 1) {
+            for (let sx = 0; sx < scale; sx += 1) {
+              setPixel(cx + col * scale + sx, Math.round(y) + row * scale + sy, rgb);
+            }
+          }
+        }
+      }
+      cx += (GLYPH_W + 1) * scale;
+    }
+  }
+
+  function toPng() {
+    const stride = w * 3;
+    const raw = Buffer.alloc((stride + 1) * h);
+    for (let y = 0; y < h; y += 1) {
+      raw[y * (stride + 1)] = 0; // filter: none
+      data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+    }
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(w, 0);
+    ihdr.writeUInt32BE(h, 4);
+    ihdr[8] = 8; // bit depth
+    ihdr[9] = 2; // color type: RGB
+    ihdr[10] = 0;
+    ihdr[11] = 0;
+    ihdr[12] = 0;
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk("IHDR", ihdr),
+      pngChunk("IDAT", zlib.deflateSync(raw, { level: 9 })),
+      pngChunk("IEND", Buffer.alloc(0)),
+    ]);
+  }
+
+  return {
+    width: w,
+    height: h,
+    glyphHeight: GLYPH_H,
+    setPixel,
+    fillRect,
+    line,
+    text,
+    textWidth,
+    toPng,
+  };
+}
+
+module.exports = { createRaster, parseColor };
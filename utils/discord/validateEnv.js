@@ -21,6 +21,14 @@ function validateEnv() {
     "SP_POSITION_SNAPSHOT_STALE_WARN_MIN",
     "PRIMEFI_WITHDRAW_ALERT_TRIGGER_UNITS",
     "PRIMEFI_WITHDRAW_ALERT_RESET_UNITS",
+    "PRIMEFI_HF_WARN",
+    "PRIMEFI_HF_HIGH",
+    "PRIMEFI_HF_CRIT",
+    "SP_LOSS_ALERT_PCT",
+    "SP_CLAIM_ALERT_USD",
+    "SP_CLAIM_RESET_USD",
+    "SP_APR_GAP_ALERT_PP",
+    "SP_APR_GAP_RESET_PP",
     "NODE_CRON_WARN_THROTTLE_MS",
     "EVENT_LOOP_LAG_CHECK_MS",
     "EVENT_LOOP_LAG_WARN_MS",
@@ -0,0 +1,173 @@
+// utils/ethers/multicall.js
+//
+// Multicall3 batching for read-only contract calls.
+// - getBatchedProvider(provider) returns a drop-in stand-in for the provider whose
+//   call() queues each eth_call; everything queued in the same tick goes out as one
+//   Multicall3.aggregate3 (allowFailure), so a batch reads a single block
+// - Contracts built on it batch transparently; every other provider method passes through
+// - Calls with from / blockTag / value / gas overrides go straight to the provider
+//   (Multicall3 would change msg.sender or the block)
+// - Chains without Multicall3 at MULTICALL3_ADDRESS (code check, cached per provider)
+//   and batches whose aggregate3 call fails fall back to plain eth_calls
+// - MULTICALL_BATCH_SIZE caps calls per aggregate3; 0 disables batching
+// - forEachConcurrent() runs MULTICALL_CONCURRENCY positions at once so their reads
+//   share batches instead of going out one position at a time
+//
+// Used by:
+// - monitoring/loanMonitor.js (refreshLoanSnapshots)
+// - monitoring/lpMonitor.js (refreshLpSnapshots)
+// - jobs/scanStabilityPoolPositions.js
+// - monitoring/primefiLoanMonitor.js (refreshPrimefiLoanSnapshots, Aave-fork reserve reads)
+// Mock-provider harness: dev/testMulticall.js
+const { ethers } = require("ethers");
+
+const logger = require("../logger");
+const multicall3Abi = require("../../abi/multicall3.json");
+
+function requireNumberEnv(name) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") {
+    throw new Error(`[multicall] Missing required env var ${name}`);
+  }
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`[multicall] Env var ${name} must be a non-negative integer (got "${raw}")`);
+  }
+  return n;
+}
+
+const MULTICALL_BATCH_SIZE = requireNumberEnv("MULTICALL_BATCH_SIZE");
+const MULTICALL_CONCURRENCY = Math.max(1, requireNumberEnv("MULTICALL_CONCURRENCY"));
+
+// Same address on every chain it is deployed to (CREATE2 deployment)
+const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+const MULTICALL3_IFACE = new ethers.Interface(multicall3Abi);
+
+const batchedByProvider = new WeakMap(); // provider -> batched provider
+
+function isBatchable(tx) {
+  if (!(MULTICALL_BATCH_SIZE > 0) || typeof tx?.to !== "string") return false;
+  return Object.keys(tx).every((k) => k === "to" || k === "data" || tx[k] == null);
+}
+
+// Same shape ethers gives a reverted eth_call, so Contract decodes custom errors as usual
+function revertError(call, returnData) {
+  return ethers.makeError("execution reverted", "CALL_EXCEPTION", {
+    action: "call",
+    data: returnData,
+    reason: null,
+    transaction: { to: call.target, data: call.callData },
+    invocation: null,
+    revert: null,
+  });
+}
+
+function callEach(state, batch) {
+  for (const c of batch) {
+    state.provider.call(c.tx).then(c.resolve, c.reject);
+  }
+}
+
+async function hasMulticall3(state) {
+  if (state.hasMulticall == null) {
+    try {
+      const code = await state.provider.getCode(MULTICALL3_ADDRESS);
+      state.hasMulticall = !!code && code !== "0x";
+      if (!state.hasMulticall) {
+        logger.info(`[multicall] Multicall3 not deployed at ${MULTICALL3_ADDRESS}; using plain eth_calls`);
+      }
+    } catch (err) {
+      // Unknown for now; ask again on the next batch
+      logger.debug(`[multicall] Multicall3 code check failed: ${err?.message || err}`);
+      return false;
+    }
+  }
+  return state.hasMulticall;
+}
+
+async function runBatch(state, batch) {
+  if (batch.length === 1 || !(await hasMulticall3(state))) {
+    callEach(state, batch);
+    return;
+  }
+
+  let results;
+  try {
+    const data = MULTICALL3_IFACE.encodeFunctionData("aggregate3", [
+      batch.map((c) => ({ target: c.target, allowFailure: true, callData: c.callData })),
+    ]);
+    const ret = await state.provider.call({ to: MULTICALL3_ADDRESS, data });
+    [results] = MULTICALL3_IFACE.decodeFunctionResult("aggregate3", ret);
+  } catch (err) {
+    logger.debug(
+      `[multicall] aggregate3 of ${batch.length} calls failed; retrying as plain eth_calls: ${err?.message || err}`
+    );
+    callEach(state, batch);
+    return;
+  }
+
+  batch.forEach((c, i) => {
+    const r = results[i];
+    if (r?.success) c.resolve(r.returnData);
+    else c.reject(revertError(c, r?.returnData ?? "0x"));
+  });
+}
+
+function flush(state) {
+  state.scheduled = false;
+  const pending = state.queue.splice(0);
+  for (let i = 0; i < pending.length; i += MULTICALL_BATCH_SIZE) {
+    runBatch(state, pending.slice(i, i + MULTICALL_BATCH_SIZE)).catch((err) => {
+      logger.error(`[multicall] batch failed: ${err?.message || err}`);
+    });
+  }
+}
+
+/**
+ * Provider stand-in that batches eth_calls through Multicall3 (one per provider,
+ * shared so concurrent callers land in the same batch).
+ */
+function getBatchedProvider(provider) {
+  if (!provider) throw new Error("getBatchedProvider: provider is required");
+  if (batchedByProvider.has(provider)) return batchedByProvider.get(provider);
+
+  const state = { provider, queue: [], scheduled: false, hasMulticall: null };
+
+  const call = (tx) => {
+    if (!isBatchable(tx)) return provider.call(tx);
+    return new Promise((resolve, reject) => {
+      state.queue.push({ target: tx.to, callData: tx.data || "0x", tx, resolve, reject });
+      if (!state.scheduled) {
+        state.scheduled = true;
+        setImmediate(() => flush(state));
+      }
+    });
+  };
+
+  const batched = new Proxy(provider, {
+    get(target, prop) {
+      if (prop === "call") return call;
+      const v = Reflect.get(target, prop, target);
+      return typeof v === "function" ? v.bind(target) : v;
+    },
+  });
+
+  batchedByProvider.set(provider, batched);
+  return batched;
+}
+
+/**
+ * await fn(item) for every item, MULTICALL_CONCURRENCY at a time.
+ * fn handles its own errors (a rejection aborts the remaining chunks).
+ */
+async function forEachConcurrent(items, fn) {
+  for (let i = 0; i < items.length; i += MULTICALL_CONCURRENCY) {
+    await Promise.all(items.slice(i, i + MULTICALL_CONCURRENCY).map((item) => fn(item)));
+  }
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  getBatchedProvider,
+  forEachConcurrent,
+};
@@ -1,8 +1,264 @@
 // utils/ethers/providers.js
+//
+// Pooled JSON-RPC providers, one per RPC env var, shared by the whole process.
+// - The env var holds one RPC URL or a comma-separated list (first = preferred)
+// - Requests stick to the active endpoint; a transport error, timeout, rate limit
+//   (isRateLimitError / parseRetryAfterMs from utils/indexer/windowRunner.js) or
+//   stale-node error cools that endpoint down and retries on the next best one
+// - Health score: latency EWMA scaled up by error-rate EWMA
+// - At most every RPC_HEALTH_CHECK_SEC the pool compares eth_blockNumber across
+//   endpoints and skips any more than RPC_MAX_BLOCK_LAG blocks behind the highest
 const { ethers } = require("ethers");
 
+const logger = require("../logger");
+const { isRateLimitError, parseRetryAfterMs } = require("../indexer/windowRunner");
+
+function requireNumberEnv(name) {
+  const raw = process.env[name];
+  if (raw == null || String(raw).trim() === "") {
+    throw new Error(`[providers] Missing required env var ${name}`);
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n)) {
+    throw new Error(`[providers] Env var ${name} must be numeric (got "${raw}")`);
+  }
+  return n;
+}
+
+const RPC_TIMEOUT_MS = requireNumberEnv("RPC_TIMEOUT_MS");
+const RPC_FAILOVER_COOLDOWN_SEC = requireNumberEnv("RPC_FAILOVER_COOLDOWN_SEC");
+const RPC_MAX_BLOCK_LAG = requireNumberEnv("RPC_MAX_BLOCK_LAG");
+const RPC_HEALTH_CHECK_SEC = requireNumberEnv("RPC_HEALTH_CHECK_SEC");
+
+const EWMA_ALPHA = 0.2;
+// Switch away from a healthy active endpoint only when another scores this much better
+const SWITCH_SCORE_RATIO = 0.5;
+// JSON-RPC errors that mean "this node is behind or pruned", not "the call is bad"
+const STALE_NODE_RE = /header not found|unknown block|missing trie node|beyond current head/i;
+
+const pools = new Map(); // envKey -> PooledRpcProvider
+
+function splitUrls(raw) {
+  return String(raw || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Host only, so API keys in the path never reach the logs
+function endpointLabel(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "invalid-url";
+  }
+}
+
+function makeEndpoint(url) {
+  const req = new ethers.FetchRequest(url);
+  req.timeout = RPC_TIMEOUT_MS;
+  // 429s fail over right away instead of going through FetchRequest's throttle retries
+  req.retryFunc = async () => false;
+  return {
+    label: endpointLabel(url),
+    rpc: new ethers.JsonRpcProvider(req),
+    latencyMs: null,
+    errorRate: 0,
+    cooldownUntil: 0,
+    blockNumber: null,
+    lagging: false,
+  };
+}
+
+function scoreOf(ep) {
+  // Unmeasured endpoints score 0 so they get tried
+  return (ep.latencyMs ?? 0) * (1 + 4 * ep.errorRate);
+}
+
+function isUsable(ep, now) {
+  return ep.cooldownUntil <= now && !ep.lagging;
+}
+
+function recordResult(pool, ep, elapsedMs, err) {
+  ep.latencyMs = ep.latencyMs == null ? elapsedMs : ep.latencyMs + EWMA_ALPHA * (elapsedMs - ep.latencyMs);
+  ep.errorRate += EWMA_ALPHA * ((err ? 1 : 0) - ep.errorRate);
+  if (!err) return;
+
+  const rateLimited = isRateLimitError(err);
+  const retryAfterMs = parseRetryAfterMs(err);
+  const cooldownMs = Math.max(retryAfterMs ?? 0, RPC_FAILOVER_COOLDOWN_SEC * 1000);
+  ep.cooldownUntil = Date.now() + cooldownMs;
+  if (STALE_NODE_RE.test(String(err?.message || ""))) ep.lagging = true;
+
+  if (pool.endpoints.length > 1) {
+    logger.warn(
+      `[providers] ${pool.envKey} ${ep.label} ${rateLimited ? "rate-limited" : "failed"}; ` +
+        `cooling down ${Math.round(cooldownMs / 1000)}s: ${err?.message || err}`
+    );
+  }
+}
+
+/**
+ * Endpoints in the order one request should try them: the active endpoint if
+ * usable, other usable ones by score, then cooled-down / lagging ones by how soon
+ * they come back (so a pool never refuses a request outright).
+ */
+function tryOrder(pool) {
+  const now = Date.now();
+  const usable = pool.endpoints.filter((ep) => isUsable(ep, now)).sort((a, b) => scoreOf(a) - scoreOf(b));
+  const rest = pool.endpoints.filter((ep) => !isUsable(ep, now)).sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+  if (usable.includes(pool.active)) {
+    return [pool.active, ...usable.filter((ep) => ep !== pool.active), ...rest];
+  }
+  return [...usable, ...rest];
+}
+
+// JSON-RPC error objects for endpoint trouble (as opposed to reverts, bad params, ...)
+function endpointErrorOf(results) {
+  for (const r of results) {
+    if (!r?.error) continue;
+    const err = new Error(`${r.error.code} ${r.error.message || ""}`.trim());
+    if (isRateLimitError(err) || parseRetryAfterMs(err) != null || STALE_NODE_RE.test(err.message)) {
+      return err;
+    }
+  }
+  return null;
+}
+
+async function checkHeights(pool) {
+  await Promise.all(
+    pool.endpoints.map(async (ep) => {
+      const t0 = Date.now();
+      try {
+        const [res] = await ep.rpc._send({ id: 1, jsonrpc: "2.0", method: "eth_blockNumber", params: [] });
+        if (!res || res.error) throw new Error(`${res?.error?.code} ${res?.error?.message || "no result"}`);
+        ep.blockNumber = Number(res.result);
+        recordResult(pool, ep, Date.now() - t0, null);
+      } catch (err) {
+        ep.blockNumber = null;
+        recordResult(pool, ep, Date.now() - t0, err);
+      }
+    })
+  );
+
+  const heights = pool.endpoints.map((ep) => ep.blockNumber).filter(Number.isFinite);
+  if (!heights.length) return;
+  const maxBlock = Math.max(...heights);
+
+  for (const ep of pool.endpoints) {
+    const lag = Number.isFinite(ep.blockNumber) ? maxBlock - ep.blockNumber : null;
+    const lagging = lag != null && lag > RPC_MAX_BLOCK_LAG;
+    if (lagging && !ep.lagging) {
+      logger.warn(`[providers] ${pool.envKey} ${ep.label} is ${lag} blocks behind; skipping`);
+    } else if (!lagging && ep.lagging && lag != null) {
+      logger.info(`[providers] ${pool.envKey} ${ep.label} caught up`);
+    }
+    if (lag != null) ep.lagging = lagging;
+  }
+
+  const now = Date.now();
+  const best = pool.endpoints.filter((ep) => isUsable(ep, now)).sort((a, b) => scoreOf(a) - scoreOf(b))[0];
+  if (
+    best &&
+    best !== pool.active &&
+    (!isUsable(pool.active, now) || scoreOf(best) < scoreOf(pool.active) * SWITCH_SCORE_RATIO)
+  ) {
+    logger.info(`[providers] ${pool.envKey} switching ${pool.active.label} -> ${best.label}`);
+    pool.active = best;
+  }
+}
+
+// Fire-and-forget; requests never wait on a height check
+function maybeCheckHeights(pool) {
+  if (pool.endpoints.length < 2 || pool.checking) return;
+  if (Date.now() - pool.lastCheckAt < RPC_HEALTH_CHECK_SEC * 1000) return;
+  pool.lastCheckAt = Date.now();
+  pool.checking = checkHeights(pool)
+    .catch((err) => logger.warn(`[providers] ${pool.envKey} height check failed: ${err?.message || err}`))
+    .finally(() => {
+      pool.checking = null;
+    });
+}
+
+async function sendWithFailover(pool, payload) {
+  maybeCheckHeights(pool);
+
+  let lastErr = null;
+  let lastResults = null;
+  for (const ep of tryOrder(pool)) {
+    const t0 = Date.now();
+    let results = null;
+    try {
+      results = await ep.rpc._send(payload);
+      const endpointErr = endpointErrorOf(results);
+      if (endpointErr) throw endpointErr;
+      recordResult(pool, ep, Date.now() - t0, null);
+      pool.active = ep;
+      return results;
+    } catch (err) {
+      lastErr = err;
+      lastResults = results;
+      recordResult(pool, ep, Date.now() - t0, err);
+    }
+  }
+
+  // Every endpoint failed: hand back the last JSON-RPC errors (ethers formats them) or
+  // throw the last transport error, same as a single JsonRpcProvider would
+  if (lastResults) return lastResults;
+  throw lastErr;
+}
+
 /**
- * Returns an ethers provider for a given chain based on chainsConfig.
+ * JsonRpcApiProvider that routes every request through a pool of endpoints, so
+ * Contracts, getLogs and batching work unchanged on top of it.
+ */
+class PooledRpcProvider extends ethers.JsonRpcApiProvider {
+  #pool;
+
+  constructor(pool) {
+    super();
+    this.#pool = pool;
+  }
+
+  async _send(payload) {
+    return sendWithFailover(this.#pool, payload);
+  }
+}
+
+/**
+ * Shared pooled provider for the RPC URL list in env var `envKey`.
+ * Throws if the env var is missing or empty.
+ */
+function getPooledProvider(envKey) {
+  if (pools.has(envKey)) return pools.get(envKey);
+
+  const urls = splitUrls(process.env[envKey]);
+  if (!urls.length) {
+    throw new Error(`Missing RPC URL: expected env var ${envKey}`);
+  }
+
+  const endpoints = urls.map(makeEndpoint);
+  const provider = new PooledRpcProvider({
+    envKey,
+    endpoints,
+    active: endpoints[0],
+    lastCheckAt: 0,
+    checking: null,
+  });
+  pools.set(envKey, provider);
+  return provider;
+}
+
+/**
+ * First of `envKeys` that holds at least one RPC URL, or null. For scripts that accept
+ * several env var names; pass the result to getPooledProvider().
+ */
+function firstRpcEnvKey(envKeys) {
+  return envKeys.find((key) => splitUrls(process.env[key]).length > 0) || null;
+}
+
+/**
+ * Returns the shared provider for a given chain based on chainsConfig.
  * Expects chainsConfig[chainId] to have an `rpcEnvKey` (e.g. "FLR_MAINNET").
  *
  * No defaults. If config/env is missing, throws.
@@ -20,12 +276,20 @@ function getProviderForChain(chainId, chainsConfig) {
     throw new Error(`Missing rpcEnvKey for chain "${cid}" in CHAINS_CONFIG`);
   }
 
-  const rpcUrl = process.env[rpcKey];
-  if (!rpcUrl) {
+  if (!splitUrls(process.env[rpcKey]).length) {
     throw new Error(`Missing RPC URL for chain "${cid}": expected env var ${rpcKey}`);
   }
 
-  return new ethers.JsonRpcProvider(rpcUrl);
+  return getPooledProvider(rpcKey);
+}
+
+/**
+ * Shared provider for log scanning / indexing on a chain (<CHAIN>_MAINNET_SCAN).
+ * Throws if the env var is missing.
+ */
+function getScanProviderForChain(chainId) {
+  const cid = (chainId || "").toString().toUpperCase();
+  return getPooledProvider(`${cid}_MAINNET_SCAN`);
 }
 
-module.exports = { getProviderForChain };
+module.exports = { getProviderForChain, getScanProviderForChain, getPooledProvider, firstRpcEnvKey };
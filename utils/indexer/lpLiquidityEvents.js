@@ -0,0 +1,87 @@
+// utils/indexer/lpLiquidityEvents.js
+//
+// NonfungiblePositionManager cash-flow events indexed alongside Transfer for LP_NFT contracts.
+// Uniswap v3 and Algebra managers share DecreaseLiquidity / Collect; Algebra's
+// IncreaseLiquidity carries extra fields (actualLiquidity, pool), so it gets its own stream.
+
+const { ethers } = require("ethers");
+
+const LP_LIQUIDITY_IFACE = new ethers.Interface([
+  "event IncreaseLiquidity(uint256 indexed tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)",
+  "event IncreaseLiquidity(uint256 indexed tokenId, uint128 liquidityDesired, uint128 actualLiquidity, uint256 amount0, uint256 amount1, address pool)",
+  "event DecreaseLiquidity(uint256 indexed tokenId, uint128 liquidity, uint256 amount0, uint256 amount1)",
+  "event Collect(uint256 indexed tokenId, address recipient, uint256 amount0, uint256 amount1)",
+]);
+
+// One index stream per entry; `key` is the stream_key suffix, `eventName` goes to index_streams.event_name
+const LP_LIQUIDITY_STREAMS = [
+  {
+    key: "IncreaseLiquidity",
+    eventName: "IncreaseLiquidity",
+    topic0: ethers.id("IncreaseLiquidity(uint256,uint128,uint256,uint256)"),
+  },
+  {
+    key: "IncreaseLiquidityAlgebra",
+    eventName: "IncreaseLiquidity",
+    topic0: ethers.id("IncreaseLiquidity(uint256,uint128,uint128,uint256,uint256,address)"),
+  },
+  {
+    key: "DecreaseLiquidity",
+    eventName: "DecreaseLiquidity",
+    topic0: ethers.id("DecreaseLiquidity(uint256,uint128,uint256,uint256)"),
+  },
+  {
+    key: "Collect",
+    eventName: "Collect",
+    topic0: ethers.id("Collect(uint256,address,uint256,uint256)"),
+  },
+];
+
+const LP_LIQUIDITY_EVENT_NAMES = new Set(LP_LIQUIDITY_STREAMS.map((s) => s.eventName));
+
+const EVENT_KINDS = {
+  IncreaseLiquidity: "INCREASE",
+  DecreaseLiquidity: "DECREASE",
+  Collect: "COLLECT",
+};
+
+/**
+ * Decode one IncreaseLiquidity / DecreaseLiquidity / Collect log.
+ * Returns { kind, tokenId, liquidityRaw, amount0Raw, amount1Raw, recipient } or null.
+ * Amounts are raw token units as strings; liquidityRaw is null for Collect,
+ * recipient is null for everything but Collect.
+ */
+function decodeLpLiquidityLog(topics, dataHex) {
+  if (!Array.isArray(topics) || topics.length < 2) return null;
+  let parsed;
+  try {
+    parsed = LP_LIQUIDITY_IFACE.parseLog({ topics, data: String(dataHex || "0x") });
+  } catch {
+    return null;
+  }
+  const kind = parsed ? EVENT_KINDS[parsed.name] : null;
+  if (!kind) return null;
+
+  const args = parsed.args;
+  let liquidityRaw = null;
+  if (kind !== "COLLECT") {
+    // Algebra reports the liquidity actually added separately from the requested amount
+    const liq = args.actualLiquidity ?? args.liquidity;
+    liquidityRaw = liq != null ? liq.toString() : null;
+  }
+
+  return {
+    kind,
+    tokenId: args.tokenId.toString(),
+    liquidityRaw,
+    amount0Raw: args.amount0.toString(),
+    amount1Raw: args.amount1.toString(),
+    recipient: kind === "COLLECT" ? ethers.getAddress(args.recipient) : null,
+  };
+}
+
+module.exports = {
+  LP_LIQUIDITY_STREAMS,
+  LP_LIQUIDITY_EVENT_NAMES,
+  decodeLpLiquidityLog,
+};
@@ -1,4 +1,6 @@
 const { ethers } = require("ethers");
+const { LP_LIQUIDITY_STREAMS, LP_LIQUIDITY_EVENT_NAMES, decodeLpLiquidityLog } = require("./lpLiquidityEvents");
+const { TROVE_STREAMS, TROVE_EVENT_NAMES, decodeTroveLog } = require("./troveEvents");
 
 const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
 
@@ -36,22 +38,18 @@ function selectContracts(db, { chainId = null, kind = null, contractKey = null }
   return db.prepare(sql).all(...args);
 }
 
-function syncTransferStreams(
-  db,
-  { chainId = null, kind = null, contractKey = null, startBlockOverride = null } = {}
-) {
-  const contracts = selectContracts(db, { chainId, kind, contractKey });
-
+function upsertStreams(db, contracts, defs, { startBlockOverride = null } = {}) {
   const upsertStream = db.prepare(`
     INSERT INTO index_streams (
-      chain_id, contract_id, stream_key, event_name, topic0, start_block, is_enabled
+      chain_id, contract_id, stream_key, event_name, topic0, address_eip55, start_block, is_enabled
     )
-    VALUES (?, ?, ?, 'Transfer', ?, ?, 1)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 1)
     ON CONFLICT(stream_key) DO UPDATE SET
       chain_id = excluded.chain_id,
       contract_id = excluded.contract_id,
       event_name = excluded.event_name,
       topic0 = excluded.topic0,
+      address_eip55 = excluded.address_eip55,
       start_block = MIN(index_streams.start_block, excluded.start_block),
       is_enabled = 1
   `);
@@ -76,7 +74,7 @@ function syncTransferStreams(
       c.contract_key,
       c.kind,
       c.protocol,
-      c.address_eip55,
+      COALESCE(s.address_eip55, c.address_eip55) AS address_eip55,
       cur.last_scanned_block,
       cur.last_scanned_log_index,
       cur.last_scanned_tx_hash,
@@ -94,16 +92,27 @@ function syncTransferStreams(
       const startBlock = Number.isInteger(startBlockOverride)
         ? Math.max(0, startBlockOverride)
         : Math.max(0, Number(c.default_start_block) || 0);
-      const streamKey = `${c.chain_id}:${c.contract_key}:Transfer`;
 
-      upsertStream.run(c.chain_id, c.id, streamKey, TRANSFER_TOPIC, startBlock);
-      const stream = readStream.get(streamKey);
-      if (!stream) continue;
+      for (const def of defs) {
+        const streamKey = `${c.chain_id}:${c.contract_key}:${def.key}`;
+
+        upsertStream.run(
+          c.chain_id,
+          c.id,
+          streamKey,
+          def.eventName,
+          def.topic0,
+          def.address || null,
+          startBlock
+        );
+        const stream = readStream.get(streamKey);
+        if (!stream) continue;
 
-      const seedCursor = Math.max(0, startBlock - 1);
-      ensureCursor.run(stream.id, seedCursor);
+        const seedCursor = Math.max(0, startBlock - 1);
+        ensureCursor.run(stream.id, seedCursor);
 
-      out.push(readStream.get(streamKey));
+        out.push(readStream.get(streamKey));
+      }
     }
     return out;
   });
@@ -111,6 +120,86 @@ function syncTransferStreams(
   return tx();
 }
 
+function syncTransferStreams(
+  db,
+  { chainId = null, kind = null, contractKey = null, startBlockOverride = null } = {}
+) {
+  const contracts = selectContracts(db, { chainId, kind, contractKey });
+  return upsertStreams(
+    db,
+    contracts,
+    [{ key: "Transfer", eventName: "Transfer", topic0: TRANSFER_TOPIC }],
+    { startBlockOverride }
+  );
+}
+
+/**
+ * IncreaseLiquidity / DecreaseLiquidity / Collect streams for LP_NFT position managers.
+ */
+function syncLpLiquidityStreams(
+  db,
+  { chainId = null, kind = null, contractKey = null, startBlockOverride = null } = {}
+) {
+  if (kind && String(kind).toUpperCase() !== "LP_NFT") return [];
+  const contracts = selectContracts(db, { chainId, kind: "LP_NFT", contractKey });
+  return upsertStreams(db, contracts, LP_LIQUIDITY_STREAMS, { startBlockOverride });
+}
+
+/**
+ * TroveManager event streams (TROVE_STREAMS) for each LOAN_NFT.
+ * resolveTroveManager(contractRow) -> address is only called for contracts without a stored address.
+ */
+async function syncTroveStreams(
+  db,
+  { chainId = null, kind = null, contractKey = null, startBlockOverride = null, resolveTroveManager } = {}
+) {
+  if (kind && String(kind).toUpperCase() !== "LOAN_NFT") return [];
+  const contracts = selectContracts(db, { chainId, kind: "LOAN_NFT", contractKey });
+
+  const selKnownAddress = db.prepare(`
+    SELECT address_eip55
+    FROM index_streams
+    WHERE contract_id = ?
+      AND event_name = 'TroveOperation'
+      AND address_eip55 IS NOT NULL
+    LIMIT 1
+  `);
+
+  const out = [];
+  for (const c of contracts) {
+    let address = selKnownAddress.get(c.id)?.address_eip55 || null;
+    if (!address) {
+      if (typeof resolveTroveManager !== "function") continue;
+      address = await resolveTroveManager(c);
+      if (!address) continue;
+    }
+    const defs = TROVE_STREAMS.map((d) => ({ ...d, address }));
+    out.push(...upsertStreams(db, [c], defs, { startBlockOverride }));
+  }
+  return out;
+}
+
+/**
+ * Every contract-local stream kind the tail/backfill jobs know how to index
+ * (trove streams need an RPC lookup and are synced separately via syncTroveStreams).
+ */
+function syncIndexStreams(db, opts = {}) {
+  return [...syncTransferStreams(db, opts), ...syncLpLiquidityStreams(db, opts)];
+}
+
+function isIndexedEventName(eventName) {
+  return eventName === "Transfer" || LP_LIQUIDITY_EVENT_NAMES.has(eventName) || TROVE_EVENT_NAMES.has(eventName);
+}
+
+/**
+ * decoded_json payload for non-Transfer streams (Transfer decoding stays in the jobs).
+ */
+function decodeStreamLog(eventName, topics, dataHex) {
+  if (LP_LIQUIDITY_EVENT_NAMES.has(eventName)) return decodeLpLiquidityLog(topics, dataHex);
+  if (TROVE_EVENT_NAMES.has(eventName)) return decodeTroveLog(topics, dataHex);
+  return null;
+}
+
 function listStreams(db, { chainId = null, streamKey = null, isEnabled = null } = {}) {
   const where = ["1=1"];
   const args = [];
@@ -141,7 +230,7 @@ function listStreams(db, { chainId = null, streamKey = null, isEnabled = null }
       c.contract_key,
       c.kind,
       c.protocol,
-      c.address_eip55,
+      COALESCE(s.address_eip55, c.address_eip55) AS address_eip55,
       cur.last_scanned_block,
       cur.last_scanned_log_index,
       cur.last_scanned_tx_hash,
@@ -159,5 +248,10 @@ function listStreams(db, { chainId = null, streamKey = null, isEnabled = null }
 module.exports = {
   TRANSFER_TOPIC,
   syncTransferStreams,
+  syncLpLiquidityStreams,
+  syncTroveStreams,
+  syncIndexStreams,
+  isIndexedEventName,
+  decodeStreamLog,
   listStreams,
 };
@@ -0,0 +1,132 @@
+// utils/indexer/troveEvents.js
+//
+// Liquity v2 TroveManager events indexed for LOAN_NFT contracts.
+// Streams hang off the LOAN_NFT contract row (so derived rows share its contract_id
+// with loan_position_snapshots) but are scanned at the TroveManager address,
+// stored on index_streams.address_eip55.
+
+const { ethers } = require("ethers");
+
+const troveManagerAbi = require("../../abi/troveManager.json");
+const troveNftAbi = require("../../abi/troveNFT.json");
+
+const TROVE_MANAGER_IFACE = new ethers.Interface(troveManagerAbi);
+
+const TROVE_STREAM_EVENTS = [
+  "TroveOperation",
+  "TroveUpdated",
+  "Redemption",
+  "Liquidation",
+  "RedemptionFeePaidToTrove",
+];
+
+const TROVE_STREAMS = TROVE_STREAM_EVENTS.map((eventName) => ({
+  key: eventName,
+  eventName,
+  topic0: TROVE_MANAGER_IFACE.getEvent(eventName).topicHash,
+}));
+
+const TROVE_EVENT_NAMES = new Set(TROVE_STREAM_EVENTS);
+
+// ITroveEvents.Operation (Liquity v2), by enum index
+const TROVE_OPERATIONS = [
+  "OPEN_TROVE",
+  "CLOSE_TROVE",
+  "ADJUST_TROVE",
+  "ADJUST_INTEREST_RATE",
+  "APPLY_PENDING_DEBT",
+  "LIQUIDATE",
+  "REDEEM_COLLATERAL",
+  "OPEN_TROVE_AND_JOIN_BATCH",
+  "SET_INTEREST_BATCH_MANAGER",
+  "REMOVE_FROM_BATCH",
+];
+
+function str(v) {
+  return v == null ? null : v.toString();
+}
+
+/**
+ * Decode one TroveManager log into a flat JSON-safe object (bigints as strings).
+ * Returns null for anything that is not one of TROVE_STREAM_EVENTS.
+ */
+function decodeTroveLog(topics, dataHex) {
+  if (!Array.isArray(topics) || !topics.length) return null;
+  let parsed;
+  try {
+    parsed = TROVE_MANAGER_IFACE.parseLog({ topics, data: String(dataHex || "0x") });
+  } catch {
+    return null;
+  }
+  if (!parsed || !TROVE_EVENT_NAMES.has(parsed.name)) return null;
+  const a = parsed.args;
+
+  switch (parsed.name) {
+    case "TroveOperation": {
+      const opIndex = Number(a._operation);
+      return {
+        event: parsed.name,
+        troveId: str(a._troveId),
+        operation: TROVE_OPERATIONS[opIndex] || `OP_${opIndex}`,
+        annualInterestRateRaw: str(a._annualInterestRate),
+        debtIncreaseFromRedistRaw: str(a._debtIncreaseFromRedist),
+        debtIncreaseFromUpfrontFeeRaw: str(a._debtIncreaseFromUpfrontFee),
+        debtChangeRaw: str(a._debtChangeFromOperation),
+        collIncreaseFromRedistRaw: str(a._collIncreaseFromRedist),
+        collChangeRaw: str(a._collChangeFromOperation),
+      };
+    }
+    case "TroveUpdated":
+      return {
+        event: parsed.name,
+        troveId: str(a._troveId),
+        debtRaw: str(a._debt),
+        collRaw: str(a._coll),
+        annualInterestRateRaw: str(a._annualInterestRate),
+      };
+    case "Redemption":
+      return {
+        event: parsed.name,
+        attemptedBoldRaw: str(a._attemptedBoldAmount),
+        actualBoldRaw: str(a._actualBoldAmount),
+        collSentRaw: str(a._ETHSent),
+        collFeeRaw: str(a._ETHFee),
+        priceRaw: str(a._price),
+        redemptionPriceRaw: str(a._redemptionPrice),
+      };
+    case "Liquidation":
+      return {
+        event: parsed.name,
+        debtOffsetBySpRaw: str(a._debtOffsetBySP),
+        debtRedistributedRaw: str(a._debtRedistributed),
+        collSentToSpRaw: str(a._collSentToSP),
+        collRedistributedRaw: str(a._collRedistributed),
+        collSurplusRaw: str(a._collSurplus),
+        priceRaw: str(a._price),
+      };
+    case "RedemptionFeePaidToTrove":
+      return {
+        event: parsed.name,
+        troveId: str(a._troveId),
+        collFeeRaw: str(a._ETHFee),
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * TroveManager behind a TroveNFT (one RPC call; callers cache via index_streams).
+ */
+async function resolveTroveManagerAddress(provider, troveNftAddress) {
+  const nft = new ethers.Contract(troveNftAddress, troveNftAbi, provider);
+  return ethers.getAddress(await nft.troveManager());
+}
+
+module.exports = {
+  TROVE_STREAMS,
+  TROVE_EVENT_NAMES,
+  TROVE_OPERATIONS,
+  decodeTroveLog,
+  resolveTroveManagerAddress,
+};
@@ -124,6 +124,8 @@ async function runWindowedScan({
 
 module.exports = {
   sleep,
+  parseRetryAfterMs,
+  isRateLimitError,
   getLogsWithRetry,
   getBlockNumberWithRetry,
   runWindowedScan,
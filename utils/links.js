@@ -13,6 +13,25 @@ function getExplorerAddressUrl(chainId, address) {
   return null;
 }
 
+function getExplorerTxUrl(chainId, txHash) {
+  if (!chainId || !txHash) return null;
+  const chain = String(chainId).toUpperCase();
+  if (chain === "FLR") {
+    return `https://flare-explorer.flare.network/tx/${txHash}`;
+  }
+  if (chain === "XDC") {
+    return `https://xdcscan.io/tx/${txHash}`;
+  }
+  return null;
+}
+
+function formatTxLink(chainId, txHash, label) {
+  if (!txHash) return "n/a";
+  const url = getExplorerTxUrl(chainId, txHash);
+  const text = label || `${String(txHash).slice(0, 10)}…`;
+  return url ? `[${text}](${url})` : text;
+}
+
 function formatAddressLink(chainId, address) {
   if (!address) return "n/a";
   const url = getExplorerAddressUrl(chainId, address);
@@ -64,7 +83,9 @@ function formatLoanTroveLink(protocol, troveId, label) {
 
 module.exports = {
   getExplorerAddressUrl,
+  getExplorerTxUrl,
   formatAddressLink,
+  formatTxLink,
   getLpPositionUrl,
   formatLpPositionLink,
   getLoanTroveUrl,
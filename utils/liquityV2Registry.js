@@ -0,0 +1,138 @@
+// utils/liquityV2Registry.js
+//
+// Branch discovery for Liquity v2 deployments (Enosys and other forks) from one registry address:
+// - A CollateralRegistry is enumerated directly (totalCollaterals / getToken / getTroveManager)
+// - An AddressesRegistry is resolved to its CollateralRegistry; when that is unavailable the
+//   registry's own single branch is returned
+// - Each branch's TroveNFT, SortedTroves, StabilityPool, PriceFeed and ActivePool are read
+//   from its TroveManager; the collateral symbol comes from the token registry
+//
+// Discovery runs only from the onboarding script; at runtime the bot works from the configs and
+// `contracts` rows it seeded, and only GLOBAL_IR_FORK is read by the monitors.
+//
+// Used by:
+// - dev/onboardLiquityV2Fork.js (seeds contracts, stability pools and index streams)
+// - monitoring/loanMonitor.js (GLOBAL_IR_FORK)
+
+const { ethers } = require("ethers");
+
+const logger = require("./logger");
+const { getTokenSymbol } = require("./tokenRegistry");
+const troveManagerAbi = require("../abi/troveManager.json");
+const troveNftAbi = require("../abi/troveNFT.json");
+
+// Fork whose branches GLOBAL_IR_URL (global IR, SP APR) describes; other forks get no API lookups
+const GLOBAL_IR_FORK = "ENOSYS";
+
+const collateralRegistryAbi = [
+  "function totalCollaterals() view returns (uint256)",
+  "function getToken(uint256 index) view returns (address)",
+  "function getTroveManager(uint256 index) view returns (address)",
+];
+
+const addressesRegistryAbi = [
+  "function collateralRegistry() view returns (address)",
+  "function collToken() view returns (address)",
+  "function troveManager() view returns (address)",
+];
+
+function isZeroAddress(addr) {
+  return !addr || /^0x0{40}$/i.test(String(addr));
+}
+
+async function listCollateralRegistryBranches(provider, address) {
+  const reg = new ethers.Contract(address, collateralRegistryAbi, provider);
+  const total = Number(await reg.totalCollaterals());
+  const indexes = Array.from({ length: total }, (_, i) => i);
+  return Promise.all(
+    indexes.map(async (index) => {
+      const [collToken, troveManager] = await Promise.all([reg.getToken(index), reg.getTroveManager(index)]);
+      return { index, collToken: ethers.getAddress(collToken), troveManager: ethers.getAddress(troveManager) };
+    })
+  );
+}
+
+/**
+ * Resolve a registry address to { collateralRegistry, branches: [{ index, collToken, troveManager }] }.
+ * collateralRegistry is null when only an AddressesRegistry's own branch could be read.
+ */
+async function listBranchRoots(provider, registryAddress) {
+  try {
+    const branches = await listCollateralRegistryBranches(provider, registryAddress);
+    return { collateralRegistry: registryAddress, branches };
+  } catch (err) {
+    logger.debug(`[liquityV2Registry] ${registryAddress} is not a CollateralRegistry: ${err?.message || err}`);
+  }
+
+  const addrReg = new ethers.Contract(registryAddress, addressesRegistryAbi, provider);
+  let collateralRegistry = null;
+  try {
+    const cr = await addrReg.collateralRegistry();
+    if (!isZeroAddress(cr)) collateralRegistry = ethers.getAddress(cr);
+  } catch (err) {
+    logger.debug(`[liquityV2Registry] ${registryAddress} collateralRegistry() failed: ${err?.message || err}`);
+  }
+  if (collateralRegistry) {
+    const branches = await listCollateralRegistryBranches(provider, collateralRegistry);
+    return { collateralRegistry, branches };
+  }
+
+  const [collToken, troveManager] = await Promise.all([addrReg.collToken(), addrReg.troveManager()]);
+  return {
+    collateralRegistry: null,
+    branches: [{ index: 0, collToken: ethers.getAddress(collToken), troveManager: ethers.getAddress(troveManager) }],
+  };
+}
+
+async function readBranch(provider, chainId, root) {
+  const tm = new ethers.Contract(root.troveManager, troveManagerAbi, provider);
+  const [troveNFT, sortedTroves, stabilityPool, priceFeed, activePool, collSymbol] = await Promise.all([
+    tm.troveNFT(),
+    tm.sortedTroves(),
+    tm.stabilityPool(),
+    tm.priceFeed(),
+    tm.activePool(),
+    getTokenSymbol(provider, chainId, root.collToken).catch(() => null),
+  ]);
+
+  // Sanity check: the TroveNFT must point back at this TroveManager
+  const nft = new ethers.Contract(troveNFT, troveNftAbi, provider);
+  const backRef = ethers.getAddress(await nft.troveManager());
+  if (backRef !== root.troveManager) {
+    throw new Error(`TroveNFT ${troveNFT} belongs to TroveManager ${backRef}, expected ${root.troveManager}`);
+  }
+
+  return {
+    index: root.index,
+    collToken: root.collToken,
+    collSymbol,
+    troveManager: root.troveManager,
+    troveNFT: ethers.getAddress(troveNFT),
+    sortedTroves: ethers.getAddress(sortedTroves),
+    stabilityPool: ethers.getAddress(stabilityPool),
+    priceFeed: ethers.getAddress(priceFeed),
+    activePool: ethers.getAddress(activePool),
+  };
+}
+
+/**
+ * Every branch of a Liquity v2 deployment, given its CollateralRegistry or any AddressesRegistry.
+ * Returns {
+ *   collateralRegistry,  // null when only the AddressesRegistry's own branch was readable
+ *   branches: [{ index, collToken, collSymbol, troveManager, troveNFT, sortedTroves,
+ *                stabilityPool, priceFeed, activePool }],
+ * }
+ * collSymbol is null when symbol() failed. Throws when the address is neither registry kind.
+ */
+async function discoverLiquityV2Branches(provider, chainId, registryAddress) {
+  const registry = ethers.getAddress(registryAddress);
+  const { collateralRegistry, branches } = await listBranchRoots(provider, registry);
+  const out = await Promise.all(branches.map((root) => readBranch(provider, chainId, root)));
+  logger.debug(`[liquityV2Registry] ${chainId} ${registry}: ${out.length} branch(es)`);
+  return { collateralRegistry, branches: out };
+}
+
+module.exports = {
+  GLOBAL_IR_FORK,
+  discoverLiquityV2Branches,
+};
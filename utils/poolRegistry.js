@@ -0,0 +1,111 @@
+// utils/poolRegistry.js
+//
+// Static V3-style pool data persisted in pool_registry: pool address, token order,
+// fee tier and flavor (UNISWAP_V3 -> slot0(), ALGEBRA -> globalState()), keyed by the
+// position manager + token pair + fee a position resolves its pool from.
+// - Rows are written by monitoring/lpMonitor.js after a factory lookup finds the pool
+// - A flavor learned later (slot0() missing on a pool found via a Uniswap-style factory)
+//   is written back, so later runs go straight to the right state reader
+// - Pools that were not found are not stored; the next run looks again
+
+const { ethers } = require("ethers");
+
+const { getDb } = require("../db");
+
+const FLAVORS = new Set(["UNISWAP_V3", "ALGEBRA"]);
+
+const known = new Map(); // lookup key -> { poolAddr, factoryAddr, flavor }
+
+let _stmts = null;
+function getStmts() {
+  if (_stmts) return _stmts;
+  const db = getDb();
+  _stmts = {
+    sel: db.prepare(`
+      SELECT pool_address_eip55, factory_lower, flavor
+      FROM pool_registry
+      WHERE chain_id = ?
+        AND position_manager_lower = ?
+        AND token0_lower = ?
+        AND token1_lower = ?
+        AND fee = ?
+    `),
+    upsert: db.prepare(`
+      INSERT INTO pool_registry (
+        chain_id, position_manager_lower, token0_lower, token1_lower, fee,
+        factory_lower, pool_address_lower, pool_address_eip55, flavor
+      ) VALUES (
+        @chainId, @positionManagerLower, @token0Lower, @token1Lower, @fee,
+        @factoryLower, @poolAddressLower, @poolAddressEip55, @flavor
+      )
+      ON CONFLICT(chain_id, position_manager_lower, token0_lower, token1_lower, fee) DO UPDATE SET
+        factory_lower      = COALESCE(excluded.factory_lower, pool_registry.factory_lower),
+        pool_address_lower = excluded.pool_address_lower,
+        pool_address_eip55 = excluded.pool_address_eip55,
+        flavor             = excluded.flavor,
+        updated_at         = datetime('now')
+    `),
+  };
+  return _stmts;
+}
+
+function lookupParams({ chainId, positionManager, token0, token1, fee }) {
+  return [
+    String(chainId || "").toUpperCase(),
+    String(positionManager || "").toLowerCase(),
+    String(token0 || "").toLowerCase(),
+    String(token1 || "").toLowerCase(),
+    Number(fee),
+  ];
+}
+
+/**
+ * Registered pool for a position, or null.
+ * Returns { poolAddr, factoryAddr, flavor }; factoryAddr is lowercase (or null).
+ */
+function getRegisteredPool(key) {
+  const params = lookupParams(key);
+  const k = params.join(":");
+  if (known.has(k)) return known.get(k);
+
+  const row = getStmts().sel.get(...params);
+  if (!row) return null;
+  const pool = { poolAddr: row.pool_address_eip55, factoryAddr: row.factory_lower, flavor: row.flavor };
+  known.set(k, pool);
+  return pool;
+}
+
+/**
+ * Store (or update) the pool a position resolves to. Returns the stored
+ * { poolAddr, factoryAddr, flavor }.
+ */
+function registerPool({ chainId, positionManager, token0, token1, fee, factory = null, poolAddr, flavor }) {
+  if (!FLAVORS.has(flavor)) throw new Error(`registerPool: unknown flavor "${flavor}"`);
+  const poolEip55 = ethers.getAddress(poolAddr);
+  const params = lookupParams({ chainId, positionManager, token0, token1, fee });
+  const [cid, pmLower, t0Lower, t1Lower, feeNum] = params;
+  const factoryLower = factory ? String(factory).toLowerCase() : null;
+
+  getStmts().upsert.run({
+    chainId: cid,
+    positionManagerLower: pmLower,
+    token0Lower: t0Lower,
+    token1Lower: t1Lower,
+    fee: feeNum,
+    factoryLower,
+    poolAddressLower: poolEip55.toLowerCase(),
+    poolAddressEip55: poolEip55,
+    flavor,
+  });
+
+  const k = params.join(":");
+  const prev = known.get(k);
+  const pool = { poolAddr: poolEip55, factoryAddr: factoryLower ?? prev?.factoryAddr ?? null, flavor };
+  known.set(k, pool);
+  return pool;
+}
+
+module.exports = {
+  getRegisteredPool,
+  registerPool,
+};
@@ -43,6 +43,7 @@ function getStabilityPoolsForChain(chainId) {
         chainId: key,
         key: String(p.key || "").trim(),
         label: String(p.label || p.key || "").trim(),
+        fork: String(p.fork || "").trim().toUpperCase() || null,
         branchKey: String(p.branchKey || "").trim().toUpperCase() || null,
         collSymbol: String(p.collSymbol || "").trim().toUpperCase() || null,
         address: addr,
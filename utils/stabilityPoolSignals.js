@@ -29,6 +29,8 @@ function fetchJsonWithTimeout(url, timeoutMs) {
 function inferBranchKey(poolCfg) {
   const explicit = String(poolCfg?.branchKey || "").trim().toUpperCase();
   if (explicit) return explicit;
+  // Onboarded forks (dev/onboardLiquityV2Fork.js) only get API data through an explicit branchKey
+  if (poolCfg?.fork) return null;
   const t = `${poolCfg?.key || ""} ${poolCfg?.label || ""} ${poolCfg?.collSymbol || ""}`.toUpperCase();
   if (t.includes("FXRP")) return "FXRP";
   if (t.includes("WFLR")) return "WFLR";
@@ -0,0 +1,147 @@
+// utils/tokenRegistry.js
+//
+// ERC-20 symbol / decimals persisted in token_registry. Token metadata never changes,
+// so each token is read from chain once:
+// - Lookup order: in-process map -> token_registry row -> symbol() + decimals() over RPC
+// - Whatever RPC returns is stored; a field that failed stays NULL and is retried on the
+//   next lookup
+// - Concurrent lookups of the same token share one fetch
+// - rememberToken() stores metadata a caller already has (e.g. Steer vault details)
+//
+// Used by:
+// - monitoring/lpMonitor.js (V3 positions, Steer vaults)
+// - monitoring/loanMonitor.js (trove collateral, CDP pool)
+// - jobs/firelightJob.js (vault decimals)
+
+const { ethers } = require("ethers");
+
+const { getDb } = require("../db");
+const erc20MetadataAbi = require("../abi/erc20Metadata.json");
+
+const known = new Map(); // `${chainId}:${addressLower}` -> { symbol, decimals } (complete rows only)
+const inflight = new Map(); // same key -> Promise<{ symbol, decimals }>
+
+let _stmts = null;
+function getStmts() {
+  if (_stmts) return _stmts;
+  const db = getDb();
+  _stmts = {
+    sel: db.prepare(`
+      SELECT symbol, decimals
+      FROM token_registry
+      WHERE chain_id = ? AND address_lower = ?
+    `),
+    upsert: db.prepare(`
+      INSERT INTO token_registry (chain_id, address_lower, address_eip55, symbol, decimals)
+      VALUES (@chainId, @addressLower, @addressEip55, @symbol, @decimals)
+      ON CONFLICT(chain_id, address_lower) DO UPDATE SET
+        symbol     = COALESCE(excluded.symbol, token_registry.symbol),
+        decimals   = COALESCE(excluded.decimals, token_registry.decimals),
+        updated_at = datetime('now')
+    `),
+  };
+  return _stmts;
+}
+
+function normChain(chainId) {
+  return String(chainId || "").toUpperCase();
+}
+
+function keyOf(chainId, address) {
+  return `${normChain(chainId)}:${String(address || "").toLowerCase()}`;
+}
+
+function toDecimals(v) {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= 0 && n <= 255 ? n : null;
+}
+
+function isComplete(meta) {
+  return meta != null && meta.symbol != null && meta.decimals != null;
+}
+
+function readStored(chainId, address) {
+  const key = keyOf(chainId, address);
+  if (known.has(key)) return known.get(key);
+  const row = getStmts().sel.get(normChain(chainId), String(address).toLowerCase());
+  if (!row) return null;
+  const meta = { symbol: row.symbol, decimals: row.decimals };
+  if (isComplete(meta)) known.set(key, meta);
+  return meta;
+}
+
+/**
+ * Store metadata the caller already knows (either field may be null = unknown).
+ */
+function rememberToken(chainId, address, { symbol = null, decimals = null } = {}) {
+  if (!address) return;
+  let eip55;
+  try {
+    eip55 = ethers.getAddress(address);
+  } catch {
+    return;
+  }
+  const dec = toDecimals(decimals);
+  const sym = symbol != null ? String(symbol) : null;
+  if (sym == null && dec == null) return;
+
+  const key = keyOf(chainId, eip55);
+  const cur = known.get(key);
+  if (cur && (sym == null || sym === cur.symbol) && (dec == null || dec === cur.decimals)) return;
+
+  getStmts().upsert.run({
+    chainId: normChain(chainId),
+    addressLower: eip55.toLowerCase(),
+    addressEip55: eip55,
+    symbol: sym,
+    decimals: dec,
+  });
+  if (sym != null && dec != null) known.set(key, { symbol: sym, decimals: dec });
+  else known.delete(key);
+}
+
+async function fetchTokenMeta(provider, chainId, address, stored) {
+  const token = new ethers.Contract(address, erc20MetadataAbi, provider);
+  const [symbol, decimals] = await Promise.all([
+    stored?.symbol != null ? stored.symbol : token.symbol().then(String, () => null),
+    stored?.decimals != null ? stored.decimals : token.decimals().then(toDecimals, () => null),
+  ]);
+  if (symbol !== stored?.symbol || decimals !== stored?.decimals) {
+    rememberToken(chainId, address, { symbol, decimals });
+  }
+  return { symbol, decimals };
+}
+
+/**
+ * { symbol, decimals } for a token; either may be null when the chain read failed.
+ */
+async function getTokenMeta(provider, chainId, address) {
+  const stored = readStored(chainId, address);
+  if (isComplete(stored)) return stored;
+
+  const key = keyOf(chainId, address);
+  if (inflight.has(key)) return inflight.get(key);
+  const p = fetchTokenMeta(provider, chainId, address, stored).finally(() => inflight.delete(key));
+  inflight.set(key, p);
+  return p;
+}
+
+// Throw when unknown, like the symbol() / decimals() calls they replace
+async function getTokenSymbol(provider, chainId, address) {
+  const { symbol } = await getTokenMeta(provider, chainId, address);
+  if (symbol == null) throw new Error(`symbol() unavailable for ${address} on ${normChain(chainId)}`);
+  return symbol;
+}
+
+async function getTokenDecimals(provider, chainId, address) {
+  const { decimals } = await getTokenMeta(provider, chainId, address);
+  if (decimals == null) throw new Error(`decimals() unavailable for ${address} on ${normChain(chainId)}`);
+  return decimals;
+}
+
+module.exports = {
+  getTokenMeta,
+  getTokenSymbol,
+  getTokenDecimals,
+  rememberToken,
+};